@@ -70,6 +70,17 @@ const App = (() => {
   // Active game state — the single source of truth while playing
   let gameState = null;
 
+  // The state an action is being applied to: performConfirmed's working copy
+  // while one runs, otherwise null for gameState
+  let activeState = null;
+
+  // Actions undone this turn, most recent last (see EventLog.undo)
+  let redoStack = [];
+
+  // Save slot the game autosaves to; new games start in the autosave slot
+  const AUTOSAVE_SLOT = 'current';
+  let activeSlot = AUTOSAVE_SLOT;
+
   /**
    * Get the current game state.
    * @returns {object|null}
@@ -86,6 +97,8 @@ const App = (() => {
     const state = GameState.createInitial();
 
     // Capture setup selections
+    const cellInput = document.getElementById('input-cell-name');
+    if (cellInput) state.cellName = cellInput.value.trim();
     state.resistanceValues = getSetupSelections('resistance');
     state.regimeType = getSetupSelections('regime');
 
@@ -95,6 +108,11 @@ const App = (() => {
     if (diceSelect) state.inputMode.dice = diceSelect.value;
     if (cardsSelect) state.inputMode.cards = cardsSelect.value;
 
+    // Seed the random stream before anything is shuffled or rolled
+    const seedInput = document.getElementById('input-seed');
+    state.rng = Rng.createStream(seedInput ? seedInput.value : '');
+    Rng.use(state.rng);
+
     // Create and shuffle the recruitment deck
     state.recruitDeck = Deck.createDeck();
     Deck.shuffle(state.recruitDeck);
@@ -106,12 +124,16 @@ const App = (() => {
     state.currentTurn = 1;
 
     gameState = state;
+    redoStack = [];
+    activeSlot = AUTOSAVE_SLOT;
+    addLogEntry(`New game — seed ${state.rng.seed}.`);
+    EventLog.begin(state);
 
     // Wire up input providers based on mode
     syncInputProviders();
 
     // Save initial state
-    GameState.save(state, 'current');
+    saveGame();
 
     // Transition to game screen
     showScreen('game');
@@ -121,17 +143,67 @@ const App = (() => {
   }
 
   /**
-   * Continue a saved game.
+   * Continue the most recently saved game.
    */
   function continueGame() {
-    const state = GameState.load('current');
-    if (!state) return;
+    loadGame(GameState.getLastSlot() || AUTOSAVE_SLOT);
+  }
+
+  /**
+   * Load a saved game and make its slot the one autosaves go to. A save from
+   * a newer version is reported on the Load Game screen instead; a damaged
+   * one opens the recovery options there (see recoverSlot).
+   * @param {string} slotName
+   * @returns {boolean} false if there is no such save or it cannot be loaded as it is
+   */
+  function loadGame(slotName) {
+    const report = Recovery.inspect(slotName);
+    if (report.status === 'missing') return false;
+    if (report.status !== 'ok') {
+      showLoadScreen();
+      if (report.status === 'newer') {
+        showSlotError(`Could not load ${slotLabel(slotName)}: ${report.errors[0]}`);
+      } else {
+        recoverSlot(slotName, report);
+      }
+      return false;
+    }
+    startLoadedGame(report.state, slotName);
+    return true;
+  }
+
+  /**
+   * Play a loaded state, autosaving to `slotName`.
+   */
+  function startLoadedGame(state, slotName) {
+    // Saves from before seeding existed get a fresh stream
+    if (!state.rng) state.rng = Rng.createStream();
+    Rng.use(state.rng);
+    // Saves from before the event log start theirs here
+    if (!state.eventLog) EventLog.begin(state);
     gameState = state;
+    redoStack = [];
+    activeSlot = slotName;
     syncInputProviders();
     showScreen('game');
     renderGameState();
   }
 
+  /**
+   * Autosave the game to its slot.
+   */
+  function saveGame() {
+    if (gameState) GameState.save(gameState, activeSlot);
+  }
+
+  /**
+   * The slot the current game autosaves to.
+   * @returns {string}
+   */
+  function getActiveSlot() {
+    return activeSlot;
+  }
+
   /**
    * Set dice/card providers based on current input mode.
    */
@@ -143,12 +215,29 @@ const App = (() => {
       Dice.setProvider(null);
     }
     if (gameState.inputMode.cards === 'physical') {
-      Deck.setProvider(UI.cardInput);
+      // The ledger comes from the state being changed, so a second draw in one
+      // action sees the cards the first put in play
+      Deck.setProvider((count) => UI.cardInput(count, { inPlay: cardsInPlay(activeState || gameState) }));
     } else {
       Deck.setProvider(null);
     }
   }
 
+  /**
+   * The ledger of physical cards in play: every card in the pool, with an
+   * initiate, on an operative or detained. Everything else is in the real
+   * deck, so a card captured and shuffled back is available to draw again.
+   * @param {object} [state=gameState]
+   * @returns {string[]} Card ids
+   */
+  function cardsInPlay(state) {
+    state = state || gameState;
+    if (!state) return [];
+    return Validation.cardLocations({ ...state, recruitDeck: [] })
+      .filter(location => location.card && !Validation.cardProblem(location.card))
+      .map(location => Deck.cardId(location.card));
+  }
+
   /**
    * Update the resource display in the top bar.
    */
@@ -177,11 +266,24 @@ const App = (() => {
   }
 
   /**
-   * Render the full game state (resources + personnel + log).
+   * Render the full game state (resources + personnel + operations + log).
    */
   function renderGameState() {
     renderResources();
     renderPersonnel();
+    renderOperations();
+    renderLog();
+    renderUndoControls();
+  }
+
+  /**
+   * Enable Undo/Redo only when there is something to undo or redo.
+   */
+  function renderUndoControls() {
+    const btnUndo = document.getElementById('btn-undo');
+    const btnRedo = document.getElementById('btn-redo');
+    if (btnUndo) btnUndo.disabled = !gameState || !EventLog.canUndo(gameState);
+    if (btnRedo) btnRedo.disabled = redoStack.length === 0;
   }
 
   /**
@@ -194,7 +296,11 @@ const App = (() => {
     renderCardList('section-initiates', gameState.initiates.map(i => i.card), {
       badges: gameState.initiates.map(i => `${i.turnsRemaining} turn${i.turnsRemaining !== 1 ? 's' : ''}`)
     });
-    renderCardList('section-operatives', gameState.operatives);
+    // Roster entry 0 is the leader; the rest line up with state.operatives
+    const roster = Assignments.getRoster(gameState).slice(1);
+    renderCardList('section-operatives', gameState.operatives, {
+      badges: roster.map(entry => entry.status === 'ready' ? '' : entry.status)
+    });
     renderCardList('section-detained', gameState.detainedOperatives.map(d => d.card), {
       badges: gameState.detainedOperatives.map(d => `${d.turnsRemaining} turn${d.turnsRemaining !== 1 ? 's' : ''}`)
     });
@@ -221,7 +327,12 @@ const App = (() => {
         html += ` <span class="badge">${options.badges[i]}</span>`;
       }
       if (options.showRecruit) {
+        const odds = Odds.forRecruit(gameState, card);
+        const withD12 = Odds.forRecruit(gameState, card, { burnSupply: true });
+        const detail = `${odds.dice.join(' + ')} must reach ${card.value}: ${Odds.percent(odds.probability)}` +
+          ` (burning a Supply for a d12: ${Odds.percent(withD12.probability)})`;
         html += ` <button class="btn-recruit" data-card-index="${i}">Recruit</button>`;
+        html += ` <span class="odds" title="${detail}">${Odds.percent(odds.probability)}</span>`;
       }
       return `<div class="card-row">${html}</div>`;
     }).join('');
@@ -248,56 +359,254 @@ const App = (() => {
     return `<span class="card ${colorClass}"><span class="card-suit">${icon}</span><span class="card-rank">${card.rank}</span><span class="card-value">(${card.value})</span></span>`;
   }
 
+  // Standard operations, in the order shown in the operations panel
+  const STANDARD_OPERATIONS = [
+    'minor_vandalism',
+    'average_vandalism',
+    'significant_vandalism',
+    'gather_supplies',
+    'scout',
+    'late_game_scout',
+  ];
+
   /**
-   * Get the influence die upgrade tier.
-   * 50=+d4, 100=+d6, 150=+d8, 200=+d10, 250=+d12, 300+=+d20
+   * Render the operations panel: standard operations, scouted mid/late-game
+   * opportunities, and multi-turn operations in progress.
    */
-  function getInfluenceDie(influence) {
-    if (influence >= 300) return 'd20';
-    if (influence >= 250) return 'd12';
-    if (influence >= 200) return 'd10';
-    if (influence >= 150) return 'd8';
-    if (influence >= 100) return 'd6';
-    if (influence >= 50) return 'd4';
+  function renderOperations() {
+    const list = document.getElementById('operations-list');
+    if (!list || !gameState) return;
+    let html = '<h4>Standard Operations</h4>';
+    html += STANDARD_OPERATIONS.map(id =>
+      renderOperation(id, Operations.OPERATION_INFO[id], {})
+    ).join('');
+
+    if (gameState.availableMidGameOps.length > 0) {
+      html += '<h4>Mid-Game Operations</h4>';
+      html += gameState.availableMidGameOps.map((opportunity, i) =>
+        renderOperation('mid_game_op', opportunity, { opportunityIndex: i })
+      ).join('');
+    }
+
+    if (gameState.availableLateGameOps.length > 0) {
+      html += '<h4>Late-Game Operations</h4>';
+      html += gameState.availableLateGameOps.map((opportunity, i) =>
+        renderOperation('late_game_op', opportunity, { opportunityIndex: i })
+      ).join('');
+    }
+
+    if (gameState.multiTurnOps.length > 0) {
+      html += '<h4>In Progress</h4>';
+      html += gameState.multiTurnOps.map(op => {
+        const name = op.opportunity ? op.opportunity.name : Operations.OPERATION_INFO[op.operation].name;
+        const turns = `${op.turnsRemaining} turn${op.turnsRemaining !== 1 ? 's' : ''}`;
+        return `<div class="operation operation-in-progress">
+          <div class="operation-name">${name} <span class="badge">${turns}</span></div>
+          <div class="operation-team">${op.assignedOperatives.map(cardLabel).join(', ')}</div>
+        </div>`;
+      }).join('');
+    }
+
+    list.innerHTML = html;
+
+    list.querySelectorAll('.btn-execute').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const index = btn.dataset.opportunityIndex;
+        const options = index === undefined ? {} : { opportunityIndex: parseInt(index, 10) };
+        promptAssignment(btn.dataset.operation, options);
+      });
+    });
+  }
+
+  /**
+   * Render one operation with its requirements marked met/unmet; each
+   * requirement's tooltip says what is needed and what the cell has.
+   * @param {string} operationId
+   * @param {{name, description}} info - Display text (OPERATION_INFO entry or opportunity)
+   * @param {object} options - { opportunityIndex } for mid/late-game operations
+   */
+  function renderOperation(operationId, info, options) {
+    const availability = Operations.getAvailability(operationId, gameState, null, options);
+    const chips = availability.requirements.map(req => ({
+      label: req.id === 'operatives' ? `${req.label} ${req.current}/${req.required}` : `${req.label} ${req.required}`,
+      met: req.met,
+      detail: req.detail,
+    }));
+    const ready = availability.ok;
+    const blocked = chips.filter(chip => !chip.met).map(chip => chip.detail).join('; ');
+    const turns = Operations.OPERATION_INFO[operationId].turns;
+    const action = turns ? `Assign &amp; Begin (${turns} turns)` : 'Assign &amp; Execute';
+    const index = options.opportunityIndex !== undefined ? ` data-opportunity-index="${options.opportunityIndex}"` : '';
+    const odds = describeOdds(operationId, Assignments.getAvailable(gameState), true);
+
+    return `<div class="operation" data-operation="${operationId}"${index}>
+      <div class="operation-name">${info.name}</div>
+      <p class="operation-desc">${info.description}</p>
+      <div class="operation-reqs">${chips.map(chip =>
+        `<span class="req ${chip.met ? 'req-met' : 'req-unmet'}" title="${UI.escapeHtml(chip.detail)}">${chip.label}</span>`
+      ).join('')}</div>
+      <button class="btn-execute" data-operation="${operationId}"${index}${ready ? '' : ` disabled title="${UI.escapeHtml(blocked)}"`}>${action}</button>
+      ${odds ? `<span class="odds" title="${UI.escapeHtml(odds.detail)}">${odds.label}</span>` : ''}
+    </div>`;
+  }
+
+  /**
+   * The chance an operation succeeds, as a short label and a tooltip.
+   * For checks that add operative values, `everyone` says the team is every
+   * free operative, so the label is the best the player can do.
+   * @param {string} operationId
+   * @param {Array} team - Cards assigned (or free to assign)
+   * @param {boolean} [everyone]
+   * @returns {{ label: string, detail: string }|null} null for operations without a check
+   */
+  function describeOdds(operationId, team, everyone) {
+    const odds = Odds.forOperation(operationId, gameState, team);
+    if (!odds) return null;
+    const roll = `roll ${odds.ways} or under on a d100`;
+    if (odds.gained) {
+      const spread = odds.gained.map(g => `${g.supplies}: ${Odds.percent(g.probability)}`).join(', ');
+      return {
+        label: `≈${odds.expected.toFixed(1)} Supplies`,
+        detail: `Each of 3 rolls: ${Odds.percent(odds.probability)} (${roll}). Supplies gained — ${spread}`,
+      };
+    }
+    const byTeam = Operations.CHECKS[operationId] === 'operatives';
+    const turns = Operations.OPERATION_INFO[operationId].turns;
+    let detail = `${Odds.percent(odds.probability)} to succeed: ${roll}`;
+    if (byTeam && everyone) detail += ', with every free operative assigned';
+    if (turns) detail += '. Rolled when the operation completes, at the Heat then';
+    return { label: `${byTeam && everyone ? 'Up to ' : ''}${Odds.percent(odds.probability)}`, detail };
+  }
+
+  /**
+   * Display name for an operation, using the opportunity name for mid/late-game ops.
+   */
+  function operationName(operationId, options) {
+    const opportunity = opportunityFor(operationId, options);
+    return opportunity ? opportunity.name : Operations.OPERATION_INFO[operationId].name;
+  }
+
+  /**
+   * The scouted opportunity a mid/late-game operation targets, or null.
+   */
+  function opportunityFor(operationId, options) {
+    const index = options && options.opportunityIndex;
+    if (operationId === 'mid_game_op') return gameState.availableMidGameOps[index] || null;
+    if (operationId === 'late_game_op') return gameState.availableLateGameOps[index] || null;
     return null;
   }
 
+  /**
+   * Ask the player to pick a team for an operation, then execute it.
+   * @param {string} operationId
+   * @param {object} [options] - { opportunityIndex } for mid/late-game operations
+   * @returns {Promise<object|undefined>} The operation result, if one ran
+   */
+  async function promptAssignment(operationId, options) {
+    if (!gameState) return;
+    const name = operationName(operationId, options);
+    const reqs = Operations.getRequirements(gameState, operationId, options);
+    const roster = Assignments.getRoster(gameState);
+    const ids = await UI.selectOperatives(roster, {
+      title: `Assign operatives: ${name}`,
+      required: reqs.operatives,
+      odds: (selected) => {
+        const odds = describeOdds(operationId, roster.filter(entry => selected.includes(entry.id)).map(entry => entry.card));
+        return odds && `${odds.label} — ${odds.detail}`;
+      },
+    });
+    if (!ids) return;
+    try {
+      return await executeOperation(operationId, ids, options);
+    } catch (err) {
+      addLogEntry(`Could not execute ${name}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Assign a team to an operation and execute it, then log, save, and re-render.
+   * The player sees how it resolved first, and nothing happens if they cancel.
+   * @param {string} operationId
+   * @param {string[]} ids - Assignment ids (see Assignments.operativeId)
+   * @param {object} [options] - { opportunityIndex, secondPenaltyChoice }
+   * @returns {Promise<object|undefined>} The operation result; undefined if cancelled
+   */
+  async function executeOperation(operationId, ids, options) {
+    if (!gameState) return;
+    // Look the name up first: executing consumes a mid/late-game opportunity
+    options = options || {};
+    const name = operationName(operationId, options);
+    const opportunity = opportunityFor(operationId, options);
+    const { result, confirmed } = await performConfirmed('operation', {
+      operation: operationId,
+      operativeIds: ids,
+      opportunityId: opportunity ? opportunity.id : undefined,
+      secondPenaltyChoice: options.secondPenaltyChoice,
+    }, (result, event, before, after) => Resolution.forOperation(name, result, event, before, after));
+    if (!confirmed) return;
+    logOperationResult(operationId, name, result, ids.length);
+    saveGame();
+    renderGameState();
+    return result;
+  }
+
+  function logOperationResult(operationId, name, result, teamSize) {
+    if (result.started) {
+      const turns = Operations.OPERATION_INFO[operationId].turns;
+      addLogEntry(`${name} begun with ${teamSize} operative${teamSize !== 1 ? 's' : ''} — completes in ${turns} turns.`);
+    } else if (result.rolls) {
+      addLogEntry(`${name}: +${result.gained} Supplies (rolled ${result.rolls.map(r => r.roll).join(', ')}).`);
+    } else if (operationId !== 'mid_game_op') {
+      // Mid-game operations write their own log entry
+      addLogEntry(`${name} ${result.success ? 'succeeded' : 'failed'} (rolled ${result.roll}).`);
+    }
+  }
+
+  /**
+   * Get the influence die upgrade tier (see Operations.getInfluenceDie).
+   */
+  function getInfluenceDie(influence) {
+    return Operations.getInfluenceDie(influence);
+  }
+
   /**
    * Attempt to recruit a card from the recruit pool.
+   * The recruiter is tapped for the turn; by default the weakest free operative
+   * who outranks the card is sent, falling back to the leader. The player sees
+   * how the roll went first, and nothing happens if they cancel.
    * @param {number} poolIndex - Index of the card in recruitPool
+   * @param {object} [options] - { recruiterId, burnSupply }
+   * @returns {Promise<object|undefined>} The attempt's result; undefined if cancelled
    */
-  async function attemptRecruit(poolIndex) {
+  async function attemptRecruit(poolIndex, options) {
     if (!gameState) return;
+    options = options || {};
     const card = gameState.recruitPool[poolIndex];
     if (!card) return;
 
-    // Roll d10 base
-    const baseRoll = await Dice.roll('d10');
-    let total = baseRoll;
-    let rollBreakdown = `d10: ${baseRoll}`;
-
-    // Influence bonus die
-    const bonusDie = getInfluenceDie(gameState.influence);
-    if (bonusDie) {
-      const bonusRoll = await Dice.roll(bonusDie);
-      total += bonusRoll;
-      rollBreakdown += ` + ${bonusDie}: ${bonusRoll}`;
+    const recruiterId = options.recruiterId || Assignments.findRecruiter(gameState, card);
+    if (!recruiterId) {
+      addLogEntry(`No one is free to recruit ${cardLabel(card)} this turn.`);
+      return;
     }
 
-    const target = card.value;
-    const success = total >= target;
+    const { result, confirmed } = await performConfirmed('recruit', {
+      cardId: Deck.cardId(card),
+      recruiterId,
+      burnSupply: options.burnSupply,
+    }, (result, event, before, after) => Resolution.forRecruit(result, event, before, after));
+    if (!confirmed) return;
+    const rollBreakdown = result.rolls.map(r => `${r.die}: ${r.roll}`).join(' + ');
 
-    if (success) {
-      // Move from pool to initiates with 2-turn timer
-      gameState.recruitPool.splice(poolIndex, 1);
-      gameState.initiates.push({ card: card, turnsRemaining: 2 });
-      addLogEntry(`Recruit success! ${card.rank}${suitSymbol(card.suit)} (${rollBreakdown} = ${total} vs ${target}) → Initiate (2 turns)`);
+    if (result.success) {
+      addLogEntry(`Recruit success! ${cardLabel(card)} (${rollBreakdown} = ${result.total} vs ${result.target}) → Initiate (2 turns)`);
     } else {
-      addLogEntry(`Recruit failed. ${card.rank}${suitSymbol(card.suit)} (${rollBreakdown} = ${total} vs ${target}) — stays in pool.`);
+      addLogEntry(`Recruit failed. ${cardLabel(card)} (${rollBreakdown} = ${result.total} vs ${result.target}) — stays in pool.`);
     }
 
-    GameState.save(gameState, 'current');
+    saveGame();
     renderGameState();
+    return result;
   }
 
   function suitSymbol(suit) {
@@ -305,12 +614,203 @@ const App = (() => {
     return icons[suit] || '';
   }
 
+  function cardLabel(card) {
+    return `${card.rank}${suitSymbol(card.suit)}`;
+  }
+
+  /**
+   * Run a state-changing action through the event log. A new action
+   * discards anything waiting to be redone.
+   * @param {string} type - An EventLog.APPLIERS key
+   * @param {object} inputs
+   * @returns {Promise<*>} The action's result
+   */
+  async function perform(type, inputs) {
+    redoStack = [];
+    const before = cardsInPlay();
+    const result = await EventLog.perform(gameState, type, inputs);
+    await remindPhysicalDeck(before);
+    return result;
+  }
+
+  // Asks the player to keep a resolved action; null shows UI.resolution
+  let confirmProvider = null;
+
+  /**
+   * Set how resolution breakdowns are confirmed, e.g. a function that always
+   * resolves true for scripted play. Pass null for the resolution modal.
+   * @param {Function|null} fn - (breakdown) => Promise<boolean>
+   */
+  function setConfirmProvider(fn) {
+    confirmProvider = fn;
+  }
+
+  /**
+   * Run an action on a copy of the game and show the player how it resolved;
+   * the game takes the result only once they confirm. Cancelling leaves the
+   * game exactly as it was, and since the copy rolled from its own copy of
+   * the Rng stream, digital dice roll the same if the action is tried again.
+   * Physical cards drawn for a cancelled action go back in the deck. Once
+   * physical dice are thrown the result stands, so it can be confirmed but
+   * not cancelled.
+   * @param {string} type - An EventLog.APPLIERS key
+   * @param {object} inputs
+   * @param {Function} describe - (result, event, before, after) => breakdown,
+   *   or null to keep the result without asking
+   * @returns {Promise<{ result: *, confirmed: boolean }>}
+   */
+  async function performConfirmed(type, inputs, describe) {
+    const working = JSON.parse(JSON.stringify(gameState));
+    Rng.use(working.rng);
+    activeState = working;
+    let result;
+    try {
+      result = await EventLog.perform(working, type, inputs);
+    } finally {
+      activeState = null;
+      Rng.use(gameState.rng);
+    }
+    const events = working.eventLog ? working.eventLog.events : [];
+    const event = events[events.length - 1];
+    const breakdown = describe(result, event, gameState, working);
+    const cancellable = !event || !event.rolls.some(roll => roll.physical);
+    if (breakdown && !(await (confirmProvider || UI.resolution)({ ...breakdown, cancellable })) && cancellable) {
+      await remindPhysicalDeck(cardsInPlay(working));
+      return { result, confirmed: false };
+    }
+
+    redoStack = [];
+    const before = cardsInPlay();
+    adoptState(working);
+    Rng.use(gameState.rng);
+    await remindPhysicalDeck(before);
+    return { result, confirmed: true };
+  }
+
+  /**
+   * Make `next` the game, keeping the same state object, which the rest of
+   * the App holds on to. Fields `next` lacks are removed.
+   * @param {object} next
+   */
+  function adoptState(next) {
+    for (const key of Object.keys(gameState)) {
+      if (!(key in next)) delete gameState[key];
+    }
+    Object.assign(gameState, next);
+  }
+
+  /**
+   * Undo the last action of this turn, restoring the exact prior state
+   * (deck order and drawn cards included). Physical dice and cards are not
+   * asked for: the earlier state is rebuilt from the recorded values.
+   * @returns {Promise<object|undefined>} The undone event
+   */
+  async function undo() {
+    if (!gameState || !EventLog.canUndo(gameState)) return;
+    const before = cardsInPlay();
+    const { state, undone } = await EventLog.undo(gameState);
+    redoStack.push(undone);
+    adoptState(state);
+    Rng.use(gameState.rng);
+    await remindPhysicalDeck(before, { takeOut: true });
+    saveGame();
+    renderGameState();
+    return undone.event;
+  }
+
+  /**
+   * Redo the most recently undone action with the rolls and cards it first used.
+   * @returns {Promise<object|undefined>} The redone event
+   */
+  async function redo() {
+    if (!gameState || redoStack.length === 0) return;
+    const undone = redoStack.pop();
+    const before = cardsInPlay();
+    await EventLog.redo(gameState, undone);
+    await remindPhysicalDeck(before, { takeOut: true });
+    saveGame();
+    renderGameState();
+    return undone.event;
+  }
+
+  const PILE_NAMES = {
+    recruitPool: 'recruit pool',
+    initiates: 'initiate',
+    operatives: 'operative',
+    detainedOperatives: 'detained',
+  };
+
+  function cardName(card) {
+    return `${card.rank} of ${card.suit}`;
+  }
+
+  /**
+   * In physical card mode, tell the player which cards left play (captured,
+   * or drawn by an action that was undone) so they return them to the deck
+   * and shuffle, and wait for them to confirm. Undo and redo can also bring
+   * cards back into play, which the player then takes out of the deck; cards
+   * the player drew themselves are not listed.
+   * @param {string[]} before - cardsInPlay() before the change
+   * @param {object} [options]
+   * @param {boolean} [options.takeOut] - Also list cards that came into play
+   * @returns {Promise<string[]>} Ids of the cards to shuffle back
+   */
+  async function remindPhysicalDeck(before, options) {
+    if (!gameState || gameState.inputMode.cards !== 'physical') return [];
+    const after = cardsInPlay();
+    const returned = before.filter(id => !after.includes(id)).map(Deck.cardFromId);
+    const taken = options && options.takeOut ? after.filter(id => !before.includes(id)).map(Deck.cardFromId) : [];
+    if (returned.length === 0 && taken.length === 0) return [];
+
+    const sections = [];
+    if (returned.length > 0) sections.push({ heading: 'Put back and shuffle', items: returned.map(cardName) });
+    if (taken.length > 0) sections.push({ heading: 'Take out of the deck', items: taken.map(cardName) });
+    await UI.notice({
+      title: returned.length > 0 ? 'Return these cards to your physical deck and shuffle' : 'Take these cards out of your physical deck',
+      sections,
+      closeLabel: 'Done',
+    });
+    if (returned.length > 0) addLogEntry(`Returned to the physical deck and shuffled: ${returned.map(cardLabel).join(', ')}.`);
+    if (taken.length > 0) addLogEntry(`Taken back out of the physical deck: ${taken.map(cardLabel).join(', ')}.`);
+    return returned.map(Deck.cardId);
+  }
+
+  /**
+   * Show which cards the app believes are in the player's physical deck (every
+   * card not in play), and where each card in play is, so the player can put
+   * their table right after a messy session.
+   * @returns {Promise<{ deck: string[], inPlay: string[] }|null>} Card ids
+   */
+  async function reconcileDeck() {
+    if (!gameState) return null;
+    const inPlay = cardsInPlay();
+    const deck = Deck.createDeck().filter(card => !inPlay.includes(Deck.cardId(card)));
+    const bySuit = Deck.SUITS.map(suit => {
+      const ranks = deck.filter(card => card.suit === suit).map(card => card.rank);
+      return `${suitSymbol(suit)} ${suit}: ${ranks.length > 0 ? ranks.join(' ') : 'none'}`;
+    });
+    const placed = Validation.cardLocations({ ...gameState, recruitDeck: [] })
+      .filter(location => location.card && !Validation.cardProblem(location.card))
+      .map(location => `${cardName(location.card)} — ${PILE_NAMES[location.path.split('[')[0]]}`);
+    await UI.notice({
+      title: 'Reconcile Deck',
+      message: `Your physical deck should hold these ${deck.length} cards. Every other card is in play, on the table.`,
+      sections: [
+        { heading: `In the deck (${deck.length})`, items: bySuit },
+        { heading: `In play (${inPlay.length})`, items: placed },
+      ],
+    });
+    return { deck: deck.map(Deck.cardId), inPlay };
+  }
+
   /**
    * Add an entry to the turn log.
+   * @param {string} text
+   * @param {number} [turn] - Turn to file the entry under (defaults to the current turn)
    */
-  function addLogEntry(text) {
+  function addLogEntry(text, turn) {
     if (!gameState) return;
-    gameState.turnLog.push({ turn: gameState.currentTurn, text: text });
+    gameState.turnLog.push({ turn: turn || gameState.currentTurn, text: text });
     renderLog();
   }
 
@@ -336,15 +836,500 @@ const App = (() => {
    */
   async function drawToPool(count) {
     if (!gameState) return;
-    const drawn = await Deck.draw(gameState.recruitDeck, count);
-    gameState.recruitPool.push(...drawn);
+    const drawn = await perform('draw', { count });
     for (const card of drawn) {
       addLogEntry(`Drew ${card.rank}${suitSymbol(card.suit)} (value ${card.value}) to recruit pool.`);
     }
-    GameState.save(gameState, 'current');
+    saveGame();
     renderGameState();
   }
 
+  /**
+   * End the current turn: run the turn lifecycle, log each phase, save, and re-render.
+   * A turn that completes multi-turn operations shows their resolution first,
+   * and is not ended if the player cancels.
+   * @returns {Promise<object|undefined>} The Turn.endTurn report; undefined if cancelled
+   */
+  async function endTurn() {
+    if (!gameState) return;
+    const { result: report, confirmed } = await performConfirmed('end_turn', {}, (report, event, before, after) =>
+      report.multiTurnOps.completed.length > 0 ? Resolution.forEndTurn(report, event, before, after) : null);
+    if (!confirmed) return;
+    logTurnReport(report);
+    saveGame();
+    renderGameState();
+    if (report.victory) showVictory();
+    return report;
+  }
+
+  /** Worker script the Advisor's rollouts run in, relative to the page. */
+  const ADVISOR_WORKER = 'js/simulation/advisor-worker.js';
+
+  /**
+   * Ask the Advisor how this turn's candidate action sets play out over the
+   * next few turns, and show the best of them. The rollouts run in a worker
+   * where one can start, and in this thread otherwise, borrowing the engine's
+   * Rng stream and providers between yields — so the game screen is covered
+   * and made inert until they finish. Nothing is performed.
+   * @param {object} [options] - Passed to Advisor.advise (rollouts, horizon, seed, createWorker)
+   * @returns {Promise<object|undefined>} The advice; undefined if the advisor failed
+   */
+  async function adviseTurn(options) {
+    if (!gameState) return;
+    const button = document.getElementById('btn-advise');
+    const screen = document.querySelector('[data-screen="game"]');
+    if (button) button.disabled = true;
+    if (screen) screen.setAttribute('inert', '');
+    const unlock = UI.busy({
+      title: 'Thinking…',
+      message: 'Playing out this turn\'s options. The game waits until the advice is ready.',
+    });
+    let advice;
+    try {
+      advice = await Advisor.advise(gameState, { createWorker: Batch.webWorkers(ADVISOR_WORKER), ...options });
+    } catch (err) {
+      addLogEntry(`The advisor could not run: ${err.message}`);
+      return;
+    } finally {
+      unlock();
+      if (screen) screen.removeAttribute('inert');
+      if (button) button.disabled = false;
+    }
+
+    const signed = (n) => `${n >= 0 ? '+' : ''}${n.toFixed(1)}`;
+    await UI.notice({
+      title: `Advice for Turn ${gameState.currentTurn}`,
+      message: `Each option was played out ${advice.rollouts} times, ${advice.horizon} turns ahead ` +
+        `(later turns played the ${advice.strategy} way). Best first:`,
+      sections: advice.ranked.slice(0, 5).map((option, i) => ({
+        heading: `${i + 1}. ${option.label}`,
+        items: [
+          `Influence ${signed(option.influence)} on average`,
+          `Heat ${Math.round(option.heat)} after ${advice.horizon} turns`,
+          `Crackdown in ${Odds.percent(option.crackdownChance)} of games`,
+          ...(option.victoryChance > 0 ? [`Victory in ${Odds.percent(option.victoryChance)} of games`] : []),
+        ],
+      })),
+    });
+    return advice;
+  }
+
+  /**
+   * Fill in the victory summary and switch to the victory screen.
+   */
+  function showVictory() {
+    const stats = document.getElementById('victory-stats');
+    if (stats && gameState) {
+      // Victory is detected at End Turn, after the turn counter has advanced
+      const turnsTaken = gameState.currentTurn - 1;
+      const ops = gameState.completedLateGameOps.map(op => `<li>${op.name}</li>`).join('');
+      stats.innerHTML = `
+        <p>Turns taken: ${turnsTaken}</p>
+        <p>Influence: ${gameState.influence} &middot; Heat: ${gameState.heat} &middot; Supplies: ${gameState.supplies}</p>
+        <p>Operatives: ${gameState.operatives.length}</p>
+        <h4>Late-Game Operations Completed</h4>
+        <ul>${ops}</ul>
+      `;
+    }
+    showScreen('victory');
+  }
+
+  /**
+   * Write one log entry per End Turn phase that changed something.
+   */
+  function logTurnReport(report) {
+    const turn = report.turn;
+    for (const card of report.initiates.promoted) {
+      addLogEntry(`${cardLabel(card)} completed training and is now an Operative.`, turn);
+    }
+    for (const card of report.detained.released) {
+      addLogEntry(`${cardLabel(card)} released from detention.`, turn);
+    }
+    for (const done of report.multiTurnOps.completed) {
+      const outcome = done.result.success ? 'succeeded' : 'failed';
+      const name = done.result.opportunity ? done.result.opportunity.name : done.operation;
+      addLogEntry(`${name} ${outcome} (rolled ${done.result.roll}).`, turn);
+    }
+
+    const cd = report.crackdown;
+    if (cd.triggered) {
+      const losses = [];
+      if (cd.operativesLost.length > 0) losses.push(`Operatives lost: ${cd.operativesLost.map(cardLabel).join(', ')}`);
+      if (cd.initiatesLost.length > 0) losses.push(`Initiates lost: ${cd.initiatesLost.map(cardLabel).join(', ')}`);
+      if (cd.suppliesLost > 0) losses.push(`-${cd.suppliesLost} Supplies`);
+      if (cd.influenceLost > 0) losses.push(`-${cd.influenceLost} Influence`);
+      const detail = losses.length > 0 ? losses.join('; ') : 'nothing left to take';
+      addLogEntry(`Crackdown! Rolled ${cd.roll} vs Heat ${cd.heatBefore} — ${cd.name}: ${detail}. Heat -${cd.heatReduced}.`, turn);
+    } else {
+      addLogEntry(`No crackdown (rolled ${cd.roll} vs Heat ${cd.heatBefore}).`, turn);
+    }
+  }
+
+  /**
+   * Display name for a save slot.
+   */
+  function slotLabel(slotName) {
+    return slotName === AUTOSAVE_SLOT ? 'Autosave' : slotName;
+  }
+
+  /**
+   * Show the Load Game screen with every save listed.
+   */
+  function showLoadScreen() {
+    showSlotError('');
+    renderSaveList();
+    showScreen('load');
+  }
+
+  /**
+   * Render the saves on the Load Game screen, most recent first, each with
+   * load, rename, duplicate and delete actions.
+   */
+  function renderSaveList() {
+    const list = document.getElementById('save-list');
+    if (!list) return;
+    const slots = GameState.listSlots();
+    if (slots.length === 0) {
+      list.innerHTML = '<p class="placeholder">No saved games.</p>';
+      return;
+    }
+    const esc = UI.escapeHtml;
+    list.innerHTML = slots.map(meta => {
+      if (meta.damaged) return renderDamagedSlot(meta);
+      const regime = meta.regimeType.length > 0 ? meta.regimeType.join(', ') : 'Unknown regime';
+      const saved = meta.savedAt ? new Date(meta.savedAt).toLocaleString() : 'Unknown';
+      const newer = meta.schemaVersion > GameState.SCHEMA_VERSION
+        ? '<div class="save-slot-detail save-slot-warning">Saved by a newer version of the game</div>'
+        : '';
+      return `<div class="save-slot" data-slot="${esc(meta.slot)}">
+        <div class="save-slot-info">
+          <div class="save-slot-name">${esc(slotLabel(meta.slot))}</div>
+          <div class="save-slot-detail">${esc(meta.cellName || 'Unnamed cell')} vs. ${esc(regime)} — Turn ${meta.turn}</div>
+          <div class="save-slot-detail">Influence ${meta.influence} · Heat ${meta.heat} · Supplies ${meta.supplies} · Operatives ${meta.operatives}</div>
+          <div class="save-slot-detail">Saved ${esc(saved)}</div>
+          ${newer}
+        </div>
+        <div class="save-slot-actions">
+          <button data-slot-action="load">Load</button>
+          <button data-slot-action="rename">Rename</button>
+          <button data-slot-action="duplicate">Duplicate</button>
+          <button data-slot-action="export">Export</button>
+          <button data-slot-action="delete">Delete</button>
+        </div>
+      </div>`;
+    }).join('');
+
+    const actions = { load: loadGame, rename: renameSlot, duplicate: duplicateSlot, export: exportSlot, delete: deleteSlot };
+    list.querySelectorAll('[data-slot-action]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const slotName = btn.closest('.save-slot').dataset.slot;
+        actions[btn.dataset.slotAction](slotName);
+      });
+    });
+  }
+
+  /**
+   * A save that cannot be read: it can still be loaded (which offers
+   * recovery), exported as stored, renamed or deleted.
+   */
+  function renderDamagedSlot(meta) {
+    const esc = UI.escapeHtml;
+    return `<div class="save-slot save-slot-damaged" data-slot="${esc(meta.slot)}">
+      <div class="save-slot-info">
+        <div class="save-slot-name">${esc(slotLabel(meta.slot))}</div>
+        <div class="save-slot-detail save-slot-warning">Damaged — this save cannot be read</div>
+      </div>
+      <div class="save-slot-actions">
+        <button data-slot-action="load">Recover</button>
+        <button data-slot-action="rename">Rename</button>
+        <button data-slot-action="export">Export</button>
+        <button data-slot-action="delete">Delete</button>
+      </div>
+    </div>`;
+  }
+
+  /**
+   * Show a slot error on the Load Game screen, optionally with a list of details.
+   * @param {string} message
+   * @param {string[]} [details]
+   */
+  function showSlotError(message, details) {
+    const status = document.getElementById('save-list-status');
+    if (!status) return;
+    status.textContent = message;
+    if (details && details.length > 0) {
+      const list = document.createElement('ul');
+      list.className = 'import-errors';
+      for (const detail of details) {
+        const item = document.createElement('li');
+        item.textContent = detail;
+        list.appendChild(item);
+      }
+      status.appendChild(list);
+    }
+  }
+
+  /**
+   * Offer the ways out of a damaged save: repair it, download the raw data,
+   * or start a new game. The save itself is never deleted: a repair or a
+   * fresh start first copies it, as stored, to a "(damaged)" slot.
+   * @param {string} slotName
+   * @param {object} [report] - From Recovery.inspect, if already read
+   * @returns {Promise<string|null>} 'repair' or 'fresh' once one is done;
+   *   null if closed or the save cannot be repaired
+   */
+  async function recoverSlot(slotName, report) {
+    report = report || Recovery.inspect(slotName);
+    if (report.status !== 'invalid' && report.status !== 'unreadable') return null;
+    const label = slotLabel(slotName);
+    showSlotError(`${label} is damaged:`, report.errors);
+    let repairable = report.status === 'invalid';
+
+    for (;;) {
+      const actions = [];
+      if (repairable) actions.push({ id: 'repair', label: 'Repair Save' });
+      actions.push({ id: 'download', label: 'Download Raw Data' }, { id: 'fresh', label: 'Start a New Game' });
+      const choice = await UI.chooseAction({
+        title: `${label} is damaged`,
+        message: repairable
+          ? 'This save has problems. Repairing keeps a copy of it as it is now.'
+          : 'This save cannot be read, so it cannot be repaired. Download it to keep it, or start a new game.',
+        details: report.errors,
+        actions,
+      });
+      if (choice === null) return null;
+      if (choice === 'download') {
+        exportSlot(slotName);
+        continue;
+      }
+
+      if (choice === 'repair') {
+        const repaired = Recovery.repair(report.data);
+        if (repaired.errors.length > 0) {
+          showSlotError(`${label} could not be repaired:`, repaired.errors);
+          repairable = false;
+          continue;
+        }
+        const copy = Recovery.backup(slotName, label);
+        GameState.save(repaired.state, slotName);
+        startLoadedGame(repaired.state, slotName);
+        addLogEntry(`Save repaired (the damaged save was kept as "${copy}"): ${repaired.fixes.join('; ')}.`);
+        saveGame();
+        return choice;
+      }
+
+      // Start fresh: the new game autosaves over the autosave slot, so move a damaged one aside
+      const copy = slotName === AUTOSAVE_SLOT ? Recovery.backup(slotName, label) : slotName;
+      if (copy !== slotName) GameState.deleteSave(slotName);
+      showScreen('setup');
+      return choice;
+    }
+  }
+
+  /**
+   * Download a save as a .json file. The save is written out as stored, so
+   * any save can be exported, even one this version cannot load.
+   * @param {string} slotName
+   * @returns {string|null} The file name, or null if there is no such save
+   */
+  function exportSlot(slotName) {
+    const raw = GameState.loadRaw(slotName);
+    if (raw === null) return null;
+    let text = raw;
+    try {
+      text = JSON.stringify(JSON.parse(raw), null, 2);
+    } catch (err) {
+      // Not JSON: export it untouched
+    }
+    const filename = `good-fight-${slotLabel(slotName).replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'save'}.json`;
+    UI.downloadFile(filename, text);
+    return filename;
+  }
+
+  /**
+   * Import a save file chosen on the Load Game screen.
+   * @param {File} file
+   * @returns {Promise<string|null>} The slot imported to, or null
+   */
+  async function importFile(file) {
+    if (!file) return null;
+    return importSave(await file.text(), file.name.replace(/\.json$/i, ''));
+  }
+
+  /**
+   * Validate an exported save and, if it is sound, ask for a slot name and
+   * store it. Problems are listed on the Load Game screen and nothing is saved.
+   * @param {string} text - File contents
+   * @param {string} [suggestedName]
+   * @returns {Promise<string|null>} The slot imported to, or null
+   */
+  async function importSave(text, suggestedName) {
+    const { state, errors } = Validation.parseSave(text);
+    if (!state) {
+      showSlotError('This file cannot be imported:', errors);
+      return null;
+    }
+    const name = await UI.textInput({ title: 'Import As', value: state.cellName || suggestedName || '', confirmLabel: 'Import' });
+    if (!name) return null;
+    if (GameState.hasSave(name)) {
+      const overwrite = await UI.confirm({
+        title: `Overwrite ${slotLabel(name)}?`,
+        message: 'A save with this name already exists.',
+        confirmLabel: 'Overwrite',
+      });
+      if (!overwrite) return null;
+    }
+    GameState.save(state, name);
+    renderSaveList();
+    showSlotError(`Imported as "${name}".`);
+    return name;
+  }
+
+  /**
+   * Ask for a new name and rename a save. If it is the slot being played,
+   * autosaves follow it.
+   * @param {string} slotName
+   * @returns {Promise<string|null>} The new name, or null if cancelled or refused
+   */
+  async function renameSlot(slotName) {
+    const name = await UI.textInput({ title: `Rename ${slotLabel(slotName)}`, value: slotName, confirmLabel: 'Rename' });
+    if (!name || name === slotName) return null;
+    try {
+      GameState.renameSave(slotName, name);
+    } catch (err) {
+      showSlotError(err.message);
+      return null;
+    }
+    if (activeSlot === slotName) activeSlot = name;
+    showSlotError('');
+    renderSaveList();
+    return name;
+  }
+
+  /**
+   * Ask for a name and copy a save to it.
+   * @param {string} slotName
+   * @returns {Promise<string|null>} The new slot, or null if cancelled or refused
+   */
+  async function duplicateSlot(slotName) {
+    const name = await UI.textInput({ title: `Duplicate ${slotLabel(slotName)}`, value: `${slotName} (copy)`, confirmLabel: 'Duplicate' });
+    if (!name) return null;
+    try {
+      GameState.duplicateSave(slotName, name);
+    } catch (err) {
+      showSlotError(err.message);
+      return null;
+    }
+    showSlotError('');
+    renderSaveList();
+    return name;
+  }
+
+  /**
+   * Delete a save after the player confirms.
+   * @param {string} slotName
+   * @returns {Promise<boolean>} Whether it was deleted
+   */
+  async function deleteSlot(slotName) {
+    const confirmed = await UI.confirm({
+      title: `Delete ${slotLabel(slotName)}?`,
+      message: 'This save will be gone for good.',
+      confirmLabel: 'Delete',
+    });
+    if (!confirmed) return false;
+    GameState.deleteSave(slotName);
+    renderSaveList();
+    return true;
+  }
+
+  /**
+   * Save the current game under a new name and keep playing in that slot.
+   * Asks before overwriting an existing save.
+   * @returns {Promise<string|null>} The slot saved to, or null if cancelled
+   */
+  async function saveAs() {
+    if (!gameState) return null;
+    const suggested = activeSlot === AUTOSAVE_SLOT ? (gameState.cellName || '') : activeSlot;
+    const name = await UI.textInput({ title: 'Save As', value: suggested, confirmLabel: 'Save' });
+    if (!name) return null;
+    if (name !== activeSlot && GameState.hasSave(name)) {
+      const overwrite = await UI.confirm({
+        title: `Overwrite ${slotLabel(name)}?`,
+        message: 'A save with this name already exists.',
+        confirmLabel: 'Overwrite',
+      });
+      if (!overwrite) return null;
+    }
+    activeSlot = name;
+    saveGame();
+    addLogEntry(`Game saved as "${name}".`);
+    return name;
+  }
+
+  /**
+   * The in-game settings menu (gear button).
+   * @returns {Promise<string|null>} The chosen action id
+   */
+  async function openSettings() {
+    const choice = await UI.chooseAction({
+      title: 'Settings',
+      actions: [
+        { id: 'save-as', label: 'Save As…' },
+        { id: 'export', label: 'Export Game' },
+        { id: 'load', label: 'Load Game' },
+        { id: 'integrity', label: 'Check Game Integrity' },
+        ...(gameState && gameState.inputMode.cards === 'physical' ? [{ id: 'reconcile', label: 'Reconcile Deck' }] : []),
+      ],
+    });
+    if (choice === 'save-as') await saveAs();
+    if (choice === 'export') exportSlot(activeSlot);
+    if (choice === 'load') showLoadScreen();
+    if (choice === 'integrity') await checkIntegrity();
+    if (choice === 'reconcile') await reconcileDeck();
+    return choice;
+  }
+
+  /**
+   * Check that every card is accounted for (see Validation.checkCards), log
+   * the result and show it.
+   * @returns {Promise<string[]>} The violations found
+   */
+  async function checkIntegrity() {
+    if (!gameState) return [];
+    const violations = Validation.checkCards(gameState);
+    if (violations.length === 0) {
+      addLogEntry('Integrity check: every card is accounted for.');
+    } else {
+      addLogEntry(`Integrity check found ${violations.length} problem(s): ${violations.join('; ')}`);
+    }
+    saveGame();
+    await UI.chooseAction({
+      title: 'Game Integrity',
+      message: violations.length === 0
+        ? 'Every card is accounted for: none missing, none in two places.'
+        : 'Some cards are not where they should be:',
+      details: violations,
+      actions: [],
+    });
+    return violations;
+  }
+
+  /**
+   * Development builds (opened with ?dev) check the cards after every
+   * action and log any violation instead of stopping the game. A confirmed
+   * action runs on a working copy, so its entry is kept with the result.
+   * Simulated games and advisor rollouts are not the player's game and are skipped.
+   * @param {object} state - The state the action ran on
+   * @param {string} type - An EventLog.APPLIERS key
+   */
+  function reportIntegrity(state, type) {
+    if (state !== gameState && state !== activeState) return;
+    const violations = Validation.checkCards(state);
+    if (violations.length === 0) return;
+    state.turnLog.push({ turn: state.currentTurn, text: `Card check failed after ${type}: ${violations.join('; ')}` });
+    if (state === gameState) renderLog();
+  }
+
   /**
    * Update leader skill level to match the highest operative value.
    */
@@ -361,8 +1346,12 @@ const App = (() => {
    * Initialize the app — show title screen, wire up navigation.
    */
   function init() {
-    // Check for existing save to enable Continue button
-    const hasSave = GameState.load('current') !== null;
+    if (new URLSearchParams(window.location.search).has('dev')) EventLog.setCheck(reportIntegrity);
+    // Decisions the rules leave to the player are asked for in a modal
+    Choices.setProvider(UI.choice);
+
+    // Check for existing saves to enable Continue and Load Game
+    const hasSave = GameState.listSaves().length > 0;
 
     showScreen('title');
 
@@ -378,6 +1367,33 @@ const App = (() => {
       btnContinue.addEventListener('click', () => continueGame());
     }
 
+    const btnLoad = document.getElementById('btn-load-game');
+    if (btnLoad) {
+      btnLoad.disabled = !hasSave;
+      btnLoad.addEventListener('click', () => showLoadScreen());
+    }
+
+    const btnImport = document.getElementById('btn-import-game');
+    const importInput = document.getElementById('input-import-file');
+    if (btnImport && importInput) {
+      btnImport.addEventListener('click', () => importInput.click());
+      importInput.addEventListener('change', () => {
+        importFile(importInput.files[0]);
+        importInput.value = '';
+      });
+    }
+
+    const btnLoadBack = document.getElementById('btn-load-back');
+    if (btnLoadBack) {
+      btnLoadBack.addEventListener('click', () => showScreen(gameState ? 'game' : 'title'));
+    }
+
+    // Settings gear
+    const btnSettings = document.getElementById('btn-settings');
+    if (btnSettings) {
+      btnSettings.addEventListener('click', () => openSettings());
+    }
+
     // Setup roll buttons
     const btnRollRes = document.getElementById('btn-roll-resistance');
     if (btnRollRes) {
@@ -395,6 +1411,42 @@ const App = (() => {
       btnBegin.addEventListener('click', () => beginGame());
     }
 
+    // End turn button
+    const btnEndTurn = document.getElementById('btn-end-turn');
+    if (btnEndTurn) {
+      btnEndTurn.addEventListener('click', () => endTurn());
+    }
+
+    // Advise button
+    const btnAdvise = document.getElementById('btn-advise');
+    if (btnAdvise) {
+      btnAdvise.addEventListener('click', () => adviseTurn());
+    }
+
+    // Undo / redo buttons, and Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y) while playing
+    const btnUndo = document.getElementById('btn-undo');
+    if (btnUndo) {
+      btnUndo.addEventListener('click', () => undo());
+    }
+
+    const btnRedo = document.getElementById('btn-redo');
+    if (btnRedo) {
+      btnRedo.addEventListener('click', () => redo());
+    }
+
+    document.addEventListener('keydown', (e) => {
+      if (currentScreen() !== 'game' || !(e.ctrlKey || e.metaKey)) return;
+      if (document.querySelector('.modal-overlay')) return;
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        undo();
+      } else if (key === 'y' || (key === 'z' && e.shiftKey)) {
+        e.preventDefault();
+        redo();
+      }
+    });
+
     // Victory return button
     const btnReturn = document.getElementById('btn-title-return');
     if (btnReturn) {
@@ -409,14 +1461,40 @@ const App = (() => {
     getSetupSelections,
     beginGame,
     continueGame,
+    loadGame,
     getState,
+    getActiveSlot,
+    showLoadScreen,
+    renderSaveList,
+    renameSlot,
+    duplicateSlot,
+    deleteSlot,
+    exportSlot,
+    recoverSlot,
+    importFile,
+    importSave,
+    saveAs,
+    openSettings,
+    checkIntegrity,
+    reportIntegrity,
+    cardsInPlay,
+    reconcileDeck,
     renderCard,
     renderPersonnel,
     renderGameState,
     renderResources,
+    renderOperations,
+    promptAssignment,
+    executeOperation,
+    setConfirmProvider,
     getInfluenceDie,
     attemptRecruit,
     drawToPool,
+    endTurn,
+    adviseTurn,
+    undo,
+    redo,
+    showVictory,
     updateLeaderSkill,
     addLogEntry,
     syncInputProviders,
@@ -0,0 +1,190 @@
+/**
+ * Operative Assignment for The Good Fight TTRPG (Phase 3).
+ * Tracks which operatives (and the leader) have been committed this turn.
+ * An operative is "tapped" once assigned to an operation this turn, and
+ * "locked" while it is part of a multi-turn operation. Both are released
+ * at End Turn (locks only once the multi-turn operation completes).
+ */
+const Assignments = (() => {
+
+  /** Assignment id used for the leader, who has no card of their own. */
+  const LEADER_ID = 'leader';
+
+  // ─── Identity ───────────────────────────────────────────────────────────────
+
+  /**
+   * The leader as an assignable operative. The leader always counts as an
+   * operative, with a value equal to the current leader skill level.
+   */
+  function leaderCard(state) {
+    return { leader: true, suit: null, rank: 'Leader', value: state.leaderSkillLevel };
+  }
+
+  /**
+   * Assignment id for an operative card or the leader.
+   * @returns {string}
+   */
+  function operativeId(card) {
+    return card.leader ? LEADER_ID : Deck.cardId(card);
+  }
+
+  // ─── Status ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Ids of everyone assigned to an operation this turn.
+   * @returns {Set<string>}
+   */
+  function tappedIds(state) {
+    const ids = new Set();
+    for (const assignment of state.assignments) {
+      for (const id of assignment.operativeIds) ids.add(id);
+    }
+    return ids;
+  }
+
+  /**
+   * Ids of everyone committed to an in-progress multi-turn operation.
+   * @returns {Set<string>}
+   */
+  function lockedIds(state) {
+    const ids = new Set();
+    for (const op of state.multiTurnOps) {
+      for (const card of op.assignedOperatives) ids.add(operativeId(card));
+    }
+    return ids;
+  }
+
+  function isTapped(state, id) {
+    return tappedIds(state).has(id);
+  }
+
+  function isLocked(state, id) {
+    return lockedIds(state).has(id);
+  }
+
+  /**
+   * The leader plus every operative, each with its assignment status.
+   * @returns {Array<{ id: string, card: object, status: 'ready'|'tapped'|'locked' }>}
+   */
+  function getRoster(state) {
+    const tapped = tappedIds(state);
+    const locked = lockedIds(state);
+    return [leaderCard(state), ...state.operatives].map(card => {
+      const id = operativeId(card);
+      let status = 'ready';
+      if (locked.has(id)) status = 'locked';
+      else if (tapped.has(id)) status = 'tapped';
+      return { id, card, status };
+    });
+  }
+
+  /**
+   * Operatives (and the leader) still free to be assigned this turn.
+   * @returns {Array} Cards
+   */
+  function getAvailable(state) {
+    return getRoster(state).filter(entry => entry.status === 'ready').map(entry => entry.card);
+  }
+
+  /**
+   * Whether every card in a team is free to be assigned this turn
+   * and no one appears twice.
+   */
+  function areAvailable(state, operatives) {
+    const tapped = tappedIds(state);
+    const locked = lockedIds(state);
+    const seen = new Set();
+    for (const card of operatives) {
+      const id = operativeId(card);
+      if (seen.has(id) || tapped.has(id) || locked.has(id)) return false;
+      seen.add(id);
+    }
+    return true;
+  }
+
+  /**
+   * Pick who attempts to recruit a card: the lowest-value free operative who
+   * outranks it, keeping stronger operatives free, or else the leader.
+   * @returns {string|null} Assignment id, or null if no one can
+   */
+  function findRecruiter(state, card) {
+    const candidates = getAvailable(state)
+      .filter(c => !c.leader && Operations.canRecruit(c, card))
+      .sort((a, b) => a.value - b.value);
+    if (candidates.length > 0) return operativeId(candidates[0]);
+    return isTapped(state, LEADER_ID) || isLocked(state, LEADER_ID) ? null : LEADER_ID;
+  }
+
+  // ─── Assignment ─────────────────────────────────────────────────────────────
+
+  /**
+   * Look up the cards for a list of assignment ids.
+   * Throws if an id is unknown, repeated, tapped, or locked.
+   * @param {object} state
+   * @param {string[]} ids
+   * @returns {Array} Cards, in the order given
+   */
+  function selectOperatives(state, ids) {
+    const roster = getRoster(state);
+    const seen = new Set();
+    return ids.map(id => {
+      const entry = roster.find(e => e.id === id);
+      if (!entry) throw new Error(`Unknown operative: ${id}`);
+      if (seen.has(id)) throw new Error(`Operative assigned twice: ${id}`);
+      if (entry.status === 'tapped') throw new Error(`Operative already used this turn: ${id}`);
+      if (entry.status === 'locked') throw new Error(`Operative is committed to a multi-turn operation: ${id}`);
+      seen.add(id);
+      return entry.card;
+    });
+  }
+
+  /**
+   * Assign operatives to an operation and execute it.
+   * The team is validated before anything changes; the assignment is
+   * recorded once the operation has run, tapping the team for the turn.
+   *
+   * @param {object} state
+   * @param {string} operationId - Key of Operations.OPERATION_REQS
+   * @param {string[]} ids - Assignment ids (see operativeId)
+   * @param {object} [options] - Passed to Operations.execute (opportunityIndex, poolIndex, secondPenaltyChoice)
+   * @returns {Promise<object>} The operation result
+   */
+  async function assignAndExecute(state, operationId, ids, options) {
+    const operatives = selectOperatives(state, ids);
+    const reqs = Operations.getRequirements(state, operationId, options);
+    if (!reqs) throw new Error(`Unknown operation: ${operationId}`);
+    const availability = Operations.getAvailability(operationId, state, operatives, { influenceThreshold: reqs.influence });
+    if (!availability.ok) {
+      const reasons = availability.requirements.filter(r => !r.met).map(r => r.detail);
+      throw new Error(`Requirements not met for operation: ${operationId} (${reasons.join('; ')})`);
+    }
+
+    const result = await Operations.execute(state, operationId, operatives, options);
+    state.assignments.push({ operation: operationId, operativeIds: [...ids] });
+    return result;
+  }
+
+  /**
+   * Release every operative tapped this turn. Called at End Turn.
+   */
+  function releaseAll(state) {
+    state.assignments = [];
+  }
+
+  // ─── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    LEADER_ID,
+    leaderCard,
+    operativeId,
+    isTapped,
+    isLocked,
+    getRoster,
+    getAvailable,
+    areAvailable,
+    findRecruiter,
+    selectOperatives,
+    assignAndExecute,
+    releaseAll,
+  };
+})();
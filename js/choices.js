@@ -0,0 +1,82 @@
+/**
+ * Player Choices for The Good Fight TTRPG.
+ * Some rules leave a decision to the player: the second penalty after a
+ * failure, which operative is detained or captured, and which personnel a
+ * crackdown takes. The engine asks through `choose` and awaits the answer
+ * from a provider — a modal in the browser, a script in tests, a strategy in
+ * the Simulator. With no provider the rules' default option is taken.
+ *
+ * A decision is { kind, prompt, options: [{ value, label }], default }:
+ *   second_penalty      - 'detain' or 'supplies'
+ *   detain / capture    - card id of the team member taken
+ *   crackdown_operative - card id of the operative a crackdown captures
+ *   crackdown_initiate  - card id of the initiate a crackdown captures
+ */
+const Choices = (() => {
+  let provider = null;
+  let observer = null;
+
+  /**
+   * Set a provider that makes decisions.
+   * Provider signature: (decision: object) => Promise<string> (an option's value)
+   * Pass null to take every decision's default.
+   */
+  function setProvider(fn) {
+    provider = fn;
+  }
+
+  /**
+   * The current provider, or null when defaults are taken.
+   * @returns {Function|null}
+   */
+  function getProvider() {
+    return provider;
+  }
+
+  /**
+   * Watch every decision made, e.g. to record it (see EventLog).
+   * Observer signature: (kind: string, value: string, provided: boolean) => void
+   * Pass null to stop watching.
+   */
+  function setObserver(fn) {
+    observer = fn;
+  }
+
+  /**
+   * Ask for a decision. A decision with a single option is not asked.
+   * @param {object} decision
+   * @param {string} decision.kind - See the list above
+   * @param {string} decision.prompt - The question, for the player
+   * @param {Array<{value: string, label: string}>} decision.options
+   * @param {string} decision.default - Value taken when there is no provider
+   * @returns {Promise<string>} The chosen option's value
+   * @throws {Error} If the provider answers with something that was not offered
+   */
+  async function choose(decision) {
+    if (decision.options.length === 1) return decision.options[0].value;
+    const provided = provider !== null;
+    const value = provided ? await provider(decision) : decision.default;
+    if (!decision.options.some(option => option.value === value)) {
+      throw new Error(`Not an option for ${decision.kind}: ${JSON.stringify(value)}`);
+    }
+    if (observer) observer(decision.kind, value, provided);
+    return value;
+  }
+
+  /**
+   * A card as a decision option, valued by its card id.
+   * @param {{suit, rank, value}} card
+   * @returns {{ value: string, label: string }}
+   */
+  function cardOption(card) {
+    return { value: Deck.cardId(card), label: `${card.rank} of ${card.suit} (value ${card.value})` };
+  }
+
+  return {
+    choose,
+    cardOption,
+    setProvider,
+    getProvider,
+    setObserver,
+  };
+})();
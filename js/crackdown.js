@@ -0,0 +1,222 @@
+/**
+ * Crackdown Engine for The Good Fight TTRPG (Phase 5).
+ * End-of-turn Regime investigation: d100 roll vs Heat, five-tier penalty table,
+ * and the personnel substitution cascade (operative → initiate → supplies).
+ */
+const Crackdown = (() => {
+
+  // ─── Crackdown Table ────────────────────────────────────────────────────────
+
+  /**
+   * The five crackdown tiers, keyed by the d100 roll range.
+   *   operatives            — operatives removed
+   *   initiates             — initiates removed (in addition to any substitutions)
+   *   initiatesPerOperative — initiates taken for each operative not available
+   *   suppliesPerInitiate   — supplies lost for each initiate not available
+   *   supplies / influence  — flat losses
+   */
+  const TIERS = [
+    {
+      tier: 1, min: 1, max: 20, name: 'Stockpile raid',
+      operatives: 0, initiates: 0, initiatesPerOperative: 0, suppliesPerInitiate: 0,
+      supplies: 3, influence: 0,
+    },
+    {
+      tier: 2, min: 21, max: 40, name: 'Training ground raid',
+      operatives: 0, initiates: 1, initiatesPerOperative: 0, suppliesPerInitiate: 4,
+      supplies: 0, influence: 0,
+    },
+    {
+      tier: 3, min: 41, max: 60, name: 'Safehouse raid',
+      operatives: 1, initiates: 0, initiatesPerOperative: 2, suppliesPerInitiate: 2,
+      supplies: 0, influence: 0,
+    },
+    {
+      tier: 4, min: 61, max: 80, name: 'Warehouse raid',
+      operatives: 2, initiates: 0, initiatesPerOperative: 2, suppliesPerInitiate: 2,
+      supplies: 0, influence: 20,
+    },
+    {
+      tier: 5, min: 81, max: 100, name: 'Headquarters raid',
+      operatives: 4, initiates: 0, initiatesPerOperative: 2, suppliesPerInitiate: 2,
+      supplies: 0, influence: 50,
+    },
+  ];
+
+  /**
+   * Look up the crackdown tier for a d100 roll.
+   * @param {number} roll - 1 to 100
+   * @returns {object|null} Tier definition, or null if the roll is out of range
+   */
+  function getTier(roll) {
+    return TIERS.find(t => roll >= t.min && roll <= t.max) || null;
+  }
+
+  // ─── Trigger Check ──────────────────────────────────────────────────────────
+
+  /**
+   * A crackdown triggers when the d100 roll is less than or equal to Heat.
+   */
+  function isTriggered(roll, state) {
+    return roll <= state.heat;
+  }
+
+  // ─── Personnel Removal ──────────────────────────────────────────────────────
+
+  /**
+   * Pick one card for a crackdown to take, asking the player which (see
+   * Choices). The lowest value is the default. Nothing is asked when every
+   * candidate is going to be taken anyway.
+   * @param {Array} cards - Candidates, not modified
+   * @param {number} remaining - How many more cards the crackdown takes
+   * @returns {Promise<object>} The chosen card
+   */
+  async function chooseCard(cards, remaining, kind, prompt) {
+    const sorted = [...cards].sort((a, b) => a.value - b.value);
+    if (remaining >= sorted.length) return sorted[0];
+    const id = await Choices.choose({
+      kind,
+      prompt,
+      options: sorted.map(Choices.cardOption),
+      default: Deck.cardId(sorted[0]),
+    });
+    return sorted.find(card => Deck.cardId(card) === id);
+  }
+
+  /**
+   * Remove up to `count` operatives from state, chosen by the player (lowest
+   * value first by default).
+   * Captured operatives are also dropped from any multi-turn op they were locked into.
+   * @returns {Promise<Array>} The removed operative cards
+   */
+  async function removeOperatives(state, count, tier) {
+    const removed = [];
+    while (removed.length < count && state.operatives.length > 0) {
+      const card = await chooseCard(state.operatives, count - removed.length, 'crackdown_operative',
+        `${tier.name}: which operative is captured?`);
+      removed.push(card);
+      state.operatives.splice(state.operatives.indexOf(card), 1);
+      // Matched by id: after a reload the op holds copies of the cards
+      const id = Deck.cardId(card);
+      for (const op of state.multiTurnOps) {
+        const idx = op.assignedOperatives.findIndex(c => !c.leader && Deck.cardId(c) === id);
+        if (idx !== -1) op.assignedOperatives.splice(idx, 1);
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Remove up to `count` initiates from state, chosen by the player (lowest
+   * value first by default).
+   * @returns {Promise<Array>} The removed initiate cards
+   */
+  async function removeInitiates(state, count, tier) {
+    const removed = [];
+    while (removed.length < count && state.initiates.length > 0) {
+      const card = await chooseCard(state.initiates.map(i => i.card), count - removed.length, 'crackdown_initiate',
+        `${tier.name}: which initiate is captured?`);
+      removed.push(card);
+      state.initiates.splice(state.initiates.findIndex(i => i.card === card), 1);
+    }
+    return removed;
+  }
+
+  // ─── Tier Application ───────────────────────────────────────────────────────
+
+  /**
+   * Apply a crackdown tier's penalties to state, running the substitution cascade
+   * when there aren't enough of the required personnel. The player picks which
+   * operatives and initiates are taken.
+   * Captured operative/initiate cards are shuffled back into the recruitment deck.
+   *
+   * @param {object} state
+   * @param {object} tier - One of TIERS
+   * @returns {Promise<object>} Breakdown of what was lost
+   */
+  async function applyTier(state, tier) {
+    const operativesLost = await removeOperatives(state, tier.operatives, tier);
+    const missingOperatives = tier.operatives - operativesLost.length;
+
+    const initiatesRequired = tier.initiates + missingOperatives * tier.initiatesPerOperative;
+    const initiatesLost = await removeInitiates(state, initiatesRequired, tier);
+    const missingInitiates = initiatesRequired - initiatesLost.length;
+
+    const suppliesPenalty = tier.supplies + missingInitiates * tier.suppliesPerInitiate;
+    const suppliesBefore = state.supplies;
+    GameState.addSupplies(state, -suppliesPenalty);
+
+    const influenceBefore = state.influence;
+    GameState.addInfluence(state, -tier.influence);
+
+    const captured = [...operativesLost, ...initiatesLost];
+    if (captured.length > 0) {
+      Deck.returnCards(state.recruitDeck, captured);
+    }
+
+    return {
+      operativesLost,
+      initiatesLost,
+      missingOperatives,
+      missingInitiates,
+      suppliesPenalty,
+      suppliesLost: suppliesBefore - state.supplies,
+      influenceLost: influenceBefore - state.influence,
+    };
+  }
+
+  // ─── Resolution ─────────────────────────────────────────────────────────────
+
+  /**
+   * Roll the end-of-turn crackdown check.
+   * If d100 <= Heat: resolve the matching tier, then subtract the roll from Heat.
+   * If the check does not trigger, state is unchanged.
+   *
+   * @param {object} state
+   * @returns {Promise<object>} { roll, heatBefore, triggered, tier, name,
+   *   operativesLost, initiatesLost, missingOperatives, missingInitiates,
+   *   suppliesPenalty, suppliesLost, influenceLost, heatReduced }
+   */
+  async function resolveCrackdown(state) {
+    const roll = await Dice.roll('d100');
+    const heatBefore = state.heat;
+    const triggered = isTriggered(roll, state);
+
+    const result = {
+      roll,
+      heatBefore,
+      triggered,
+      tier: null,
+      name: null,
+      operativesLost: [],
+      initiatesLost: [],
+      missingOperatives: 0,
+      missingInitiates: 0,
+      suppliesPenalty: 0,
+      suppliesLost: 0,
+      influenceLost: 0,
+      heatReduced: 0,
+    };
+
+    if (!triggered) return result;
+
+    const tier = getTier(roll);
+    Object.assign(result, { tier: tier.tier, name: tier.name }, await applyTier(state, tier));
+
+    // Regime overconfidence: subtract the roll from Heat after a crackdown
+    GameState.addHeat(state, -roll);
+    result.heatReduced = heatBefore - state.heat;
+
+    return result;
+  }
+
+  // ─── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    TIERS,
+    getTier,
+    isTriggered,
+    applyTier,
+    resolveCrackdown,
+  };
+})();
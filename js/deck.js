@@ -11,16 +11,34 @@ const Deck = (() => {
   };
 
   let provider = null;
+  let observer = null;
 
   /**
    * Set a custom provider for physical/test mode.
-   * Provider signature: (count: number) => Promise<Array<{suit, rank, value}>>
+   * Provider signature: (count: number, deck: Array) => Promise<Array<{suit, rank, value}>>
    * Pass null to reset to digital mode.
    */
   function setProvider(fn) {
     provider = fn;
   }
 
+  /**
+   * The current provider, or null in digital mode.
+   * @returns {Function|null}
+   */
+  function getProvider() {
+    return provider;
+  }
+
+  /**
+   * Watch every draw, e.g. to record it (see EventLog).
+   * Observer signature: (cards: Array<{suit, rank, value}>, physical: boolean) => void
+   * Pass null to stop watching.
+   */
+  function setObserver(fn) {
+    observer = fn;
+  }
+
   /**
    * Create a fresh, ordered 52-card deck.
    * @returns {Array<{suit: string, rank: string, value: number}>}
@@ -36,12 +54,12 @@ const Deck = (() => {
   }
 
   /**
-   * Shuffle a deck in place (Fisher-Yates).
+   * Shuffle a deck in place (Fisher-Yates), drawing from the active Rng stream.
    * @param {Array} deck
    */
   function shuffle(deck) {
     for (let i = deck.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = Rng.int(i + 1);
       [deck[i], deck[j]] = [deck[j], deck[i]];
     }
   }
@@ -56,12 +74,18 @@ const Deck = (() => {
    * @returns {Promise<Array<{suit, rank, value}>>}
    */
   async function draw(deck, count) {
-    if (provider) {
-      return provider(count);
-    }
-    return digitalDraw(deck, count);
+    const physical = provider !== null;
+    const drawn = physical ? await provider(count, deck) : digitalDraw(deck, count);
+    if (observer) observer(drawn, physical);
+    return drawn;
   }
 
+  /**
+   * Take cards off the top of the deck, ignoring any provider.
+   * @param {Array} deck - Modified in place
+   * @param {number} count
+   * @returns {Array<{suit, rank, value}>}
+   */
   function digitalDraw(deck, count) {
     const actual = Math.min(count, deck.length);
     const drawn = deck.splice(0, actual);
@@ -87,13 +111,39 @@ const Deck = (() => {
     return VALUE_MAP[rank];
   }
 
+  /**
+   * Stable identifier for a card (e.g. 'Q-hearts'). A standard deck has no
+   * duplicates, so this survives save/load where object identity does not.
+   * @param {{suit: string, rank: string}} card
+   * @returns {string}
+   */
+  function cardId(card) {
+    return `${card.rank}-${card.suit}`;
+  }
+
+  /**
+   * The card named by a cardId.
+   * @param {string} id - e.g. 'Q-hearts'
+   * @returns {{suit: string, rank: string, value: number}|null} null if no such card
+   */
+  function cardFromId(id) {
+    const [rank, suit] = String(id).split('-');
+    if (!SUITS.includes(suit) || !RANKS.includes(rank)) return null;
+    return { suit, rank, value: VALUE_MAP[rank] };
+  }
+
   return {
     createDeck,
     shuffle,
     draw,
+    digitalDraw,
     returnCards,
     cardValue,
+    cardId,
+    cardFromId,
     setProvider,
+    getProvider,
+    setObserver,
     SUITS,
     RANKS,
   };
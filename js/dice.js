@@ -1,6 +1,6 @@
 /**
  * Dice Rolling Engine for The Good Fight TTRPG.
- * Supports digital (Math.random) and physical (manual entry via provider) modes.
+ * Supports digital (seeded Rng stream) and physical (manual entry via provider) modes.
  * All rolls are async to support both modes with the same API.
  */
 const Dice = (() => {
@@ -15,6 +15,7 @@ const Dice = (() => {
   };
 
   let provider = null;
+  let observer = null;
 
   /**
    * Set a custom provider for physical/test mode.
@@ -25,22 +26,44 @@ const Dice = (() => {
     provider = fn;
   }
 
+  /**
+   * The current provider, or null in digital mode.
+   * @returns {Function|null}
+   */
+  function getProvider() {
+    return provider;
+  }
+
+  /**
+   * Watch every roll, e.g. to record it (see EventLog).
+   * Observer signature: (dieType: string, value: number, physical: boolean) => void
+   * Pass null to stop watching.
+   */
+  function setObserver(fn) {
+    observer = fn;
+  }
+
   /**
    * Roll a die of the given type.
    * @param {string} dieType - One of 'd4', 'd6', 'd8', 'd10', 'd12', 'd20', 'd100'
    * @returns {Promise<number>} The roll result (1 to max inclusive)
    */
   async function roll(dieType) {
-    if (provider) {
-      return provider(dieType);
-    }
-    return digitalRoll(dieType);
+    const physical = provider !== null;
+    const value = physical ? await provider(dieType) : digitalRoll(dieType);
+    if (observer) observer(dieType, value, physical);
+    return value;
   }
 
+  /**
+   * Roll from the active Rng stream, ignoring any provider.
+   * @param {string} dieType
+   * @returns {number}
+   */
   function digitalRoll(dieType) {
     const max = DIE_MAX[dieType];
     if (!max) throw new Error(`Unknown die type: ${dieType}`);
-    return Math.floor(Math.random() * max) + 1;
+    return Rng.int(max) + 1;
   }
 
   /**
@@ -54,7 +77,10 @@ const Dice = (() => {
 
   return {
     roll,
+    digitalRoll,
     setProvider,
+    getProvider,
+    setObserver,
     getDieMax,
   };
 })();
@@ -0,0 +1,333 @@
+/**
+ * Event Log for The Good Fight TTRPG.
+ * Records every state-changing action as a structured event — its inputs and
+ * every die rolled and card drawn while it ran — so a game can be rebuilt
+ * from its initial state plus the event list (replays, bug repros, undo).
+ *
+ * The log lives on the state as `state.eventLog = { initial, events, turnStart }`:
+ *   initial   - JSON copy of the state when the log began (its eventLog null)
+ *   events    - [{ seq, turn, type, inputs, logIndex, rolls: [{ die, value, physical }],
+ *                 draws: [{ cards: [cardId], physical }], choices: [{ kind, value }] }]
+ *   turnStart - { index, state }: a copy of the state just after the latest
+ *               End Turn, and how many events led up to it; absent until the
+ *               first End Turn
+ * `logIndex` is the turnLog length before the action, so undo can drop the
+ * entries the action wrote.
+ *
+ * Actions run through `perform`, which applies them with the same code the
+ * replay uses. Digital rolls and draws are re-derived from the saved Rng
+ * stream on replay and checked against the record; physical ones (entered
+ * by the player) are fed back from the record, as are the player's choices
+ * (see Choices).
+ *
+ * Undo rebuilds the state without the last event, replaying only this
+ * turn's events from `turnStart`, and stops at End Turn; redo applies the
+ * undone event again with its recorded values, so neither asks for physical
+ * dice or cards again. Saves keep only this turn's events (see State.save).
+ */
+const EventLog = (() => {
+
+  // ─── Appliers ───────────────────────────────────────────────────────────────
+
+  /**
+   * How each event type changes the state. Each takes (state, inputs) and
+   * returns the action's result. Inputs name cards and opportunities by id
+   * rather than index, as the Simulator's actions do.
+   */
+  const APPLIERS = {
+    /** { count } - draw cards to the recruit pool */
+    async draw(state, inputs) {
+      const drawn = await Deck.draw(state.recruitDeck, inputs.count);
+      state.recruitPool.push(...drawn);
+      return drawn;
+    },
+
+    /** { cardId, recruiterId?, burnSupply? } - recruit a card from the pool */
+    async recruit(state, inputs) {
+      const poolIndex = state.recruitPool.findIndex(c => Deck.cardId(c) === inputs.cardId);
+      if (poolIndex === -1) throw new Error(`Card not in recruit pool: ${inputs.cardId}`);
+      const recruiterId = inputs.recruiterId || Assignments.findRecruiter(state, state.recruitPool[poolIndex]);
+      if (!recruiterId) throw new Error(`No one free to recruit ${inputs.cardId}`);
+      return Assignments.assignAndExecute(state, 'recruit_attempt', [recruiterId], {
+        poolIndex,
+        burnSupply: inputs.burnSupply,
+      });
+    },
+
+    /** { operation, operativeIds, opportunityId?, secondPenaltyChoice? } - assign and execute */
+    async operation(state, inputs) {
+      const options = { secondPenaltyChoice: inputs.secondPenaltyChoice };
+      if (inputs.opportunityId) {
+        const list = inputs.operation === 'late_game_op' ? state.availableLateGameOps : state.availableMidGameOps;
+        options.opportunityIndex = list.findIndex(o => o.id === inputs.opportunityId);
+        if (options.opportunityIndex === -1) throw new Error(`Opportunity not available: ${inputs.opportunityId}`);
+      }
+      return Assignments.assignAndExecute(state, inputs.operation, inputs.operativeIds, options);
+    },
+
+    /** { secondPenaltyChoice? } - run the End Turn lifecycle (without saving) */
+    async end_turn(state, inputs) {
+      return Turn.endTurn(state, { saveSlot: null, secondPenaltyChoice: inputs.secondPenaltyChoice });
+    },
+  };
+
+  // ─── Invariant Check ────────────────────────────────────────────────────────
+
+  /** Called as check(state, type) after every action performed; null when off */
+  let check = null;
+
+  /**
+   * Set a check to run after every action `perform` applies, e.g.
+   * Validation.assertCards in test builds. Pass null to turn it off.
+   * @param {Function|null} fn - (state, type) => void; may throw
+   */
+  function setCheck(fn) {
+    check = fn;
+  }
+
+  // ─── Recording ──────────────────────────────────────────────────────────────
+
+  function copy(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+  }
+
+  /**
+   * Add an event to the state's log. After an End Turn the state is
+   * snapshotted as the start of the new turn.
+   */
+  function record(state, event) {
+    const log = state.eventLog;
+    log.events.push(event);
+    if (event.type === 'end_turn') {
+      log.turnStart = { index: log.events.length, state: copy({ ...state, eventLog: null }) };
+    }
+  }
+
+  /**
+   * Start a log from the state as it is now. Replaces any existing log.
+   * @param {object} state
+   * @returns {object} The new log
+   */
+  function begin(state) {
+    state.eventLog = { initial: copy({ ...state, eventLog: null }), events: [] };
+    return state.eventLog;
+  }
+
+  /**
+   * Apply an action and, if the state has a log, record it as an event.
+   * An action that throws is not recorded. The check, if set, runs after.
+   * @param {object} state
+   * @param {string} type - An APPLIERS key
+   * @param {object} [inputs]
+   * @returns {Promise<*>} The action's result
+   */
+  async function perform(state, type, inputs) {
+    const applier = APPLIERS[type];
+    if (!applier) throw new Error(`Unknown event type: ${type}`);
+    inputs = copy(inputs || {});
+    if (!state.eventLog) {
+      const result = await applier(state, inputs);
+      if (check) check(state, type);
+      return result;
+    }
+
+    const event = {
+      seq: state.eventLog.events.length + 1,
+      turn: state.currentTurn,
+      type,
+      inputs,
+      logIndex: state.turnLog.length,
+      rolls: [],
+      draws: [],
+      choices: [],
+    };
+    Dice.setObserver((die, value, physical) => event.rolls.push({ die, value, physical }));
+    Deck.setObserver((cards, physical) => event.draws.push({ cards: cards.map(Deck.cardId), physical }));
+    Choices.setObserver((kind, value) => event.choices.push({ kind, value }));
+    let result;
+    try {
+      result = await applier(state, inputs);
+    } finally {
+      Dice.setObserver(null);
+      Deck.setObserver(null);
+      Choices.setObserver(null);
+    }
+    record(state, event);
+    if (check) check(state, type);
+    return result;
+  }
+
+  // ─── Replay ─────────────────────────────────────────────────────────────────
+
+  /**
+   * Providers that answer each roll, draw and choice from the event's record:
+   * physical values are returned as recorded, digital ones are re-rolled from
+   * the Rng stream and must match. Any mismatch means the replay has diverged.
+   * Events recorded before choices were logged take each choice's default.
+   */
+  function recordedProviders(event) {
+    const rolls = [...event.rolls];
+    const draws = [...event.draws];
+    const choices = event.choices ? [...event.choices] : null;
+    const diverged = (what) => new Error(`Replay diverged at event ${event.seq} (${event.type}): ${what}`);
+
+    const dice = async (dieType) => {
+      const recorded = rolls.shift();
+      if (!recorded) throw diverged(`unrecorded ${dieType} roll`);
+      if (recorded.die !== dieType) throw diverged(`expected a ${recorded.die} roll, got ${dieType}`);
+      if (recorded.physical) return recorded.value;
+      const value = Dice.digitalRoll(dieType);
+      if (value !== recorded.value) throw diverged(`${dieType} rolled ${value}, recorded ${recorded.value}`);
+      return value;
+    };
+
+    const cards = async (count, deck) => {
+      const recorded = draws.shift();
+      if (!recorded) throw diverged('unrecorded draw');
+      if (recorded.physical) return recorded.cards.map(Deck.cardFromId);
+      const drawn = Deck.digitalDraw(deck, count);
+      const ids = drawn.map(Deck.cardId);
+      if (ids.join() !== recorded.cards.join()) throw diverged(`drew ${ids.join(', ')}, recorded ${recorded.cards.join(', ')}`);
+      return drawn;
+    };
+
+    const choose = async (decision) => {
+      if (!choices) return decision.default;
+      const recorded = choices.shift();
+      if (!recorded) throw diverged(`unrecorded ${decision.kind} choice`);
+      if (recorded.kind !== decision.kind) throw diverged(`expected a ${recorded.kind} choice, got ${decision.kind}`);
+      return recorded.value;
+    };
+
+    const finish = () => {
+      if (rolls.length > 0 || draws.length > 0 || (choices && choices.length > 0)) {
+        throw diverged('recorded rolls, draws or choices were not used');
+      }
+    };
+
+    return { dice, cards, choose, finish };
+  }
+
+  /**
+   * Apply one recorded event to a state with its recorded values.
+   * The caller sets the active Rng stream and restores the providers.
+   */
+  async function applyRecorded(state, event) {
+    const applier = APPLIERS[event.type];
+    if (!applier) throw new Error(`Unknown event type: ${event.type}`);
+    const providers = recordedProviders(event);
+    Dice.setProvider(providers.dice);
+    Deck.setProvider(providers.cards);
+    Choices.setProvider(providers.choose);
+    await applier(state, copy(event.inputs));
+    providers.finish();
+    record(state, copy(event));
+  }
+
+  /**
+   * Run `fn` with the state's Rng stream active, then put back the Dice/Deck/
+   * Choices providers and the stream that were active before.
+   */
+  async function withRecordedInputs(state, fn) {
+    const saved = { dice: Dice.getProvider(), cards: Deck.getProvider(), choices: Choices.getProvider(), rng: Rng.current() };
+    if (state.rng) Rng.use(state.rng);
+    try {
+      return await fn();
+    } finally {
+      Dice.setProvider(saved.dice);
+      Deck.setProvider(saved.cards);
+      Choices.setProvider(saved.choices);
+      Rng.use(saved.rng);
+    }
+  }
+
+  /**
+   * Rebuild a game from its log. The module-level Dice/Deck/Choices providers
+   * and the active Rng stream are restored afterwards. The rebuilt turnLog
+   * holds only what the engine writes; the App's own entries are not events.
+   * @param {object} log - A state's eventLog
+   * @param {object} [options]
+   * @param {number} [options.count] - Replay only the first `count` events (default: all)
+   * @returns {Promise<object>} The rebuilt state, with a log of the replayed events
+   * @throws {Error} If a digital roll or draw does not match the record
+   */
+  async function replay(log, options) {
+    const count = options && options.count !== undefined ? options.count : log.events.length;
+    const state = copy(log.initial);
+    state.eventLog = { initial: copy(log.initial), events: [] };
+    await withRecordedInputs(state, async () => {
+      for (const event of log.events.slice(0, count)) {
+        await applyRecorded(state, event);
+      }
+    });
+    return state;
+  }
+
+  // ─── Undo & Redo ────────────────────────────────────────────────────────────
+
+  /**
+   * Whether the last action can be undone: there is one, and it is not an
+   * End Turn (undo never crosses into the previous turn).
+   * @param {object} state
+   * @returns {boolean}
+   */
+  function canUndo(state) {
+    const events = state.eventLog ? state.eventLog.events : [];
+    return events.length > 0 && events[events.length - 1].type !== 'end_turn';
+  }
+
+  /**
+   * Rebuild the state as it was before the last action, turn log included.
+   * The given state is left alone.
+   * @param {object} state
+   * @returns {Promise<{ state, undone }|null>} The earlier state, and what
+   *   `redo` needs to put the action back; null if nothing can be undone
+   */
+  async function undo(state) {
+    if (!canUndo(state)) return null;
+    const log = state.eventLog;
+    const events = log.events;
+    const event = events[events.length - 1];
+    const start = log.turnStart || { index: 0, state: log.initial };
+    const earlier = copy(start.state);
+    earlier.eventLog = copy({ ...log, events: events.slice(0, start.index) });
+    await withRecordedInputs(earlier, async () => {
+      for (const recorded of events.slice(start.index, -1)) {
+        await applyRecorded(earlier, recorded);
+      }
+    });
+    const logIndex = event.logIndex === undefined ? state.turnLog.length : event.logIndex;
+    earlier.turnLog = state.turnLog.slice(0, logIndex);
+    return {
+      state: earlier,
+      undone: { event: copy(event), entries: copy(state.turnLog.slice(logIndex)) },
+    };
+  }
+
+  /**
+   * Apply an undone action again, in place, with the values it first used,
+   * and restore the turn log entries it wrote.
+   * @param {object} state
+   * @param {{ event, entries }} undone - From `undo`
+   * @returns {Promise<object>} The state
+   */
+  async function redo(state, undone) {
+    const turnLog = state.turnLog.slice();
+    await withRecordedInputs(state, () => applyRecorded(state, undone.event));
+    state.turnLog = turnLog.concat(undone.entries);
+    return state;
+  }
+
+  // ─── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    APPLIERS,
+    setCheck,
+    begin,
+    perform,
+    replay,
+    canUndo,
+    undo,
+    redo,
+  };
+})();
@@ -0,0 +1,130 @@
+/**
+ * Odds for The Good Fight TTRPG.
+ * Exact chances of success for an operation or a recruit attempt, worked out
+ * from the same targets the engine rolls against — nothing is simulated.
+ * Each d100 check succeeds on a roll at or under its target (see
+ * Operations.getTarget); a recruit attempt succeeds when d10 (or d12) plus
+ * the influence die reaches the card's value. Odds are counted as
+ * ways / outcomes, so `probability` is exact up to the final division.
+ */
+const Odds = (() => {
+
+  // ─── Dice ───────────────────────────────────────────────────────────────────
+
+  /**
+   * Ways a d100 can roll at or under a target: targets past 100 always
+   * succeed, and 0 or below never does.
+   * @param {number} target
+   * @returns {number} 0–100
+   */
+  function d100Ways(target) {
+    return Math.min(100, Math.max(0, target));
+  }
+
+  /**
+   * How many ways each total of a set of dice can come up.
+   * @param {string[]} dice - e.g. ['d10', 'd4']
+   * @returns {Map<number, number>} total → ways
+   */
+  function totals(dice) {
+    let ways = new Map([[0, 1]]);
+    for (const die of dice) {
+      const next = new Map();
+      for (const [total, count] of ways) {
+        for (let face = 1; face <= Dice.getDieMax(die); face++) {
+          next.set(total + face, (next.get(total + face) || 0) + count);
+        }
+      }
+      ways = next;
+    }
+    return ways;
+  }
+
+  function binomial(n, k) {
+    let result = 1;
+    for (let i = 1; i <= k; i++) result = result * (n - i + 1) / i;
+    return result;
+  }
+
+  // ─── Operations ─────────────────────────────────────────────────────────────
+
+  /**
+   * Chance an operation's d100 check succeeds, at the current Heat and
+   * Influence and with the given team.
+   * Gather Supplies rolls three times against one target; its odds add the
+   * distribution of Supplies gained and the number expected.
+   * Multi-turn operations roll when they complete, so their odds change if
+   * Heat does before then.
+   *
+   * @param {string} operationId
+   * @param {object} state
+   * @param {Array} [operatives] - The team, for checks that add operative values
+   * @returns {{ target: number, ways: number, outcomes: number, probability: number,
+   *   gained?: Array<{ supplies: number, probability: number }>, expected?: number }|null}
+   *   null for operations without a d100 check
+   */
+  function forOperation(operationId, state, operatives) {
+    if (!Operations.CHECKS[operationId]) return null;
+    const target = Operations.getTarget(operationId, state, operatives).value;
+    const ways = d100Ways(target);
+    const odds = { target, ways, outcomes: 100, probability: ways / 100 };
+    if (operationId !== 'gather_supplies') return odds;
+
+    const rolls = 3;
+    const p = odds.probability;
+    odds.gained = [];
+    for (let k = 0; k <= rolls; k++) {
+      odds.gained.push({ supplies: k, probability: binomial(rolls, k) * p ** k * (1 - p) ** (rolls - k) });
+    }
+    odds.expected = rolls * p;
+    return odds;
+  }
+
+  // ─── Recruitment ────────────────────────────────────────────────────────────
+
+  /**
+   * Chance a recruit attempt on a card succeeds: d10 (d12 when a Supply is
+   * burned) plus the influence die, at or above the card's value.
+   * @param {object} state
+   * @param {{value: number}} card
+   * @param {object} [options] - { burnSupply: true } for a d12
+   * @returns {{ dice: string[], target: number, ways: number, outcomes: number, probability: number }}
+   */
+  function forRecruit(state, card, options) {
+    const dice = [options && options.burnSupply ? 'd12' : 'd10'];
+    const bonusDie = Operations.getInfluenceDie(state.influence);
+    if (bonusDie) dice.push(bonusDie);
+
+    let ways = 0;
+    let outcomes = 0;
+    for (const [total, count] of totals(dice)) {
+      outcomes += count;
+      if (total >= card.value) ways += count;
+    }
+    return { dice, target: card.value, ways, outcomes, probability: ways / outcomes };
+  }
+
+  // ─── Display ────────────────────────────────────────────────────────────────
+
+  /**
+   * A probability as a whole percentage. Chances that are neither certain
+   * nor impossible never round to 0% or 100%.
+   * @param {number} probability
+   * @returns {string} e.g. "73%", "<1%", ">99%"
+   */
+  function percent(probability) {
+    if (probability > 0 && probability < 0.01) return '<1%';
+    if (probability < 1 && probability > 0.99) return '>99%';
+    return `${Math.round(probability * 100)}%`;
+  }
+
+  // ─── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    d100Ways,
+    totals,
+    forOperation,
+    forRecruit,
+    percent,
+  };
+})();
@@ -12,14 +12,343 @@ const Operations = (() => {
     significant_vandalism: { operatives: 4,  supplies: 5,  influence: 0  },
     gather_supplies:       { operatives: 1,  supplies: 0,  influence: 0  },
     scout:                 { operatives: 4,  supplies: 5,  influence: 0  },
+    late_game_scout:       { operatives: 6,  supplies: 8,  influence: 0  },
     mid_game_op:           { operatives: 6,  supplies: 10, influence: 0  },
     late_game_op:          { operatives: 12, supplies: 20, influence: 0  },
+    recruit_attempt:       { operatives: 1,  supplies: 0,  influence: 0  },
   };
 
+  /**
+   * Display text for the operations panel.
+   * `turns` is set for operations that lock their team for several turns.
+   */
+  const OPERATION_INFO = {
+    minor_vandalism:       { name: 'Minor Vandalism/Propaganda',       description: 'Graffiti, leaflets. +1 Influence, +1 Heat; 1 in 4 chance of a new recruit.' },
+    average_vandalism:     { name: 'Average Vandalism/Propaganda',     description: 'Sabotage, pirate broadcasts. +3 Influence, +3 Heat, +1 recruit.' },
+    significant_vandalism: { name: 'Significant Vandalism/Propaganda', description: 'Strike a visible Regime target. +10 Influence, +10 Heat, +2 recruits.' },
+    gather_supplies:       { name: 'Gather Supplies',                  description: 'Three attempts to scrounge supplies; +1 Supply per success.' },
+    scout:                 { name: 'Scout/Recon',                      description: 'Find a mid-game opportunity.', turns: 2 },
+    late_game_scout:       { name: 'Late-Game Scout/Recon',            description: 'Find a late-game opportunity.', turns: 3 },
+    mid_game_op:           { name: 'Mid-Game Operation',               description: 'Execute a scouted mid-game opportunity.' },
+    late_game_op:          { name: 'Late-Game Operation',              description: 'Execute a scouted late-game opportunity.', turns: 3 },
+    recruit_attempt:       { name: 'Recruit Attempt',                  description: 'Bring a card from the recruit pool into training.' },
+  };
+
+  // ─── Mid-Game Operations Table (d6) ─────────────────────────────────────────
+
+  /**
+   * Influence thresholds by difficulty (required, not consumed).
+   * The rulebook gives the three tiers without assigning them to table rows;
+   * each row's difficulty below is scaled to the size of its payoff.
+   */
+  const MID_GAME_THRESHOLDS = { easy: 30, medium: 45, hard: 60 };
+
+  const MID_GAME_OPS = [
+    {
+      tableRoll: 1, id: 'embed_mole',
+      name: 'Embed Mole, Bribe/Coerce Regime Official',
+      description: 'Turn someone on the inside to steer investigations away from the cell.',
+      difficulty: 'medium',
+      success: { heat: -35 },
+      failure: { captured: 1 },
+    },
+    {
+      tableRoll: 2, id: 'comm_tower',
+      name: 'Hack/Tap/Destroy Comm Tower',
+      description: 'Cut the Regime\'s broadcasts and put the Resistance\'s message on the air.',
+      difficulty: 'medium',
+      success: { influence: 25, heat: -15 },
+      failure: { captured: 1 },
+    },
+    {
+      tableRoll: 3, id: 'industry_strike',
+      name: 'Stage Industry Strike/Public Demonstration',
+      description: 'Bring the city to a halt and give the Regime bigger problems than the cell.',
+      difficulty: 'easy',
+      success: { heat: -35 },
+      failure: { captured: 1 },
+    },
+    {
+      tableRoll: 4, id: 'prison_break',
+      name: 'Break Out Imprisoned Operatives',
+      description: 'Free captured comrades. Two cards are drawn from the Recruit Deck as new Operatives.',
+      difficulty: 'hard',
+      success: { operatives: 2, heat: 10 },
+      failure: { captured: 1 },
+    },
+    {
+      tableRoll: 5, id: 'supply_convoy',
+      name: 'Intercept Supply Convoy/Raid Storehouse',
+      description: 'Seize a Regime shipment for the cell\'s own stockpile.',
+      difficulty: 'easy',
+      success: { supplies: 15, heat: 10 },
+      failure: { captured: 1 },
+    },
+    {
+      tableRoll: 6, id: 'clandestine_goods',
+      name: 'Provide Clandestine Goods/Services to General Population',
+      description: 'Deliver what the Regime won\'t, and win the people\'s trust.',
+      difficulty: 'hard',
+      success: { influence: 50 },
+      failure: { captured: 1 },
+    },
+  ];
+
+  /**
+   * Get the mid-game table row for a d6 roll.
+   * @param {number} tableRoll - 1 to 6
+   * @returns {object|null}
+   */
+  function getMidGameOp(tableRoll) {
+    return MID_GAME_OPS.find(op => op.tableRoll === tableRoll) || null;
+  }
+
+  /**
+   * Build the opportunity record stored in state.availableMidGameOps.
+   * Effects are looked up from the table at resolution time, so only
+   * identifying and display fields are saved.
+   * @param {number} tableRoll
+   */
+  function createMidGameOpportunity(tableRoll) {
+    const def = getMidGameOp(tableRoll);
+    if (!def) throw new Error(`No mid-game operation for table roll: ${tableRoll}`);
+    return {
+      tableRoll,
+      id: def.id,
+      name: def.name,
+      description: def.description,
+      difficulty: def.difficulty,
+      influenceThreshold: MID_GAME_THRESHOLDS[def.difficulty],
+    };
+  }
+
+  // ─── Late-Game Operations Table (d8) ────────────────────────────────────────
+
+  /**
+   * Influence thresholds by difficulty (required, not consumed).
+   * As with the mid-game table, row difficulty is scaled to the payoff.
+   */
+  const LATE_GAME_THRESHOLDS = { easy: 60, medium: 90, hard: 120 };
+
+  /** Completing this many late-game operations wins the game. */
+  const LATE_GAME_OPS_TO_WIN = 3;
+
+  /**
+   * The d8 table only has six rows; rolls of 7–8, like rolls for an operation
+   * already completed, are re-rolled.
+   */
+  const LATE_GAME_OPS = [
+    {
+      tableRoll: 1, id: 'neutralize_leadership',
+      name: 'Neutralize Regime Leadership',
+      description: 'Remove the people giving the orders.',
+      difficulty: 'hard',
+      success: { heat: -50 },
+      failure: { captured: 2 },
+    },
+    {
+      tableRoll: 2, id: 'news_agency',
+      name: 'Establish News Agency and Seize Communications Networks',
+      description: 'Take control of what the city hears.',
+      difficulty: 'medium',
+      success: { influence: 50, heat: -15 },
+      failure: { captured: 2 },
+    },
+    {
+      tableRoll: 3, id: 'militia',
+      name: 'Establish Militia and Security Forces',
+      description: 'Protect the neighbourhoods the Resistance already holds.',
+      difficulty: 'medium',
+      success: { heat: -50 },
+      failure: { captured: 2 },
+    },
+    {
+      tableRoll: 4, id: 'liberate_prisons',
+      name: 'Liberate Prison Facilities',
+      description: 'Open the Regime\'s prisons. Five cards are drawn from the Recruit Deck as new Operatives.',
+      difficulty: 'hard',
+      success: { operatives: 5, heat: 15 },
+      failure: { captured: 2 },
+    },
+    {
+      tableRoll: 5, id: 'supply_networks',
+      name: 'Control Supply Networks/Egress Points (Airports, Bridges, Highways)',
+      description: 'Decide what moves in and out of the city.',
+      difficulty: 'easy',
+      success: { supplies: 25 },
+      failure: { captured: 2 },
+    },
+    {
+      tableRoll: 6, id: 'provisional_government',
+      name: 'Establish Provisional Government/Organize Elections or Assemblies',
+      description: 'Show the city what comes after the Regime.',
+      difficulty: 'easy',
+      success: { influence: 50 },
+      failure: { captured: 2 },
+    },
+  ];
+
+  /**
+   * Get the late-game table row for a d8 roll.
+   * @param {number} tableRoll - 1 to 8 (7 and 8 have no row)
+   * @returns {object|null}
+   */
+  function getLateGameOp(tableRoll) {
+    return LATE_GAME_OPS.find(op => op.tableRoll === tableRoll) || null;
+  }
+
+  /**
+   * Build the opportunity record stored in state.availableLateGameOps.
+   * @param {number} tableRoll
+   */
+  function createLateGameOpportunity(tableRoll) {
+    const def = getLateGameOp(tableRoll);
+    if (!def) throw new Error(`No late-game operation for table roll: ${tableRoll}`);
+    return {
+      tableRoll,
+      id: def.id,
+      name: def.name,
+      description: def.description,
+      difficulty: def.difficulty,
+      influenceThreshold: LATE_GAME_THRESHOLDS[def.difficulty],
+    };
+  }
+
+  /**
+   * Roll d8 on the late-game table, re-rolling empty rows (7–8) and
+   * operations that have already been completed.
+   * @returns {Promise<{ tableRoll: number|null, rerolls: number[] }>}
+   *   tableRoll is null only if every row has been completed.
+   */
+  async function rollLateGameTable(state) {
+    const completed = new Set(state.completedLateGameOps.map(op => op.tableRoll));
+    const rerolls = [];
+    if (LATE_GAME_OPS.every(op => completed.has(op.tableRoll))) {
+      return { tableRoll: null, rerolls };
+    }
+    for (;;) {
+      const roll = await Dice.roll('d8');
+      if (getLateGameOp(roll) && !completed.has(roll)) {
+        return { tableRoll: roll, rerolls };
+      }
+      rerolls.push(roll);
+    }
+  }
+
+  /**
+   * Victory: three late-game operations completed.
+   */
+  function isVictory(state) {
+    return state.completedLateGameOps.length >= LATE_GAME_OPS_TO_WIN;
+  }
+
   // ─── Availability Check ─────────────────────────────────────────────────────
 
+  /**
+   * Requirements for an operation. For mid/late-game operations, pass
+   * options.opportunityIndex to get that opportunity's influence threshold.
+   * @returns {{ operatives: number, supplies: number, influence: number }|null}
+   */
+  function getRequirements(state, operationId, options) {
+    const reqs = OPERATION_REQS[operationId];
+    if (!reqs) return null;
+    const result = { ...reqs };
+    const index = options && options.opportunityIndex;
+    let opportunity = null;
+    if (operationId === 'mid_game_op') opportunity = state.availableMidGameOps[index];
+    if (operationId === 'late_game_op') opportunity = state.availableLateGameOps[index];
+    if (opportunity) result.influence = opportunity.influenceThreshold;
+    return result;
+  }
+
+  /**
+   * Every requirement an operation is checked against: what it needs, what
+   * the cell has, whether it is met, and a line saying so for tooltips and errors.
+   *
+   * Pass the assigned team to check that team — its size, and that no member
+   * is tapped this turn, locked in a multi-turn operation, or listed twice.
+   * Without a team, the operatives free to assign are counted instead, and
+   * the detail names how many are tapped or locked.
+   *
+   * Mid/late-game operations take their influence threshold from
+   * options.influenceThreshold, or from the opportunity at options.opportunityIndex.
+   *
+   * @param {string} operationId
+   * @param {object} state - Game state
+   * @param {Array|null} [assignedOperatives] - The team, or null for anyone free
+   * @param {object} [options] - { influenceThreshold } or { opportunityIndex }
+   * @returns {{ ok: boolean, requirements: Array<{ id: string, label: string,
+   *   required: number, current: number, met: boolean, detail: string }> }|null}
+   *   null for an unknown operation
+   */
+  function getAvailability(operationId, state, assignedOperatives, options) {
+    const reqs = getRequirements(state, operationId, options);
+    if (!reqs) return null;
+    const requirements = [];
+    const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+    const requirement = (id, label, required, current, detail) => {
+      requirements.push({ id, label, required, current, met: current >= required, detail });
+    };
+
+    if (assignedOperatives) {
+      const count = assignedOperatives.length;
+      requirement('operatives', 'Operatives', reqs.operatives, count,
+        `Needs ${plural(reqs.operatives, 'operative')}; ${count} assigned`);
+      const problems = teamProblems(state, assignedOperatives);
+      requirements.push({
+        id: 'team',
+        label: 'Team free',
+        required: 0,
+        current: problems.length,
+        met: problems.length === 0,
+        detail: problems.length === 0 ? 'No one is tapped, locked, or listed twice' : problems.join('; '),
+      });
+    } else {
+      const roster = Assignments.getRoster(state);
+      const count = (status) => roster.filter(entry => entry.status === status).length;
+      const busy = [];
+      if (count('tapped') > 0) busy.push(`${count('tapped')} tapped this turn`);
+      if (count('locked') > 0) busy.push(`${count('locked')} locked in multi-turn operations`);
+      requirement('operatives', 'Operatives', reqs.operatives, count('ready'),
+        `Needs ${plural(reqs.operatives, 'operative')}; ${count('ready')} free` +
+        (busy.length > 0 ? ` (${busy.join(', ')})` : ''));
+    }
+
+    requirement('supplies', 'Supplies', reqs.supplies, state.supplies,
+      `Needs ${reqs.supplies} Supplies; the cell has ${state.supplies}`);
+
+    // Mid/late-game ops have a dynamic influence threshold
+    const influence = (options && options.influenceThreshold) || reqs.influence;
+    if (influence > 0) {
+      requirement('influence', 'Influence', influence, state.influence,
+        `Needs ${influence} Influence; the cell has ${state.influence}`);
+    }
+
+    return { ok: requirements.every(r => r.met), requirements };
+  }
+
+  /**
+   * Why members of a team cannot be assigned: tapped, locked, or listed twice.
+   * @returns {string[]} One line per problem, empty if the team is free
+   */
+  function teamProblems(state, operatives) {
+    const status = new Map(Assignments.getRoster(state).map(entry => [entry.id, entry.status]));
+    const seen = new Set();
+    const problems = [];
+    for (const card of operatives) {
+      const id = Assignments.operativeId(card);
+      const name = card.leader ? 'The leader' : `${card.rank} of ${card.suit}`;
+      if (seen.has(id)) problems.push(`${name} is listed twice`);
+      else if (status.get(id) === 'tapped') problems.push(`${name} is already tapped this turn`);
+      else if (status.get(id) === 'locked') problems.push(`${name} is locked in a multi-turn operation`);
+      seen.add(id);
+    }
+    return problems;
+  }
+
   /**
    * Check whether an operation can be executed given current state and assigned operatives.
+   * See getAvailability for which requirement is not met.
    * @param {string} operationId
    * @param {object} state - Game state
    * @param {Array} assignedOperatives - Operatives assigned to this operation
@@ -27,21 +356,43 @@ const Operations = (() => {
    * @returns {boolean}
    */
   function canExecute(operationId, state, assignedOperatives, options) {
-    const reqs = OPERATION_REQS[operationId];
-    if (!reqs) return false;
+    const availability = getAvailability(operationId, state, assignedOperatives, options);
+    return availability !== null && availability.ok;
+  }
 
-    if (assignedOperatives.length < reqs.operatives) return false;
-    if (state.supplies < reqs.supplies) return false;
+  // ─── Check Formulas ─────────────────────────────────────────────────────────
 
-    // Mid/late-game ops have a dynamic influence threshold
-    const influenceThreshold = (options && options.influenceThreshold) || reqs.influence;
-    if (state.influence < influenceThreshold) return false;
+  /** Which formula each operation's d100 check uses */
+  const CHECKS = {
+    minor_vandalism: 'basic',
+    average_vandalism: 'basic',
+    significant_vandalism: 'basic',
+    gather_supplies: 'gather_supplies',
+    scout: 'operatives',
+    mid_game_op: 'operatives',
+    late_game_scout: 'operatives',
+    late_game_op: 'operatives',
+  };
 
-    return true;
+  /**
+   * The number an operation's d100 check must roll at or under, term by term,
+   * so the player can see how it was reached. Matches the check functions below.
+   * @param {string} operationId
+   * @param {object} state
+   * @param {Array} [operatives] - The team, for checks that add operative values
+   * @returns {{ value: number, terms: Array<{ label: string, value: number }> }}
+   */
+  function getTarget(operationId, state, operatives) {
+    const terms = [{ label: 'Base', value: 100 }, { label: 'Heat', value: -state.heat }];
+    if (CHECKS[operationId] === 'gather_supplies') {
+      terms.push({ label: 'Half of Influence', value: Math.floor(state.influence / 2) });
+    }
+    if (CHECKS[operationId] === 'operatives') {
+      terms.push({ label: 'Operative values', value: (operatives || []).reduce((sum, op) => sum + op.value, 0) });
+    }
+    return { value: terms.reduce((sum, term) => sum + term.value, 0), terms };
   }
 
-  // ─── Check Formulas ─────────────────────────────────────────────────────────
-
   /**
    * Basic check: roll <= (100 - heat).
    */
@@ -64,16 +415,113 @@ const Operations = (() => {
     return roll <= (100 - state.heat + opSum);
   }
 
+  // ─── Helper: team members ───────────────────────────────────────────────────
+
+  /**
+   * Take an operative off a team for a penalty, asking the player which one
+   * (see Choices) and defaulting to the first. The leader is never detained
+   * or captured, so they are not offered.
+   * @param {Array} operatives
+   * @param {string} kind - 'detain' | 'capture'
+   * @param {string} prompt
+   * @returns {Promise<object|null>} The card, or null if only the leader is left
+   */
+  async function takeFromTeam(operatives, kind, prompt) {
+    const candidates = operatives.filter(op => !op.leader);
+    if (candidates.length === 0) return null;
+    const id = await Choices.choose({
+      kind,
+      prompt,
+      options: candidates.map(Choices.cardOption),
+      default: Deck.cardId(candidates[0]),
+    });
+    const idx = operatives.findIndex(op => !op.leader && Deck.cardId(op) === id);
+    return operatives.splice(idx, 1)[0];
+  }
+
+  /**
+   * Remove a card from state.operatives. Matched by card id, since a team
+   * restored from a save holds copies rather than the same objects.
+   */
+  function removeFromOperatives(state, card) {
+    const id = Deck.cardId(card);
+    const idx = state.operatives.findIndex(op => Deck.cardId(op) === id);
+    if (idx === -1) return null;
+    return state.operatives.splice(idx, 1)[0];
+  }
+
   // ─── Helper: detain operatives ──────────────────────────────────────────────
 
-  function detainOperatives(state, operatives, count, turns) {
-    for (let i = 0; i < count && operatives.length > 0; i++) {
-      const op = operatives.shift();
-      state.detainedOperatives.push({ card: op, turnsRemaining: turns });
-      // Also remove from state.operatives if present
-      const idx = state.operatives.indexOf(op);
-      if (idx !== -1) state.operatives.splice(idx, 1);
+  async function detainOperatives(state, operatives, count, turns) {
+    const prompt = `Which operative is detained for ${turns} turn${turns === 1 ? '' : 's'}?`;
+    for (let i = 0; i < count; i++) {
+      const op = await takeFromTeam(operatives, 'detain', prompt);
+      if (!op) break;
+      state.detainedOperatives.push({ card: removeFromOperatives(state, op) || op, turnsRemaining: turns });
+    }
+  }
+
+  /**
+   * The second penalty after a failure, which the rules leave to the player:
+   * one more operative detained, or Supplies lost. A choice given up front
+   * (options.secondPenaltyChoice) is used as it is; otherwise the player is
+   * asked, and detention is the default.
+   */
+  async function applySecondPenalty(state, operatives, options, turns, supplies) {
+    const choice = (options && options.secondPenaltyChoice) || await Choices.choose({
+      kind: 'second_penalty',
+      prompt: 'The operation failed. Choose the second penalty:',
+      options: [
+        { value: 'detain', label: `Detain another operative for ${turns} turn${turns === 1 ? '' : 's'}` },
+        { value: 'supplies', label: `Lose ${supplies} Supplies` },
+      ],
+      default: 'detain',
+    });
+    if (choice === 'detain') {
+      await detainOperatives(state, operatives, 1, turns);
+    } else {
+      GameState.addSupplies(state, -supplies);
+    }
+  }
+
+  // ─── Helper: capture operatives ─────────────────────────────────────────────
+
+  /**
+   * Operatives captured/killed are removed from play and their cards
+   * shuffled back into the recruitment deck.
+   * @returns {Promise<Array>} The captured cards
+   */
+  async function captureOperatives(state, operatives, count) {
+    const captured = [];
+    for (let i = 0; i < count; i++) {
+      const op = await takeFromTeam(operatives, 'capture', 'Which operative is captured?');
+      if (!op) break;
+      captured.push(removeFromOperatives(state, op) || op);
+    }
+    if (captured.length > 0) {
+      Deck.returnCards(state.recruitDeck, captured);
+    }
+    return captured;
+  }
+
+  // ─── Helper: apply table effects ────────────────────────────────────────────
+
+  /**
+   * Apply a table row's success effects.
+   * `operatives` draws that many cards from the recruit deck straight into operatives.
+   * @returns {Promise<{ cardsDrawn: Array }>}
+   */
+  async function applyEffects(state, effects) {
+    if (effects.influence) GameState.addInfluence(state, effects.influence);
+    if (effects.heat) GameState.addHeat(state, effects.heat);
+    if (effects.supplies) GameState.addSupplies(state, effects.supplies);
+
+    let cardsDrawn = [];
+    if (effects.operatives) {
+      cardsDrawn = await Deck.draw(state.recruitDeck, effects.operatives);
+      state.operatives.push(...cardsDrawn);
     }
+    return { cardsDrawn };
   }
 
   // ─── Resolution: Minor Vandalism ────────────────────────────────────────────
@@ -84,6 +532,7 @@ const Operations = (() => {
    * Failure: nothing.
    */
   async function resolveMinorVandalism(state, operatives) {
+    const check = getTarget('minor_vandalism', state, operatives);
     const roll = await Dice.roll('d100');
     const success = checkBasic(roll, state);
 
@@ -98,7 +547,7 @@ const Operations = (() => {
       }
     }
 
-    return { roll, success };
+    return { roll, success, check };
   }
 
   // ─── Resolution: Average Vandalism ──────────────────────────────────────────
@@ -112,6 +561,7 @@ const Operations = (() => {
   async function resolveAverageVandalism(state, operatives) {
     GameState.addSupplies(state, -3);
 
+    const check = getTarget('average_vandalism', state, operatives);
     const roll = await Dice.roll('d100');
     const success = checkBasic(roll, state);
 
@@ -121,10 +571,10 @@ const Operations = (() => {
       const drawn = await Deck.draw(state.recruitDeck, 1);
       state.recruitPool.push(...drawn);
     } else {
-      detainOperatives(state, operatives, 1, 1);
+      await detainOperatives(state, operatives, 1, 1);
     }
 
-    return { roll, success };
+    return { roll, success, check };
   }
 
   // ─── Resolution: Significant Vandalism ──────────────────────────────────────
@@ -139,11 +589,12 @@ const Operations = (() => {
    *
    * @param {object} state
    * @param {Array} operatives
-   * @param {object} [options] - { secondPenaltyChoice: 'detain' | 'supplies' }
+   * @param {object} [options] - { secondPenaltyChoice: 'detain' | 'supplies' }; asked for if not given
    */
   async function resolveSignificantVandalism(state, operatives, options) {
     GameState.addSupplies(state, -5);
 
+    const check = getTarget('significant_vandalism', state, operatives);
     const roll = await Dice.roll('d100');
     const success = checkBasic(roll, state);
 
@@ -154,18 +605,13 @@ const Operations = (() => {
       state.recruitPool.push(...drawn);
     } else {
       // Bullet 1: 1 operative detained 2 turns
-      detainOperatives(state, operatives, 1, 2);
+      await detainOperatives(state, operatives, 1, 2);
 
       // Bullet 2: player choice
-      const choice = (options && options.secondPenaltyChoice) || 'detain';
-      if (choice === 'detain') {
-        detainOperatives(state, operatives, 1, 2);
-      } else {
-        GameState.addSupplies(state, -2);
-      }
+      await applySecondPenalty(state, operatives, options, 2, 2);
     }
 
-    return { roll, success };
+    return { roll, success, check };
   }
 
   // ─── Resolution: Gather Supplies ────────────────────────────────────────────
@@ -176,6 +622,7 @@ const Operations = (() => {
    * +1 supply per success.
    */
   async function resolveGatherSupplies(state, operatives) {
+    const check = getTarget('gather_supplies', state, operatives);
     const rolls = [];
     let gained = 0;
 
@@ -190,7 +637,71 @@ const Operations = (() => {
       GameState.addSupplies(state, gained);
     }
 
-    return { rolls, gained };
+    return { rolls, gained, check };
+  }
+
+  // ─── Resolution: Recruit Attempt ────────────────────────────────────────────
+
+  /**
+   * Get the influence die upgrade tier.
+   * 50=+d4, 100=+d6, 150=+d8, 200=+d10, 250=+d12, 300+=+d20
+   */
+  function getInfluenceDie(influence) {
+    if (influence >= 300) return 'd20';
+    if (influence >= 250) return 'd12';
+    if (influence >= 200) return 'd10';
+    if (influence >= 150) return 'd8';
+    if (influence >= 100) return 'd6';
+    if (influence >= 50) return 'd4';
+    return null;
+  }
+
+  /**
+   * The leader can recruit any card; an operative only a card of lower value.
+   */
+  function canRecruit(recruiter, card) {
+    return !!recruiter.leader || recruiter.value > card.value;
+  }
+
+  /**
+   * Resolve a Recruit Attempt on a card in the recruit pool.
+   * Roll d10 (or d12 by burning 1 supply) plus the influence die, if any.
+   * The recruiter's value only decides who may attempt; it is not added to the roll.
+   * Success (total >= card value): card moves to initiates with a 2-turn timer.
+   * Failure: card stays in the pool.
+   *
+   * @param {object} state
+   * @param {object} recruiter - Operative card or the leader (Assignments.leaderCard)
+   * @param {number} poolIndex - Index into state.recruitPool
+   * @param {object} [options] - { burnSupply: true } to roll d12 instead of d10
+   * @returns {Promise<object>} { card, rolls: [{ die, roll }], total, target, success }
+   */
+  async function resolveRecruitAttempt(state, recruiter, poolIndex, options) {
+    const card = state.recruitPool[poolIndex];
+    if (!card) throw new Error(`No card in recruit pool at index ${poolIndex}`);
+    if (!canRecruit(recruiter, card)) {
+      throw new Error(`Recruiter (${recruiter.value}) must outrank the recruit (${card.value})`);
+    }
+    const burnSupply = !!(options && options.burnSupply);
+    if (burnSupply && state.supplies < 1) throw new Error('No supply to burn for a d12');
+
+    if (burnSupply) GameState.addSupplies(state, -1);
+    const baseDie = burnSupply ? 'd12' : 'd10';
+    const rolls = [{ die: baseDie, roll: await Dice.roll(baseDie) }];
+
+    const bonusDie = getInfluenceDie(state.influence);
+    if (bonusDie) rolls.push({ die: bonusDie, roll: await Dice.roll(bonusDie) });
+
+    const total = rolls.reduce((sum, r) => sum + r.roll, 0);
+    const target = card.value;
+    const success = total >= target;
+
+    if (success) {
+      state.recruitPool.splice(poolIndex, 1);
+      state.initiates.push({ card, turnsRemaining: 2 });
+    }
+
+    return { card, rolls, total, target, success };
   }
 
   // ─── Scout: Multi-turn Setup ────────────────────────────────────────────────
@@ -220,35 +731,251 @@ const Operations = (() => {
    *
    * @param {object} state
    * @param {Array} operatives
-   * @param {object} [options] - { secondPenaltyChoice: 'detain' | 'supplies' }
+   * @param {object} [options] - { secondPenaltyChoice: 'detain' | 'supplies' }; asked for if not given
    */
   async function resolveScout(state, operatives, options) {
+    const check = getTarget('scout', state, operatives);
     const roll = await Dice.roll('d100');
     const success = checkWithOperatives(roll, state, operatives);
 
     if (success) {
       const tableRoll = await Dice.roll('d6');
-      state.availableMidGameOps.push({ tableRoll });
+      state.availableMidGameOps.push(createMidGameOpportunity(tableRoll));
     } else {
       // Bullet 1: 1 operative detained 1 turn
-      detainOperatives(state, operatives, 1, 1);
+      await detainOperatives(state, operatives, 1, 1);
 
       // Bullet 2: player choice
-      const choice = (options && options.secondPenaltyChoice) || 'detain';
-      if (choice === 'detain') {
-        detainOperatives(state, operatives, 1, 1);
-      } else {
-        GameState.addSupplies(state, -2);
+      await applySecondPenalty(state, operatives, options, 1, 2);
+    }
+
+    return { roll, success, check };
+  }
+
+  // ─── Resolution: Mid-Game Operation ─────────────────────────────────────────
+
+  /**
+   * Execute a scouted mid-game opportunity.
+   * Requires 6 operatives, 10 supplies, and the opportunity's influence threshold
+   * (not consumed). The opportunity is used up and the 10 supplies spent either way.
+   * Check with operative values.
+   * Success: apply the table row's effects.
+   * Failure: 1 operative from the team captured/killed, card shuffled back into the deck.
+   *
+   * @param {object} state
+   * @param {Array} operatives
+   * @param {number} opportunityIndex - Index into state.availableMidGameOps
+   * @returns {Promise<object>} { roll, success, check, opportunity, cardsDrawn, captured }
+   */
+  async function resolveMidGameOp(state, operatives, opportunityIndex) {
+    const opportunity = state.availableMidGameOps[opportunityIndex];
+    if (!opportunity) throw new Error(`No mid-game opportunity at index ${opportunityIndex}`);
+    const options = { influenceThreshold: opportunity.influenceThreshold };
+    if (!canExecute('mid_game_op', state, operatives, options)) {
+      throw new Error(`Requirements not met for mid-game operation: ${opportunity.name}`);
+    }
+
+    const def = getMidGameOp(opportunity.tableRoll);
+    state.availableMidGameOps.splice(opportunityIndex, 1);
+    GameState.addSupplies(state, -OPERATION_REQS.mid_game_op.supplies);
+
+    const check = getTarget('mid_game_op', state, operatives);
+    const roll = await Dice.roll('d100');
+    const success = checkWithOperatives(roll, state, operatives);
+
+    let cardsDrawn = [];
+    let captured = [];
+    if (success) {
+      ({ cardsDrawn } = await applyEffects(state, def.success));
+    } else {
+      captured = await captureOperatives(state, operatives, def.failure.captured);
+    }
+
+    const outcome = success ? 'succeeded' : `failed — ${captured.length} operative(s) captured`;
+    state.turnLog.push({ turn: state.currentTurn, text: `Mid-game operation "${def.name}" ${outcome} (rolled ${roll}).` });
+
+    return { roll, success, check, opportunity, cardsDrawn, captured };
+  }
+
+  // ─── Late-Game Scout: Multi-turn Setup ──────────────────────────────────────
+
+  /**
+   * Start a Late-Game Scout operation (3-turn multi-turn op).
+   * Consumes 8 supplies and locks assigned operatives.
+   */
+  function startLateGameScout(state, operatives) {
+    GameState.addSupplies(state, -OPERATION_REQS.late_game_scout.supplies);
+    state.multiTurnOps.push({
+      operation: 'late_game_scout',
+      turnsRemaining: 3,
+      assignedOperatives: [...operatives],
+    });
+  }
+
+  // ─── Late-Game Scout: Resolution ────────────────────────────────────────────
+
+  /**
+   * Resolve a completed Late-Game Scout operation.
+   * Check with operative values.
+   * Success: roll d8 on the late-game table (re-rolling duplicates), add to availableLateGameOps.
+   * Failure:
+   *   Bullet 1 (unconditional): 2 operatives detained 2 turns.
+   *   Bullet 2 (player choice): detain 1 more operative 2 turns OR -4 supplies.
+   *
+   * @param {object} state
+   * @param {Array} operatives
+   * @param {object} [options] - { secondPenaltyChoice: 'detain' | 'supplies' }; asked for if not given
+   */
+  async function resolveLateGameScout(state, operatives, options) {
+    const check = getTarget('late_game_scout', state, operatives);
+    const roll = await Dice.roll('d100');
+    const success = checkWithOperatives(roll, state, operatives);
+
+    let tableRoll = null;
+    let rerolls = [];
+    if (success) {
+      ({ tableRoll, rerolls } = await rollLateGameTable(state));
+      if (tableRoll !== null) {
+        state.availableLateGameOps.push(createLateGameOpportunity(tableRoll));
       }
+    } else {
+      // Bullet 1: 2 operatives detained 2 turns
+      await detainOperatives(state, operatives, 2, 2);
+
+      // Bullet 2: player choice
+      await applySecondPenalty(state, operatives, options, 2, 4);
+    }
+
+    return { roll, success, check, tableRoll, rerolls };
+  }
+
+  // ─── Late-Game Operation: Multi-turn Setup ──────────────────────────────────
+
+  /**
+   * Start a scouted late-game opportunity (3-turn multi-turn op).
+   * Requires 12 operatives, 20 supplies, and the opportunity's influence threshold
+   * (not consumed). The opportunity leaves the available list and the 20 supplies
+   * are spent up front; the check is rolled when the operation completes.
+   *
+   * @param {object} state
+   * @param {Array} operatives
+   * @param {number} opportunityIndex - Index into state.availableLateGameOps
+   */
+  function startLateGameOp(state, operatives, opportunityIndex) {
+    const opportunity = state.availableLateGameOps[opportunityIndex];
+    if (!opportunity) throw new Error(`No late-game opportunity at index ${opportunityIndex}`);
+    const options = { influenceThreshold: opportunity.influenceThreshold };
+    if (!canExecute('late_game_op', state, operatives, options)) {
+      throw new Error(`Requirements not met for late-game operation: ${opportunity.name}`);
+    }
+
+    state.availableLateGameOps.splice(opportunityIndex, 1);
+    GameState.addSupplies(state, -OPERATION_REQS.late_game_op.supplies);
+    state.multiTurnOps.push({
+      operation: 'late_game_op',
+      turnsRemaining: 3,
+      assignedOperatives: [...operatives],
+      opportunity,
+    });
+  }
+
+  // ─── Late-Game Operation: Resolution ────────────────────────────────────────
+
+  /**
+   * Resolve a completed late-game operation.
+   * Check with operative values.
+   * Success: apply the table row's effects and record it in completedLateGameOps.
+   * Failure: 2 operatives from the team captured/killed, cards shuffled back into the deck.
+   *
+   * @param {object} state
+   * @param {Array} operatives
+   * @param {object} opportunity - The record started by startLateGameOp
+   * @returns {Promise<object>} { roll, success, check, opportunity, cardsDrawn, captured, victory }
+   */
+  async function resolveLateGameOp(state, operatives, opportunity) {
+    const def = getLateGameOp(opportunity.tableRoll);
+    const check = getTarget('late_game_op', state, operatives);
+    const roll = await Dice.roll('d100');
+    const success = checkWithOperatives(roll, state, operatives);
+
+    let cardsDrawn = [];
+    let captured = [];
+    if (success) {
+      ({ cardsDrawn } = await applyEffects(state, def.success));
+      state.completedLateGameOps.push(opportunity);
+    } else {
+      captured = await captureOperatives(state, operatives, def.failure.captured);
     }
 
-    return { roll, success };
+    const outcome = success ? 'succeeded' : `failed — ${captured.length} operative(s) captured`;
+    state.turnLog.push({ turn: state.currentTurn, text: `Late-game operation "${def.name}" ${outcome} (rolled ${roll}).` });
+
+    return { roll, success, check, opportunity, cardsDrawn, captured, victory: isVictory(state) };
+  }
+
+  // ─── Execution ──────────────────────────────────────────────────────────────
+
+  /**
+   * Run an operation with an already-chosen team. Multi-turn operations are
+   * started here and resolved at End Turn; they return { started: true }.
+   * Signature: (state, operatives, options) => Promise<result>
+   */
+  const EXECUTORS = {
+    minor_vandalism: (state, operatives) => resolveMinorVandalism(state, operatives),
+    average_vandalism: (state, operatives) => resolveAverageVandalism(state, operatives),
+    significant_vandalism: (state, operatives, options) => resolveSignificantVandalism(state, operatives, options),
+    gather_supplies: (state, operatives) => resolveGatherSupplies(state, operatives),
+    scout: async (state, operatives) => {
+      startScout(state, operatives);
+      return { started: true };
+    },
+    late_game_scout: async (state, operatives) => {
+      startLateGameScout(state, operatives);
+      return { started: true };
+    },
+    mid_game_op: (state, operatives, options) => resolveMidGameOp(state, operatives, options.opportunityIndex),
+    late_game_op: async (state, operatives, options) => {
+      startLateGameOp(state, operatives, options.opportunityIndex);
+      return { started: true };
+    },
+    recruit_attempt: (state, operatives, options) => resolveRecruitAttempt(state, operatives[0], options.poolIndex, options),
+  };
+
+  /**
+   * Execute an operation. The team array passed in is not modified.
+   * @param {object} state
+   * @param {string} operationId
+   * @param {Array} operatives
+   * @param {object} [options] - { opportunityIndex, poolIndex, burnSupply, secondPenaltyChoice }
+   * @returns {Promise<object>} The operation's result
+   */
+  async function execute(state, operationId, operatives, options) {
+    const executor = EXECUTORS[operationId];
+    if (!executor) throw new Error(`Unknown operation: ${operationId}`);
+    return executor(state, [...operatives], options || {});
   }
 
   // ─── Public API ─────────────────────────────────────────────────────────────
 
   return {
+    OPERATION_REQS,
+    OPERATION_INFO,
+    CHECKS,
+    MID_GAME_OPS,
+    MID_GAME_THRESHOLDS,
+    getMidGameOp,
+    createMidGameOpportunity,
+    LATE_GAME_OPS,
+    LATE_GAME_THRESHOLDS,
+    LATE_GAME_OPS_TO_WIN,
+    getLateGameOp,
+    createLateGameOpportunity,
+    rollLateGameTable,
+    isVictory,
+    getRequirements,
+    getAvailability,
     canExecute,
+    getTarget,
     checkBasic,
     checkGatherSupplies,
     checkWithOperatives,
@@ -256,7 +983,16 @@ const Operations = (() => {
     resolveAverageVandalism,
     resolveSignificantVandalism,
     resolveGatherSupplies,
+    getInfluenceDie,
+    canRecruit,
+    resolveRecruitAttempt,
     startScout,
     resolveScout,
+    resolveMidGameOp,
+    startLateGameScout,
+    resolveLateGameScout,
+    startLateGameOp,
+    resolveLateGameOp,
+    execute,
   };
 })();
@@ -0,0 +1,281 @@
+/**
+ * Save Recovery for The Good Fight TTRPG.
+ * Works out what is wrong with a stored save and repairs what it can: fields
+ * missing or of the wrong type are reset, resources are brought back into
+ * range, bad and duplicate cards are removed, and a lost recruit deck is
+ * rebuilt from the cards not accounted for. Nothing here deletes a save; the
+ * App keeps the original under a backup name before anything is overwritten.
+ */
+const Recovery = (() => {
+
+  // ─── Inspection ─────────────────────────────────────────────────────────────
+
+  /**
+   * Read a save and say whether it can be loaded as it is.
+   *   missing    - there is no such save
+   *   ok         - loads cleanly; `state` is the migrated game
+   *   newer      - written by a newer version of the game; not damaged
+   *   unreadable - not JSON, or not a game state object; cannot be repaired
+   *   invalid    - parsed, but cannot be migrated or fails validation; `data` can be repaired
+   * @param {string} slotName
+   * @returns {{ slot, status, raw, data, state, errors: string[] }}
+   */
+  function inspect(slotName) {
+    const report = { slot: slotName, status: 'missing', raw: GameState.loadRaw(slotName), data: null, state: null, errors: [] };
+    if (report.raw === null) return report;
+
+    let data;
+    try {
+      data = JSON.parse(report.raw);
+    } catch (err) {
+      return { ...report, status: 'unreadable', errors: [`Not valid JSON: ${err.message}`] };
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { ...report, status: 'unreadable', errors: ['The save is not a game state object.'] };
+    }
+
+    let state;
+    try {
+      // Migrations may change what they are given, so they get a copy
+      state = GameState.migrate(JSON.parse(report.raw));
+    } catch (err) {
+      if (Number.isInteger(data.schemaVersion) && data.schemaVersion > GameState.SCHEMA_VERSION) {
+        return { ...report, status: 'newer', errors: [err.message] };
+      }
+      return { ...report, status: 'invalid', data, errors: [err.message] };
+    }
+    // Loading starts a stream and an event log for saves without one
+    for (const key of ['rng', 'eventLog']) {
+      if (state[key] === undefined) state[key] = null;
+    }
+    const errors = Validation.validateState(state, { duplicates: false });
+    if (errors.length > 0) return { ...report, status: 'invalid', data: state, errors };
+    return { ...report, status: 'ok', state };
+  }
+
+  // ─── Repair ─────────────────────────────────────────────────────────────────
+
+  /** Whether a saved value has the same kind as the field's default. */
+  function sameKind(fallback, value) {
+    if (Array.isArray(fallback)) return Array.isArray(value);
+    if (fallback === null) return true;
+    if (typeof fallback === 'object') return !!value && typeof value === 'object' && !Array.isArray(value);
+    if (typeof fallback === 'number') return Number.isFinite(value);
+    return typeof value === typeof fallback;
+  }
+
+  /**
+   * A clean copy of a card whose suit and rank are known, or null. A wrong
+   * value is corrected from the rank.
+   */
+  function cleanCard(card) {
+    if (!card || typeof card !== 'object') return null;
+    if (!Deck.SUITS.includes(card.suit) || !Deck.RANKS.includes(card.rank)) return null;
+    return Deck.cardFromId(Deck.cardId(card));
+  }
+
+  /**
+   * Repair a damaged save as far as it can be repaired. The data is not
+   * modified. Every change made is described in `fixes`; anything still
+   * wrong afterwards is in `errors`, and the result should not be loaded then.
+   * The event log is cleared whenever something was fixed, since it could no
+   * longer replay to the repaired state.
+   * @param {object} data - Parsed save (migrated or not)
+   * @returns {{ state: object, fixes: string[], errors: string[] }}
+   */
+  function repair(data) {
+    const fixes = [];
+    const defaults = GameState.createInitial();
+    const state = JSON.parse(JSON.stringify(data));
+
+    // Fields: present and of the right kind
+    for (const key of Object.keys(defaults)) {
+      if (key === 'schemaVersion' || key === 'recruitDeck') continue;
+      if (!(key in state)) {
+        fixes.push(`${key}: missing — reset`);
+        state[key] = defaults[key];
+      } else if (!sameKind(defaults[key], state[key])) {
+        fixes.push(`${key}: ${JSON.stringify(state[key])} is the wrong type — reset`);
+        state[key] = defaults[key];
+      }
+    }
+    if (state.schemaVersion !== GameState.SCHEMA_VERSION) {
+      fixes.push(`schemaVersion: ${JSON.stringify(state.schemaVersion)} — set to ${GameState.SCHEMA_VERSION}`);
+      state.schemaVersion = GameState.SCHEMA_VERSION;
+    }
+
+    // Resources and turn: whole numbers in range
+    const ranges = { influence: [0, 500], heat: [0, 100], supplies: [0, Infinity], currentTurn: [1, Infinity] };
+    for (const [key, [min, max]] of Object.entries(ranges)) {
+      const value = Math.max(min, Math.min(max, Math.round(state[key])));
+      if (value !== state[key]) {
+        fixes.push(`${key}: ${state[key]} — set to ${value}`);
+        state[key] = value;
+      }
+    }
+
+    for (const kind of ['dice', 'cards']) {
+      if (!['digital', 'physical'].includes(state.inputMode[kind])) {
+        fixes.push(`inputMode.${kind}: ${JSON.stringify(state.inputMode[kind])} — set to "digital"`);
+        state.inputMode[kind] = 'digital';
+      }
+    }
+
+    if (state.rng !== null && (!state.rng || typeof state.rng !== 'object' ||
+        !Number.isInteger(state.rng.seed) || state.rng.seed < 0 || state.rng.seed > 0xffffffff ||
+        !Number.isInteger(state.rng.position) || state.rng.position < 0)) {
+      fixes.push('rng: unreadable — a new random stream was started');
+      state.rng = Rng.createStream();
+    }
+
+    // Cards: the team in play is kept over the pool, and the pool over the deck
+    const seen = new Map();
+    const keepCard = (card, path) => {
+      const clean = cleanCard(card);
+      if (!clean) {
+        fixes.push(`${path}: ${Validation.cardProblem(card)} — removed`);
+        return null;
+      }
+      const id = Deck.cardId(clean);
+      if (seen.has(id)) {
+        fixes.push(`${path}: ${id} is also at ${seen.get(id)} — removed`);
+        return null;
+      }
+      if (clean.value !== card.value) fixes.push(`${path}: value corrected to ${clean.value}`);
+      seen.set(id, path);
+      return clean;
+    };
+    const keepTimed = (key) => {
+      state[key] = state[key].reduce((kept, entry, i) => {
+        const card = keepCard(entry && entry.card, `${key}[${i}].card`);
+        if (!card) return kept;
+        let turnsRemaining = entry.turnsRemaining;
+        if (!Number.isInteger(turnsRemaining) || turnsRemaining < 0) {
+          fixes.push(`${key}[${i}].turnsRemaining: ${JSON.stringify(turnsRemaining)} — set to 1`);
+          turnsRemaining = 1;
+        }
+        kept.push({ ...entry, card, turnsRemaining });
+        return kept;
+      }, []);
+    };
+    state.operatives = state.operatives.map((card, i) => keepCard(card, `operatives[${i}]`)).filter(Boolean);
+    keepTimed('detainedOperatives');
+    keepTimed('initiates');
+    state.recruitPool = state.recruitPool.map((card, i) => keepCard(card, `recruitPool[${i}]`)).filter(Boolean);
+
+    const physical = state.inputMode.cards === 'physical';
+    if (!Array.isArray(state.recruitDeck)) {
+      // Physical mode's deck is on the table, so the whole deck stands in for it
+      state.recruitDeck = physical
+        ? Deck.createDeck()
+        : Deck.createDeck().filter(card => !seen.has(Deck.cardId(card)));
+      shuffleWith(state, state.recruitDeck);
+      fixes.push(physical
+        ? 'recruitDeck: missing — rebuilt as a full deck'
+        : `recruitDeck: missing — rebuilt from the ${state.recruitDeck.length} cards not accounted for`);
+    } else if (!physical) {
+      state.recruitDeck = state.recruitDeck.map((card, i) => keepCard(card, `recruitDeck[${i}]`)).filter(Boolean);
+    }
+
+    // Leader skill keeps the highest value it has reached, so it may exceed every
+    // operative still in the cell; only a value below one of them is wrong
+    const highest = state.operatives.length === 0 ? 0 : Math.max(...state.operatives.map(card => card.value));
+    const leaderSkill = Math.min(15, Math.max(highest, Math.round(state.leaderSkillLevel)));
+    if (state.leaderSkillLevel !== leaderSkill) {
+      fixes.push(`leaderSkillLevel: ${state.leaderSkillLevel} — set to ${leaderSkill}`);
+      state.leaderSkillLevel = leaderSkill;
+    }
+
+    // Scouted opportunities: rebuilt from their table roll, or dropped
+    const opportunityLists = [
+      ['availableMidGameOps', Operations.getMidGameOp, Operations.createMidGameOpportunity],
+      ['availableLateGameOps', Operations.getLateGameOp, Operations.createLateGameOpportunity],
+      ['completedLateGameOps', Operations.getLateGameOp, Operations.createLateGameOpportunity],
+    ];
+    for (const [key, lookup, create] of opportunityLists) {
+      state[key] = state[key].reduce((kept, op, i) => {
+        const def = op && lookup(op.tableRoll);
+        if (!def || (op.id !== undefined && op.id !== def.id)) {
+          fixes.push(`${key}[${i}]: not an operation from the table — removed`);
+        } else {
+          kept.push(op.id === undefined ? create(op.tableRoll) : op);
+        }
+        return kept;
+      }, []);
+    }
+
+    // Multi-turn operations: known operation and a team; stray cards leave the team
+    state.multiTurnOps = state.multiTurnOps.reduce((kept, op, i) => {
+      const path = `multiTurnOps[${i}]`;
+      if (!op || !Operations.OPERATION_INFO[op.operation] || !Array.isArray(op.assignedOperatives)) {
+        fixes.push(`${path}: unreadable operation — removed`);
+        return kept;
+      }
+      const team = op.assignedOperatives.filter((card, j) => {
+        if (card && card.leader) return true;
+        const id = cleanCard(card) && Deck.cardId(card);
+        if (id && state.operatives.some(operative => Deck.cardId(operative) === id)) return true;
+        fixes.push(`${path}.assignedOperatives[${j}]: not an operative — removed from the team`);
+        return false;
+      }).map(card => card.leader ? card : state.operatives.find(operative => Deck.cardId(operative) === Deck.cardId(card)));
+      if (team.length === 0) {
+        fixes.push(`${path}: no one left on the team — removed`);
+        return kept;
+      }
+      let turnsRemaining = op.turnsRemaining;
+      if (!Number.isInteger(turnsRemaining) || turnsRemaining < 0) {
+        fixes.push(`${path}.turnsRemaining: ${JSON.stringify(turnsRemaining)} — set to 1`);
+        turnsRemaining = 1;
+      }
+      kept.push({ ...op, turnsRemaining, assignedOperatives: team });
+      return kept;
+    }, []);
+
+    const log = state.eventLog;
+    if (log !== null && (!log || typeof log !== 'object' || !log.initial || typeof log.initial !== 'object' || !Array.isArray(log.events))) {
+      fixes.push('eventLog: unreadable — cleared');
+      state.eventLog = null;
+    } else if (fixes.length > 0 && log !== null) {
+      fixes.push('eventLog: cleared — actions before the repair cannot be undone');
+      state.eventLog = null;
+    }
+
+    return { state, fixes, errors: Validation.validateState(state) };
+  }
+
+  /** Shuffle with the save's own Rng stream, leaving the active one alone. */
+  function shuffleWith(state, cards) {
+    const previous = Rng.current();
+    if (!state.rng) state.rng = Rng.createStream();
+    Rng.use(state.rng);
+    try {
+      Deck.shuffle(cards);
+    } finally {
+      Rng.use(previous);
+    }
+  }
+
+  // ─── Backups ────────────────────────────────────────────────────────────────
+
+  /**
+   * Copy a save, exactly as stored, to a free "<name> (damaged)" slot, so the
+   * original survives a repair or a fresh start.
+   * @param {string} slotName
+   * @param {string} [baseName=slotName] - Name to build the backup's from
+   * @returns {string} The backup slot
+   */
+  function backup(slotName, baseName) {
+    const base = `${baseName || slotName} (damaged)`;
+    let name = base;
+    for (let n = 2; GameState.hasSave(name); n++) name = `${base} ${n}`;
+    return GameState.duplicateSave(slotName, name);
+  }
+
+  // ─── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    inspect,
+    repair,
+    backup,
+  };
+})();
@@ -0,0 +1,241 @@
+/**
+ * Resolution Breakdowns for The Good Fight TTRPG.
+ * Describes what an action did, for the player to check before it is kept:
+ * the target each d100 check had to roll under and how it was reached, every
+ * die rolled, the outcome, and each change to the game (resources, cards
+ * drawn, operatives detained or captured, opportunities scouted).
+ * A breakdown is plain data; UI.resolution shows it.
+ */
+const Resolution = (() => {
+
+  function suitSymbol(suit) {
+    const icons = { hearts: '♥', diamonds: '♦', clubs: '♣', spades: '♠' };
+    return icons[suit] || '';
+  }
+
+  function cardLabel(card) {
+    return `${card.rank}${suitSymbol(card.suit)}`;
+  }
+
+  // ─── Targets & Checks ───────────────────────────────────────────────────────
+
+  /**
+   * A target written out term by term, e.g. "100 − Heat 12 + Half of Influence 3 = 91".
+   * @param {{ value: number, terms: Array<{ label: string, value: number }> }} target
+   * @returns {string}
+   */
+  function targetText(target) {
+    const [first, ...rest] = target.terms;
+    let text = first.label === 'Base' ? `${first.value}` : `${first.label} ${first.value}`;
+    for (const term of rest) {
+      // Heat is subtracted even at 0, stored as -0
+      const minus = term.value < 0 || Object.is(term.value, -0);
+      text += ` ${minus ? '−' : '+'} ${term.label} ${Math.abs(term.value)}`;
+    }
+    return rest.length > 0 ? `${text} = ${target.value}` : text;
+  }
+
+  /**
+   * The d100 check an operation result records, as { label, target, rolls }.
+   * Gather Supplies checks three rolls against one target.
+   * @returns {object|null} null for results without a check (e.g. an operation just begun)
+   */
+  function operationCheck(label, result) {
+    if (!result || !result.check) return null;
+    const rolls = result.rolls || [{ roll: result.roll, success: result.success }];
+    return {
+      label,
+      target: result.check,
+      rolls: rolls.map(r => ({ value: r.roll, result: r.success ? 'success' : 'failure' })),
+    };
+  }
+
+  // ─── Changes ────────────────────────────────────────────────────────────────
+
+  const RESOURCES = [['influence', 'Influence'], ['heat', 'Heat'], ['supplies', 'Supplies']];
+
+  function cardIds(list, pick) {
+    return (list || []).map(entry => Deck.cardId(pick ? entry.card : entry));
+  }
+
+  /** Entries of `after[key]` whose card was not in `before[key]`. */
+  function added(before, after, key, pick) {
+    const earlier = new Set(cardIds(before[key], pick));
+    return (after[key] || []).filter(entry => !earlier.has(Deck.cardId(pick ? entry.card : entry)));
+  }
+
+  function newOpportunities(before, after, key) {
+    const earlier = new Set((before[key] || []).map(op => op.id));
+    return (after[key] || []).filter(op => !earlier.has(op.id));
+  }
+
+  /**
+   * Every change between two states of a game, one line each: resources,
+   * cards drawn, personnel moved between piles, opportunities scouted, and
+   * multi-turn operations begun.
+   * @param {object} before
+   * @param {object} after
+   * @returns {string[]}
+   */
+  function changes(before, after) {
+    const lines = [];
+    for (const [key, label] of RESOURCES) {
+      const delta = after[key] - before[key];
+      if (delta !== 0) lines.push(`${label}: ${before[key]} → ${after[key]} (${delta > 0 ? '+' : ''}${delta})`);
+    }
+
+    const list = (heading, cards) => {
+      if (cards.length > 0) lines.push(`${heading}: ${cards.join(', ')}`);
+    };
+    const plural = (n) => n === 1 ? '' : 's';
+    list('Cards drawn to the recruit pool', added(before, after, 'recruitPool').map(cardLabel));
+    list('New initiates', added(before, after, 'initiates', true).map(i => cardLabel(i.card)));
+
+    const wasInitiate = new Set(cardIds(before.initiates, true));
+    const wasDetained = new Set(cardIds(before.detainedOperatives, true));
+    const newOperatives = added(before, after, 'operatives');
+    list('Initiates now operatives', newOperatives.filter(c => wasInitiate.has(Deck.cardId(c))).map(cardLabel));
+    list('Released from detention', newOperatives.filter(c => wasDetained.has(Deck.cardId(c))).map(cardLabel));
+    list('Operatives detained', added(before, after, 'detainedOperatives', true)
+      .map(d => `${cardLabel(d.card)} (${d.turnsRemaining} turn${plural(d.turnsRemaining)})`));
+
+    const stillHere = new Set([
+      ...cardIds(after.operatives),
+      ...cardIds(after.detainedOperatives, true),
+      ...cardIds(after.initiates, true),
+    ]);
+    const detainedNow = new Set(cardIds(after.detainedOperatives, true));
+    list('Operatives captured', (before.operatives || []).filter(c => !stillHere.has(Deck.cardId(c))).map(cardLabel));
+    list('Initiates captured', (before.initiates || [])
+      .filter(i => !stillHere.has(Deck.cardId(i.card)) && !detainedNow.has(Deck.cardId(i.card)))
+      .map(i => cardLabel(i.card)));
+
+    list('Opportunities scouted', [
+      ...newOpportunities(before, after, 'availableMidGameOps'),
+      ...newOpportunities(before, after, 'availableLateGameOps'),
+    ].map(op => op.name));
+    list('Late-game operations completed', newOpportunities(before, after, 'completedLateGameOps').map(op => op.name));
+
+    const begun = (after.multiTurnOps || []).slice((before.multiTurnOps || []).length);
+    for (const op of begun) {
+      const turns = op.turnsRemaining;
+      lines.push(`Begun: ${Operations.OPERATION_INFO[op.operation].name} — completes in ${turns} turn${plural(turns)}`);
+    }
+    return lines;
+  }
+
+  // ─── Breakdowns ─────────────────────────────────────────────────────────────
+
+  /**
+   * Every die rolled during an event, in order, e.g. "d100: 45".
+   */
+  function rollLines(event) {
+    return (event && event.rolls || []).map(r => `${r.die}: ${r.value}`);
+  }
+
+  function operationOutcome(result) {
+    if (result.started) return 'Begun — the check is rolled when the operation completes at End Turn.';
+    if (result.rolls) {
+      const successes = result.rolls.filter(r => r.success).length;
+      return `${successes} of ${result.rolls.length} rolls succeeded: +${result.gained} Supplies.`;
+    }
+    if (result.victory) return 'Success — the cell is victorious!';
+    return result.success ? 'Success.' : 'Failure.';
+  }
+
+  /**
+   * Breakdown of an operation performed.
+   * @param {string} name - Operation name shown to the player
+   * @param {object} result - The operation's result (see Operations.execute)
+   * @param {object} event - The recorded event, for its rolls
+   * @param {object} before - State before the operation
+   * @param {object} after - State after it
+   * @returns {{ title, checks, rolls, outcome, changes }}
+   */
+  function forOperation(name, result, event, before, after) {
+    const check = operationCheck(name, result);
+    return {
+      title: name,
+      checks: check ? [check] : [],
+      rolls: rollLines(event),
+      outcome: operationOutcome(result),
+      changes: changes(before, after),
+    };
+  }
+
+  /**
+   * Breakdown of a recruit attempt: the d10 (or d12) plus any influence die,
+   * which must reach the card's value.
+   * @param {object} result - The attempt's result (see Operations.execute)
+   * @param {object} event - The recorded event, for its rolls
+   * @param {object} before
+   * @param {object} after
+   * @returns {{ title, checks, rolls, outcome, changes }}
+   */
+  function forRecruit(result, event, before, after) {
+    const label = cardLabel(result.card);
+    return {
+      title: `Recruit ${label}`,
+      checks: [{
+        label: 'Recruit roll — at least the card value',
+        target: { value: result.target, terms: [{ label: 'Card value', value: result.target }] },
+        rolls: [{
+          value: `${result.rolls.map(r => r.roll).join(' + ')} = ${result.total}`,
+          result: result.success ? 'success' : 'failure',
+        }],
+      }],
+      rolls: rollLines(event),
+      outcome: result.success
+        ? `Success — ${label} joins as an initiate for 2 turns.`
+        : `Failure — ${label} stays in the recruit pool.`,
+      changes: changes(before, after),
+    };
+  }
+
+  /**
+   * Breakdown of an End Turn: the multi-turn operations it completed, the
+   * crackdown roll, and everything that changed during the turn's end.
+   * @param {object} report - Turn.endTurn report
+   * @param {object} event - The recorded event, for its rolls
+   * @param {object} before
+   * @param {object} after
+   * @returns {{ title, checks, rolls, outcome, changes }}
+   */
+  function forEndTurn(report, event, before, after) {
+    const checks = report.multiTurnOps.completed.map(done => {
+      const name = done.result.opportunity ? done.result.opportunity.name : Operations.OPERATION_INFO[done.operation].name;
+      return operationCheck(name, done.result);
+    }).filter(Boolean);
+
+    const cd = report.crackdown;
+    checks.push({
+      label: 'Crackdown',
+      target: { value: cd.heatBefore, terms: [{ label: 'Heat', value: cd.heatBefore }] },
+      rolls: [{ value: cd.roll, result: cd.triggered ? `crackdown — ${cd.name}` : 'no crackdown' }],
+    });
+
+    const outcomes = report.multiTurnOps.completed.map(done => {
+      const name = done.result.opportunity ? done.result.opportunity.name : Operations.OPERATION_INFO[done.operation].name;
+      return `${name}: ${done.result.success ? 'success' : 'failure'}.`;
+    });
+    if (report.victory) outcomes.push('The cell is victorious!');
+
+    return {
+      title: `End of Turn ${report.turn}`,
+      checks,
+      rolls: rollLines(event),
+      outcome: outcomes.join(' '),
+      changes: changes(before, after),
+    };
+  }
+
+  // ─── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    targetText,
+    changes,
+    forOperation,
+    forRecruit,
+    forEndTurn,
+  };
+})();
@@ -0,0 +1,109 @@
+/**
+ * Seedable Random Number Generator for The Good Fight TTRPG.
+ * Dice and Deck draw every digital roll and shuffle from the active stream,
+ * so a game started from the same seed plays out the same way.
+ *
+ * A stream is a plain { seed, position } object stored in game state
+ * (state.rng). Drawing a number advances its position in place, so saving
+ * the state also saves where the stream is, and a loaded game resumes it.
+ */
+const Rng = (() => {
+
+  // mulberry32 increment: the generator's internal state after n draws is
+  // seed + n * GOLDEN, so any position can be reached without replaying.
+  const GOLDEN = 0x6D2B79F5;
+
+  let stream = createStream(randomSeed());
+
+  /**
+   * Pick a fresh seed for games started without one.
+   * @returns {number} Unsigned 32-bit integer
+   */
+  function randomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+  }
+
+  /**
+   * Turn player input into a seed. Whole numbers are used as-is; any other
+   * text is hashed (FNV-1a), so a word or phrase works as a seed too.
+   * @param {string|number} input
+   * @returns {number|null} Unsigned 32-bit seed, or null for blank input
+   */
+  function parseSeed(input) {
+    if (typeof input === 'number') return input >>> 0;
+    const text = String(input === undefined || input === null ? '' : input).trim();
+    if (text === '') return null;
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+
+  /**
+   * Create a new stream at position 0.
+   * @param {string|number} [seed] - Random if omitted or blank
+   * @returns {{ seed: number, position: number }}
+   */
+  function createStream(seed) {
+    const parsed = parseSeed(seed);
+    return { seed: parsed === null ? randomSeed() : parsed, position: 0 };
+  }
+
+  /**
+   * Make a stream the active one. The object is used live, not copied.
+   * @param {{ seed: number, position: number }} s
+   */
+  function use(s) {
+    stream = s;
+  }
+
+  /**
+   * Start a new stream from a seed and make it active.
+   * @returns {{ seed: number, position: number }}
+   */
+  function seed(value) {
+    use(createStream(value));
+    return stream;
+  }
+
+  /**
+   * The active stream.
+   */
+  function current() {
+    return stream;
+  }
+
+  /**
+   * Next float in [0, 1) from the active stream (mulberry32).
+   * @returns {number}
+   */
+  function next() {
+    stream.position++;
+    let t = (stream.seed + Math.imul(stream.position, GOLDEN)) | 0;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  }
+
+  /**
+   * Next integer in [0, max) from the active stream.
+   * @param {number} max
+   * @returns {number}
+   */
+  function int(max) {
+    return Math.floor(next() * max);
+  }
+
+  return {
+    parseSeed,
+    createStream,
+    use,
+    seed,
+    current,
+    next,
+    int,
+  };
+})();
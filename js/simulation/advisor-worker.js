@@ -0,0 +1,25 @@
+/**
+ * Web Worker entry point for Advisor.advise on the game page.
+ * Loads the engine and the simulator, then answers Advisor.serve messages.
+ *
+ * Usage (from a page): Advisor.advise(state, { createWorker: Batch.webWorkers('js/simulation/advisor-worker.js') })
+ */
+
+importScripts(
+  '../rng.js',
+  '../state.js',
+  '../dice.js',
+  '../deck.js',
+  '../choices.js',
+  '../operations.js',
+  '../assignments.js',
+  '../crackdown.js',
+  '../turn.js',
+  '../events.js',
+  'simulator.js',
+  'strategies.js',
+  'advisor.js'
+);
+
+const onMessage = Advisor.serve(message => self.postMessage(message));
+self.onmessage = event => onMessage(event.data);
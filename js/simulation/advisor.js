@@ -0,0 +1,319 @@
+/**
+ * Turn Advisor for The Good Fight TTRPG.
+ * Recommends what to do this turn by Monte Carlo look-ahead: each candidate
+ * action set is played on copies of the game, with the real engine, followed
+ * by a few turns of a rollout strategy, many times over. The candidates are
+ * ranked by what those continuations averaged: Influence gained, Heat at the
+ * end, and how often a crackdown struck.
+ *
+ * Every candidate is played against the same rollout seeds, so two
+ * candidates differ by what they do rather than by the luck they drew, and a
+ * seeded run ranks the same way every time.
+ *
+ * The game page runs it in a worker (advisor-worker.js) so the screen stays
+ * responsive; without one it runs in this thread, yielding now and then,
+ * and leaves the engine's Rng stream and providers as it found them. Between
+ * those yields the engine is borrowed, so the page locks play meanwhile.
+ */
+const Advisor = (() => {
+
+  /**
+   * Default settings.
+   *   rollouts — continuations played per candidate
+   *   horizon  — turns each continuation runs, this one included
+   *   strategy — registered strategy that plays the turns after this one
+   *   weights  — score = influence × Influence gained − heat × final Heat
+   *              − crackdown × crackdown chance (in %)
+   */
+  const DEFAULTS = {
+    rollouts: 200,
+    horizon: 3,
+    strategy: 'balanced',
+    weights: { influence: 1, heat: 0.5, crackdown: 0.2 },
+  };
+
+  /** Rollouts between yields to the event loop when running in this thread. */
+  const YIELD_EVERY = 20;
+
+  /** Operations offered on their own as a candidate, when the cell can field them. */
+  const FOCUS_OPERATIONS = [
+    'minor_vandalism',
+    'average_vandalism',
+    'significant_vandalism',
+    'gather_supplies',
+    'scout',
+    'late_game_scout',
+  ];
+
+  // ─── Candidates ─────────────────────────────────────────────────────────────
+
+  /**
+   * The smallest team that meets an operation's requirements: the strongest
+   * free operatives when their values count towards the check, otherwise the
+   * weakest, keeping the strong ones free.
+   * @returns {Array|null} Cards, or null if too few are free
+   */
+  function pickTeam(state, operationId) {
+    const needed = Operations.OPERATION_REQS[operationId].operatives;
+    const free = Assignments.getAvailable(state);
+    if (free.length < needed) return null;
+    const strongest = Operations.CHECKS[operationId] === 'operatives';
+    return free.sort((a, b) => strongest ? b.value - a.value : a.value - b.value).slice(0, needed);
+  }
+
+  function operationAction(state, operationId, opportunity) {
+    const team = pickTeam(state, operationId);
+    if (!team) return null;
+    const options = opportunity ? { influenceThreshold: opportunity.influenceThreshold } : undefined;
+    if (!Operations.canExecute(operationId, state, team, options)) return null;
+    const action = { type: 'operation', operation: operationId, operativeIds: team.map(Assignments.operativeId) };
+    if (opportunity) action.opportunityId = opportunity.id;
+    return action;
+  }
+
+  /**
+   * A short description of an action set, e.g. "Scout/Recon (4), Recruit 7♥".
+   */
+  function describe(state, actions) {
+    if (actions.length === 0) return 'Hold back';
+    const suits = { hearts: '♥', diamonds: '♦', clubs: '♣', spades: '♠' };
+    return actions.map(action => {
+      if (action.type === 'recruit') {
+        const card = Deck.cardFromId(action.cardId);
+        return `Recruit ${card.rank}${suits[card.suit]}${action.burnSupply ? ' (d12)' : ''}`;
+      }
+      const opportunity = [...state.availableMidGameOps, ...state.availableLateGameOps]
+        .find(op => op.id === action.opportunityId);
+      const name = opportunity ? opportunity.name : Operations.OPERATION_INFO[action.operation].name;
+      return `${name} (${action.operativeIds.length})`;
+    }).join(', ');
+  }
+
+  /**
+   * Action sets worth comparing this turn: holding back, each operation the
+   * cell can field on its own (scouted opportunities included), and the full
+   * turn each preset strategy would play. Duplicates are dropped.
+   * @param {object} state
+   * @returns {Array<{ label: string, actions: object[] }>}
+   */
+  function candidates(state) {
+    const single = (action) => ({ label: action && describe(state, [action]), actions: [action] });
+    const sets = [{ label: describe(state, []), actions: [] }];
+    for (const operationId of FOCUS_OPERATIONS) sets.push(single(operationAction(state, operationId)));
+    for (const opportunity of state.availableMidGameOps) sets.push(single(operationAction(state, 'mid_game_op', opportunity)));
+    for (const opportunity of state.availableLateGameOps) sets.push(single(operationAction(state, 'late_game_op', opportunity)));
+    for (const name of Object.keys(Strategies.PRESETS)) {
+      const actions = Strategies.get(name)(state);
+      const plan = `${name[0].toUpperCase()}${name.slice(1)} plan`;
+      sets.push({ label: actions.length > 0 ? `${plan}: ${describe(state, actions)}` : plan, actions });
+    }
+
+    const seen = new Set();
+    return sets
+      .filter(set => set.actions.every(Boolean))
+      .filter(set => {
+        const key = JSON.stringify(set.actions);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  // ─── Rollouts ───────────────────────────────────────────────────────────────
+
+  /**
+   * A copy of the game to play on, with its own Rng stream. The unseen cards
+   * are reshuffled from that stream, so a rollout never draws in the real
+   * deck's order; physical-mode games take them from the cards not on the
+   * table instead of the deck record.
+   */
+  function cloneGame(state, seed) {
+    const game = JSON.parse(JSON.stringify({ ...state, eventLog: null, turnLog: [] }));
+    game.rng = Rng.createStream(seed);
+    Rng.use(game.rng);
+    let unseen;
+    if (game.inputMode.cards === 'physical') {
+      const placed = new Set([
+        ...game.recruitPool,
+        ...game.operatives,
+        ...game.initiates.map(i => i.card),
+        ...game.detainedOperatives.map(d => d.card),
+      ].map(Deck.cardId));
+      unseen = (card) => !placed.has(Deck.cardId(card));
+    } else {
+      const inDeck = new Set(game.recruitDeck.map(Deck.cardId));
+      unseen = (card) => inDeck.has(Deck.cardId(card));
+    }
+    // Laid out in a fresh deck's order first, so the real order can't carry through the shuffle
+    game.recruitDeck = Deck.createDeck().filter(unseen);
+    Deck.shuffle(game.recruitDeck);
+    return game;
+  }
+
+  /**
+   * Play one continuation: the candidate's actions this turn, then the
+   * rollout strategy for the rest of the horizon. Actions that are no longer
+   * legal are skipped, as the Simulator does.
+   * @returns {Promise<{ influence: number, heat: number, crackdown: boolean, victory: boolean }>}
+   */
+  async function rollout(state, actions, seed, strategy, horizon) {
+    const game = cloneGame(state, seed);
+    let crackdown = false;
+    let victory = false;
+    for (let turn = 0; turn < horizon && !victory; turn++) {
+      const planned = turn === 0 ? actions : (await strategy(game)) || [];
+      for (const action of planned) {
+        try {
+          await Simulator.performAction(game, action);
+        } catch (err) {
+          // Not legal after the dice so far; the turn goes on without it
+        }
+      }
+      const secondPenaltyChoice = strategy.secondPenaltyChoice ? strategy.secondPenaltyChoice(game) : undefined;
+      const report = await EventLog.perform(game, 'end_turn', { secondPenaltyChoice });
+      crackdown = crackdown || report.crackdown.triggered;
+      victory = report.victory;
+    }
+    return { influence: game.influence - state.influence, heat: game.heat, crackdown, victory };
+  }
+
+  function yieldToEventLoop() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  /**
+   * Play every candidate's continuations in this thread and rank them.
+   * The engine's Rng stream and Dice/Deck/Choices providers are borrowed until
+   * it settles, yields included, and restored after; nothing else may act on
+   * a game meanwhile.
+   *
+   * @param {object} state - The game as it stands; not modified
+   * @param {object} [options] - See DEFAULTS, plus seed
+   * @returns {Promise<object>} See advise
+   */
+  async function evaluate(state, options) {
+    const settings = { ...DEFAULTS, ...options, weights: { ...DEFAULTS.weights, ...(options && options.weights) } };
+    const seed = Rng.createStream(settings.seed).seed;
+    const strategy = Strategies.get(settings.strategy);
+
+    const saved = { rng: Rng.current(), dice: Dice.getProvider(), deck: Deck.getProvider(), choices: Choices.getProvider() };
+    Dice.setProvider(null);
+    Deck.setProvider(null);
+    Choices.setProvider(null);
+    try {
+      const ranked = [];
+      let played = 0;
+      for (const candidate of candidates(state)) {
+        const totals = { influence: 0, heat: 0, crackdowns: 0, victories: 0 };
+        for (let i = 0; i < settings.rollouts; i++) {
+          const result = await rollout(state, candidate.actions, Rng.parseSeed(`${seed}/${i}`), strategy, settings.horizon);
+          totals.influence += result.influence;
+          totals.heat += result.heat;
+          if (result.crackdown) totals.crackdowns++;
+          if (result.victory) totals.victories++;
+          if (++played % YIELD_EVERY === 0) await yieldToEventLoop();
+        }
+        ranked.push(summarize(candidate, totals, settings));
+      }
+      ranked.sort((a, b) => b.score - a.score);
+      return { seed, rollouts: settings.rollouts, horizon: settings.horizon, strategy: settings.strategy, ranked };
+    } finally {
+      Rng.use(saved.rng);
+      Dice.setProvider(saved.dice);
+      Deck.setProvider(saved.deck);
+      Choices.setProvider(saved.choices);
+    }
+  }
+
+  function summarize(candidate, totals, settings) {
+    const n = settings.rollouts;
+    const influence = totals.influence / n;
+    const heat = totals.heat / n;
+    const crackdownChance = totals.crackdowns / n;
+    const { weights } = settings;
+    return {
+      ...candidate,
+      influence,
+      heat,
+      crackdownChance,
+      victoryChance: totals.victories / n,
+      score: weights.influence * influence - weights.heat * heat - weights.crackdown * crackdownChance * 100,
+    };
+  }
+
+  // ─── Worker Side ────────────────────────────────────────────────────────────
+
+  /**
+   * Message handler for a worker. Request: { type: 'advise', state, options }
+   * Replies: { type: 'done', advice } | { type: 'error', message }
+   * @param {Function} post - Sends a message back to the main thread
+   * @returns {Function} (message) => void
+   */
+  function serve(post) {
+    return async function onMessage(message) {
+      if (message.type !== 'advise') return;
+      try {
+        post({ type: 'done', advice: await evaluate(message.state, message.options) });
+      } catch (err) {
+        post({ type: 'error', message: err.message });
+      }
+    };
+  }
+
+  // ─── Main Side ──────────────────────────────────────────────────────────────
+
+  /**
+   * Rank this turn's candidate action sets.
+   *
+   * With a createWorker factory (see Batch.webWorkers) the rollouts run in a
+   * worker; without one, or where the browser refuses workers, in this thread.
+   *
+   * @param {object} state - The game as it stands; not modified
+   * @param {object} [options]
+   * @param {number} [options.rollouts=200]
+   * @param {number} [options.horizon=3]
+   * @param {string} [options.strategy='balanced']
+   * @param {object} [options.weights]
+   * @param {string|number} [options.seed] - Random if omitted
+   * @param {Function} [options.createWorker]
+   * @returns {Promise<object>} { seed, rollouts, horizon, strategy, ranked: [{
+   *   label, actions, influence, heat, crackdownChance, victoryChance, score }] }, best first
+   */
+  function advise(state, options) {
+    options = options || {};
+    const { createWorker, ...settings } = options;
+    let worker = null;
+    if (createWorker) {
+      try {
+        worker = createWorker();
+      } catch (err) {
+        // Browsers refuse workers on pages opened from file://; think in this thread instead
+        worker = null;
+      }
+    }
+    if (!worker) return evaluate(state, settings);
+
+    return new Promise((resolve, reject) => {
+      worker.onMessage(message => {
+        worker.terminate();
+        if (message.type === 'done') resolve(message.advice);
+        else reject(new Error(message.message));
+      });
+      worker.onError(err => {
+        worker.terminate();
+        reject(err);
+      });
+      worker.post({ type: 'advise', state: { ...state, eventLog: null }, options: settings });
+    });
+  }
+
+  // ─── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    DEFAULTS,
+    candidates,
+    evaluate,
+    serve,
+    advise,
+  };
+})();
@@ -0,0 +1,173 @@
+/**
+ * Batch Aggregates for The Good Fight TTRPG simulator.
+ * Summary statistics over a batch's game records (Metrics.gameMetrics):
+ * win rate with a confidence interval, distributions, per-turn resource
+ * curves with percentile bands, crackdown tier counts and histograms.
+ */
+const Aggregate = (() => {
+
+  /** Resources charted as per-turn curves. */
+  const CURVE_KEYS = ['influence', 'heat', 'supplies', 'operatives'];
+
+  // ─── Statistics ─────────────────────────────────────────────────────────────
+
+  /**
+   * Percentile of an ascending-sorted array, interpolating between ranks.
+   * @param {number[]} sorted
+   * @param {number} p - 0 to 100
+   * @returns {number|null} null for an empty array
+   */
+  function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const rank = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+  }
+
+  /**
+   * Distribution summary of a list of numbers.
+   * @param {number[]} values
+   * @returns {object} { count, min, max, mean, median, p25, p75, stdDev } (nulls when empty)
+   */
+  function summarize(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const count = sorted.length;
+    if (count === 0) {
+      return { count, min: null, max: null, mean: null, median: null, p25: null, p75: null, stdDev: null };
+    }
+    const mean = sorted.reduce((a, b) => a + b, 0) / count;
+    const variance = sorted.reduce((sum, v) => sum + (v - mean) ** 2, 0) / count;
+    return {
+      count,
+      min: sorted[0],
+      max: sorted[count - 1],
+      mean,
+      median: percentile(sorted, 50),
+      p25: percentile(sorted, 25),
+      p75: percentile(sorted, 75),
+      stdDev: Math.sqrt(variance),
+    };
+  }
+
+  /**
+   * Win rate with a 95% Wilson score interval, which stays sensible at
+   * small game counts and at rates near 0% or 100%.
+   * @param {object[]} games
+   * @returns {{ wins, games, rate, low, high }}
+   */
+  function winRate(games) {
+    const n = games.length;
+    const wins = games.filter(g => g.outcome === 'win').length;
+    if (n === 0) return { wins, games: n, rate: 0, low: 0, high: 0 };
+    const z = 1.96;
+    const rate = wins / n;
+    const centre = (rate + z * z / (2 * n)) / (1 + z * z / n);
+    const margin = (z / (1 + z * z / n)) * Math.sqrt(rate * (1 - rate) / n + z * z / (4 * n * n));
+    return { wins, games: n, rate, low: Math.max(0, centre - margin), high: Math.min(1, centre + margin) };
+  }
+
+  // ─── Curves & Distributions ─────────────────────────────────────────────────
+
+  /**
+   * Per-turn percentiles of one resource across games. Games that ended
+   * before a turn drop out of it, so `count` shows how many are still going.
+   * @param {object[]} games - Records with turnMetrics
+   * @param {string} key - A Metrics.TURN_COLUMNS field
+   * @returns {Array<{ turn, count, p10, p25, median, p75, p90 }>}
+   */
+  function resourceCurve(games, key) {
+    const byTurn = [];
+    for (const game of games) {
+      game.turnMetrics.forEach((row, i) => {
+        (byTurn[i] || (byTurn[i] = [])).push(row[key]);
+      });
+    }
+    return byTurn.map((values, i) => {
+      const sorted = values.sort((a, b) => a - b);
+      return {
+        turn: i + 1,
+        count: sorted.length,
+        p10: percentile(sorted, 10),
+        p25: percentile(sorted, 25),
+        median: percentile(sorted, 50),
+        p75: percentile(sorted, 75),
+        p90: percentile(sorted, 90),
+      };
+    });
+  }
+
+  /**
+   * Total crackdowns at each tier across games.
+   * @returns {number[]} One count per Crackdown tier
+   */
+  function crackdownTiers(games) {
+    const totals = Crackdown.TIERS.map(() => 0);
+    for (const game of games) {
+      game.crackdownsByTier.forEach((n, i) => { totals[i] += n; });
+    }
+    return totals;
+  }
+
+  /**
+   * Bucket values into fixed-width bins starting at a multiple of the width.
+   * Pass an extent to get matching bins for several series.
+   * @param {number[]} values
+   * @param {number} binSize
+   * @param {[number, number]} [extent] - [min, max] to cover; the values' own range if omitted
+   * @returns {Array<{ from, to, count }>} `to` is exclusive
+   */
+  function histogram(values, binSize, extent) {
+    if (!extent && values.length === 0) return [];
+    const [min, max] = extent || [Math.min(...values), Math.max(...values)];
+    const first = Math.floor(min / binSize) * binSize;
+    const last = Math.floor(max / binSize) * binSize;
+    const bins = [];
+    for (let from = first; from <= last; from += binSize) {
+      bins.push({ from, to: from + binSize, count: 0 });
+    }
+    for (const v of values) {
+      bins[Math.floor((v - first) / binSize)].count++;
+    }
+    return bins;
+  }
+
+  /**
+   * Everything the dashboard shows for one batch.
+   * @param {object} batch - Batch.run result
+   * @returns {object}
+   */
+  function aggregate(batch) {
+    const games = batch.games;
+    const wins = games.filter(g => g.outcome === 'win');
+    const curves = {};
+    for (const key of CURVE_KEYS) curves[key] = resourceCurve(games, key);
+    const outcomes = {};
+    for (const g of games) outcomes[g.outcome] = (outcomes[g.outcome] || 0) + 1;
+    return {
+      strategy: batch.strategy,
+      totalGames: games.length,
+      outcomes,
+      winRate: winRate(games),
+      turnCount: summarize(games.map(g => g.turns)),
+      turnsToVictory: summarize(wins.map(g => g.turns)),
+      peakHeat: summarize(games.map(g => g.peakHeat)),
+      crackdownsPerGame: summarize(games.map(g => g.totalCrackdowns)),
+      crackdownTierDistribution: crackdownTiers(games),
+      curves,
+    };
+  }
+
+  // ─── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    CURVE_KEYS,
+    percentile,
+    summarize,
+    winRate,
+    resourceCurve,
+    crackdownTiers,
+    histogram,
+    aggregate,
+  };
+})();
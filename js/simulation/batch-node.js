@@ -0,0 +1,120 @@
+/**
+ * Run simulation batches in Node across worker_threads.
+ *
+ * Each worker loads its own copy of the engine with node-engine.js and
+ * answers Batch.serve messages; the main thread runs Batch.run to hand out
+ * chunks and merge the results.
+ *
+ * Usage (module):
+ *   const { runBatch } = require('./js/simulation/batch-node');
+ *   const batch = await runBatch({ strategy: 'balanced', count: 10000, seed: 42 });
+ *
+ * Usage (CLI):
+ *   node js/simulation/batch-node.js [--strategy <name>] [--games <n>] [--seed <seed>]
+ *                                    [--workers <n>] [--max-turns <n>] [--json]
+ *                                    [--csv <file>] [--json-file <file>]
+ *
+ * --json prints the whole batch to stdout instead of the summary. --csv writes
+ * one row per game-turn (Metrics.toCSV); --json-file writes the batch as JSON.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const { Worker, isMainThread, parentPort } = require('worker_threads');
+const { loadEngine } = require('./node-engine');
+
+if (!isMainThread) {
+  const { Batch } = loadEngine();
+  const onMessage = Batch.serve(message => parentPort.postMessage(message));
+  parentPort.on('message', onMessage);
+}
+
+/** createWorker adapter for Batch.run. */
+function createWorker() {
+  const worker = new Worker(__filename);
+  return {
+    post: message => worker.postMessage(message),
+    onMessage: fn => worker.on('message', fn),
+    onError: fn => worker.on('error', fn),
+    terminate: () => worker.terminate(),
+  };
+}
+
+/**
+ * Run a batch on worker threads. Takes the same options as Batch.run;
+ * `workers` defaults to one per CPU.
+ * @returns {Promise<object>} The batch result
+ */
+function runBatch(options) {
+  const { Batch } = loadEngine();
+  return Batch.run({
+    workers: os.cpus().length,
+    ...options,
+    createWorker,
+  });
+}
+
+// ─── CLI ──────────────────────────────────────────────────────────────────────
+
+function parseArgs(argv) {
+  const args = {
+    strategy: 'balanced', count: 100, seed: undefined, workers: undefined, maxTurns: undefined,
+    json: false, csvFile: null, jsonFile: null,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--strategy') args.strategy = argv[++i];
+    else if (argv[i] === '--games') args.count = parseInt(argv[++i], 10);
+    else if (argv[i] === '--seed') args.seed = argv[++i];
+    else if (argv[i] === '--workers') args.workers = parseInt(argv[++i], 10);
+    else if (argv[i] === '--max-turns') args.maxTurns = parseInt(argv[++i], 10);
+    else if (argv[i] === '--json') args.json = true;
+    else if (argv[i] === '--csv') args.csvFile = argv[++i];
+    else if (argv[i] === '--json-file') args.jsonFile = argv[++i];
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const controller = new AbortController();
+  process.on('SIGINT', () => controller.abort());
+
+  const options = {
+    strategy: args.strategy,
+    count: args.count,
+    seed: args.seed,
+    maxTurns: args.maxTurns,
+    signal: controller.signal,
+    onProgress: (done, total) => process.stderr.write(`\r${done}/${total} games`),
+  };
+  if (args.workers !== undefined) options.workers = args.workers;
+  const batch = await runBatch(options);
+  process.stderr.write('\n');
+
+  const { Metrics } = loadEngine();
+  if (args.csvFile) fs.writeFileSync(args.csvFile, Metrics.toCSV(batch.games));
+  if (args.jsonFile) fs.writeFileSync(args.jsonFile, Metrics.toJSON(batch));
+  if (args.json) {
+    console.log(Metrics.toJSON(batch));
+    return;
+  }
+
+  const wins = batch.games.filter(g => g.outcome === 'win');
+  const rate = batch.completed ? (100 * wins.length / batch.completed).toFixed(1) : '0.0';
+  console.log(`${batch.strategy} — batch seed ${batch.seed}: ${batch.completed}/${batch.count} games${batch.cancelled ? ' (cancelled)' : ''}`);
+  console.log(`  Wins ${wins.length} (${rate}%)`);
+  if (wins.length > 0) {
+    const turns = wins.map(g => g.turns);
+    const mean = turns.reduce((a, b) => a + b, 0) / turns.length;
+    console.log(`  Turns to victory: min ${Math.min(...turns)}  mean ${mean.toFixed(1)}  max ${Math.max(...turns)}`);
+  }
+}
+
+if (isMainThread && require.main === module) {
+  main().catch(err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
+
+module.exports = { runBatch };
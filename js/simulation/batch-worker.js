@@ -0,0 +1,26 @@
+/**
+ * Web Worker entry point for Batch.run in the browser.
+ * Loads the same engine scripts as the page, then answers Batch.serve messages.
+ *
+ * Usage (from a page): Batch.run({ ..., createWorker: Batch.webWorkers('js/simulation/batch-worker.js') })
+ */
+
+importScripts(
+  '../rng.js',
+  '../state.js',
+  '../dice.js',
+  '../deck.js',
+  '../choices.js',
+  '../operations.js',
+  '../assignments.js',
+  '../crackdown.js',
+  '../turn.js',
+  '../events.js',
+  'simulator.js',
+  'strategies.js',
+  'metrics.js',
+  'batch.js'
+);
+
+const onMessage = Batch.serve(message => self.postMessage(message));
+self.onmessage = event => onMessage(event.data);
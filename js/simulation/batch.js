@@ -0,0 +1,307 @@
+/**
+ * Batch Simulation Runner for The Good Fight TTRPG.
+ * Plays many games of one strategy, fanned out across workers (Web Workers in
+ * the browser, worker_threads in Node) that each load the same engine scripts.
+ *
+ * Every game gets its own seed derived from the batch seed and its index, and
+ * results are put back in index order, so a batch replays identically however
+ * many workers ran it and in whatever order they finished.
+ *
+ * Strategies cross the worker boundary as a spec, not a function:
+ *   'balanced'              — a registered strategy name
+ *   { params: {...} }       — a Strategies.create parameter object
+ *
+ * Platform glue lives outside the engine: batch-worker.js (browser worker),
+ * batch-node.js (Node workers and CLI). Both talk to Batch.serve().
+ */
+const Batch = (() => {
+
+  /** Games a worker plays per request; also how often progress is reported. */
+  const CHUNK_SIZE = 25;
+
+  // ─── Seeds & Strategies ─────────────────────────────────────────────────────
+
+  /**
+   * Seed for one game of a batch.
+   * @param {number} batchSeed
+   * @param {number} index - Game index within the batch
+   * @returns {number}
+   */
+  function gameSeed(batchSeed, index) {
+    return Rng.parseSeed(`${batchSeed}/${index}`);
+  }
+
+  /**
+   * Turn a strategy spec into a strategy function.
+   * Functions are accepted too, for in-process runs only.
+   */
+  function resolveStrategy(spec) {
+    if (typeof spec === 'function') return spec;
+    if (typeof spec === 'string') return Strategies.get(spec);
+    if (spec && spec.params) return Strategies.create(spec.params);
+    throw new Error('Strategy must be a registered name or { params }');
+  }
+
+  /** Label for a strategy spec in results. */
+  function strategyName(spec) {
+    if (typeof spec === 'string') return spec;
+    if (typeof spec === 'function') return spec.strategyName || 'custom';
+    return (spec && spec.name) || 'custom';
+  }
+
+  // ─── Game Records ───────────────────────────────────────────────────────────
+
+  /**
+   * The record kept for each game: its Metrics.gameMetrics, tagged with its
+   * place in the batch. Snapshots are only kept on request: they dwarf
+   * everything else at batch sizes.
+   * @param {number} index
+   * @param {object} result - Simulator.runGame result
+   * @param {object} [options] - { strategy: name, includeSnapshots }
+   */
+  function summarizeGame(index, result, options) {
+    options = options || {};
+    const record = { gameIndex: index, strategy: options.strategy || 'custom', ...Metrics.gameMetrics(result) };
+    if (options.includeSnapshots) record.snapshots = result.snapshots;
+    return record;
+  }
+
+  // ─── In-Process Runner ──────────────────────────────────────────────────────
+
+  function yieldToEventLoop() {
+    return new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  /**
+   * Play games [start, end) of a batch one after another in this thread.
+   * Yields to the event loop between chunks so a page stays responsive and a
+   * worker can receive a cancel message.
+   *
+   * @param {object} options
+   * @param {string|object|Function} options.strategy - Strategy spec
+   * @param {number} options.batchSeed
+   * @param {number} options.start
+   * @param {number} options.end
+   * @param {number} [options.maxTurns]
+   * @param {boolean} [options.includeSnapshots]
+   * @param {Function} [options.onGame] - (record) after each game
+   * @param {Function} [options.isCancelled] - () => boolean, checked between games
+   * @returns {Promise<object[]>} Game records, in index order
+   */
+  async function runGames(options) {
+    const strategy = resolveStrategy(options.strategy);
+    const name = strategyName(options.strategy);
+    const records = [];
+    for (let index = options.start; index < options.end; index++) {
+      if (options.isCancelled && options.isCancelled()) break;
+      const result = await Simulator.runGame(strategy, {
+        seed: gameSeed(options.batchSeed, index),
+        maxTurns: options.maxTurns,
+      });
+      const record = summarizeGame(index, result, { strategy: name, includeSnapshots: options.includeSnapshots });
+      records.push(record);
+      if (options.onGame) options.onGame(record);
+      if ((index - options.start + 1) % CHUNK_SIZE === 0) await yieldToEventLoop();
+    }
+    return records;
+  }
+
+  // ─── Worker Side ────────────────────────────────────────────────────────────
+
+  /**
+   * Message handler for a worker. Requests:
+   *   { type: 'run', strategy, batchSeed, start, end, maxTurns, includeSnapshots }
+   *   { type: 'cancel' }
+   * Replies:
+   *   { type: 'done', start, records } | { type: 'error', message }
+   *
+   * @param {Function} post - Sends a message back to the main thread
+   * @returns {Function} (message) => void
+   */
+  function serve(post) {
+    let cancelled = false;
+    return async function onMessage(message) {
+      if (message.type === 'cancel') {
+        cancelled = true;
+        return;
+      }
+      if (message.type !== 'run') return;
+      try {
+        const records = await runGames({ ...message, isCancelled: () => cancelled });
+        if (!cancelled) post({ type: 'done', start: message.start, records });
+      } catch (err) {
+        post({ type: 'error', message: err.message });
+      }
+    };
+  }
+
+  // ─── Main Side ──────────────────────────────────────────────────────────────
+
+  /**
+   * Run a batch.
+   *
+   * With a createWorker factory, chunks of CHUNK_SIZE games are handed to
+   * `workers` workers as each one frees up. Without one (or with workers: 0)
+   * the games run in this thread. createWorker returns an adapter:
+   *   { post(message), onMessage(fn), onError(fn), terminate() }
+   *
+   * @param {object} options
+   * @param {string|object} options.strategy - Strategy spec
+   * @param {number} options.count - Number of games
+   * @param {string|number} [options.seed] - Batch seed; random if omitted
+   * @param {number} [options.maxTurns]
+   * @param {boolean} [options.includeSnapshots]
+   * @param {number} [options.workers=1]
+   * @param {Function} [options.createWorker]
+   * @param {Function} [options.onProgress] - (completed, total)
+   * @param {AbortSignal} [options.signal] - Abort to cancel; the batch resolves with what finished
+   * @returns {Promise<object>} { seed, strategy, count, completed, cancelled, games }
+   */
+  function run(options) {
+    const batchSeed = Rng.createStream(options.seed).seed;
+    const count = options.count;
+    const job = {
+      strategy: options.strategy,
+      batchSeed,
+      maxTurns: options.maxTurns,
+      includeSnapshots: !!options.includeSnapshots,
+    };
+    const finish = (games, cancelled) => ({
+      seed: batchSeed,
+      strategy: strategyName(options.strategy),
+      count,
+      completed: games.length,
+      cancelled,
+      games,
+    });
+
+    let workers = [];
+    if (options.createWorker) {
+      const wanted = Math.min(options.workers === undefined ? 1 : options.workers, Math.ceil(count / CHUNK_SIZE));
+      try {
+        for (let i = 0; i < wanted; i++) workers.push(options.createWorker());
+      } catch (err) {
+        // Browsers refuse workers on pages opened from file://; play in this thread instead
+        workers.forEach(w => w.terminate());
+        workers = [];
+      }
+    }
+    if (workers.length === 0) return runInProcess(job, count, options, finish);
+    return runInWorkers(job, count, workers, options, finish);
+  }
+
+  async function runInProcess(job, count, options, finish) {
+    const signal = options.signal;
+    let completed = 0;
+    const games = await runGames({
+      ...job,
+      start: 0,
+      end: count,
+      isCancelled: () => !!(signal && signal.aborted),
+      onGame: () => {
+        completed++;
+        if (options.onProgress && (completed % CHUNK_SIZE === 0 || completed === count)) {
+          options.onProgress(completed, count);
+        }
+      },
+    });
+    return finish(games, games.length < count);
+  }
+
+  function runInWorkers(job, count, workers, options, finish) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      for (let start = 0; start < count; start += CHUNK_SIZE) {
+        chunks.push({ start, end: Math.min(start + CHUNK_SIZE, count) });
+      }
+      const results = new Array(chunks.length);
+      let nextChunk = 0;
+      let completed = 0;
+      let settled = false;
+
+      // Records are stored by chunk and flattened in chunk order, so the
+      // merge doesn't depend on which worker finished first.
+      const merged = () => results.filter(Boolean).flat();
+
+      function settle(error, cancelled) {
+        if (settled) return;
+        settled = true;
+        workers.forEach(w => w.terminate());
+        if (options.signal) options.signal.removeEventListener('abort', onAbort);
+        if (error) reject(error);
+        else resolve(finish(merged(), cancelled));
+      }
+
+      function onAbort() {
+        workers.forEach(w => w.post({ type: 'cancel' }));
+        settle(null, true);
+      }
+
+      function dispatch(worker) {
+        if (nextChunk >= chunks.length) return;
+        const chunk = chunks[nextChunk++];
+        worker.post({ type: 'run', ...job, start: chunk.start, end: chunk.end });
+      }
+
+      function onMessage(worker, message) {
+        if (settled) return;
+        if (message.type === 'error') {
+          settle(new Error(message.message));
+          return;
+        }
+        if (message.type !== 'done') return;
+        results[message.start / CHUNK_SIZE] = message.records;
+        completed += message.records.length;
+        if (options.onProgress) options.onProgress(completed, count);
+        if (completed >= count) settle(null, false);
+        else dispatch(worker);
+      }
+
+      if (options.signal) {
+        if (options.signal.aborted) {
+          settle(null, true);
+          return;
+        }
+        options.signal.addEventListener('abort', onAbort);
+      }
+
+      for (const worker of workers) {
+        worker.onMessage(message => onMessage(worker, message));
+        worker.onError(err => settle(err));
+        dispatch(worker);
+      }
+    });
+  }
+
+  // ─── Browser Workers ────────────────────────────────────────────────────────
+
+  /**
+   * createWorker factory for Web Workers running batch-worker.js.
+   * @param {string} url - Path to batch-worker.js from the page
+   * @returns {Function}
+   */
+  function webWorkers(url) {
+    return function createWorker() {
+      const worker = new Worker(url);
+      return {
+        post: message => worker.postMessage(message),
+        onMessage: fn => { worker.onmessage = event => fn(event.data); },
+        onError: fn => { worker.onerror = event => fn(new Error(event.message || 'Worker failed to load')); },
+        terminate: () => worker.terminate(),
+      };
+    };
+  }
+
+  // ─── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    CHUNK_SIZE,
+    gameSeed,
+    resolveStrategy,
+    summarizeGame,
+    runGames,
+    serve,
+    run,
+    webWorkers,
+  };
+})();
@@ -0,0 +1,152 @@
+/**
+ * SVG Charts for the simulation dashboard.
+ * Each function returns SVG markup for a container's innerHTML, so charts
+ * need no library and render the same in the test runner. Series are styled
+ * by CSS class (series-0, series-1, …); hovering a bar or point shows its
+ * value through an SVG <title>.
+ */
+const Charts = (() => {
+
+  const WIDTH = 560;
+  const HEIGHT = 240;
+  const PAD = { top: 12, right: 12, bottom: 36, left: 48 };
+
+  // ─── Helpers ────────────────────────────────────────────────────────────────
+
+  function escapeText(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  function round(n) {
+    return Math.round(n * 10) / 10;
+  }
+
+  /**
+   * Round a maximum up to 1, 2 or 5 × a power of ten so the axis ticks are tidy.
+   */
+  function niceMax(value) {
+    if (!(value > 0)) return 1;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+    const step = [1, 2, 5, 10].find(s => s * magnitude >= value);
+    return step * magnitude;
+  }
+
+  /** Map a value in [0, max] to a y pixel. */
+  function yScale(max) {
+    const plot = HEIGHT - PAD.top - PAD.bottom;
+    return v => PAD.top + plot - (v / max) * plot;
+  }
+
+  function frame(content, yMax, yFormat) {
+    const y = yScale(yMax);
+    const ticks = [0, 0.25, 0.5, 0.75, 1].map(f => {
+      const value = yMax * f;
+      return `<g class="tick"><line x1="${PAD.left}" x2="${WIDTH - PAD.right}" y1="${round(y(value))}" y2="${round(y(value))}"></line>` +
+        `<text x="${PAD.left - 6}" y="${round(y(value)) + 4}" text-anchor="end">${escapeText(yFormat(value))}</text></g>`;
+    }).join('');
+    return `<svg class="chart" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img">${ticks}${content}</svg>`;
+  }
+
+  /**
+   * Legend markup for a list of series names.
+   * @param {string[]} names
+   * @returns {string} HTML
+   */
+  function legend(names) {
+    return `<div class="chart-legend">${names.map((name, i) =>
+      `<span class="legend-item"><span class="swatch series-${i}"></span>${escapeText(name)}</span>`
+    ).join('')}</div>`;
+  }
+
+  // ─── Bar Chart ──────────────────────────────────────────────────────────────
+
+  /**
+   * Grouped bar chart: one group per label, one bar per series.
+   * @param {object} options
+   * @param {string[]} options.labels - Group labels along the x axis
+   * @param {Array<{ name, values: number[], errors?: Array<[low, high]> }>} options.series
+   * @param {number} [options.max] - y axis maximum; rounded up from the data if omitted
+   * @param {Function} [options.format] - Value → axis/tooltip text
+   * @returns {string} SVG markup
+   */
+  function barChart(options) {
+    const format = options.format || (v => String(round(v)));
+    const dataMax = Math.max(0, ...options.series.flatMap(s => [
+      ...s.values,
+      ...(s.errors || []).map(e => e[1]),
+    ]));
+    const max = options.max || niceMax(dataMax);
+    const y = yScale(max);
+    const groupWidth = (WIDTH - PAD.left - PAD.right) / Math.max(options.labels.length, 1);
+    const barWidth = (groupWidth * 0.8) / Math.max(options.series.length, 1);
+    // Thin out crowded labels
+    const labelEvery = Math.ceil(options.labels.length / 16);
+
+    let content = '';
+    options.labels.forEach((label, i) => {
+      const groupX = PAD.left + i * groupWidth + groupWidth * 0.1;
+      options.series.forEach((series, s) => {
+        const value = series.values[i] || 0;
+        const x = groupX + s * barWidth;
+        content += `<rect class="bar series-${s}" x="${round(x)}" y="${round(y(value))}" width="${round(barWidth)}" ` +
+          `height="${round(y(0) - y(value))}"><title>${escapeText(`${series.name} — ${label}: ${format(value)}`)}</title></rect>`;
+        const error = series.errors && series.errors[i];
+        if (error) {
+          const cx = round(x + barWidth / 2);
+          content += `<line class="error-bar" x1="${cx}" x2="${cx}" y1="${round(y(error[0]))}" y2="${round(y(error[1]))}"></line>`;
+        }
+      });
+      if (i % labelEvery === 0) {
+        content += `<text class="x-label" x="${round(PAD.left + (i + 0.5) * groupWidth)}" y="${HEIGHT - PAD.bottom + 16}" ` +
+          `text-anchor="middle">${escapeText(label)}</text>`;
+      }
+    });
+    return frame(content, max, format);
+  }
+
+  // ─── Band Chart ─────────────────────────────────────────────────────────────
+
+  /**
+   * Line chart with a shaded band around each line, e.g. the median with
+   * its 25th–75th percentile range. A series without low/high is a plain line.
+   * @param {object} options
+   * @param {Array<{ name, points: Array<{ x, mid, low?, high? }> }>} options.series
+   * @param {string} [options.xLabel='Turn']
+   * @returns {string} SVG markup
+   */
+  function bandChart(options) {
+    const points = options.series.flatMap(s => s.points);
+    const xMax = Math.max(1, ...points.map(p => p.x));
+    const yMax = niceMax(Math.max(0, ...points.map(p => (p.high === undefined ? p.mid : p.high))));
+    const y = yScale(yMax);
+    const x = v => PAD.left + ((v - 1) / Math.max(xMax - 1, 1)) * (WIDTH - PAD.left - PAD.right);
+    const path = pts => pts.map(([px, py], i) => `${i === 0 ? 'M' : 'L'}${round(px)},${round(py)}`).join('');
+
+    let content = '';
+    options.series.forEach((series, s) => {
+      const pts = series.points;
+      if (pts.length === 0) return;
+      if (pts[0].low !== undefined) {
+        const upper = pts.map(p => [x(p.x), y(p.high)]);
+        const lower = pts.map(p => [x(p.x), y(p.low)]).reverse();
+        content += `<path class="band series-${s}" d="${path([...upper, ...lower])}Z"></path>`;
+      }
+      content += `<path class="line series-${s}" d="${path(pts.map(p => [x(p.x), y(p.mid)]))}">` +
+        `<title>${escapeText(series.name)}</title></path>`;
+    });
+    const xLabel = options.xLabel || 'Turn';
+    content += `<text class="x-label" x="${PAD.left}" y="${HEIGHT - PAD.bottom + 16}">1</text>` +
+      `<text class="x-label" x="${WIDTH - PAD.right}" y="${HEIGHT - PAD.bottom + 16}" text-anchor="end">${xMax}</text>` +
+      `<text class="x-label" x="${WIDTH / 2}" y="${HEIGHT - 6}" text-anchor="middle">${escapeText(xLabel)}</text>`;
+    return frame(content, yMax, v => String(round(v)));
+  }
+
+  // ─── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    niceMax,
+    legend,
+    barChart,
+    bandChart,
+  };
+})();
@@ -0,0 +1,406 @@
+/**
+ * Simulation Dashboard (simulate.html) for The Good Fight TTRPG.
+ * Runs a batch per selected strategy in the browser and charts the results:
+ * win rate, resource curves, crackdown tiers, turns to victory, and a
+ * turn-by-turn drill-down into any single game.
+ *
+ * Every strategy in a run shares one batch seed, so game N of each strategy
+ * starts from the same shuffle. A drill-down replays its game from the seed
+ * rather than keeping every snapshot of every game in memory.
+ */
+const Dashboard = (() => {
+
+  const WORKER_URL = 'js/simulation/batch-worker.js';
+  const MAX_GAMES = 10000;
+
+  const STRATEGY_LABELS = {
+    cautious: 'Cautious',
+    aggressive: 'Aggressive',
+    balanced: 'Balanced',
+    random: 'Random',
+    custom: 'Custom',
+  };
+
+  const CURVE_LABELS = {
+    influence: 'Influence',
+    heat: 'Heat',
+    supplies: 'Supplies',
+    operatives: 'Operatives',
+  };
+
+  // Results of the last run, one entry per strategy in selection order
+  let runs = [];
+  let controller = null;
+
+  function escapeText(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  }
+
+  function label(name) {
+    return STRATEGY_LABELS[name] || name;
+  }
+
+  function percent(rate) {
+    return `${(rate * 100).toFixed(1)}%`;
+  }
+
+  // ─── Controls ───────────────────────────────────────────────────────────────
+
+  function numberInput(id, fallback) {
+    const value = parseInt(document.getElementById(id).value, 10);
+    return isNaN(value) ? fallback : value;
+  }
+
+  /**
+   * Parameters from the Custom strategy editor.
+   * @returns {object} Strategies.create parameters
+   */
+  function readCustomParams() {
+    // Blank means never hunker down
+    const hunker = parseInt(document.getElementById('custom-hunker-heat').value, 10);
+    return {
+      hunkerHeat: isNaN(hunker) ? null : hunker,
+      hunkerActions: [],
+      vandalismTier: document.getElementById('custom-vandalism-tier').value,
+      recruitOrder: document.getElementById('custom-recruit-order').value,
+      scoutMinOperatives: numberInput('custom-scout-operatives', Strategies.DEFAULTS.scoutMinOperatives),
+      scoutMaxHeat: numberInput('custom-scout-heat', Strategies.DEFAULTS.scoutMaxHeat),
+      supplyFloor: numberInput('custom-supply-floor', Strategies.DEFAULTS.supplyFloor),
+    };
+  }
+
+  /**
+   * The checked strategies as Batch specs.
+   * @returns {Array<{ name, spec }>}
+   */
+  function selectedStrategies() {
+    return Array.from(document.querySelectorAll('input[name="strategy"]:checked')).map(input => {
+      const name = input.value;
+      return { name, spec: name === 'custom' ? { name, params: readCustomParams() } : name };
+    });
+  }
+
+  /**
+   * Game count, seed and turn limit from the controls.
+   * The seed is resolved here so every strategy in the run gets the same one.
+   */
+  function readOptions() {
+    return {
+      count: Math.min(Math.max(numberInput('input-game-count', 100), 1), MAX_GAMES),
+      seed: Rng.createStream(document.getElementById('input-batch-seed').value).seed,
+      maxTurns: numberInput('input-max-turns', Simulator.DEFAULT_MAX_TURNS),
+    };
+  }
+
+  function setRunning(running) {
+    document.getElementById('btn-run-simulation').disabled = running;
+    document.getElementById('btn-cancel-simulation').disabled = !running;
+    document.getElementById('btn-export-csv').disabled = running || runs.length === 0;
+    document.getElementById('btn-export-json').disabled = running || runs.length === 0;
+  }
+
+  function setStatus(text, fraction) {
+    document.getElementById('simulation-status').textContent = text;
+    if (fraction !== undefined) document.getElementById('simulation-progress').value = fraction;
+  }
+
+  // ─── Running ────────────────────────────────────────────────────────────────
+
+  /**
+   * Run a batch for each selected strategy, one strategy after another,
+   * then render the results.
+   * @returns {Promise<object[]>} The runs: [{ name, spec, batch, summary }]
+   */
+  async function run() {
+    const strategies = selectedStrategies();
+    if (strategies.length === 0) {
+      setStatus('Pick at least one strategy.');
+      return runs;
+    }
+
+    let options;
+    try {
+      strategies.forEach(s => Batch.resolveStrategy(s.spec));
+      options = readOptions();
+    } catch (err) {
+      setStatus(err.message);
+      return runs;
+    }
+
+    controller = new AbortController();
+    runs = [];
+    setRunning(true);
+
+    // A failed worker rejects the batch: show why and free the controls
+    let failure = null;
+    try {
+      for (const [i, strategy] of strategies.entries()) {
+        if (controller.signal.aborted) break;
+        const batch = await Batch.run({
+          ...options,
+          strategy: strategy.spec,
+          workers: (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2,
+          createWorker: typeof Worker === 'undefined' ? null : Batch.webWorkers(WORKER_URL),
+          signal: controller.signal,
+          onProgress: (done, total) => setStatus(
+            `${label(strategy.name)}: ${done}/${total} games`,
+            (i + done / total) / strategies.length
+          ),
+        });
+        if (batch.games.length > 0) {
+          runs.push({ ...strategy, batch, summary: Aggregate.aggregate(batch) });
+        }
+      }
+    } catch (err) {
+      failure = err;
+    }
+
+    const cancelled = controller.signal.aborted;
+    controller = null;
+    setRunning(false);
+    if (failure) setStatus(`Failed: ${failure.message}`);
+    else setStatus(`${cancelled ? 'Cancelled' : 'Done'} — batch seed ${options.seed}.`, cancelled ? undefined : 1);
+    render();
+    return runs;
+  }
+
+  /**
+   * Stop the running batch. Games already finished are kept and shown.
+   */
+  function cancel() {
+    if (controller) controller.abort();
+  }
+
+  // ─── Rendering ──────────────────────────────────────────────────────────────
+
+  function render() {
+    const results = document.getElementById('results');
+    results.hidden = runs.length === 0;
+    if (runs.length === 0) return;
+    renderSummary();
+    renderWinRate();
+    renderCurves();
+    renderCrackdowns();
+    renderTurnsToVictory();
+    renderDrilldownOptions();
+  }
+
+  function legend() {
+    return Charts.legend(runs.map(r => label(r.name)));
+  }
+
+  function renderSummary() {
+    const rows = runs.map(r => {
+      const s = r.summary;
+      const median = v => (v === null ? '—' : Math.round(v));
+      return `<tr><td>${escapeText(label(r.name))}</td><td>${s.totalGames}</td>` +
+        `<td>${percent(s.winRate.rate)} (${percent(s.winRate.low)}–${percent(s.winRate.high)})</td>` +
+        `<td>${median(s.turnsToVictory.median)}</td><td>${median(s.peakHeat.median)}</td>` +
+        `<td>${s.crackdownsPerGame.mean.toFixed(1)}</td></tr>`;
+    }).join('');
+    document.getElementById('summary-table').innerHTML =
+      '<thead><tr><th>Strategy</th><th>Games</th><th>Win rate (95% CI)</th>' +
+      '<th>Median turns to win</th><th>Median peak Heat</th><th>Crackdowns / game</th></tr></thead>' +
+      `<tbody>${rows}</tbody>`;
+  }
+
+  function renderWinRate() {
+    document.getElementById('chart-win-rate').innerHTML = Charts.barChart({
+      labels: ['Win rate'],
+      series: runs.map(r => ({
+        name: label(r.name),
+        values: [r.summary.winRate.rate],
+        errors: [[r.summary.winRate.low, r.summary.winRate.high]],
+      })),
+      max: 1,
+      format: percent,
+    }) + legend();
+  }
+
+  function renderCurves() {
+    const key = document.getElementById('curve-resource').value;
+    document.getElementById('chart-resource-curves').innerHTML = Charts.bandChart({
+      series: runs.map(r => ({
+        name: label(r.name),
+        points: r.summary.curves[key].map(p => ({ x: p.turn, mid: p.median, low: p.p25, high: p.p75 })),
+      })),
+    }) + legend();
+  }
+
+  function renderCrackdowns() {
+    document.getElementById('chart-crackdown-tiers').innerHTML = Charts.barChart({
+      labels: Crackdown.TIERS.map(t => `${t.tier}: ${t.name}`),
+      series: runs.map(r => ({
+        name: label(r.name),
+        values: r.summary.crackdownTierDistribution.map(n => n / r.summary.totalGames),
+      })),
+      format: v => v.toFixed(2),
+    }) + legend();
+  }
+
+  function renderTurnsToVictory() {
+    const container = document.getElementById('chart-turns-to-victory');
+    const wins = runs.map(r => r.batch.games.filter(g => g.outcome === 'win').map(g => g.turns));
+    const all = wins.flat();
+    if (all.length === 0) {
+      container.innerHTML = '<p class="hint">No wins to chart.</p>';
+      return;
+    }
+    // Matching bins for every strategy, about 20 across the range
+    const extent = [Math.min(...all), Math.max(...all)];
+    const binSize = Math.max(1, Math.ceil((extent[1] - extent[0] + 1) / 20));
+    const histograms = wins.map(values => Aggregate.histogram(values, binSize, extent));
+    container.innerHTML = Charts.barChart({
+      labels: histograms[0].map(b => (binSize === 1 ? `${b.from}` : `${b.from}–${b.to - 1}`)),
+      series: runs.map((r, i) => ({ name: label(r.name), values: histograms[i].map(b => b.count) })),
+      format: v => String(Math.round(v)),
+    }) + legend();
+  }
+
+  function renderDrilldownOptions() {
+    const select = document.getElementById('drilldown-strategy');
+    select.innerHTML = runs.map((r, i) => `<option value="${i}">${escapeText(label(r.name))}</option>`).join('');
+    const input = document.getElementById('drilldown-game');
+    input.max = runs[0].batch.games.length - 1;
+    document.getElementById('drilldown-chart').innerHTML = '';
+    document.getElementById('drilldown-log').innerHTML = '';
+  }
+
+  // ─── Drill-down ─────────────────────────────────────────────────────────────
+
+  function operationName(action, result) {
+    const info = Operations.OPERATION_INFO[action.operation];
+    const name = info ? info.name : action.operation;
+    const opportunity = result && result.opportunity;
+    return opportunity ? `${name}: ${opportunity.name}` : name;
+  }
+
+  /**
+   * Plain-text lines describing one simulated turn.
+   * @param {object} snapshot - Simulator snapshot
+   * @returns {string[]}
+   */
+  function describeTurn(snapshot) {
+    const lines = [];
+    for (const p of snapshot.actions) {
+      const a = p.action;
+      if (p.error) {
+        lines.push(`Rejected: ${p.error}`);
+      } else if (a.type === 'recruit') {
+        const r = p.result;
+        lines.push(`Recruit ${a.cardId}: rolled ${r.total} vs ${r.target} — ${r.success ? 'joined as an initiate' : 'failed'}.`);
+      } else if (p.result.started) {
+        lines.push(`${operationName(a, p.result)} begun with ${a.operativeIds.length} operative(s).`);
+      } else if (a.operation === 'gather_supplies') {
+        lines.push(`Gather Supplies: +${p.result.gained}.`);
+      } else {
+        lines.push(`${operationName(a, p.result)} ${p.result.success ? 'succeeded' : 'failed'}.`);
+      }
+    }
+
+    const report = snapshot.report;
+    for (const c of report.multiTurnOps.completed) {
+      lines.push(`${operationName({ operation: c.operation }, c.result)} completed: ${c.result.success ? 'succeeded' : 'failed'}.`);
+    }
+    if (report.initiates.promoted.length > 0) {
+      lines.push(`${report.initiates.promoted.length} initiate(s) became operatives.`);
+    }
+    if (report.detained.released.length > 0) {
+      lines.push(`${report.detained.released.length} detained operative(s) released.`);
+    }
+    if (report.crackdown.triggered) {
+      lines.push(`Crackdown — tier ${report.crackdown.tier}, ${report.crackdown.name} (rolled ${report.crackdown.roll}).`);
+    }
+    if (report.victory) lines.push('Victory!');
+    return lines;
+  }
+
+  /**
+   * Replay one game of the last run and show its curves and turn log.
+   * @param {number} runIndex - Index into the run's strategies
+   * @param {number} gameIndex - Game within that strategy's batch
+   * @returns {Promise<object|null>} The replayed Simulator result
+   */
+  async function drillDown(runIndex, gameIndex) {
+    const entry = runs[runIndex];
+    const game = entry && entry.batch.games[gameIndex];
+    const log = document.getElementById('drilldown-log');
+    if (!game) {
+      log.innerHTML = '<p class="hint">No such game.</p>';
+      return null;
+    }
+
+    const result = await Simulator.runGame(Batch.resolveStrategy(entry.spec), {
+      seed: game.seed,
+      maxTurns: numberInput('input-max-turns', Simulator.DEFAULT_MAX_TURNS),
+    });
+
+    const rows = result.snapshots.map(Metrics.turnMetrics);
+    document.getElementById('drilldown-chart').innerHTML = Charts.bandChart({
+      series: Aggregate.CURVE_KEYS.map(key => ({
+        name: CURVE_LABELS[key],
+        points: rows.map(row => ({ x: row.turn, mid: row[key] })),
+      })),
+    }) + Charts.legend(Aggregate.CURVE_KEYS.map(key => CURVE_LABELS[key]));
+
+    log.innerHTML =
+      `<p>${escapeText(label(entry.name))} game ${gameIndex} — seed ${result.seed}: ${result.outcome} after ${result.turns} turns.</p>` +
+      '<table class="drilldown-table"><thead><tr><th>Turn</th><th>Influence</th><th>Heat</th><th>Supplies</th>' +
+      '<th>Operatives</th><th>Events</th></tr></thead><tbody>' +
+      result.snapshots.map((snapshot, i) => {
+        const row = rows[i];
+        const events = describeTurn(snapshot).map(line => `<li>${escapeText(line)}</li>`).join('');
+        return `<tr><td>${row.turn}</td><td>${row.influence}</td><td>${row.heat}</td><td>${row.supplies}</td>` +
+          `<td>${row.operatives}</td><td><ul class="turn-events">${events}</ul></td></tr>`;
+      }).join('') +
+      '</tbody></table>';
+    return result;
+  }
+
+  // ─── Export ─────────────────────────────────────────────────────────────────
+
+  function exportCSV() {
+    Metrics.download('simulation.csv', Metrics.toCSV(runs.flatMap(r => r.batch.games)), 'text/csv');
+  }
+
+  function exportJSON() {
+    Metrics.download('simulation.json', Metrics.toJSON({ batches: runs.map(r => r.batch) }), 'application/json');
+  }
+
+  // ─── Init ───────────────────────────────────────────────────────────────────
+
+  function init() {
+    const customBox = document.querySelector('input[name="strategy"][value="custom"]');
+    const customEditor = document.getElementById('custom-strategy');
+    customBox.addEventListener('change', () => { customEditor.hidden = !customBox.checked; });
+    customEditor.hidden = !customBox.checked;
+
+    document.getElementById('btn-run-simulation').addEventListener('click', () => run());
+    document.getElementById('btn-cancel-simulation').addEventListener('click', () => cancel());
+    document.getElementById('btn-export-csv').addEventListener('click', () => exportCSV());
+    document.getElementById('btn-export-json').addEventListener('click', () => exportJSON());
+    document.getElementById('curve-resource').addEventListener('change', () => renderCurves());
+    document.getElementById('btn-drilldown').addEventListener('click', () => drillDown(
+      parseInt(document.getElementById('drilldown-strategy').value, 10),
+      numberInput('drilldown-game', 0)
+    ));
+    setRunning(false);
+  }
+
+  /** Results of the last run. */
+  function getRuns() {
+    return runs;
+  }
+
+  // ─── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    init,
+    run,
+    cancel,
+    drillDown,
+    describeTurn,
+    readCustomParams,
+    getRuns,
+  };
+})();
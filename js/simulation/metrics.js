@@ -0,0 +1,230 @@
+/**
+ * Simulation Metrics for The Good Fight TTRPG.
+ * Turns Simulator results into flat per-turn rows and per-game outcomes, and
+ * exports them as tidy CSV (one row per game-turn) or JSON for analysis
+ * outside the game.
+ */
+const Metrics = (() => {
+
+  /** Per-turn fields, in CSV column order. */
+  const TURN_COLUMNS = [
+    'turn',
+    'influence',
+    'heat',
+    'supplies',
+    'recruitPool',
+    'initiates',
+    'operatives',
+    'detainedOperatives',
+    'deckSize',
+    'leaderSkillLevel',
+    'operationsAttempted',
+    'operationsSucceeded',
+    'operationsFailed',
+    'recruitsAttempted',
+    'recruitsSucceeded',
+    'crackdown',
+    'crackdownRoll',
+    'crackdownTier',
+    'personnelLost',
+    'midGameOpsAvailable',
+    'lateGameOpsAvailable',
+    'lateGameOpsCompleted',
+  ];
+
+  /** Per-game fields repeated on every CSV row so each row stands alone. */
+  const GAME_COLUMNS = ['gameIndex', 'strategy', 'seed', 'outcome'];
+
+  // ─── Per Turn ───────────────────────────────────────────────────────────────
+
+  /**
+   * Whether an operation result counts as a success.
+   * Gather Supplies succeeds if it gained anything; multi-turn operations
+   * that have only started return null (they resolve at a later End Turn).
+   * @returns {boolean|null}
+   */
+  function succeeded(operation, result) {
+    if (result.started) return null;
+    if (operation === 'gather_supplies') return result.gained > 0;
+    return !!result.success;
+  }
+
+  /**
+   * Flatten one Simulator snapshot into a metrics row.
+   * @param {object} snapshot - { turn, actions, report, state }
+   * @returns {object} One value per TURN_COLUMNS entry
+   */
+  function turnMetrics(snapshot) {
+    const { state, report } = snapshot;
+    const performed = snapshot.actions.filter(p => !p.error);
+    const operations = performed.filter(p => p.action.type === 'operation');
+    const recruits = performed.filter(p => p.action.type === 'recruit');
+
+    // Outcomes this turn: operations resolved immediately, plus multi-turn ones completing at End Turn
+    const outcomes = [
+      ...operations.map(p => ({ operation: p.action.operation, result: p.result })),
+      ...report.multiTurnOps.completed,
+    ].map(o => succeeded(o.operation, o.result)).filter(s => s !== null);
+
+    const captured = [...operations.map(p => p.result), ...report.multiTurnOps.completed.map(c => c.result)]
+      .reduce((sum, r) => sum + (r.captured ? r.captured.length : 0), 0);
+    const crackdown = report.crackdown;
+
+    return {
+      turn: snapshot.turn,
+      influence: state.influence,
+      heat: state.heat,
+      supplies: state.supplies,
+      recruitPool: state.recruitPool.length,
+      initiates: state.initiates.length,
+      operatives: state.operatives.length,
+      detainedOperatives: state.detainedOperatives.length,
+      deckSize: state.recruitDeck.length,
+      leaderSkillLevel: state.leaderSkillLevel,
+      operationsAttempted: operations.length,
+      operationsSucceeded: outcomes.filter(Boolean).length,
+      operationsFailed: outcomes.filter(s => !s).length,
+      recruitsAttempted: recruits.length,
+      recruitsSucceeded: recruits.filter(p => p.result.success).length,
+      crackdown: crackdown.triggered,
+      crackdownRoll: crackdown.roll,
+      crackdownTier: crackdown.tier,
+      personnelLost: captured + crackdown.operativesLost.length + crackdown.initiatesLost.length,
+      midGameOpsAvailable: state.availableMidGameOps.length,
+      lateGameOpsAvailable: state.availableLateGameOps.length,
+      lateGameOpsCompleted: state.completedLateGameOps.length,
+    };
+  }
+
+  // ─── Per Game ───────────────────────────────────────────────────────────────
+
+  /**
+   * Per-game outcome and totals, with the per-turn rows for the whole game.
+   * @param {object} result - Simulator.runGame result
+   * @returns {object}
+   */
+  function gameMetrics(result) {
+    const turns = result.snapshots.map(turnMetrics);
+    const sum = key => turns.reduce((total, t) => total + t[key], 0);
+    const peak = key => turns.reduce((max, t) => Math.max(max, t[key]), 0);
+    // Rows are taken after End Turn, when a crackdown has already lowered Heat;
+    // the Heat it was rolled against is the turn's high point
+    const peakHeat = result.snapshots.reduce(
+      (max, snapshot, i) => Math.max(max, turns[i].heat, snapshot.report.crackdown.heatBefore), 0);
+
+    const crackdownsByTier = Crackdown.TIERS.map(() => 0);
+    for (const t of turns) {
+      if (t.crackdown) crackdownsByTier[t.crackdownTier - 1]++;
+    }
+
+    // Attempts and successes per operation type
+    const operations = {};
+    const tally = (operation, result) => {
+      const entry = operations[operation] || (operations[operation] = { attempted: 0, succeeded: 0 });
+      const outcome = succeeded(operation, result);
+      if (outcome === true) entry.succeeded++;
+      return entry;
+    };
+    for (const snapshot of result.snapshots) {
+      for (const p of snapshot.actions) {
+        if (!p.error && p.action.type === 'operation') tally(p.action.operation, p.result).attempted++;
+      }
+      for (const c of snapshot.report.multiTurnOps.completed) tally(c.operation, c.result);
+    }
+
+    const s = result.finalState;
+    const win = result.outcome === 'win';
+    return {
+      seed: result.seed,
+      outcome: result.outcome,
+      win,
+      turns: result.turns,
+      turnsToVictory: win ? result.turns : null,
+      final: {
+        influence: s.influence,
+        heat: s.heat,
+        supplies: s.supplies,
+        operatives: s.operatives.length,
+        initiates: s.initiates.length,
+        detained: s.detainedOperatives.length,
+        lateGameOpsCompleted: s.completedLateGameOps.length,
+      },
+      peakInfluence: peak('influence'),
+      peakHeat,
+      peakOperatives: peak('operatives'),
+      totalCrackdowns: crackdownsByTier.reduce((a, b) => a + b, 0),
+      crackdownsByTier,
+      personnelLost: sum('personnelLost'),
+      recruitsAttempted: sum('recruitsAttempted'),
+      recruitsSucceeded: sum('recruitsSucceeded'),
+      operations,
+      completedLateGameOps: s.completedLateGameOps.map(o => o.id),
+      turnMetrics: turns,
+    };
+  }
+
+  // ─── Export ─────────────────────────────────────────────────────────────────
+
+  function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Tidy CSV with one row per game-turn.
+   * @param {object[]} games - Game records with turnMetrics (e.g. Batch games)
+   * @returns {string}
+   */
+  function toCSV(games) {
+    const columns = [...GAME_COLUMNS, ...TURN_COLUMNS];
+    const lines = [columns.join(',')];
+    for (const game of games) {
+      const prefix = GAME_COLUMNS.map(c => csvValue(game[c]));
+      for (const row of game.turnMetrics) {
+        lines.push([...prefix, ...TURN_COLUMNS.map(c => csvValue(row[c]))].join(','));
+      }
+    }
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * JSON export of a batch result or a list of games.
+   * @param {object|object[]} data
+   * @returns {string}
+   */
+  function toJSON(data) {
+    return JSON.stringify(data, null, 2);
+  }
+
+  /**
+   * Offer text as a file download in the browser.
+   * @param {string} filename
+   * @param {string} text
+   * @param {string} [type='text/plain']
+   */
+  function download(filename, text, type) {
+    const blob = new Blob([text], { type: type || 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  // ─── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    TURN_COLUMNS,
+    GAME_COLUMNS,
+    succeeded,
+    turnMetrics,
+    gameMetrics,
+    toCSV,
+    toJSON,
+    download,
+  };
+})();
@@ -0,0 +1,70 @@
+/**
+ * Loads the game engine into plain Node — no DOM, no happy-dom.
+ *
+ * The browser scripts declare their modules as top-level consts. Scripts run
+ * in the same vm context share those declarations the way <script> tags share
+ * the page, so each engine file is run as-is, in load order.
+ *
+ * Usage:
+ *   const { loadEngine } = require('./js/simulation/node-engine');
+ *   const { Simulator } = loadEngine();
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Same order as index.html, engine modules only
+const ENGINE_SCRIPTS = [
+  'rng.js',
+  'state.js',
+  'dice.js',
+  'deck.js',
+  'choices.js',
+  'operations.js',
+  'assignments.js',
+  'crackdown.js',
+  'turn.js',
+  'events.js',
+  'simulation/simulator.js',
+  'simulation/strategies.js',
+  'simulation/metrics.js',
+  'simulation/batch.js',
+];
+
+const ENGINE_MODULES = [
+  'Rng',
+  'GameState',
+  'Dice',
+  'Deck',
+  'Choices',
+  'Operations',
+  'Assignments',
+  'Crackdown',
+  'Turn',
+  'EventLog',
+  'Simulator',
+  'Strategies',
+  'Metrics',
+  'Batch',
+];
+
+/**
+ * Load a fresh copy of the engine into its own context.
+ * @returns {object} The engine modules, keyed by name
+ */
+function loadEngine() {
+  // Timers let the batch runner yield between games
+  const context = vm.createContext({ console, setTimeout, clearTimeout });
+  for (const file of ENGINE_SCRIPTS) {
+    const filePath = path.join(__dirname, '..', file);
+    vm.runInContext(fs.readFileSync(filePath, 'utf-8'), context, { filename: filePath });
+  }
+  const engine = {};
+  for (const name of ENGINE_MODULES) {
+    engine[name] = vm.runInContext(name, context);
+  }
+  return engine;
+}
+
+module.exports = { loadEngine, ENGINE_SCRIPTS };
@@ -0,0 +1,49 @@
+/**
+ * Play one headless game from the terminal.
+ *
+ * Usage: node js/simulation/run-node.js [--strategy <name>] [--seed <seed>] [--max-turns <n>] [--json]
+ *
+ * --strategy picks a registered strategy (cautious, aggressive, balanced,
+ * random); without it the simulator's baseline strategy plays.
+ * Prints the seed, outcome and final resources. --json prints the full
+ * result (final state and every turn's snapshot) instead.
+ */
+
+const { loadEngine } = require('./node-engine');
+
+function parseArgs(argv) {
+  const args = { strategy: null, seed: undefined, maxTurns: undefined, json: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--strategy') args.strategy = argv[++i];
+    else if (argv[i] === '--seed') args.seed = argv[++i];
+    else if (argv[i] === '--max-turns') args.maxTurns = parseInt(argv[++i], 10);
+    else if (argv[i] === '--json') args.json = true;
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const { Simulator, Strategies } = loadEngine();
+  const strategy = args.strategy ? Strategies.get(args.strategy) : Simulator.baselineStrategy;
+  const result = await Simulator.runGame(strategy, {
+    seed: args.seed,
+    maxTurns: args.maxTurns,
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  const s = result.finalState;
+  console.log(`${args.strategy || 'baseline'} — seed ${result.seed}: ${result.outcome} after ${result.turns} turns`);
+  console.log(`  Influence ${s.influence}  Heat ${s.heat}  Supplies ${s.supplies}`);
+  console.log(`  Operatives ${s.operatives.length}  Initiates ${s.initiates.length}  Detained ${s.detainedOperatives.length}`);
+  console.log(`  Late-game operations completed: ${s.completedLateGameOps.length}`);
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
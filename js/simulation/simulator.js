@@ -0,0 +1,178 @@
+/**
+ * Headless Game Simulator for The Good Fight TTRPG.
+ * Plays one complete game with the real engine modules (GameState, Rng, Dice,
+ * Deck, Operations, Assignments, Crackdown, Turn, EventLog) and no DOM or
+ * localStorage.
+ * Decisions come from a strategy function instead of a player.
+ *
+ * A strategy is `(state) => actions[]` (or a Promise of one), called once per
+ * turn with the live state, which it must not modify. Actions:
+ *   { type: 'recruit', cardId, recruiterId?, burnSupply? }
+ *   { type: 'operation', operation, operativeIds, opportunityId?, secondPenaltyChoice? }
+ * Cards and opportunities are named by id rather than index, since earlier
+ * actions in the same turn shift the arrays. A strategy may also carry a
+ * `secondPenaltyChoice(state)` function, consulted at End Turn for multi-turn
+ * operations (Scout, Late-Game Scout) that fail, and a `choose(state, decision)`
+ * function answering every other decision the rules leave to the player
+ * (see Choices); without one, each decision takes its default.
+ *
+ * Games share the module-level Dice/Deck/Rng, so run them one at a time.
+ */
+const Simulator = (() => {
+
+  const DEFAULT_MAX_TURNS = 200;
+
+  /** A game has stalled once this many turns in a row pass with no action taken. */
+  const STALL_TURNS = 10;
+
+  // ─── Setup ──────────────────────────────────────────────────────────────────
+
+  /**
+   * Create a new game: seeded stream, shuffled deck, starting resources of 0.
+   * The headless counterpart of App.beginGame; like it, it makes the game's
+   * stream the active one.
+   * @param {string|number} [seed] - Random if omitted
+   * @returns {object} Game state
+   */
+  function createGame(seed) {
+    const state = GameState.createInitial();
+    state.rng = Rng.createStream(seed);
+    Rng.use(state.rng);
+    state.recruitDeck = Deck.createDeck();
+    Deck.shuffle(state.recruitDeck);
+    return state;
+  }
+
+  // ─── Actions ────────────────────────────────────────────────────────────────
+
+  /**
+   * Perform one strategy action through EventLog.perform. Throws if the action
+   * is not legal right now; nothing is changed in that case.
+   * @returns {Promise<object>} The operation result
+   */
+  async function performAction(state, action) {
+    if (action.type !== 'recruit' && action.type !== 'operation') {
+      throw new Error(`Unknown action type: ${action.type}`);
+    }
+    const { type, ...inputs } = action;
+    return EventLog.perform(state, type, inputs);
+  }
+
+  /**
+   * Copy of the state for the turn record. The turn and event logs are left
+   * out: they only grow, and the full logs are on the final state.
+   */
+  function snapshot(state) {
+    return JSON.parse(JSON.stringify({ ...state, turnLog: undefined, eventLog: undefined }));
+  }
+
+  // ─── Game Loop ──────────────────────────────────────────────────────────────
+
+  /**
+   * Play one game to victory, stall, or the turn limit. The game runs on its
+   * own stream with digital dice and cards; the caller's Rng stream and
+   * Dice/Deck/Choices providers are put back afterwards.
+   *
+   * @param {Function} strategy - (state) => actions[]
+   * @param {object} [options]
+   * @param {string|number} [options.seed] - Random if omitted
+   * @param {number} [options.maxTurns=200]
+   * @param {boolean} [options.record=false] - Keep an EventLog on the state, for replay
+   * @returns {Promise<object>} {
+   *   seed, outcome: 'win'|'stall'|'turn_limit', turns, finalState,
+   *   snapshots: [{ turn, actions: [{ action, result }|{ action, error }], report, state }]
+   * }
+   */
+  async function runGame(strategy, options) {
+    options = options || {};
+    const maxTurns = options.maxTurns || DEFAULT_MAX_TURNS;
+
+    const saved = { rng: Rng.current(), dice: Dice.getProvider(), deck: Deck.getProvider(), choices: Choices.getProvider() };
+    // Headless play is always digital
+    Dice.setProvider(null);
+    Deck.setProvider(null);
+
+    const state = createGame(options.seed);
+    if (options.record) EventLog.begin(state);
+    const snapshots = [];
+    let outcome = 'turn_limit';
+    let idleTurns = 0;
+
+    Choices.setProvider(typeof strategy.choose === 'function' ? (decision) => strategy.choose(state, decision) : null);
+    try {
+      while (state.currentTurn <= maxTurns) {
+        const actions = (await strategy(state)) || [];
+        const performed = [];
+        for (const action of actions) {
+          try {
+            performed.push({ action, result: await performAction(state, action) });
+          } catch (err) {
+            performed.push({ action, error: err.message });
+          }
+        }
+
+        const secondPenaltyChoice = typeof strategy.secondPenaltyChoice === 'function'
+          ? strategy.secondPenaltyChoice(state)
+          : undefined;
+        const report = await EventLog.perform(state, 'end_turn', { secondPenaltyChoice });
+        snapshots.push({ turn: report.turn, actions: performed, report, state: snapshot(state) });
+
+        if (report.victory) {
+          outcome = 'win';
+          break;
+        }
+        idleTurns = performed.some(p => !p.error) ? 0 : idleTurns + 1;
+        if (idleTurns >= STALL_TURNS) {
+          outcome = 'stall';
+          break;
+        }
+      }
+    } finally {
+      Rng.use(saved.rng);
+      Dice.setProvider(saved.dice);
+      Deck.setProvider(saved.deck);
+      Choices.setProvider(saved.choices);
+    }
+
+    return {
+      seed: state.rng.seed,
+      outcome,
+      turns: snapshots.length,
+      finalState: state,
+      snapshots,
+    };
+  }
+
+  // ─── Baseline Strategy ──────────────────────────────────────────────────────
+
+  /**
+   * The simplest sensible play, used when no strategy is given: the leader
+   * recruits the cheapest card in the pool (or vandalises if the pool is
+   * empty), and every free operative does Minor Vandalism.
+   */
+  function baselineStrategy(state) {
+    const actions = [];
+    const available = Assignments.getAvailable(state);
+    if (available.some(c => c.leader)) {
+      const cheapest = [...state.recruitPool].sort((a, b) => a.value - b.value)[0];
+      actions.push(cheapest
+        ? { type: 'recruit', cardId: Deck.cardId(cheapest), recruiterId: Assignments.LEADER_ID }
+        : { type: 'operation', operation: 'minor_vandalism', operativeIds: [Assignments.LEADER_ID] });
+    }
+    for (const card of available.filter(c => !c.leader)) {
+      actions.push({ type: 'operation', operation: 'minor_vandalism', operativeIds: [Assignments.operativeId(card)] });
+    }
+    return actions;
+  }
+
+  // ─── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    DEFAULT_MAX_TURNS,
+    STALL_TURNS,
+    createGame,
+    performAction,
+    runGame,
+    baselineStrategy,
+  };
+})();
@@ -0,0 +1,512 @@
+/**
+ * AI Player Strategies for The Good Fight TTRPG simulator.
+ * Each strategy is `(state) => actions[]` in the format Simulator.performAction
+ * understands, with a `secondPenaltyChoice(state)` for failures resolved at
+ * End Turn. See plan/simulation.md for the play styles.
+ *
+ * Cautious, Aggressive and Balanced are parameter objects run through the
+ * same planner that custom strategies use, so designers can tune any of them
+ * (or start from scratch) without writing code:
+ *
+ *   Strategies.register('low-heat', { ...Strategies.PRESETS.balanced, scoutMaxHeat: 20 });
+ */
+const Strategies = (() => {
+
+  // ─── Parameters ─────────────────────────────────────────────────────────────
+
+  /**
+   * Every tunable parameter, with its default.
+   *   priorities       — order the planner hands out operatives, first come first served.
+   *                      Steps: recruit, gather, push_vandalism, vandalism, scout, late_scout, mid, late
+   *                      (push_vandalism plans one vandalism without the leader or the supplies
+   *                      a pending Scout needs; vandalism spends every free operative on it)
+   *   hunkerHeat       — above this Heat, only the `hunkerActions` steps run (null = never)
+   *   recruitOrder     — 'lowest' | 'highest' | 'random' card value first
+   *   recruitRange     — [min, max] card values worth attempting
+   *   burnSupplyAbove  — burn a supply for a d12 on cards above this value (null = never)
+   *   supplyFloor      — Gather Supplies while supplies are below this (or below the cost
+   *                      of a mid/late-game opportunity the strategy is waiting on)
+   *   vandalismTier    — preferred tier, falling back to cheaper ones:
+   *                      'minor' | 'average' | 'significant' | 'highest' (same as significant)
+   *   vandalismMaxHeat — no vandalism at or above this Heat
+   *   scoutMinOperatives / scoutMaxHeat — when to Scout (free operatives incl. leader; Heat ceiling)
+   *   lateScoutMinOperatives — free operatives needed before a Late-Game Scout
+   *   midGameOps       — 'all' | 'heat_reducing' | array of mid-game op ids to take on
+   *   midGameOperativeMargin / midGameInfluenceMargin — surplus over the requirements before committing
+   *   lateGameMinOperatives — free operatives needed before a late-game operation (12 minimum)
+   *   secondPenaltyChoice — 'detain' | 'supplies' | 'auto' (supplies while above the supply floor)
+   */
+  const DEFAULTS = {
+    priorities: ['recruit', 'gather', 'late', 'mid', 'late_scout', 'scout', 'vandalism'],
+    hunkerHeat: null,
+    hunkerActions: ['recruit', 'gather'],
+    recruitOrder: 'lowest',
+    recruitRange: [2, 15],
+    burnSupplyAbove: null,
+    supplyFloor: 10,
+    vandalismTier: 'minor',
+    vandalismMaxHeat: 100,
+    scoutMinOperatives: 4,
+    scoutMaxHeat: 40,
+    lateScoutMinOperatives: 8,
+    midGameOps: 'all',
+    midGameOperativeMargin: 0,
+    midGameInfluenceMargin: 0,
+    lateGameMinOperatives: 12,
+    secondPenaltyChoice: 'auto',
+  };
+
+  const STEPS = ['recruit', 'gather', 'push_vandalism', 'vandalism', 'scout', 'late_scout', 'mid', 'late'];
+  const VANDALISM_TIERS = ['minor', 'average', 'significant'];
+  const VANDALISM_PREFERENCES = [...VANDALISM_TIERS, 'highest'];
+
+  /** Parameter objects for the plan/simulation.md play styles. */
+  const PRESETS = {
+    cautious: {
+      hunkerHeat: 60,
+      hunkerActions: [],
+      recruitOrder: 'lowest',
+      supplyFloor: 10,
+      vandalismTier: 'minor',
+      scoutMinOperatives: 4,
+      scoutMaxHeat: 40,
+      midGameOperativeMargin: 2,
+      midGameInfluenceMargin: 10,
+      lateGameMinOperatives: 14,
+      secondPenaltyChoice: 'supplies',
+    },
+    aggressive: {
+      priorities: ['push_vandalism', 'recruit', 'gather', 'scout', 'late_scout', 'mid', 'late', 'vandalism'],
+      recruitOrder: 'highest',
+      burnSupplyAbove: 10,
+      supplyFloor: 5,
+      vandalismTier: 'highest',
+      scoutMinOperatives: 4,
+      scoutMaxHeat: 100,
+      lateScoutMinOperatives: 6,
+      lateGameMinOperatives: 12,
+      secondPenaltyChoice: 'detain',
+    },
+    balanced: {
+      priorities: ['push_vandalism', 'recruit', 'gather', 'scout', 'mid', 'late_scout', 'late', 'vandalism'],
+      hunkerHeat: 50,
+      hunkerActions: ['recruit', 'gather'],
+      recruitRange: [6, 10],
+      supplyFloor: 8,
+      vandalismTier: 'average',
+      vandalismMaxHeat: 30,
+      scoutMinOperatives: 5,
+      scoutMaxHeat: 40,
+      midGameOps: 'heat_reducing',
+      lateGameMinOperatives: 14,
+      secondPenaltyChoice: 'auto',
+    },
+  };
+
+  /**
+   * Merge a parameter object over the defaults, rejecting unknown keys and
+   * bad values so a typo doesn't silently fall back to a default.
+   * @returns {object} Complete parameters
+   */
+  function resolveParams(params) {
+    const resolved = { ...DEFAULTS };
+    for (const [key, value] of Object.entries(params || {})) {
+      if (key === 'name') continue;
+      if (!(key in DEFAULTS)) throw new Error(`Unknown strategy parameter: ${key}`);
+      resolved[key] = value;
+    }
+    for (const step of [...resolved.priorities, ...resolved.hunkerActions]) {
+      if (!STEPS.includes(step)) throw new Error(`Unknown strategy step: ${step}`);
+    }
+    if (!VANDALISM_PREFERENCES.includes(resolved.vandalismTier)) {
+      throw new Error(`Unknown vandalism tier: ${resolved.vandalismTier}`);
+    }
+    if (!['lowest', 'highest', 'random'].includes(resolved.recruitOrder)) {
+      throw new Error(`Unknown recruit order: ${resolved.recruitOrder}`);
+    }
+    if (!['detain', 'supplies', 'auto'].includes(resolved.secondPenaltyChoice)) {
+      throw new Error(`Unknown second penalty choice: ${resolved.secondPenaltyChoice}`);
+    }
+    return resolved;
+  }
+
+  // ─── Planner ────────────────────────────────────────────────────────────────
+
+  /**
+   * Working copy of what's left to spend this turn as actions are planned.
+   * Supplies are only ever counted down; gains aren't known until the dice roll.
+   */
+  function createPlan(state, params) {
+    return {
+      state,
+      free: Assignments.getAvailable(state),
+      supplies: state.supplies,
+      reserve: params ? supplyReserve(state, params) : 0,
+      actions: [],
+    };
+  }
+
+  /**
+   * Supplies to save up for the opportunities this strategy is waiting on.
+   * Gathering aims for it and vandalism won't spend below it.
+   */
+  function supplyReserve(state, params) {
+    let reserve = 0;
+    if (state.availableMidGameOps.some(o => wantsMidGameOp(o, params))) {
+      reserve = Operations.OPERATION_REQS.mid_game_op.supplies;
+    }
+    if (state.availableLateGameOps.length > 0) {
+      reserve = Operations.OPERATION_REQS.late_game_op.supplies;
+    }
+    return reserve;
+  }
+
+  /**
+   * Take `count` operatives off the free list.
+   * 'high' picks the strongest (their values add to Scout/mid/late checks);
+   * 'low' the weakest (vandalism and gathering don't use values).
+   * @returns {string[]} Assignment ids
+   */
+  function take(plan, count, order) {
+    const sorted = [...plan.free].sort((a, b) => order === 'high' ? b.value - a.value : a.value - b.value);
+    const team = sorted.slice(0, count);
+    plan.free = plan.free.filter(card => !team.includes(card));
+    return team.map(Assignments.operativeId);
+  }
+
+  function inProgress(state, operation) {
+    return state.multiTurnOps.some(op => op.operation === operation);
+  }
+
+  /**
+   * Highest total a recruit roll can reach: d10 (or d12) plus the influence die.
+   */
+  function maxRecruitRoll(state, burnSupply) {
+    const bonusDie = Operations.getInfluenceDie(state.influence);
+    return (burnSupply ? 12 : 10) + (bonusDie ? Dice.getDieMax(bonusDie) : 0);
+  }
+
+  /**
+   * Plan vandalism at the preferred tier, falling back to cheaper ones, up
+   * to `limit` operations or until no tier is affordable. Never spends into
+   * the supply reserve or at or above vandalismMaxHeat.
+   */
+  function planVandalism(plan, params, limit) {
+    if (plan.state.heat >= params.vandalismMaxHeat) return;
+    const preferred = params.vandalismTier === 'highest' ? 'significant' : params.vandalismTier;
+    const tiers = VANDALISM_TIERS.slice(0, VANDALISM_TIERS.indexOf(preferred) + 1).reverse();
+    for (let planned = 0; planned < limit; planned++) {
+      const tier = tiers.find(t => {
+        const reqs = Operations.OPERATION_REQS[`${t}_vandalism`];
+        return plan.free.length >= reqs.operatives && plan.supplies - reqs.supplies >= Math.min(plan.reserve, plan.supplies);
+      });
+      if (!tier) return;
+      const operation = `${tier}_vandalism`;
+      const reqs = Operations.OPERATION_REQS[operation];
+      plan.supplies -= reqs.supplies;
+      plan.actions.push({
+        type: 'operation',
+        operation,
+        operativeIds: take(plan, reqs.operatives, 'low'),
+        secondPenaltyChoice: penaltyChoice(plan.state, params),
+      });
+    }
+  }
+
+  /** One planner function per step: (plan, params) => void */
+  const PLANNERS = {
+    recruit(plan, params) {
+      const [min, max] = params.recruitRange;
+      let cards = plan.state.recruitPool.filter(c => c.value >= min && c.value <= max);
+      if (params.recruitOrder === 'random') cards = shuffled(cards);
+      else cards.sort((a, b) => params.recruitOrder === 'highest' ? b.value - a.value : a.value - b.value);
+
+      for (const card of cards) {
+        const burnSupply = params.burnSupplyAbove !== null && card.value > params.burnSupplyAbove && plan.supplies >= 1;
+        if (maxRecruitRoll(plan.state, burnSupply) < card.value) continue;
+        // Weakest free operative who outranks the card, else the leader
+        const recruiter = plan.free
+          .filter(c => !c.leader && Operations.canRecruit(c, card))
+          .sort((a, b) => a.value - b.value)[0] || plan.free.find(c => c.leader);
+        if (!recruiter) break;
+        plan.free = plan.free.filter(c => c !== recruiter);
+        if (burnSupply) plan.supplies -= 1;
+        plan.actions.push({
+          type: 'recruit',
+          cardId: Deck.cardId(card),
+          recruiterId: Assignments.operativeId(recruiter),
+          burnSupply,
+        });
+      }
+    },
+
+    gather(plan, params) {
+      // Each gather averages well under 3 supplies; send enough to close the gap
+      const shortfall = Math.max(params.supplyFloor, plan.reserve) - plan.supplies;
+      const teams = Math.min(Math.ceil(shortfall / 2), plan.free.length);
+      for (let i = 0; i < teams; i++) {
+        plan.actions.push({ type: 'operation', operation: 'gather_supplies', operativeIds: take(plan, 1, 'low') });
+      }
+    },
+
+    push_vandalism(plan, params) {
+      // The leader stays free: only they can recruit any card. A Scout still
+      // to come keeps its supplies, or vandalism would spend them every turn
+      const leader = plan.free.find(c => c.leader);
+      const reserve = plan.reserve;
+      plan.free = plan.free.filter(c => !c.leader);
+      if (wantsScout(plan.state, params)) plan.reserve = Math.max(reserve, Operations.OPERATION_REQS.scout.supplies);
+      planVandalism(plan, params, 1);
+      plan.reserve = reserve;
+      if (leader) plan.free.push(leader);
+    },
+
+    vandalism(plan, params) {
+      planVandalism(plan, params, Infinity);
+    },
+
+    scout(plan, params) {
+      const reqs = Operations.OPERATION_REQS.scout;
+      if (!wantsScout(plan.state, params)) return;
+      if (plan.free.length < Math.max(params.scoutMinOperatives, reqs.operatives) || plan.supplies < reqs.supplies) return;
+      plan.supplies -= reqs.supplies;
+      plan.actions.push({ type: 'operation', operation: 'scout', operativeIds: take(plan, reqs.operatives, 'high') });
+    },
+
+    late_scout(plan, params) {
+      const reqs = Operations.OPERATION_REQS.late_game_scout;
+      if (inProgress(plan.state, 'late_game_scout') || plan.state.availableLateGameOps.length > 0) return;
+      if (plan.state.heat >= params.scoutMaxHeat) return;
+      if (plan.free.length < Math.max(params.lateScoutMinOperatives, reqs.operatives) || plan.supplies < reqs.supplies) return;
+      plan.supplies -= reqs.supplies;
+      plan.actions.push({ type: 'operation', operation: 'late_game_scout', operativeIds: take(plan, reqs.operatives, 'high') });
+    },
+
+    mid(plan, params) {
+      const reqs = Operations.OPERATION_REQS.mid_game_op;
+      for (const opportunity of plan.state.availableMidGameOps) {
+        if (!wantsMidGameOp(opportunity, params)) continue;
+        if (plan.state.influence < opportunity.influenceThreshold + params.midGameInfluenceMargin) continue;
+        if (plan.free.length < reqs.operatives + params.midGameOperativeMargin || plan.supplies < reqs.supplies) continue;
+        plan.supplies -= reqs.supplies;
+        plan.actions.push({
+          type: 'operation',
+          operation: 'mid_game_op',
+          opportunityId: opportunity.id,
+          operativeIds: take(plan, reqs.operatives, 'high'),
+        });
+      }
+    },
+
+    late(plan, params) {
+      const reqs = Operations.OPERATION_REQS.late_game_op;
+      for (const opportunity of plan.state.availableLateGameOps) {
+        if (plan.state.influence < opportunity.influenceThreshold) continue;
+        if (plan.free.length < Math.max(params.lateGameMinOperatives, reqs.operatives) || plan.supplies < reqs.supplies) continue;
+        plan.supplies -= reqs.supplies;
+        plan.actions.push({
+          type: 'operation',
+          operation: 'late_game_op',
+          opportunityId: opportunity.id,
+          operativeIds: take(plan, reqs.operatives, 'high'),
+        });
+      }
+    },
+  };
+
+  /**
+   * Whether the strategy would Scout this turn, operatives and supplies
+   * allowing: none under way, no wanted opportunity waiting, Heat low enough.
+   */
+  function wantsScout(state, params) {
+    if (inProgress(state, 'scout')) return false;
+    if (state.availableMidGameOps.some(o => wantsMidGameOp(o, params))) return false;
+    return state.heat < params.scoutMaxHeat;
+  }
+
+  function wantsMidGameOp(opportunity, params) {
+    if (params.midGameOps === 'all') return true;
+    if (params.midGameOps === 'heat_reducing') {
+      const def = Operations.getMidGameOp(opportunity.tableRoll);
+      return (def.success.heat || 0) < 0;
+    }
+    return params.midGameOps.includes(opportunity.id);
+  }
+
+  /**
+   * Second-penalty choice for a failed Significant Vandalism or Scout.
+   * 'auto' pays in supplies while above the supply floor, else gives up an operative.
+   */
+  function penaltyChoice(state, params) {
+    if (params.secondPenaltyChoice !== 'auto') return params.secondPenaltyChoice;
+    return state.supplies > params.supplyFloor ? 'supplies' : 'detain';
+  }
+
+  // ─── Strategy Factory ───────────────────────────────────────────────────────
+
+  /**
+   * Build a strategy from a parameter object (see DEFAULTS).
+   * @param {object} params
+   * @returns {Function} (state) => actions[], with .params and .secondPenaltyChoice
+   */
+  function create(params) {
+    const resolved = resolveParams(params);
+
+    function strategy(state) {
+      const plan = createPlan(state, resolved);
+      const hunkered = resolved.hunkerHeat !== null && state.heat > resolved.hunkerHeat;
+      for (const step of resolved.priorities) {
+        if (hunkered && !resolved.hunkerActions.includes(step)) continue;
+        PLANNERS[step](plan, resolved);
+      }
+      return plan.actions;
+    }
+
+    strategy.params = resolved;
+    strategy.secondPenaltyChoice = (state) => penaltyChoice(state, resolved);
+    return strategy;
+  }
+
+  // ─── Random Strategy ────────────────────────────────────────────────────────
+
+  /**
+   * Copy of an array in random order, drawn from the game's Rng stream so
+   * a seeded game with the Random strategy still replays exactly.
+   */
+  function shuffled(items) {
+    const copy = [...items];
+    for (let i = copy.length - 1; i > 0; i--) {
+      const j = Rng.int(i + 1);
+      [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+  }
+
+  const RANDOM_OPERATIONS = [
+    'minor_vandalism',
+    'average_vandalism',
+    'significant_vandalism',
+    'gather_supplies',
+    'scout',
+    'late_game_scout',
+  ];
+
+  /**
+   * Control group: keep picking a random legal option, with a random team,
+   * until no operatives or options are left.
+   */
+  function randomStrategy(state) {
+    const plan = createPlan(state);
+    const targeted = new Set();
+
+    for (;;) {
+      const options = [];
+      for (const operation of RANDOM_OPERATIONS) {
+        const reqs = Operations.OPERATION_REQS[operation];
+        if (plan.free.length >= reqs.operatives && plan.supplies >= reqs.supplies) options.push({ operation });
+      }
+      const midReqs = Operations.OPERATION_REQS.mid_game_op;
+      for (const opportunity of state.availableMidGameOps) {
+        if (targeted.has(opportunity.id)) continue;
+        if (plan.free.length >= midReqs.operatives && plan.supplies >= midReqs.supplies &&
+            state.influence >= opportunity.influenceThreshold) {
+          options.push({ operation: 'mid_game_op', opportunity });
+        }
+      }
+      const lateReqs = Operations.OPERATION_REQS.late_game_op;
+      for (const opportunity of state.availableLateGameOps) {
+        if (targeted.has(opportunity.id)) continue;
+        if (plan.free.length >= lateReqs.operatives && plan.supplies >= lateReqs.supplies &&
+            state.influence >= opportunity.influenceThreshold) {
+          options.push({ operation: 'late_game_op', opportunity });
+        }
+      }
+      for (const card of state.recruitPool) {
+        const id = Deck.cardId(card);
+        if (targeted.has(id)) continue;
+        const recruiters = plan.free.filter(c => Operations.canRecruit(c, card));
+        if (recruiters.length > 0) options.push({ recruit: card, recruiters });
+      }
+      if (options.length === 0) return plan.actions;
+
+      const choice = options[Rng.int(options.length)];
+      if (choice.recruit) {
+        const recruiter = choice.recruiters[Rng.int(choice.recruiters.length)];
+        plan.free = plan.free.filter(c => c !== recruiter);
+        targeted.add(Deck.cardId(choice.recruit));
+        plan.actions.push({ type: 'recruit', cardId: Deck.cardId(choice.recruit), recruiterId: Assignments.operativeId(recruiter) });
+        continue;
+      }
+
+      const reqs = Operations.OPERATION_REQS[choice.operation];
+      const team = shuffled(plan.free).slice(0, reqs.operatives);
+      plan.free = plan.free.filter(c => !team.includes(c));
+      plan.supplies -= reqs.supplies;
+      const action = { type: 'operation', operation: choice.operation, operativeIds: team.map(Assignments.operativeId) };
+      if (choice.opportunity) {
+        targeted.add(choice.opportunity.id);
+        action.opportunityId = choice.opportunity.id;
+      }
+      if (choice.operation === 'significant_vandalism') action.secondPenaltyChoice = randomPenalty();
+      plan.actions.push(action);
+    }
+  }
+
+  function randomPenalty() {
+    return Rng.int(2) === 0 ? 'detain' : 'supplies';
+  }
+
+  randomStrategy.secondPenaltyChoice = randomPenalty;
+
+  // ─── Registry ───────────────────────────────────────────────────────────────
+
+  const registry = {};
+
+  /**
+   * Register a strategy by name.
+   * @param {string} name
+   * @param {Function|object} definition - A (state) => actions[] function, or a parameter object
+   * @returns {Function} The registered strategy
+   */
+  function register(name, definition) {
+    const strategy = typeof definition === 'function' ? definition : create(definition);
+    strategy.strategyName = name;
+    registry[name] = strategy;
+    return strategy;
+  }
+
+  /**
+   * Look up a registered strategy.
+   * @param {string} name
+   * @returns {Function}
+   */
+  function get(name) {
+    const strategy = registry[name];
+    if (!strategy) throw new Error(`Unknown strategy: ${name}`);
+    return strategy;
+  }
+
+  /**
+   * Names of every registered strategy.
+   * @returns {string[]}
+   */
+  function list() {
+    return Object.keys(registry);
+  }
+
+  register('cautious', PRESETS.cautious);
+  register('aggressive', PRESETS.aggressive);
+  register('balanced', PRESETS.balanced);
+  register('random', randomStrategy);
+
+  // ─── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    DEFAULTS,
+    PRESETS,
+    create,
+    register,
+    get,
+    list,
+  };
+})();
@@ -4,10 +4,20 @@
  */
 const GameState = (() => {
   const STORAGE_PREFIX = 'good-fight-save-';
+  // Slot metadata lives beside each save so the Load screen can list slots without parsing whole games
+  const META_PREFIX = 'good-fight-meta-';
+  const LAST_SLOT_KEY = 'good-fight-last-slot';
+
+  /** Current save format. Bump it, and add a migration, whenever the state shape changes. */
+  const SCHEMA_VERSION = 1;
 
   function createInitial() {
     return {
+      // Save format (see migrate)
+      schemaVersion: SCHEMA_VERSION,
+
       // Setup
+      cellName: '',
       resistanceValues: [],
       regimeType: [],
 
@@ -42,6 +52,12 @@ const GameState = (() => {
 
       // Log
       turnLog: [],
+
+      // Structured action log {initial, events} (see EventLog), begun with the game
+      eventLog: null,
+
+      // Random stream {seed, position}, set when the game begins
+      rng: null,
     };
   }
 
@@ -73,21 +89,139 @@ const GameState = (() => {
     setSupplies(state, state.supplies + delta);
   }
 
+  // ─── Save Format ────────────────────────────────────────────────────────────
+
+  /**
+   * MIGRATIONS[n] upgrades a version-n state to version n + 1, in place or as
+   * a new object. Saves from before versioning are version 0.
+   */
+  const MIGRATIONS = [
+    // 0 → 1: fill in fields added since the first release, and expand scouted
+    // opportunities saved as bare { tableRoll } into full records
+    (data) => {
+      const state = { ...createInitial(), ...data };
+      state.availableMidGameOps = state.availableMidGameOps.map(op =>
+        op.id ? op : Operations.createMidGameOpportunity(op.tableRoll));
+      state.availableLateGameOps = state.availableLateGameOps.map(op =>
+        op.id ? op : Operations.createLateGameOpportunity(op.tableRoll));
+      return state;
+    },
+  ];
+
+  /**
+   * Upgrade saved data to the current schema version, one migration at a
+   * time. The event log's initial state is a state of the same version, so it
+   * is upgraded alongside.
+   * @param {object} data - Parsed save
+   * @returns {object} The state at SCHEMA_VERSION
+   * @throws {Error} If the save is from a newer version of the game, or its version is unreadable
+   */
+  function migrate(data) {
+    const version = data.schemaVersion === undefined ? 0 : data.schemaVersion;
+    if (!Number.isInteger(version) || version < 0) {
+      throw new Error(`Unreadable save version: ${JSON.stringify(data.schemaVersion)}`);
+    }
+    if (version > SCHEMA_VERSION) {
+      throw new Error(`This save is from a newer version of the game (save format ${version}; ` +
+        `this version reads up to ${SCHEMA_VERSION}). Update the game to load it.`);
+    }
+    for (let v = version; v < SCHEMA_VERSION; v++) {
+      data = MIGRATIONS[v](data);
+      data.schemaVersion = v + 1;
+      if (data.eventLog && data.eventLog.initial) {
+        data.eventLog.initial = MIGRATIONS[v](data.eventLog.initial);
+        data.eventLog.initial.schemaVersion = v + 1;
+      }
+    }
+    return data;
+  }
+
+  // ─── Save Slots ─────────────────────────────────────────────────────────────
+
+  /**
+   * Metadata shown for a save: cell name, regime, turn and a resource summary.
+   * @param {object} state
+   * @param {string} slotName
+   * @param {number} [savedAt] - Timestamp (ms); null if unknown
+   * @returns {object} { slot, schemaVersion, cellName, regimeType, turn, savedAt, influence, heat, supplies, operatives }
+   */
+  function describeSave(state, slotName, savedAt) {
+    return {
+      slot: slotName,
+      schemaVersion: state.schemaVersion === undefined ? 0 : state.schemaVersion,
+      cellName: state.cellName || '',
+      regimeType: Array.isArray(state.regimeType) ? state.regimeType : [],
+      turn: state.currentTurn,
+      savedAt: savedAt === undefined ? null : savedAt,
+      influence: state.influence,
+      heat: state.heat,
+      supplies: state.supplies,
+      operatives: Array.isArray(state.operatives) ? state.operatives.length : 0,
+    };
+  }
+
+  /**
+   * The event log as saves keep it: from the start of this turn on, since undo
+   * never goes further back. Replaying it still rebuilds the saved state.
+   * A log with no End Turn yet is kept whole.
+   */
+  function savedLog(log) {
+    if (!log || !log.turnStart) return log;
+    return {
+      initial: log.turnStart.state,
+      events: log.events.slice(log.turnStart.index).map((event, i) => ({ ...event, seq: i + 1 })),
+    };
+  }
+
+  /**
+   * Save a game to a slot, with its metadata, and remember it as the last slot
+   * saved. Older turns' events are left out of the saved event log.
+   */
   function save(state, slotName) {
     const key = STORAGE_PREFIX + slotName;
-    localStorage.setItem(key, JSON.stringify(state));
+    localStorage.setItem(key, JSON.stringify({ ...state, eventLog: savedLog(state.eventLog) }));
+    localStorage.setItem(META_PREFIX + slotName, JSON.stringify(describeSave(state, slotName, Date.now())));
+    localStorage.setItem(LAST_SLOT_KEY, slotName);
   }
 
+  /**
+   * Load a save, upgraded to the current schema version.
+   * @returns {object|null} null if there is no such save
+   * @throws {Error} If the save is not readable JSON, or is from a newer version of the game
+   */
   function load(slotName) {
     const key = STORAGE_PREFIX + slotName;
     const data = localStorage.getItem(key);
     if (data === null) return null;
-    return JSON.parse(data);
+    let parsed;
+    try {
+      parsed = JSON.parse(data);
+    } catch (err) {
+      throw new Error(`The save is damaged and cannot be read: ${err.message}`);
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('The save is damaged: it is not a game state.');
+    }
+    return migrate(parsed);
+  }
+
+  /**
+   * A save exactly as stored, without parsing or migrating it.
+   * @returns {string|null} null if there is no such save
+   */
+  function loadRaw(slotName) {
+    return localStorage.getItem(STORAGE_PREFIX + slotName);
   }
 
   function deleteSave(slotName) {
     const key = STORAGE_PREFIX + slotName;
     localStorage.removeItem(key);
+    localStorage.removeItem(META_PREFIX + slotName);
+    if (localStorage.getItem(LAST_SLOT_KEY) === slotName) localStorage.removeItem(LAST_SLOT_KEY);
+  }
+
+  function hasSave(slotName) {
+    return localStorage.getItem(STORAGE_PREFIX + slotName) !== null;
   }
 
   function listSaves() {
@@ -101,17 +235,105 @@ const GameState = (() => {
     return saves;
   }
 
+  /**
+   * Metadata for every save, most recently saved first. Saves written before
+   * metadata existed are described from the game itself, with no timestamp.
+   * @returns {object[]} describeSave records, or { slot, damaged: true } for unreadable saves
+   */
+  function listSlots() {
+    return listSaves().map(describeSlot).sort((a, b) => (b.savedAt || 0) - (a.savedAt || 0));
+  }
+
+  /**
+   * A slot's metadata, falling back to describing the save itself when the
+   * metadata is missing or unreadable. A save that cannot be parsed either
+   * is described as { slot, damaged: true } so it can still be listed.
+   */
+  function describeSlot(slotName) {
+    try {
+      const meta = JSON.parse(localStorage.getItem(META_PREFIX + slotName));
+      if (meta && typeof meta === 'object') return { ...meta, slot: slotName };
+    } catch (err) {
+      // Fall back to the save
+    }
+    try {
+      const data = JSON.parse(localStorage.getItem(STORAGE_PREFIX + slotName));
+      if (data && typeof data === 'object' && !Array.isArray(data)) return describeSave(data, slotName);
+    } catch (err) {
+      // Unreadable: listed as damaged
+    }
+    return { slot: slotName, damaged: true, savedAt: null };
+  }
+
+  /**
+   * The slot saved to most recently, if it still exists.
+   * @returns {string|null}
+   */
+  function getLastSlot() {
+    const slotName = localStorage.getItem(LAST_SLOT_KEY);
+    return slotName !== null && hasSave(slotName) ? slotName : null;
+  }
+
+  /**
+   * Check a new slot name: non-empty and not already taken.
+   * @returns {string} The trimmed name
+   * @throws {Error} If the name is blank or in use
+   */
+  function checkNewSlotName(slotName) {
+    const name = String(slotName || '').trim();
+    if (!name) throw new Error('Save name cannot be blank');
+    if (hasSave(name)) throw new Error(`A save named "${name}" already exists`);
+    return name;
+  }
+
+  /**
+   * Copy a save (game and metadata) to a new slot.
+   * @returns {string} The new slot name
+   * @throws {Error} If the source is missing or the new name is blank or taken
+   */
+  function duplicateSave(fromSlot, toSlot) {
+    const data = localStorage.getItem(STORAGE_PREFIX + fromSlot);
+    if (data === null) throw new Error(`No save named "${fromSlot}"`);
+    const name = checkNewSlotName(toSlot);
+    const described = describeSlot(fromSlot);
+    localStorage.setItem(STORAGE_PREFIX + name, data);
+    localStorage.setItem(META_PREFIX + name, JSON.stringify({ ...described, slot: name }));
+    return name;
+  }
+
+  /**
+   * Move a save to a new slot name.
+   * @returns {string} The new slot name
+   * @throws {Error} If the source is missing or the new name is blank or taken
+   */
+  function renameSave(fromSlot, toSlot) {
+    const wasLast = localStorage.getItem(LAST_SLOT_KEY) === fromSlot;
+    const name = duplicateSave(fromSlot, toSlot);
+    deleteSave(fromSlot);
+    if (wasLast) localStorage.setItem(LAST_SLOT_KEY, name);
+    return name;
+  }
+
   return {
+    SCHEMA_VERSION,
     createInitial,
+    migrate,
     setInfluence,
     setHeat,
     setSupplies,
     addInfluence,
     addHeat,
     addSupplies,
+    describeSave,
     save,
     load,
+    loadRaw,
     deleteSave,
+    hasSave,
     listSaves,
+    listSlots,
+    getLastSlot,
+    duplicateSave,
+    renameSave,
   };
 })();
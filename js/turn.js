@@ -0,0 +1,169 @@
+/**
+ * Turn Lifecycle for The Good Fight TTRPG (Phase 5).
+ * Runs the End Turn sequence: personnel timers, multi-turn operations,
+ * crackdown check, leader skill, and turn advance.
+ */
+const Turn = (() => {
+
+  // ─── Multi-turn Resolvers ───────────────────────────────────────────────────
+
+  /**
+   * Resolver for each multi-turn operation, called when its timer runs out.
+   * Signature: (state, assignedOperatives, op, options) => Promise<result>
+   * Looked up lazily so module load order doesn't matter.
+   */
+  function getResolver(operation) {
+    const resolvers = {
+      scout: (state, operatives, op, options) => Operations.resolveScout(state, operatives, options),
+      late_game_scout: (state, operatives, op, options) => Operations.resolveLateGameScout(state, operatives, options),
+      late_game_op: (state, operatives, op) => Operations.resolveLateGameOp(state, operatives, op.opportunity),
+    };
+    return resolvers[operation] || null;
+  }
+
+  // ─── Phase: Initiates ───────────────────────────────────────────────────────
+
+  /**
+   * Tick every initiate timer down by one. Initiates reaching 0 become operatives.
+   * @returns {{ promoted: Array }} Cards promoted to operative this turn
+   */
+  function advanceInitiates(state) {
+    const promoted = [];
+    const remaining = [];
+    for (const initiate of state.initiates) {
+      initiate.turnsRemaining--;
+      if (initiate.turnsRemaining <= 0) {
+        promoted.push(initiate.card);
+      } else {
+        remaining.push(initiate);
+      }
+    }
+    state.initiates = remaining;
+    state.operatives.push(...promoted);
+    return { promoted };
+  }
+
+  // ─── Phase: Detained Operatives ─────────────────────────────────────────────
+
+  /**
+   * Release detained operatives whose timer has run out, and tick the rest down.
+   * An operative detained for N turns sits out the next N turns: the timer
+   * reaches 0 at the end of the last turn missed and is released at the end of that turn.
+   * @returns {{ released: Array }} Cards returned to operatives this turn
+   */
+  function releaseDetained(state) {
+    const released = [];
+    const remaining = [];
+    for (const detained of state.detainedOperatives) {
+      if (detained.turnsRemaining <= 0) {
+        released.push(detained.card);
+      } else {
+        detained.turnsRemaining--;
+        remaining.push(detained);
+      }
+    }
+    state.detainedOperatives = remaining;
+    state.operatives.push(...released);
+    return { released };
+  }
+
+  // ─── Phase: Multi-turn Operations ───────────────────────────────────────────
+
+  /**
+   * Tick multi-turn operation timers. Operations reaching 0 are removed and resolved.
+   * @returns {Promise<{ completed: Array<{ operation, result }> }>}
+   */
+  async function advanceMultiTurnOps(state, options) {
+    const completed = [];
+    const due = [];
+    const remaining = [];
+    for (const op of state.multiTurnOps) {
+      op.turnsRemaining--;
+      if (op.turnsRemaining <= 0) {
+        due.push(op);
+      } else {
+        remaining.push(op);
+      }
+    }
+    state.multiTurnOps = remaining;
+
+    for (const op of due) {
+      const resolver = getResolver(op.operation);
+      if (!resolver) throw new Error(`No resolver for multi-turn operation: ${op.operation}`);
+      const result = await resolver(state, op.assignedOperatives, op, options);
+      completed.push({ operation: op.operation, result });
+    }
+    return { completed };
+  }
+
+  // ─── Phase: Leader Skill ────────────────────────────────────────────────────
+
+  /**
+   * Raise the leader's skill to the highest operative value.
+   * Per the rules, the leader's skill does not go down when an operative is lost.
+   */
+  function updateLeaderSkill(state) {
+    for (const op of state.operatives) {
+      if (op.value > state.leaderSkillLevel) state.leaderSkillLevel = op.value;
+    }
+    return state.leaderSkillLevel;
+  }
+
+  // ─── End Turn ───────────────────────────────────────────────────────────────
+
+  /**
+   * Run the full End Turn sequence:
+   *   1. Advance initiate timers (2 → 1 → operative)
+   *   2. Release detained operatives
+   *   3. Advance multi-turn operations, resolving any that complete
+   *   4. Crackdown check (d100 ≤ Heat), subtracting the roll from Heat on a crackdown
+   *   5. Update leader skill level
+   *   6. Release operatives assigned this turn
+   *   7. Increment turn
+   * The state is autosaved afterwards. The report's `victory` flag is set once
+   * three late-game operations have been completed.
+   *
+   * @param {object} state
+   * @param {object} [options]
+   * @param {string|null} [options.saveSlot='current'] - Slot to autosave to; null skips saving
+   * @param {string} [options.secondPenaltyChoice] - Passed through to multi-turn resolvers
+   * @returns {Promise<object>} Per-phase report
+   */
+  async function endTurn(state, options) {
+    options = options || {};
+    const saveSlot = options.saveSlot === undefined ? 'current' : options.saveSlot;
+    const turn = state.currentTurn;
+
+    const initiates = advanceInitiates(state);
+    const detained = releaseDetained(state);
+    const multiTurnOps = await advanceMultiTurnOps(state, options);
+    const crackdown = await Crackdown.resolveCrackdown(state);
+    const leaderSkillLevel = updateLeaderSkill(state);
+
+    Assignments.releaseAll(state);
+    state.currentTurn++;
+
+    if (saveSlot) GameState.save(state, saveSlot);
+
+    return {
+      turn,
+      initiates,
+      detained,
+      multiTurnOps,
+      crackdown,
+      leaderSkillLevel,
+      nextTurn: state.currentTurn,
+      victory: Operations.isVictory(state),
+    };
+  }
+
+  // ─── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    advanceInitiates,
+    releaseDetained,
+    advanceMultiTurnOps,
+    updateLeaderSkill,
+    endTurn,
+  };
+})();
@@ -1,6 +1,10 @@
 /**
  * UI Components for The Good Fight TTRPG.
- * Manual input modals (dice prompt, card picker) for physical mode.
+ * Manual input modals (dice prompt, card picker) for physical mode,
+ * the operative selection modal for assigning operations, the prompt for
+ * decisions the rules leave to the player, the operation resolution
+ * breakdown, and small general-purpose modals (menu, text prompt,
+ * confirmation, notice, busy cover) and file download.
  */
 const UI = (() => {
 
@@ -40,19 +44,26 @@ const UI = (() => {
   /**
    * Show a card picker modal for physical mode.
    * Compatible as a Deck provider: Deck.setProvider(UI.cardInput)
+   * Cards already in play can't be picked: their ranks are greyed out, and a
+   * suit with every rank in play is too. Cards picked earlier in the same
+   * draw count as in play.
    * @param {number} count - How many cards to pick
+   * @param {object} [options]
+   * @param {string[]} [options.inPlay] - Card ids already in play (see Deck.cardId)
    * @returns {Promise<Array<{suit, rank, value}>>} Resolves with card objects
    */
-  async function cardInput(count) {
+  async function cardInput(count, options) {
+    const inPlay = new Set(options && options.inPlay);
     const cards = [];
     for (let i = 0; i < count; i++) {
-      const card = await pickOneCard(i + 1, count);
+      const card = await pickOneCard(i + 1, count, inPlay);
+      inPlay.add(Deck.cardId(card));
       cards.push(card);
     }
     return cards;
   }
 
-  function pickOneCard(current, total) {
+  function pickOneCard(current, total, inPlay) {
     return new Promise((resolve) => {
       const overlay = createOverlay();
       const label = total > 1 ? `Draw card ${current} of ${total}:` : 'Draw a card from your deck:';
@@ -82,17 +93,41 @@ const UI = (() => {
               <option value="A">A</option>
             </select>
           </div>
+          <p class="picker-error" hidden></p>
           <button type="button">Submit</button>
         </div>
       `;
 
       const suitSelect = overlay.querySelector('[data-suit]');
       const rankSelect = overlay.querySelector('[data-rank]');
+      const error = overlay.querySelector('.picker-error');
       const button = overlay.querySelector('button');
 
+      // Grey out cards in play, and move off a selection that is greyed out
+      const markInPlay = () => {
+        for (const option of suitSelect.options) {
+          option.disabled = Deck.RANKS.every(rank => inPlay.has(Deck.cardId({ suit: option.value, rank })));
+        }
+        for (const option of rankSelect.options) {
+          option.disabled = inPlay.has(Deck.cardId({ suit: suitSelect.value, rank: option.value }));
+        }
+        const rankOption = rankSelect.options[rankSelect.selectedIndex];
+        if (rankOption && rankOption.disabled) {
+          const open = [...rankSelect.options].find(option => !option.disabled);
+          if (open) rankSelect.value = open.value;
+        }
+      };
+      suitSelect.addEventListener('change', markInPlay);
+      markInPlay();
+
       button.addEventListener('click', function () {
         const suit = suitSelect.value;
         const rank = rankSelect.value;
+        if (inPlay.has(Deck.cardId({ suit, rank }))) {
+          error.textContent = `The ${rank} of ${suit} is already in play. Pick the card you drew.`;
+          error.hidden = false;
+          return;
+        }
         const value = Deck.cardValue(rank);
         overlay.remove();
         resolve({ suit, rank, value });
@@ -102,6 +137,363 @@ const UI = (() => {
     });
   }
 
+  /**
+   * Show an operative selection modal for assigning a team to an operation.
+   * Tapped and locked operatives are listed but cannot be selected.
+   * @param {Array<{id, card, status}>} roster - From Assignments.getRoster
+   * @param {object} options
+   * @param {string} options.title - e.g. 'Assign operatives: Scout/Recon'
+   * @param {number} options.required - Minimum team size
+   * @param {Function} [options.odds] - (ids: string[]) => string|null, the chance of
+   *   success with the team selected; shown and updated as the selection changes
+   * @returns {Promise<string[]|null>} Selected ids, or null if cancelled
+   */
+  function selectOperatives(roster, options) {
+    return new Promise((resolve) => {
+      const overlay = createOverlay();
+      const rows = roster.map(entry => {
+        const disabled = entry.status !== 'ready' ? 'disabled' : '';
+        const status = entry.status !== 'ready' ? ` <span class="badge">${entry.status}</span>` : '';
+        const label = entry.card.leader ? `Leader (${entry.card.value})` : `${entry.card.rank} of ${entry.card.suit} (${entry.card.value})`;
+        return `<label class="operative-option"><input type="checkbox" value="${entry.id}" ${disabled}> ${label}${status}</label>`;
+      }).join('');
+      overlay.innerHTML = `
+        <div class="modal">
+          <h3>${options.title}</h3>
+          <p class="hint">Select at least ${options.required}.</p>
+          <div class="operative-select">${rows}</div>
+          ${options.odds ? '<p class="hint selection-odds"></p>' : ''}
+          <div class="modal-actions">
+            <button type="button" data-action="cancel">Cancel</button>
+            <button type="button" data-action="confirm" disabled>Confirm</button>
+          </div>
+        </div>
+      `;
+
+      const boxes = Array.from(overlay.querySelectorAll('input[type="checkbox"]'));
+      const confirm = overlay.querySelector('[data-action="confirm"]');
+      const selected = () => boxes.filter(box => box.checked).map(box => box.value);
+      const odds = overlay.querySelector('.selection-odds');
+      const showOdds = () => {
+        if (odds) odds.textContent = options.odds(selected()) || '';
+      };
+
+      for (const box of boxes) {
+        box.addEventListener('change', function () {
+          confirm.disabled = selected().length < options.required;
+          showOdds();
+        });
+      }
+      showOdds();
+      confirm.addEventListener('click', function () {
+        if (selected().length < options.required) return;
+        overlay.remove();
+        resolve(selected());
+      });
+      overlay.querySelector('[data-action="cancel"]').addEventListener('click', function () {
+        overlay.remove();
+        resolve(null);
+      });
+
+      document.body.appendChild(overlay);
+    });
+  }
+
+  /**
+   * Show a menu of actions, e.g. the in-game settings.
+   * @param {object} options
+   * @param {string} options.title
+   * @param {string} [options.message] - Shown above the actions
+   * @param {string[]} [options.details] - Listed under the message
+   * @param {Array<{id: string, label: string}>} options.actions
+   * @returns {Promise<string|null>} The chosen action id, or null if closed
+   */
+  function chooseAction(options) {
+    return new Promise((resolve) => {
+      const overlay = createOverlay();
+      const buttons = options.actions.map(action =>
+        `<button type="button" data-choice="${escapeHtml(action.id)}">${escapeHtml(action.label)}</button>`
+      ).join('');
+      const details = options.details && options.details.length > 0
+        ? `<ul class="import-errors">${options.details.map(detail => `<li>${escapeHtml(detail)}</li>`).join('')}</ul>`
+        : '';
+      overlay.innerHTML = `
+        <div class="modal">
+          <h3>${escapeHtml(options.title)}</h3>
+          ${options.message ? `<p>${escapeHtml(options.message)}</p>` : ''}
+          ${details}
+          <div class="modal-menu">${buttons}</div>
+          <div class="modal-actions">
+            <button type="button" data-action="cancel">Close</button>
+          </div>
+        </div>
+      `;
+
+      overlay.querySelectorAll('[data-choice]').forEach(button => {
+        button.addEventListener('click', function () {
+          overlay.remove();
+          resolve(button.dataset.choice);
+        });
+      });
+      overlay.querySelector('[data-action="cancel"]').addEventListener('click', function () {
+        overlay.remove();
+        resolve(null);
+      });
+
+      document.body.appendChild(overlay);
+    });
+  }
+
+  /**
+   * Ask the player to make a decision the rules leave to them. There is no
+   * way to close it without choosing. Compatible as a Choices provider:
+   * Choices.setProvider(UI.choice)
+   * @param {object} decision - { prompt, options: [{ value, label }] } (see Choices)
+   * @returns {Promise<string>} The chosen option's value
+   */
+  function choice(decision) {
+    return new Promise((resolve) => {
+      const overlay = createOverlay();
+      const buttons = decision.options.map((option, i) =>
+        `<button type="button" data-option="${i}">${escapeHtml(option.label)}</button>`
+      ).join('');
+      overlay.innerHTML = `
+        <div class="modal">
+          <h3>${escapeHtml(decision.prompt)}</h3>
+          <div class="modal-menu">${buttons}</div>
+        </div>
+      `;
+
+      overlay.querySelectorAll('[data-option]').forEach(button => {
+        button.addEventListener('click', function () {
+          overlay.remove();
+          resolve(decision.options[Number(button.dataset.option)].value);
+        });
+      });
+
+      document.body.appendChild(overlay);
+    });
+  }
+
+  /**
+   * Ask for a line of text, e.g. a save name.
+   * @param {object} options
+   * @param {string} options.title
+   * @param {string} [options.value] - Starting text
+   * @param {string} [options.confirmLabel='OK']
+   * @returns {Promise<string|null>} The trimmed text, or null if cancelled
+   */
+  function textInput(options) {
+    return new Promise((resolve) => {
+      const overlay = createOverlay();
+      overlay.innerHTML = `
+        <div class="modal">
+          <h3>${escapeHtml(options.title)}</h3>
+          <input type="text">
+          <div class="modal-actions">
+            <button type="button" data-action="cancel">Cancel</button>
+            <button type="button" data-action="confirm">${escapeHtml(options.confirmLabel || 'OK')}</button>
+          </div>
+        </div>
+      `;
+
+      const input = overlay.querySelector('input[type="text"]');
+      input.value = options.value || '';
+      overlay.querySelector('[data-action="confirm"]').addEventListener('click', function () {
+        const value = input.value.trim();
+        if (!value) return;
+        overlay.remove();
+        resolve(value);
+      });
+      overlay.querySelector('[data-action="cancel"]').addEventListener('click', function () {
+        overlay.remove();
+        resolve(null);
+      });
+
+      document.body.appendChild(overlay);
+      input.focus();
+    });
+  }
+
+  /**
+   * Ask the player to confirm something.
+   * @param {object} options
+   * @param {string} options.title
+   * @param {string} [options.message]
+   * @param {string} [options.confirmLabel='Confirm']
+   * @returns {Promise<boolean>}
+   */
+  function confirm(options) {
+    return new Promise((resolve) => {
+      const overlay = createOverlay();
+      overlay.innerHTML = `
+        <div class="modal">
+          <h3>${escapeHtml(options.title)}</h3>
+          ${options.message ? `<p>${escapeHtml(options.message)}</p>` : ''}
+          <div class="modal-actions">
+            <button type="button" data-action="cancel">Cancel</button>
+            <button type="button" data-action="confirm">${escapeHtml(options.confirmLabel || 'Confirm')}</button>
+          </div>
+        </div>
+      `;
+
+      overlay.querySelector('[data-action="confirm"]').addEventListener('click', function () {
+        overlay.remove();
+        resolve(true);
+      });
+      overlay.querySelector('[data-action="cancel"]').addEventListener('click', function () {
+        overlay.remove();
+        resolve(false);
+      });
+
+      document.body.appendChild(overlay);
+    });
+  }
+
+  /**
+   * Show information the player acknowledges, e.g. cards to shuffle back.
+   * @param {object} options
+   * @param {string} options.title
+   * @param {string} [options.message]
+   * @param {Array<{heading: string, items: string[]}>} [options.sections] - Labelled lists
+   * @param {string} [options.closeLabel='Close']
+   * @returns {Promise<void>} Resolves when closed
+   */
+  function notice(options) {
+    return new Promise((resolve) => {
+      const overlay = createOverlay();
+      const sections = (options.sections || []).map(section => `
+        <div class="notice-section">
+          <h4>${escapeHtml(section.heading)}</h4>
+          ${section.items.length > 0
+            ? `<ul>${section.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+            : '<p class="placeholder">None</p>'}
+        </div>
+      `).join('');
+      overlay.innerHTML = `
+        <div class="modal">
+          <h3>${escapeHtml(options.title)}</h3>
+          ${options.message ? `<p>${escapeHtml(options.message)}</p>` : ''}
+          ${sections}
+          <div class="modal-actions">
+            <button type="button" data-action="close">${escapeHtml(options.closeLabel || 'Close')}</button>
+          </div>
+        </div>
+      `;
+
+      overlay.querySelector('[data-action="close"]').addEventListener('click', function () {
+        overlay.remove();
+        resolve();
+      });
+
+      document.body.appendChild(overlay);
+    });
+  }
+
+  /**
+   * Cover the page with a message while work runs that the player must not
+   * act during. There is nothing to click; the caller removes it.
+   * @param {object} options
+   * @param {string} options.title
+   * @param {string} [options.message]
+   * @returns {Function} Removes the overlay
+   */
+  function busy(options) {
+    const overlay = createOverlay();
+    overlay.innerHTML = `
+      <div class="modal" role="status" tabindex="-1">
+        <h3>${escapeHtml(options.title)}</h3>
+        ${options.message ? `<p>${escapeHtml(options.message)}</p>` : ''}
+      </div>
+    `;
+    document.body.appendChild(overlay);
+    overlay.querySelector('.modal').focus();
+    return () => overlay.remove();
+  }
+
+  /**
+   * Show how an action resolved — each check's target and rolls, every die
+   * rolled, the outcome and the changes — and ask the player to keep it.
+   * A breakdown with `cancellable: false` (physical dice thrown) can only be confirmed.
+   * @param {object} breakdown - From Resolution.forOperation / forEndTurn
+   * @returns {Promise<boolean>} true to keep the result
+   */
+  function resolution(breakdown) {
+    return new Promise((resolve) => {
+      const overlay = createOverlay();
+      const cancellable = breakdown.cancellable !== false;
+      const list = (items) => items.length > 0
+        ? `<ul>${items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`
+        : '<p class="placeholder">None</p>';
+      const checks = breakdown.checks.map(check => `
+        <div class="notice-section resolution-check">
+          <h4>${escapeHtml(check.label)}</h4>
+          <p class="resolution-target">Target: ${escapeHtml(Resolution.targetText(check.target))}</p>
+          ${list(check.rolls.map(r => `Rolled ${r.value} — ${r.result}`))}
+        </div>
+      `).join('');
+      overlay.innerHTML = `
+        <div class="modal resolution">
+          <h3>${escapeHtml(breakdown.title)}</h3>
+          ${checks}
+          <div class="notice-section resolution-rolls">
+            <h4>Dice rolled</h4>
+            ${list(breakdown.rolls)}
+          </div>
+          <p class="resolution-outcome">${escapeHtml(breakdown.outcome)}</p>
+          <div class="notice-section resolution-changes">
+            <h4>Changes</h4>
+            ${list(breakdown.changes)}
+          </div>
+          ${cancellable ? '' : '<p class="hint">The dice have been thrown, so this result stands.</p>'}
+          <div class="modal-actions">
+            ${cancellable ? '<button type="button" data-action="cancel">Cancel</button>' : ''}
+            <button type="button" data-action="confirm">Confirm</button>
+          </div>
+        </div>
+      `;
+
+      overlay.querySelector('[data-action="confirm"]').addEventListener('click', function () {
+        overlay.remove();
+        resolve(true);
+      });
+      if (cancellable) {
+        overlay.querySelector('[data-action="cancel"]').addEventListener('click', function () {
+          overlay.remove();
+          resolve(false);
+        });
+      }
+
+      document.body.appendChild(overlay);
+    });
+  }
+
+  /**
+   * Offer text as a file download.
+   * @param {string} filename
+   * @param {string} text
+   * @param {string} [type='application/json']
+   */
+  function downloadFile(filename, text, type) {
+    const blob = new Blob([text], { type: type || 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
   function createOverlay() {
     const overlay = document.createElement('div');
     overlay.className = 'modal-overlay';
@@ -111,5 +503,15 @@ const UI = (() => {
   return {
     diceInput,
     cardInput,
+    selectOperatives,
+    chooseAction,
+    choice,
+    textInput,
+    confirm,
+    notice,
+    busy,
+    resolution,
+    downloadFile,
+    escapeHtml,
   };
 })();
@@ -0,0 +1,269 @@
+/**
+ * Save Validation for The Good Fight TTRPG.
+ * Checks a game state against the current schema before it is loaded from
+ * outside the game (an imported file): field types, the resource ranges
+ * GameState enforces, card objects, and that no card is in two places.
+ * Every problem is reported by its path, e.g. 'operatives[2].rank'.
+ * checkCards is the card conservation invariant, run after every action in
+ * development and test builds (see EventLog.setCheck).
+ */
+const Validation = (() => {
+
+  const INPUT_MODES = ['digital', 'physical'];
+
+  // ─── Cards ──────────────────────────────────────────────────────────────────
+
+  /**
+   * What is wrong with a card object, if anything.
+   * @param {*} card
+   * @returns {string|null} null for a valid card
+   */
+  function cardProblem(card) {
+    if (!card || typeof card !== 'object') return 'is not a card';
+    if (!Deck.SUITS.includes(card.suit)) return `has unknown suit ${JSON.stringify(card.suit)}`;
+    if (!Deck.RANKS.includes(card.rank)) return `has unknown rank ${JSON.stringify(card.rank)}`;
+    if (card.value !== Deck.cardValue(card.rank)) {
+      return `has value ${JSON.stringify(card.value)}, but a ${card.rank} is worth ${Deck.cardValue(card.rank)}`;
+    }
+    return null;
+  }
+
+  /**
+   * Every card the game holds, with where it is. The pool, initiates,
+   * operatives and detained operatives always count; the recruit deck only in
+   * digital card mode, since in physical mode the real deck is on the table.
+   * Cards assigned to multi-turn operations are the operatives themselves, so
+   * they are not listed again.
+   * @param {object} state
+   * @returns {Array<{ card: object, path: string }>}
+   */
+  function cardLocations(state) {
+    const locations = [];
+    const add = (list, path, pick) => {
+      if (!Array.isArray(list)) return;
+      list.forEach((entry, i) => {
+        const card = pick ? entry && entry.card : entry;
+        locations.push({ card, path: `${path}[${i}]${pick ? '.card' : ''}` });
+      });
+    };
+    if (!state.inputMode || state.inputMode.cards !== 'physical') add(state.recruitDeck, 'recruitDeck');
+    add(state.recruitPool, 'recruitPool');
+    add(state.initiates, 'initiates', true);
+    add(state.operatives, 'operatives');
+    add(state.detainedOperatives, 'detainedOperatives', true);
+    return locations;
+  }
+
+  // ─── Checks ─────────────────────────────────────────────────────────────────
+
+  function isInteger(value, min, max) {
+    return Number.isInteger(value) && value >= min && (max === undefined || value <= max);
+  }
+
+  function rangeText(min, max) {
+    return max === undefined ? `${min} or more` : `${min}–${max}`;
+  }
+
+  /**
+   * Validate a game state. Fields are checked against a fresh
+   * GameState.createInitial, so every current field must be present.
+   * @param {*} state - Parsed and migrated save
+   * @param {object} [options]
+   * @param {boolean} [options.duplicates=true] - Report cards found in two places.
+   *   A game still plays with a duplicate, so loading a save skips this check.
+   * @returns {string[]} Problems found; empty if the state is valid
+   */
+  function validateState(state, options) {
+    if (!state || typeof state !== 'object' || Array.isArray(state)) return ['The save is not a game state object.'];
+    const errors = [];
+    const defaults = GameState.createInitial();
+
+    for (const key of Object.keys(defaults)) {
+      if (!(key in state)) errors.push(`${key}: missing`);
+      else if (Array.isArray(defaults[key]) && !Array.isArray(state[key])) errors.push(`${key}: should be a list`);
+    }
+
+    const checkInteger = (path, value, min, max) => {
+      if (value !== undefined && !isInteger(value, min, max)) {
+        errors.push(`${path}: ${JSON.stringify(value)} is not a whole number from ${rangeText(min, max)}`);
+      }
+    };
+    checkInteger('influence', state.influence, 0, 500);
+    checkInteger('heat', state.heat, 0, 100);
+    checkInteger('supplies', state.supplies, 0);
+    checkInteger('currentTurn', state.currentTurn, 1);
+    checkInteger('leaderSkillLevel', state.leaderSkillLevel, 0, 15);
+
+    if (state.inputMode !== undefined) {
+      for (const kind of ['dice', 'cards']) {
+        const mode = state.inputMode && state.inputMode[kind];
+        if (!INPUT_MODES.includes(mode)) errors.push(`inputMode.${kind}: ${JSON.stringify(mode)} should be "digital" or "physical"`);
+      }
+    }
+
+    if (state.rng !== null && state.rng !== undefined) {
+      checkInteger('rng.seed', state.rng.seed, 0, 0xffffffff);
+      checkInteger('rng.position', state.rng.position, 0);
+    }
+
+    // Timers on initiates and detained operatives
+    for (const key of ['initiates', 'detainedOperatives']) {
+      if (!Array.isArray(state[key])) continue;
+      state[key].forEach((entry, i) => checkInteger(`${key}[${i}].turnsRemaining`, entry && entry.turnsRemaining, 0));
+    }
+
+    // Scouted opportunities must be entries in their tables
+    const opportunityLists = [
+      ['availableMidGameOps', Operations.getMidGameOp],
+      ['availableLateGameOps', Operations.getLateGameOp],
+      ['completedLateGameOps', Operations.getLateGameOp],
+    ];
+    for (const [key, lookup] of opportunityLists) {
+      if (!Array.isArray(state[key])) continue;
+      state[key].forEach((op, i) => {
+        const def = op && lookup(op.tableRoll);
+        if (!def || def.id !== op.id) errors.push(`${key}[${i}]: not an operation from the table`);
+      });
+    }
+
+    // Multi-turn operations: known operation, timer, and a team of cards or the leader
+    if (Array.isArray(state.multiTurnOps)) {
+      state.multiTurnOps.forEach((op, i) => {
+        const path = `multiTurnOps[${i}]`;
+        if (!op || !Operations.OPERATION_INFO[op.operation]) {
+          errors.push(`${path}.operation: ${JSON.stringify(op && op.operation)} is not an operation`);
+          return;
+        }
+        checkInteger(`${path}.turnsRemaining`, op.turnsRemaining, 0);
+        if (!Array.isArray(op.assignedOperatives)) {
+          errors.push(`${path}.assignedOperatives: should be a list`);
+          return;
+        }
+        op.assignedOperatives.forEach((card, j) => {
+          const problem = card && card.leader ? null : cardProblem(card);
+          if (problem) errors.push(`${path}.assignedOperatives[${j}]: ${problem}`);
+        });
+      });
+    }
+
+    // Cards: each valid, and none in two places
+    const checkDuplicates = !options || options.duplicates !== false;
+    const seen = new Map();
+    for (const { card, path } of cardLocations(state)) {
+      const problem = cardProblem(card);
+      if (problem) {
+        errors.push(`${path}: ${problem}`);
+        continue;
+      }
+      if (!checkDuplicates) continue;
+      const id = Deck.cardId(card);
+      if (seen.has(id)) errors.push(`${path}: ${id} is also at ${seen.get(id)}`);
+      else seen.set(id, path);
+    }
+
+    if (state.eventLog !== null && state.eventLog !== undefined) {
+      const log = state.eventLog;
+      if (!log.initial || typeof log.initial !== 'object' || !Array.isArray(log.events)) {
+        errors.push('eventLog: should be null or { initial, events }');
+      }
+    }
+
+    return errors;
+  }
+
+  // ─── Card Conservation ──────────────────────────────────────────────────────
+
+  /**
+   * Check that the 52 cards are all accounted for: every card valid, none in
+   * two places, and, in digital card mode, none missing from the deck and
+   * personnel piles together. Multi-turn teams must be made of operatives
+   * (or the leader), since a locked card stays in state.operatives.
+   * @param {object} state
+   * @returns {string[]} Violations found; empty if the cards are consistent
+   */
+  function checkCards(state) {
+    const violations = [];
+    const seen = new Map();
+    for (const { card, path } of cardLocations(state)) {
+      const problem = cardProblem(card);
+      if (problem) {
+        violations.push(`${path}: ${problem}`);
+        continue;
+      }
+      const id = Deck.cardId(card);
+      if (seen.has(id)) violations.push(`${path}: ${id} is also at ${seen.get(id)}`);
+      else seen.set(id, path);
+    }
+
+    if (!state.inputMode || state.inputMode.cards !== 'physical') {
+      const missing = Deck.createDeck().map(Deck.cardId).filter(id => !seen.has(id));
+      if (missing.length > 0) violations.push(`missing from every pile: ${missing.join(', ')}`);
+    }
+
+    const operativeIds = new Set((state.operatives || []).filter(card => !cardProblem(card)).map(Deck.cardId));
+    (state.multiTurnOps || []).forEach((op, i) => {
+      (op && op.assignedOperatives || []).forEach((card, j) => {
+        if (card && card.leader) return;
+        const path = `multiTurnOps[${i}].assignedOperatives[${j}]`;
+        const problem = cardProblem(card);
+        if (problem) violations.push(`${path}: ${problem}`);
+        else if (!operativeIds.has(Deck.cardId(card))) violations.push(`${path}: ${Deck.cardId(card)} is not an operative`);
+      });
+    });
+
+    return violations;
+  }
+
+  /**
+   * Throw if the cards are not all accounted for. Test builds pass this to
+   * EventLog.setCheck so a broken action fails the test that ran it.
+   * @param {object} state
+   * @param {string} [type] - The action just performed
+   * @throws {Error} Listing every violation
+   */
+  function assertCards(state, type) {
+    const violations = checkCards(state);
+    if (violations.length > 0) {
+      throw new Error(`Card check failed${type ? ` after ${type}` : ''}: ${violations.join('; ')}`);
+    }
+  }
+
+  // ─── Save Files ─────────────────────────────────────────────────────────────
+
+  /**
+   * Read a save file's text: parse it, upgrade it to the current schema
+   * version, and validate it.
+   * @param {string} text
+   * @returns {{ state: object|null, errors: string[] }} state is null unless errors is empty
+   */
+  function parseSave(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      return { state: null, errors: [`Not a JSON file: ${err.message}`] };
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { state: null, errors: ['The save is not a game state object.'] };
+    }
+    let state;
+    try {
+      state = GameState.migrate(data);
+    } catch (err) {
+      return { state: null, errors: [err.message] };
+    }
+    const errors = validateState(state);
+    return { state: errors.length === 0 ? state : null, errors };
+  }
+
+  // ─── Public API ─────────────────────────────────────────────────────────────
+
+  return {
+    cardProblem,
+    cardLocations,
+    validateState,
+    checkCards,
+    assertCards,
+    parseSave,
+  };
+})();
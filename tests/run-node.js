@@ -42,21 +42,65 @@ function loadScript(filePath) {
 }
 
 // --- Load game modules ---
+loadScript('../js/rng.js');
 loadScript('../js/state.js');
 loadScript('../js/dice.js');
 loadScript('../js/deck.js');
+loadScript('../js/choices.js');
 loadScript('../js/ui.js');
 loadScript('../js/app.js');
 loadScript('../js/operations.js');
+loadScript('../js/assignments.js');
+loadScript('../js/crackdown.js');
+loadScript('../js/turn.js');
+loadScript('../js/events.js');
+loadScript('../js/validation.js');
+loadScript('../js/recovery.js');
+loadScript('../js/resolution.js');
+loadScript('../js/odds.js');
+loadScript('../js/simulation/simulator.js');
+loadScript('../js/simulation/strategies.js');
+loadScript('../js/simulation/metrics.js');
+loadScript('../js/simulation/batch.js');
+loadScript('../js/simulation/advisor.js');
+loadScript('../js/simulation/aggregate.js');
+loadScript('../js/simulation/charts.js');
+loadScript('../js/simulation/dashboard.js');
+
+// Check card conservation after every engine action, as development builds do
+global.EventLog.setCheck(global.Validation.assertCards);
+
+// The simulator must also run without happy-dom; test-simulator.js uses this
+// to load a separate, DOM-free copy of the engine, and test-batch.js to run
+// batches on worker threads.
+global.loadHeadlessEngine = require('../js/simulation/node-engine').loadEngine;
+global.runNodeBatch = require('../js/simulation/batch-node').runBatch;
 
 // --- Load test runner and test files ---
 loadScript('test-runner.js');
+loadScript('test-rng.js');
 loadScript('test-state.js');
 loadScript('test-dice.js');
 loadScript('test-deck.js');
+loadScript('test-choices.js');
 loadScript('test-ui.js');
 loadScript('test-app.js');
 loadScript('test-operations.js');
+loadScript('test-crackdown.js');
+loadScript('test-turn.js');
+loadScript('test-events.js');
+loadScript('test-validation.js');
+loadScript('test-recovery.js');
+loadScript('test-resolution.js');
+loadScript('test-odds.js');
+loadScript('test-assignments.js');
+loadScript('test-simulator.js');
+loadScript('test-strategies.js');
+loadScript('test-metrics.js');
+loadScript('test-batch.js');
+loadScript('test-advisor.js');
+loadScript('test-aggregate.js');
+loadScript('test-dashboard.js');
 
 // --- Run tests and print results ---
 async function main() {
@@ -0,0 +1,187 @@
+/**
+ * Tests for simulation/advisor.js — candidate action sets, seeded Monte Carlo
+ * rankings, the worker protocol and the App's Advise button.
+ */
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** A game a few turns in: four operatives, Supplies for a Scout. */
+function adviceState() {
+  const state = Simulator.createGame('advisor');
+  state.operatives = state.recruitDeck.splice(0, 4);
+  state.leaderSkillLevel = Math.max(...state.operatives.map(c => c.value));
+  state.recruitPool = state.recruitDeck.splice(0, 2);
+  state.supplies = 5;
+  state.influence = 12;
+  state.heat = 20;
+  return state;
+}
+
+/** createWorker factory whose worker runs Advisor.serve in this thread. */
+function inThreadAdvisor() {
+  let listener = null;
+  const onMessage = Advisor.serve(reply => setTimeout(() => listener && listener(reply), 0));
+  return () => ({
+    post: message => onMessage(JSON.parse(JSON.stringify(message))),
+    onMessage: fn => { listener = fn; },
+    onError: () => {},
+    terminate: () => { listener = null; },
+  });
+}
+
+const QUICK = { rollouts: 4, horizon: 2, seed: 'advice' };
+
+// ─── Suite 1: Candidates ──────────────────────────────────────────────────────
+
+TestRunner.describe('advisor.js — Candidates', function () {
+
+  TestRunner.test('holding back, each operation the cell can field, and the preset plans', function () {
+    const state = adviceState();
+    const candidates = Advisor.candidates(state);
+    const labels = candidates.map(c => c.label);
+    TestRunner.assertEqual(labels[0], 'Hold back');
+    TestRunner.assert(labels.includes('Minor Vandalism/Propaganda (1)'), labels.join(' | '));
+    TestRunner.assert(labels.includes('Scout/Recon (4)'), labels.join(' | '));
+    TestRunner.assert(!labels.some(l => l.startsWith('Late-Game Scout/Recon')), 'needs 6 operatives');
+    const keys = candidates.map(c => JSON.stringify(c.actions));
+    TestRunner.assertEqual(new Set(keys).size, keys.length, 'no duplicates');
+  });
+
+  TestRunner.test('teams add their values to the check only when it counts', function () {
+    const state = adviceState();
+    const candidates = Advisor.candidates(state);
+    const action = (operation) => candidates.find(c => c.actions.length === 1 && c.actions[0].operation === operation).actions[0];
+    const values = Assignments.getAvailable(state).map(c => c.value).sort((a, b) => a - b);
+    const valueOf = (id) => Assignments.getRoster(state).find(e => e.id === id).card.value;
+    TestRunner.assertEqual(valueOf(action('minor_vandalism').operativeIds[0]), values[0], 'weakest for a basic check');
+    TestRunner.assertDeepEqual(action('scout').operativeIds.map(valueOf).sort((a, b) => a - b), values.slice(-4),
+      'strongest four for a Scout');
+  });
+
+});
+
+// ─── Suite 2: Rankings ────────────────────────────────────────────────────────
+
+TestRunner.describe('advisor.js — Rankings', function () {
+
+  TestRunner.test('a seeded evaluation ranks the same way and leaves the game alone', async function () {
+    const state = adviceState();
+    const before = JSON.stringify(state);
+    const stream = Rng.current();
+    const first = await Advisor.evaluate(state, QUICK);
+    const second = await Advisor.evaluate(state, QUICK);
+    TestRunner.assertDeepEqual(second, first);
+    TestRunner.assertEqual(JSON.stringify(state), before, 'state untouched');
+    TestRunner.assertEqual(Rng.current(), stream, 'Rng stream restored');
+    TestRunner.assertEqual(first.ranked.length, Advisor.candidates(state).length);
+  });
+
+  TestRunner.test('candidates are scored by influence, heat and crackdown exposure, best first', async function () {
+    const advice = await Advisor.evaluate(adviceState(), { ...QUICK, weights: { heat: 1 } });
+    for (const option of advice.ranked) {
+      TestRunner.assertEqual(option.score, option.influence - option.heat - 0.2 * option.crackdownChance * 100, option.label);
+      TestRunner.assert(option.crackdownChance >= 0 && option.crackdownChance <= 1);
+    }
+    const scores = advice.ranked.map(o => o.score);
+    TestRunner.assertDeepEqual(scores, [...scores].sort((a, b) => b - a));
+  });
+
+  TestRunner.test('providers set for play are put back', async function () {
+    const dice = () => Promise.resolve(1);
+    Dice.setProvider(dice);
+    try {
+      await Advisor.evaluate(adviceState(), { ...QUICK, rollouts: 1 });
+      TestRunner.assertEqual(Dice.getProvider(), dice);
+    } finally {
+      Dice.setProvider(null);
+    }
+  });
+
+  TestRunner.test('rollouts do not see the order of the unseen deck', async function () {
+    const state = adviceState();
+    const reordered = { ...state, recruitDeck: [...state.recruitDeck].reverse() };
+    TestRunner.assertDeepEqual(await Advisor.evaluate(reordered, QUICK), await Advisor.evaluate(state, QUICK));
+  });
+
+  TestRunner.test('physical-mode games draw from the cards not on the table', async function () {
+    const state = adviceState();
+    state.inputMode.cards = 'physical';
+    state.recruitDeck = [];
+    const advice = await Advisor.evaluate(state, { ...QUICK, rollouts: 2 });
+    TestRunner.assert(advice.ranked.length > 1);
+  });
+
+});
+
+// ─── Suite 3: Worker & App ────────────────────────────────────────────────────
+
+TestRunner.describe('advisor.js — Worker & App', function () {
+
+  TestRunner.test('the worker gives the same advice as this thread', async function () {
+    const state = adviceState();
+    const threaded = await Advisor.advise(state, { ...QUICK, createWorker: inThreadAdvisor() });
+    TestRunner.assertDeepEqual(threaded, await Advisor.evaluate(state, QUICK));
+  });
+
+  TestRunner.test('a worker error rejects, and refused workers fall back to this thread', async function () {
+    let message = null;
+    try {
+      await Advisor.advise(adviceState(), { ...QUICK, strategy: 'nonexistent', createWorker: inThreadAdvisor() });
+    } catch (e) {
+      message = e.message;
+    }
+    TestRunner.assertEqual(message, 'Unknown strategy: nonexistent');
+    const refuse = () => { throw new Error('SecurityError'); };
+    const advice = await Advisor.advise(adviceState(), { ...QUICK, createWorker: refuse });
+    TestRunner.assertEqual(advice.rollouts, 4);
+  });
+
+  /** The overlay whose heading starts with `title`, waiting up to 2 s for it. */
+  async function overlayTitled(title) {
+    const find = () => Array.from(document.querySelectorAll('.modal-overlay'))
+      .find(o => o.querySelector('h3') && o.querySelector('h3').textContent.startsWith(title));
+    for (let i = 0; i < 200 && !find(); i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    return find();
+  }
+
+  TestRunner.test('Advise shows the best options without acting', async function () {
+    const state = bootTestGame({ supplies: 5, operatives: adviceState().operatives });
+    const screen = document.querySelector('[data-screen="game"]');
+    screen.insertAdjacentHTML('beforeend', '<button id="btn-advise">Advise</button>');
+    const saved = JSON.stringify(state);
+    const running = App.adviseTurn({ ...QUICK, createWorker: inThreadAdvisor() });
+    TestRunner.assert(document.getElementById('btn-advise').disabled, 'disabled while thinking');
+    TestRunner.assert(screen.hasAttribute('inert'), 'game screen locked while thinking');
+    const overlay = await overlayTitled('Advice for Turn');
+    TestRunner.assertEqual(overlay.querySelector('h3').textContent, 'Advice for Turn 1');
+    TestRunner.assert(!screen.hasAttribute('inert'), 'unlocked once advised');
+    const headings = Array.from(overlay.querySelectorAll('.notice-section h4')).map(h => h.textContent);
+    TestRunner.assert(headings.length > 0 && headings[0].startsWith('1. '), headings.join(' | '));
+    overlay.querySelector('[data-action="close"]').click();
+    const advice = await running;
+    TestRunner.assertEqual(headings[0], `1. ${advice.ranked[0].label}`);
+    TestRunner.assert(!document.getElementById('btn-advise').disabled, 'enabled again');
+    TestRunner.assertEqual(JSON.stringify(state), saved, 'nothing performed');
+  });
+
+  TestRunner.test('the in-page fallback yields while play is locked', async function () {
+    bootTestGame({ supplies: 5, operatives: adviceState().operatives });
+    const screen = document.querySelector('[data-screen="game"]');
+    const refuse = () => { throw new Error('SecurityError'); };
+    const seen = [];
+    setTimeout(() => seen.push({
+      inert: screen.hasAttribute('inert'),
+      covered: Boolean(document.querySelector('.modal-overlay [role="status"]')),
+    }), 0);
+    const running = App.adviseTurn({ ...QUICK, rollouts: 20, horizon: 1, createWorker: refuse });
+    TestRunner.assertArrayLength(seen, 0, 'nothing ran yet');
+    const overlay = await overlayTitled('Advice for Turn');
+    TestRunner.assertDeepEqual(seen, [{ inert: true, covered: true }], 'a timer ran mid-advice');
+    TestRunner.assertEqual(document.querySelector('.modal-overlay [role="status"]'), null, 'cover removed');
+    overlay.querySelector('[data-action="close"]').click();
+    await running;
+  });
+
+});
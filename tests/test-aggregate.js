@@ -0,0 +1,88 @@
+/**
+ * Tests for simulation/aggregate.js — batch statistics for the dashboard.
+ */
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** Minimal game record: outcome, and one turnMetrics row per value of `heat`. */
+function fakeGame(outcome, heats, crackdownsByTier) {
+  return {
+    outcome,
+    turns: heats.length,
+    peakHeat: Math.max(...heats),
+    totalCrackdowns: (crackdownsByTier || []).reduce((a, b) => a + b, 0),
+    crackdownsByTier: crackdownsByTier || [0, 0, 0, 0, 0],
+    turnMetrics: heats.map((heat, i) => ({ turn: i + 1, heat, influence: 0, supplies: 0, operatives: 0 })),
+  };
+}
+
+// ─── Suite 1: Statistics ──────────────────────────────────────────────────────
+
+TestRunner.describe('aggregate.js — Statistics', function () {
+
+  TestRunner.test('percentile interpolates between ranks', function () {
+    const sorted = [10, 20, 30, 40];
+    TestRunner.assertEqual(Aggregate.percentile(sorted, 0), 10);
+    TestRunner.assertEqual(Aggregate.percentile(sorted, 50), 25);
+    TestRunner.assertEqual(Aggregate.percentile(sorted, 100), 40);
+    TestRunner.assertEqual(Aggregate.percentile([], 50), null);
+  });
+
+  TestRunner.test('summarize gives the distribution of a list', function () {
+    const s = Aggregate.summarize([4, 1, 3, 2]);
+    TestRunner.assertEqual(s.count, 4);
+    TestRunner.assertEqual(s.min, 1);
+    TestRunner.assertEqual(s.max, 4);
+    TestRunner.assertEqual(s.mean, 2.5);
+    TestRunner.assertEqual(s.median, 2.5);
+    TestRunner.assertEqual(Aggregate.summarize([]).median, null);
+  });
+
+  TestRunner.test('win rate interval brackets the rate and stays within 0–1', function () {
+    const half = Aggregate.winRate([fakeGame('win', [0]), fakeGame('stall', [0])]);
+    TestRunner.assertEqual(half.rate, 0.5);
+    TestRunner.assert(half.low < 0.5 && half.high > 0.5, 'brackets the rate');
+
+    const allWins = Aggregate.winRate([fakeGame('win', [0]), fakeGame('win', [0])]);
+    TestRunner.assertEqual(allWins.high, 1);
+    TestRunner.assert(allWins.low > 0 && allWins.low < 1, 'still uncertain after two games');
+    TestRunner.assertEqual(Aggregate.winRate([]).rate, 0);
+  });
+
+});
+
+// ─── Suite 2: Curves & Distributions ──────────────────────────────────────────
+
+TestRunner.describe('aggregate.js — Curves & Distributions', function () {
+
+  TestRunner.test('resource curve drops games that have ended', function () {
+    const curve = Aggregate.resourceCurve([
+      fakeGame('win', [10, 20, 30]),
+      fakeGame('stall', [30, 40]),
+    ], 'heat');
+    TestRunner.assertArrayLength(curve, 3);
+    TestRunner.assertEqual(curve[0].median, 20);
+    TestRunner.assertEqual(curve[1].count, 2);
+    TestRunner.assertEqual(curve[2].count, 1);
+    TestRunner.assertEqual(curve[2].median, 30);
+  });
+
+  TestRunner.test('histogram bins share an extent across series', function () {
+    const bins = Aggregate.histogram([12, 14, 27], 5, [10, 34]);
+    TestRunner.assertDeepEqual(bins.map(b => [b.from, b.count]), [[10, 2], [15, 0], [20, 0], [25, 1], [30, 0]]);
+    TestRunner.assertArrayLength(Aggregate.histogram([], 5), 0);
+  });
+
+  TestRunner.test('aggregate totals crackdown tiers and outcomes', function () {
+    const summary = Aggregate.aggregate({
+      strategy: 'cautious',
+      games: [fakeGame('win', [5, 6], [1, 0, 0, 0, 0]), fakeGame('turn_limit', [9], [0, 2, 0, 0, 1])],
+    });
+    TestRunner.assertEqual(summary.strategy, 'cautious');
+    TestRunner.assertDeepEqual(summary.crackdownTierDistribution, [1, 2, 0, 0, 1]);
+    TestRunner.assertDeepEqual(summary.outcomes, { win: 1, turn_limit: 1 });
+    TestRunner.assertEqual(summary.turnsToVictory.median, 2);
+    TestRunner.assertDeepEqual(Object.keys(summary.curves), Aggregate.CURVE_KEYS);
+  });
+
+});
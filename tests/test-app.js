@@ -156,3 +156,266 @@ TestRunner.describe('app.js — Setup Tables', function () {
   });
 
 });
+
+// ─── Physical Cards ──────────────────────────────────────────────────────────
+
+TestRunner.describe('app.js — Physical Cards', function () {
+
+  TestRunner.test('the picker is told which cards are in play', async function () {
+    const state = bootTestGame({
+      inputMode: { dice: 'digital', cards: 'physical' },
+      recruitPool: [Deck.cardFromId('9-clubs')],
+      operatives: [Deck.cardFromId('4-hearts')],
+      initiates: [{ card: Deck.cardFromId('Q-spades'), turnsRemaining: 1 }],
+    });
+    TestRunner.assertDeepEqual(App.cardsInPlay(), ['9-clubs', 'Q-spades', '4-hearts']);
+    const drawing = App.drawToPool(1);
+    const overlays = document.querySelectorAll('.modal-overlay');
+    const overlay = overlays[overlays.length - 1];
+    overlay.querySelector('[data-suit]').value = 'clubs';
+    overlay.querySelector('[data-suit]').dispatchEvent(new window.Event('change'));
+    TestRunner.assert(overlay.querySelector('[data-rank] option[value="9"]').disabled, '9 of clubs is in the pool');
+    overlay.querySelector('[data-rank]').value = '10';
+    overlay.querySelector('button').click();
+    await drawing;
+    TestRunner.assertDeepEqual(state.recruitPool.map(Deck.cardId), ['9-clubs', '10-clubs']);
+    Deck.setProvider(null);
+  });
+
+  TestRunner.test('a captured card is available again', async function () {
+    const state = bootTestGame({
+      inputMode: { dice: 'digital', cards: 'physical' },
+      operatives: [Deck.cardFromId('4-hearts'), Deck.cardFromId('8-hearts')],
+    });
+    await Crackdown.applyTier(state, Crackdown.TIERS.find(tier => tier.operatives === 1));
+    TestRunner.assertDeepEqual(App.cardsInPlay(), state.operatives.map(Deck.cardId));
+    TestRunner.assert(!App.cardsInPlay().includes('4-hearts'), 'captured 4 is back in the deck');
+    Deck.setProvider(null);
+  });
+
+  /** The most recently opened modal, once it has had a tick to appear. */
+  async function lastModal() {
+    await new Promise(resolve => setTimeout(resolve, 0));
+    const overlays = document.querySelectorAll('.modal-overlay');
+    return overlays[overlays.length - 1];
+  }
+
+  TestRunner.test('captured cards must be shuffled back before the turn goes on', async function () {
+    const state = bootTestGame({
+      inputMode: { dice: 'digital', cards: 'physical' },
+      heat: 99,
+      operatives: [Deck.cardFromId('4-hearts'), Deck.cardFromId('8-hearts')],
+    });
+    // d100=50: crackdown, Safehouse raid takes the lowest operative
+    Dice.setProvider(() => Promise.resolve(50));
+    let finished = false;
+    const ending = App.endTurn().then(() => { finished = true; });
+    const modal = await lastModal();
+    TestRunner.assert(modal.textContent.includes('Return these cards to your physical deck and shuffle'));
+    TestRunner.assertDeepEqual([...modal.querySelectorAll('li')].map(li => li.textContent), ['4 of hearts']);
+    TestRunner.assertEqual(finished, false, 'waits for the player');
+    modal.querySelector('[data-action="close"]').click();
+    await ending;
+    Dice.setProvider(null);
+    Deck.setProvider(null);
+    TestRunner.assert(state.turnLog.some(entry => entry.text === 'Returned to the physical deck and shuffled: 4\u2665.'));
+  });
+
+  TestRunner.test('undoing a physical draw puts the card back; redo takes it out', async function () {
+    bootTestGame({ inputMode: { dice: 'digital', cards: 'physical' } });
+    const drawing = App.drawToPool(1);
+    const picker = await lastModal();
+    picker.querySelector('[data-suit]').value = 'spades';
+    picker.querySelector('[data-rank]').value = '7';
+    picker.querySelector('button').click();
+    await drawing;
+
+    const undoing = App.undo();
+    let modal = await lastModal();
+    TestRunner.assertEqual(modal.querySelector('h4').textContent, 'Put back and shuffle');
+    TestRunner.assert(modal.textContent.includes('7 of spades'));
+    modal.querySelector('[data-action="close"]').click();
+    await undoing;
+    TestRunner.assertArrayLength(App.getState().recruitPool, 0);
+
+    const redoing = App.redo();
+    modal = await lastModal();
+    TestRunner.assertEqual(modal.querySelector('h4').textContent, 'Take out of the deck');
+    modal.querySelector('[data-action="close"]').click();
+    await redoing;
+    TestRunner.assertDeepEqual(App.getState().recruitPool.map(Deck.cardId), ['7-spades']);
+    Deck.setProvider(null);
+  });
+
+  TestRunner.test('a second draw in one action cannot pick the cards the first drew', async function () {
+    const team = [Deck.cardFromId('9-clubs'), Deck.cardFromId('10-clubs')];
+    const liberate = (card) => ({
+      operation: 'late_game_op',
+      turnsRemaining: 1,
+      assignedOperatives: [card],
+      opportunity: Operations.createLateGameOpportunity(4),
+    });
+    bootTestGame({
+      inputMode: { dice: 'digital', cards: 'physical' },
+      operatives: team,
+      multiTurnOps: [liberate(team[0]), liberate(team[1])],
+    });
+    // d100=1: both operations succeed and draw 5 operatives each; d100=100: no crackdown
+    let i = 0;
+    Dice.setProvider(() => Promise.resolve([1, 1, 100][i++]));
+    const ending = App.endTurn();
+    let disabled = null;
+    for (const rank of ['2', '3', '4', '5', '6', '7', '8', 'J', 'Q', 'K']) {
+      const picker = await lastModal();
+      picker.querySelector('[data-suit]').value = 'spades';
+      picker.querySelector('[data-suit]').dispatchEvent(new Event('change'));
+      if (rank === '7') {
+        disabled = [...picker.querySelectorAll('[data-rank] option')].filter(o => o.disabled).map(o => o.value);
+      }
+      picker.querySelector('[data-rank]').value = rank;
+      picker.querySelector('button').click();
+    }
+    const report = await ending;
+    Dice.setProvider(null);
+    Deck.setProvider(null);
+    TestRunner.assertDeepEqual(disabled, ['2', '3', '4', '5', '6'], 'first operation\'s cards are in play');
+    TestRunner.assertDeepEqual(report.multiTurnOps.completed.map(op => op.result.cardsDrawn.length), [5, 5]);
+    TestRunner.assertArrayLength(App.getState().operatives, 12);
+  });
+
+  TestRunner.test('Reconcile Deck lists the deck by suit and where each card in play is', async function () {
+    bootTestGame({
+      inputMode: { dice: 'digital', cards: 'physical' },
+      recruitPool: [Deck.cardFromId('9-clubs')],
+      detainedOperatives: [{ card: Deck.cardFromId('A-spades'), turnsRemaining: 1 }],
+    });
+    const reconciling = App.reconcileDeck();
+    const modal = await lastModal();
+    const items = [...modal.querySelectorAll('li')].map(li => li.textContent);
+    TestRunner.assert(items.includes('\u2663 clubs: 2 3 4 5 6 7 8 10 J Q K A'), items.join(' | '));
+    TestRunner.assert(items.includes('9 of clubs — recruit pool'));
+    TestRunner.assert(items.includes('A of spades — detained'));
+    modal.querySelector('[data-action="close"]').click();
+    const { deck, inPlay } = await reconciling;
+    TestRunner.assertArrayLength(deck, 50);
+    TestRunner.assertDeepEqual(inPlay, ['9-clubs', 'A-spades']);
+    Deck.setProvider(null);
+  });
+
+});
+
+// ─── Save Slots ──────────────────────────────────────────────────────────────
+
+TestRunner.describe('app.js — Save Slots', function () {
+
+  /** A game autosaving to `slot`, with the Load Game screen in the DOM. */
+  function slotGame(slot, overrides) {
+    GameState.listSaves().forEach(GameState.deleteSave);
+    bootTestGame(overrides);
+    document.getElementById('app').insertAdjacentHTML('beforeend',
+      '<div data-screen="load"><p id="save-list-status"></p><div id="save-list"></div></div>');
+    if (slot !== 'current') {
+      GameState.save(App.getState(), slot);
+      App.loadGame(slot);
+    }
+    return App.getState();
+  }
+
+  /** Wait for a modal, fill its text box if given, and click an action. */
+  async function answerModal(text, action) {
+    await new Promise(resolve => setTimeout(resolve, 0));
+    const overlays = document.querySelectorAll('.modal-overlay');
+    const overlay = overlays[overlays.length - 1];
+    if (text !== undefined) overlay.querySelector('input[type="text"]').value = text;
+    overlay.querySelector(action).click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  TestRunner.test('Load Game lists each save with its metadata', function () {
+    slotGame('Night Owls', { cellName: 'Night Owls', regimeType: ['Oligarchy'], currentTurn: 3 });
+    App.showLoadScreen();
+    TestRunner.assertEqual(App.currentScreen(), 'load');
+    const rows = document.querySelectorAll('#save-list .save-slot');
+    TestRunner.assertArrayLength(rows, 2, 'autosave and named slot');
+    TestRunner.assertEqual(rows[0].dataset.slot, 'Night Owls', 'most recent first');
+    TestRunner.assert(rows[0].textContent.includes('vs. Oligarchy — Turn 3'));
+    TestRunner.assert(rows[1].textContent.includes('Autosave'));
+  });
+
+  TestRunner.test('loading a slot makes it the autosave target', async function () {
+    slotGame('Slot A', { influence: 9 });
+    await App.drawToPool(1);
+    TestRunner.assertEqual(App.getActiveSlot(), 'Slot A');
+    TestRunner.assertArrayLength(GameState.load('Slot A').recruitPool, 1);
+    TestRunner.assertArrayLength(GameState.load('current').recruitPool, 0, 'autosave slot untouched');
+    App.continueGame();
+    TestRunner.assertEqual(App.getActiveSlot(), 'Slot A', 'Continue picks the last slot saved');
+  });
+
+  TestRunner.test('Save As from the settings menu switches slots', async function () {
+    slotGame('current', { cellName: 'Ravens' });
+    const settings = App.openSettings();
+    await answerModal(undefined, '[data-choice="save-as"]');
+    const overlays = document.querySelectorAll('.modal-overlay');
+    const input = overlays[overlays.length - 1].querySelector('input[type="text"]');
+    TestRunner.assertEqual(input.value, 'Ravens', 'suggests the cell name');
+    await answerModal('Ravens', '[data-action="confirm"]');
+    await settings;
+    TestRunner.assertEqual(App.getActiveSlot(), 'Ravens');
+    TestRunner.assert(GameState.hasSave('Ravens'));
+  });
+
+  TestRunner.test('Save As asks before overwriting another save', async function () {
+    slotGame('current');
+    GameState.save(GameState.createInitial(), 'Taken');
+    const saving = App.saveAs();
+    await answerModal('Taken', '[data-action="confirm"]');
+    await answerModal(undefined, '[data-action="cancel"]');
+    TestRunner.assertEqual(await saving, null);
+    TestRunner.assertEqual(App.getActiveSlot(), 'current');
+  });
+
+  TestRunner.test('renaming the slot in play keeps autosaves going to it', async function () {
+    slotGame('Old Name');
+    App.showLoadScreen();
+    document.querySelector('.save-slot[data-slot="Old Name"] [data-slot-action="rename"]').click();
+    await answerModal('New Name', '[data-action="confirm"]');
+    TestRunner.assertEqual(App.getActiveSlot(), 'New Name');
+    TestRunner.assert(document.querySelector('.save-slot[data-slot="New Name"]') !== null, 'list refreshed');
+  });
+
+  TestRunner.test('a taken name is reported, not overwritten', async function () {
+    slotGame('One');
+    App.showLoadScreen();
+    const renaming = App.duplicateSlot('One');
+    await answerModal('current', '[data-action="confirm"]');
+    TestRunner.assertEqual(await renaming, null);
+    TestRunner.assert(document.getElementById('save-list-status').textContent.includes('already exists'));
+  });
+
+  TestRunner.test('delete asks first', async function () {
+    slotGame('Doomed');
+    App.showLoadScreen();
+    let deleting = App.deleteSlot('Doomed');
+    await answerModal(undefined, '[data-action="cancel"]');
+    TestRunner.assertEqual(await deleting, false);
+    deleting = App.deleteSlot('Doomed');
+    await answerModal(undefined, '[data-action="confirm"]');
+    TestRunner.assertEqual(await deleting, true);
+    TestRunner.assertEqual(GameState.hasSave('Doomed'), false);
+    TestRunner.assertArrayLength(document.querySelectorAll('#save-list .save-slot'), 1);
+  });
+
+  TestRunner.test('a save from a newer version is reported on the Load Game screen', function () {
+    slotGame('current');
+    const future = GameState.createInitial();
+    future.schemaVersion = GameState.SCHEMA_VERSION + 1;
+    GameState.save(future, 'Future');
+    TestRunner.assertEqual(App.loadGame('Future'), false);
+    TestRunner.assertEqual(App.currentScreen(), 'load');
+    TestRunner.assert(document.getElementById('save-list-status').textContent.includes('newer version'));
+    TestRunner.assert(document.querySelector('.save-slot[data-slot="Future"] .save-slot-warning') !== null, 'flagged in the list');
+    TestRunner.assertEqual(App.getActiveSlot(), 'current', 'still playing the old slot');
+  });
+
+});
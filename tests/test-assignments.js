@@ -0,0 +1,256 @@
+/**
+ * Tests for assignments.js (Phase 3) — operative assignment, per-turn
+ * "tapped" tracking, multi-turn locks, and the operations panel.
+ */
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Boot a game with `count` unique operatives drawn from a fresh deck,
+ * plus an #operations-list container for the operations panel.
+ */
+function assignmentGame(overrides, count) {
+  const state = bootTestGame(overrides);
+  document.querySelector('[data-screen="game"]')
+    .insertAdjacentHTML('beforeend', '<div id="operations-list"></div>');
+  state.operatives = state.recruitDeck.splice(0, count || 0);
+  App.renderGameState();
+  return state;
+}
+
+function idsOf(cards) {
+  return cards.map(Assignments.operativeId);
+}
+
+// ─── Suite 1: Roster & Status ─────────────────────────────────────────────────
+
+TestRunner.describe('assignments.js — Roster & Status', function () {
+
+  TestRunner.test('roster lists the leader first, valued at the leader skill level', function () {
+    const state = assignmentGame({ leaderSkillLevel: 9 }, 2);
+    const roster = Assignments.getRoster(state);
+    TestRunner.assertArrayLength(roster, 3);
+    TestRunner.assertEqual(roster[0].id, Assignments.LEADER_ID);
+    TestRunner.assertEqual(roster[0].card.value, 9);
+    TestRunner.assert(roster.every(entry => entry.status === 'ready'), 'everyone starts ready');
+  });
+
+  TestRunner.test('operatives are tapped after being assigned this turn', async function () {
+    const state = assignmentGame({ heat: 0 }, 2);
+    const [first] = state.operatives;
+    Dice.setProvider(() => Promise.resolve(100));
+    await Assignments.assignAndExecute(state, 'minor_vandalism', idsOf([first]));
+    Dice.setProvider(null);
+    TestRunner.assert(Assignments.isTapped(state, Assignments.operativeId(first)));
+    TestRunner.assertArrayLength(Assignments.getAvailable(state), 2, 'leader + one operative left');
+    TestRunner.assertArrayLength(state.assignments, 1);
+    TestRunner.assertEqual(state.assignments[0].operation, 'minor_vandalism');
+  });
+
+  TestRunner.test('multi-turn operation locks its team', async function () {
+    const state = assignmentGame({ supplies: 5 }, 4);
+    await Assignments.assignAndExecute(state, 'scout', idsOf(state.operatives));
+    const roster = Assignments.getRoster(state);
+    TestRunner.assert(roster.slice(1).every(entry => entry.status === 'locked'), 'all four locked');
+    TestRunner.assertEqual(roster[0].status, 'ready', 'leader was not sent');
+  });
+
+  TestRunner.test('End Turn releases tapped operatives but not locked ones', async function () {
+    const state = assignmentGame({ supplies: 5, heat: 0 }, 5);
+    const scouts = state.operatives.slice(0, 4);
+    const vandal = state.operatives[4];
+    Dice.setProvider(() => Promise.resolve(100));
+    await Assignments.assignAndExecute(state, 'scout', idsOf(scouts));
+    await Assignments.assignAndExecute(state, 'minor_vandalism', idsOf([vandal]));
+    await Turn.endTurn(state, { saveSlot: null });
+    Dice.setProvider(null);
+    TestRunner.assertArrayLength(state.assignments, 0);
+    TestRunner.assert(!Assignments.isTapped(state, Assignments.operativeId(vandal)), 'tapped released');
+    TestRunner.assert(Assignments.isLocked(state, Assignments.operativeId(scouts[0])), 'scout still running');
+  });
+
+});
+
+// ─── Suite 2: Enforcement ─────────────────────────────────────────────────────
+
+TestRunner.describe('assignments.js — Enforcement', function () {
+
+  TestRunner.test('an operative cannot be used twice in one turn', async function () {
+    const state = assignmentGame({ heat: 0 }, 1);
+    const ids = idsOf(state.operatives);
+    Dice.setProvider(() => Promise.resolve(100));
+    await Assignments.assignAndExecute(state, 'minor_vandalism', ids);
+    Dice.setProvider(null);
+    TestRunner.assertThrows(() => Assignments.selectOperatives(state, ids));
+  });
+
+  TestRunner.test('locked and unknown operatives cannot be selected', async function () {
+    const state = assignmentGame({ supplies: 5 }, 4);
+    await Assignments.assignAndExecute(state, 'scout', idsOf(state.operatives));
+    TestRunner.assertThrows(() => Assignments.selectOperatives(state, idsOf(state.operatives.slice(0, 1))));
+    TestRunner.assertThrows(() => Assignments.selectOperatives(state, ['Z-hearts']));
+  });
+
+  TestRunner.test('the same operative listed twice is rejected', function () {
+    const state = assignmentGame({}, 1);
+    const id = Assignments.operativeId(state.operatives[0]);
+    TestRunner.assertThrows(() => Assignments.selectOperatives(state, [id, id]));
+    TestRunner.assert(!Operations.canExecute('average_vandalism', state, [state.operatives[0], state.operatives[0]]),
+      'one card cannot fill two slots');
+  });
+
+  TestRunner.test('canExecute is false when a team member is already tapped', async function () {
+    const state = assignmentGame({ heat: 0 }, 2);
+    Dice.setProvider(() => Promise.resolve(100));
+    await Assignments.assignAndExecute(state, 'minor_vandalism', idsOf(state.operatives.slice(0, 1)));
+    Dice.setProvider(null);
+    TestRunner.assert(!Operations.canExecute('minor_vandalism', state, state.operatives.slice(0, 1)));
+    TestRunner.assert(Operations.canExecute('minor_vandalism', state, state.operatives.slice(1, 2)));
+  });
+
+  TestRunner.test('the leader counts toward team size', async function () {
+    const state = assignmentGame({ supplies: 3, heat: 0, leaderSkillLevel: 5 }, 1);
+    Dice.setProvider(() => Promise.resolve(100));
+    const result = await Assignments.assignAndExecute(state, 'average_vandalism',
+      [Assignments.LEADER_ID, ...idsOf(state.operatives)]);
+    Dice.setProvider(null);
+    TestRunner.assertEqual(result.success, true);
+    TestRunner.assert(Assignments.isTapped(state, Assignments.LEADER_ID));
+  });
+
+  TestRunner.test('requirements not met → throws without spending or tapping', async function () {
+    const state = assignmentGame({ supplies: 2 }, 2);
+    let threw = false;
+    try {
+      await Assignments.assignAndExecute(state, 'average_vandalism', idsOf(state.operatives));
+    } catch (e) {
+      threw = true;
+    }
+    TestRunner.assert(threw, 'should throw');
+    TestRunner.assertEqual(state.supplies, 2);
+    TestRunner.assertArrayLength(state.assignments, 0);
+  });
+
+  TestRunner.test('mid-game operation uses the opportunity influence threshold', async function () {
+    const state = assignmentGame({ supplies: 10, influence: 44 }, 6);
+    state.availableMidGameOps = [Operations.createMidGameOpportunity(1)]; // medium: 45
+    let threw = false;
+    try {
+      await Assignments.assignAndExecute(state, 'mid_game_op', idsOf(state.operatives), { opportunityIndex: 0 });
+    } catch (e) {
+      threw = true;
+    }
+    TestRunner.assert(threw, 'should throw below 45 influence');
+    TestRunner.assertArrayLength(state.availableMidGameOps, 1);
+  });
+
+});
+
+// ─── Suite 3: Penalties & the Leader ──────────────────────────────────────────
+
+TestRunner.describe('assignments.js — Penalties & the Leader', function () {
+
+  TestRunner.test('leader is never detained: the next operative is taken instead', async function () {
+    const state = assignmentGame({ supplies: 3, heat: 99, leaderSkillLevel: 5 }, 1);
+    const [operative] = state.operatives;
+    Dice.setProvider(() => Promise.resolve(100));
+    await Assignments.assignAndExecute(state, 'average_vandalism',
+      [Assignments.LEADER_ID, Assignments.operativeId(operative)]);
+    Dice.setProvider(null);
+    TestRunner.assertArrayLength(state.detainedOperatives, 1);
+    TestRunner.assertEqual(state.detainedOperatives[0].card, operative);
+  });
+
+  TestRunner.test('scout resolved after a reload detains from state.operatives', async function () {
+    const state = assignmentGame({ supplies: 5, heat: 99 }, 4);
+    await Assignments.assignAndExecute(state, 'scout', idsOf(state.operatives));
+    GameState.save(state, 'current');
+    App.continueGame();
+    const reloaded = App.getState();
+    reloaded.multiTurnOps[0].turnsRemaining = 1;
+    // d100=100 scout fails, d100=100 no crackdown
+    Dice.setProvider(() => Promise.resolve(100));
+    await Turn.endTurn(reloaded, { saveSlot: null, secondPenaltyChoice: 'supplies' });
+    Dice.setProvider(null);
+    TestRunner.assertArrayLength(reloaded.detainedOperatives, 1);
+    TestRunner.assertArrayLength(reloaded.operatives, 3, 'detained card removed from operatives');
+  });
+
+});
+
+// ─── Suite 4: Operations Panel ────────────────────────────────────────────────
+
+TestRunner.describe('app.js — Operations Panel', function () {
+
+  TestRunner.test('renders each standard operation with met/unmet requirements', function () {
+    assignmentGame({ supplies: 3 }, 1);
+    const list = document.getElementById('operations-list');
+    const average = list.querySelector('.operation[data-operation="average_vandalism"]');
+    TestRunner.assert(average !== null, 'average vandalism listed');
+    TestRunner.assertArrayLength(Array.from(average.querySelectorAll('.req-met')), 2, 'leader + 1 operative, 3 supplies');
+    const significant = list.querySelector('.operation[data-operation="significant_vandalism"]');
+    TestRunner.assert(significant.querySelector('.req-unmet') !== null, 'significant vandalism blocked');
+    TestRunner.assert(significant.querySelector('.btn-execute').disabled, 'button disabled');
+    TestRunner.assert(!average.querySelector('.btn-execute').disabled, 'button enabled');
+  });
+
+  TestRunner.test('scouted opportunities are listed with their influence threshold', function () {
+    const state = assignmentGame({ influence: 10 }, 0);
+    state.availableMidGameOps = [Operations.createMidGameOpportunity(3)];
+    App.renderOperations();
+    const op = document.querySelector('.operation[data-operation="mid_game_op"]');
+    TestRunner.assert(op.textContent.includes('Stage Industry Strike'));
+    const unmet = Array.from(op.querySelectorAll('.req-unmet')).map(chip => chip.textContent);
+    TestRunner.assert(unmet.includes('Influence 30'), 'influence threshold shown as unmet');
+  });
+
+  TestRunner.test('requirement chips explain themselves in tooltips', async function () {
+    const state = assignmentGame({ supplies: 5 }, 4);
+    await App.executeOperation('scout', idsOf(state.operatives.slice(0, 3)).concat(Assignments.LEADER_ID));
+    const average = document.querySelector('.operation[data-operation="average_vandalism"]');
+    const [operatives, supplies] = average.querySelectorAll('.req');
+    TestRunner.assertEqual(operatives.textContent, 'Operatives 1/2');
+    TestRunner.assertEqual(operatives.title, 'Needs 2 operatives; 1 free (4 locked in multi-turn operations)');
+    TestRunner.assertEqual(supplies.title, 'Needs 3 Supplies; the cell has 0');
+    TestRunner.assertEqual(average.querySelector('.btn-execute').title,
+      `${operatives.title}; ${supplies.title}`, 'the button says why it is disabled');
+  });
+
+  TestRunner.test('executeOperation runs, logs, and taps the team', async function () {
+    const state = assignmentGame({ heat: 0 }, 1);
+    Dice.setProvider(() => Promise.resolve(100));
+    await App.executeOperation('minor_vandalism', idsOf(state.operatives));
+    Dice.setProvider(null);
+    const last = state.turnLog[state.turnLog.length - 1];
+    TestRunner.assert(last.text.includes('Minor Vandalism'), 'result logged');
+    TestRunner.assert(document.querySelector('#section-operatives .badge').textContent.includes('tapped'));
+  });
+
+  TestRunner.test('Assign & Execute opens the selection modal and runs the chosen team', async function () {
+    const state = assignmentGame({ heat: 0 }, 1);
+    document.querySelector('.operation[data-operation="minor_vandalism"] .btn-execute').click();
+    const overlay = document.querySelector('.modal-overlay');
+    TestRunner.assert(overlay !== null, 'selection modal shown');
+    const box = overlay.querySelector(`input[value="${Assignments.operativeId(state.operatives[0])}"]`);
+    box.checked = true;
+    box.dispatchEvent(new window.Event('change'));
+    Dice.setProvider(() => Promise.resolve(100));
+    overlay.querySelector('[data-action="confirm"]').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    Dice.setProvider(null);
+    TestRunner.assertArrayLength(state.assignments, 1);
+    TestRunner.assert(document.querySelector('.modal-overlay') === null, 'modal closed');
+  });
+
+  TestRunner.test('tapped and locked operatives are disabled in the selection modal', async function () {
+    const state = assignmentGame({ supplies: 5 }, 5);
+    await App.executeOperation('scout', idsOf(state.operatives.slice(0, 4)));
+    const promise = UI.selectOperatives(Assignments.getRoster(state), { title: 'Test', required: 1 });
+    const overlay = document.querySelector('.modal-overlay');
+    const disabled = Array.from(overlay.querySelectorAll('input[type="checkbox"]')).filter(box => box.disabled);
+    TestRunner.assertArrayLength(disabled, 4);
+    overlay.querySelector('[data-action="cancel"]').click();
+    TestRunner.assertEqual(await promise, null);
+  });
+
+});
@@ -0,0 +1,145 @@
+/**
+ * Tests for simulation/batch.js — per-game seeds, in-process and worker
+ * batches, progress, cancellation and deterministic merging.
+ */
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * createWorker factory whose "workers" run Batch.serve in this thread.
+ * Games share the module-level Rng, so requests are queued one at a time;
+ * replies from earlier workers are held back longer, so chunks come back
+ * out of order.
+ */
+function inThreadWorkers() {
+  let queue = Promise.resolve();
+  let created = 0;
+  const factory = function createWorker() {
+    const delay = 30 - 10 * created++;
+    let listener = null;
+    const onMessage = Batch.serve(reply => setTimeout(() => listener && listener(reply), Math.max(delay, 0)));
+    return {
+      post: message => { queue = queue.then(() => onMessage(message)); },
+      onMessage: fn => { listener = fn; },
+      onError: () => {},
+      terminate: () => { listener = null; },
+    };
+  };
+  factory.created = () => created;
+  return factory;
+}
+
+function gameKeys(batch) {
+  return batch.games.map(g => `${g.gameIndex}:${g.seed}:${g.outcome}:${g.turns}:${g.final.influence}`);
+}
+
+// ─── Suite 1: Seeds & Strategies ──────────────────────────────────────────────
+
+TestRunner.describe('batch.js — Seeds & Strategies', function () {
+
+  TestRunner.test('each game gets its own repeatable seed', function () {
+    TestRunner.assertEqual(Batch.gameSeed(42, 3), Batch.gameSeed(42, 3));
+    TestRunner.assert(Batch.gameSeed(42, 3) !== Batch.gameSeed(42, 4), 'differs by index');
+    TestRunner.assert(Batch.gameSeed(42, 3) !== Batch.gameSeed(43, 3), 'differs by batch seed');
+  });
+
+  TestRunner.test('strategy specs resolve by name or parameters', function () {
+    TestRunner.assertEqual(Batch.resolveStrategy('cautious'), Strategies.get('cautious'));
+    const custom = Batch.resolveStrategy({ name: 'mine', params: { supplyFloor: 3 } });
+    TestRunner.assertEqual(custom.params.supplyFloor, 3);
+    let threw = false;
+    try {
+      Batch.resolveStrategy(42);
+    } catch (e) {
+      threw = true;
+    }
+    TestRunner.assert(threw, 'should reject');
+  });
+
+});
+
+// ─── Suite 2: In-Process Batches ──────────────────────────────────────────────
+
+TestRunner.describe('batch.js — In-Process Batches', function () {
+
+  TestRunner.test('plays every game in index order with derived seeds', async function () {
+    const batch = await Batch.run({ strategy: 'balanced', count: 4, seed: 9, maxTurns: 5 });
+    TestRunner.assertEqual(batch.seed, 9);
+    TestRunner.assertEqual(batch.strategy, 'balanced');
+    TestRunner.assertEqual(batch.completed, 4);
+    TestRunner.assertEqual(batch.cancelled, false);
+    TestRunner.assertDeepEqual(batch.games.map(g => g.gameIndex), [0, 1, 2, 3]);
+    TestRunner.assertEqual(batch.games[2].seed, Batch.gameSeed(9, 2));
+    TestRunner.assertEqual(batch.games[0].snapshots, undefined, 'snapshots left out by default');
+  });
+
+  TestRunner.test('a game in a batch matches the same seed played alone', async function () {
+    const batch = await Batch.run({ strategy: 'cautious', count: 2, seed: 'alone', maxTurns: 20, includeSnapshots: true });
+    const alone = await Simulator.runGame(Strategies.get('cautious'), { seed: batch.games[1].seed, maxTurns: 20 });
+    TestRunner.assertEqual(JSON.stringify(batch.games[1].snapshots), JSON.stringify(alone.snapshots));
+  });
+
+  TestRunner.test('reports progress through to the last game', async function () {
+    const calls = [];
+    await Batch.run({ strategy: 'random', count: 30, seed: 1, maxTurns: 2, onProgress: (done, total) => calls.push([done, total]) });
+    TestRunner.assertDeepEqual(calls, [[25, 30], [30, 30]]);
+  });
+
+  TestRunner.test('aborting stops the batch and keeps finished games', async function () {
+    const controller = new AbortController();
+    const batch = await Batch.run({
+      strategy: 'random', count: 60, seed: 2, maxTurns: 2,
+      signal: controller.signal,
+      onProgress: () => controller.abort(),
+    });
+    TestRunner.assertEqual(batch.cancelled, true);
+    TestRunner.assertEqual(batch.completed, Batch.CHUNK_SIZE);
+    TestRunner.assertArrayLength(batch.games, Batch.CHUNK_SIZE);
+  });
+
+});
+
+// ─── Suite 3: Worker Batches ──────────────────────────────────────────────────
+
+TestRunner.describe('batch.js — Worker Batches', function () {
+
+  TestRunner.test('chunks finishing out of order are merged in index order', async function () {
+    const options = { strategy: 'aggressive', count: 70, seed: 'merge', maxTurns: 3 };
+    const workers = inThreadWorkers();
+    const parallel = await Batch.run({ ...options, workers: 3, createWorker: workers });
+    const serial = await Batch.run(options);
+    TestRunner.assertEqual(workers.created(), 3);
+    TestRunner.assertDeepEqual(gameKeys(parallel), gameKeys(serial));
+  });
+
+  TestRunner.test('no more workers than chunks', async function () {
+    const workers = inThreadWorkers();
+    await Batch.run({ strategy: 'random', count: 10, seed: 3, maxTurns: 2, workers: 4, createWorker: workers });
+    TestRunner.assertEqual(workers.created(), 1);
+  });
+
+  TestRunner.test('a worker error rejects the batch', async function () {
+    let message = null;
+    try {
+      await Batch.run({ strategy: 'nonexistent', count: 5, seed: 4, createWorker: inThreadWorkers() });
+    } catch (e) {
+      message = e.message;
+    }
+    TestRunner.assert(message && message.includes('nonexistent'), 'error passed on');
+  });
+
+  TestRunner.test('falls back to this thread when workers cannot start', async function () {
+    const refuse = () => { throw new Error('SecurityError'); };
+    const batch = await Batch.run({ strategy: 'random', count: 3, seed: 5, maxTurns: 2, createWorker: refuse });
+    TestRunner.assertEqual(batch.completed, 3);
+  });
+
+  TestRunner.test('worker_threads batch matches the in-process batch', async function () {
+    if (typeof runNodeBatch === 'undefined') return; // browser runner
+    const options = { strategy: 'balanced', count: 30, seed: 'threads', maxTurns: 15 };
+    const threaded = await runNodeBatch({ ...options, workers: 2 });
+    const serial = await Batch.run(options);
+    TestRunner.assertDeepEqual(gameKeys(threaded), gameKeys(serial));
+  });
+
+});
@@ -0,0 +1,202 @@
+/**
+ * Tests for choices.js — the player-choice provider and the decisions the
+ * engine asks for.
+ */
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * A Choices provider answering from a list, in order, that keeps every
+ * decision it was asked.
+ */
+function scriptedChoices(answers) {
+  const asked = [];
+  const provider = async (decision) => {
+    asked.push(decision);
+    return answers.shift();
+  };
+  provider.asked = asked;
+  return provider;
+}
+
+/** Run `fn` with a Choices provider set, then go back to defaults. */
+async function withChoices(provider, fn) {
+  Choices.setProvider(provider);
+  try {
+    return await fn();
+  } finally {
+    Choices.setProvider(null);
+  }
+}
+
+// ─── Suite 1: Provider ────────────────────────────────────────────────────────
+
+TestRunner.describe('choices.js — Provider', function () {
+
+  const decision = () => ({
+    kind: 'second_penalty',
+    prompt: 'Pick one',
+    options: [{ value: 'detain', label: 'Detain' }, { value: 'supplies', label: 'Supplies' }],
+    default: 'detain',
+  });
+
+  TestRunner.test('with no provider the default is taken', async function () {
+    TestRunner.assertEqual(await Choices.choose(decision()), 'detain');
+  });
+
+  TestRunner.test('a provider makes the decision and is watched', async function () {
+    const seen = [];
+    Choices.setObserver((kind, value, provided) => seen.push([kind, value, provided]));
+    try {
+      TestRunner.assertEqual(await withChoices(scriptedChoices(['supplies']), () => Choices.choose(decision())), 'supplies');
+    } finally {
+      Choices.setObserver(null);
+    }
+    TestRunner.assertDeepEqual(seen, [['second_penalty', 'supplies', true]]);
+  });
+
+  TestRunner.test('an answer that was not offered is refused', async function () {
+    let message = '';
+    try {
+      await withChoices(scriptedChoices(['both']), () => Choices.choose(decision()));
+    } catch (e) {
+      message = e.message;
+    }
+    TestRunner.assertEqual(message, 'Not an option for second_penalty: "both"');
+  });
+
+  TestRunner.test('a decision with one option is not asked', async function () {
+    const provider = scriptedChoices([]);
+    const only = { ...decision(), options: [{ value: 'supplies', label: 'Supplies' }] };
+    TestRunner.assertEqual(await withChoices(provider, () => Choices.choose(only)), 'supplies');
+    TestRunner.assertArrayLength(provider.asked, 0);
+  });
+
+});
+
+// ─── Suite 2: Engine Decisions ────────────────────────────────────────────────
+
+TestRunner.describe('choices.js — Engine Decisions', function () {
+
+  const team = () => [2, 3, 4].map(n => ({ suit: 'spades', rank: String(n), value: n }));
+
+  function failingState(operatives) {
+    const state = GameState.createInitial();
+    state.heat = 50;
+    state.supplies = 10;
+    state.operatives = [...operatives];
+    return state;
+  }
+
+  TestRunner.test('a failed Significant Vandalism asks for the second penalty and who is detained', async function () {
+    const ops = team();
+    const state = failingState(ops);
+    const provider = scriptedChoices(['3-spades', 'supplies']);
+    Dice.setProvider(() => Promise.resolve(100));
+    try {
+      await withChoices(provider, () => Operations.resolveSignificantVandalism(state, [...ops]));
+    } finally {
+      Dice.setProvider(null);
+    }
+    TestRunner.assertDeepEqual(provider.asked.map(d => d.kind), ['detain', 'second_penalty']);
+    TestRunner.assertDeepEqual(provider.asked[0].options.map(o => o.value), ['2-spades', '3-spades', '4-spades']);
+    TestRunner.assertDeepEqual(state.detainedOperatives.map(d => Deck.cardId(d.card)), ['3-spades']);
+    TestRunner.assertEqual(state.supplies, 3, '-5 cost, -2 chosen penalty');
+  });
+
+  TestRunner.test('a penalty chosen up front is not asked again', async function () {
+    const ops = team();
+    const state = failingState(ops);
+    const provider = scriptedChoices(['2-spades', '4-spades']);
+    Dice.setProvider(() => Promise.resolve(100));
+    try {
+      await withChoices(provider, () =>
+        Operations.resolveSignificantVandalism(state, [...ops], { secondPenaltyChoice: 'detain' }));
+    } finally {
+      Dice.setProvider(null);
+    }
+    TestRunner.assertDeepEqual(provider.asked.map(d => d.kind), ['detain', 'detain']);
+    TestRunner.assertDeepEqual(state.operatives.map(Deck.cardId), ['3-spades']);
+  });
+
+  TestRunner.test('a crackdown asks which operative and initiate it takes', async function () {
+    const state = failingState(team());
+    state.initiates = [
+      { card: Deck.cardFromId('5-hearts'), turnsRemaining: 1 },
+      { card: Deck.cardFromId('9-hearts'), turnsRemaining: 2 },
+    ];
+    const provider = scriptedChoices(['4-spades']);
+    const tier = Crackdown.TIERS.find(t => t.operatives === 1);
+    const result = await withChoices(provider, () => Crackdown.applyTier(state, tier));
+    TestRunner.assertDeepEqual(result.operativesLost.map(Deck.cardId), ['4-spades']);
+    TestRunner.assertEqual(provider.asked[0].kind, 'crackdown_operative');
+    TestRunner.assertEqual(provider.asked[0].default, '2-spades', 'lowest value by default');
+
+    // With no operatives, two initiates are taken in their place: no choice left
+    state.operatives = [];
+    await withChoices(provider, () => Crackdown.applyTier(state, tier));
+    TestRunner.assertArrayLength(provider.asked, 1, 'not asked when every initiate goes');
+    TestRunner.assertArrayLength(state.initiates, 0);
+  });
+
+});
+
+// ─── Suite 3: Recording & Play ────────────────────────────────────────────────
+
+TestRunner.describe('choices.js — Recording & Play', function () {
+
+  TestRunner.test('choices are recorded and replayed without asking', async function () {
+    const state = validState();
+    state.heat = 50;
+    state.supplies = 10;
+    EventLog.begin(state);
+    // The first operative is away on a scout
+    const ids = state.operatives.slice(1).map(Deck.cardId);
+    const provider = scriptedChoices([ids[1]]);
+    Dice.setProvider(() => Promise.resolve(100));
+    try {
+      await withChoices(provider, () => EventLog.perform(state, 'operation', {
+        operation: 'average_vandalism',
+        operativeIds: ids,
+      }));
+    } finally {
+      Dice.setProvider(null);
+    }
+    const [event] = state.eventLog.events;
+    TestRunner.assertDeepEqual(event.choices, [{ kind: 'detain', value: ids[1] }]);
+
+    const replayed = await EventLog.replay(state.eventLog);
+    TestRunner.assertEqual(JSON.stringify(replayed.detainedOperatives), JSON.stringify(state.detainedOperatives));
+    TestRunner.assertEqual(replayed.supplies, state.supplies);
+    TestRunner.assertEqual(Choices.getProvider(), null, 'provider restored');
+  });
+
+  TestRunner.test('the browser asks in a modal', async function () {
+    const choosing = UI.choice({
+      kind: 'second_penalty',
+      prompt: 'The operation failed. Choose the second penalty:',
+      options: [{ value: 'detain', label: 'Detain another operative for 2 turns' }, { value: 'supplies', label: 'Lose 2 Supplies' }],
+      default: 'detain',
+    });
+    const overlays = document.querySelectorAll('.modal-overlay');
+    const overlay = overlays[overlays.length - 1];
+    TestRunner.assertEqual(overlay.querySelector('[data-action="cancel"]'), null, 'cannot be closed without choosing');
+    overlay.querySelectorAll('[data-option]')[1].click();
+    TestRunner.assertEqual(await choosing, 'supplies');
+  });
+
+  TestRunner.test('the Simulator passes decisions to the strategy', async function () {
+    const asked = [];
+    const strategy = (state) => Strategies.get('balanced')(state);
+    strategy.choose = (state, decision) => {
+      asked.push(decision.kind);
+      return decision.default;
+    };
+    const plain = await Simulator.runGame(Strategies.get('balanced'), { seed: 'choices', maxTurns: 40 });
+    const chosen = await Simulator.runGame(strategy, { seed: 'choices', maxTurns: 40 });
+    TestRunner.assert(asked.length > 0, 'some decision came up');
+    TestRunner.assertEqual(chosen.turns, plain.turns, 'defaults play the same game');
+    TestRunner.assertEqual(Choices.getProvider(), null, 'provider restored');
+  });
+
+});
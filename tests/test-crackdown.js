@@ -0,0 +1,241 @@
+/**
+ * Tests for crackdown.js (Phase 5) — tier selection, substitution cascade,
+ * card recycling, and the end-of-turn crackdown roll.
+ */
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Build a crackdown test state with the given number of operatives and initiates.
+ * Personnel cards are pulled from a fresh deck so they stay unique.
+ */
+function crackdownState(overrides, operativeCount, initiateCount) {
+  const state = GameState.createInitial();
+  state.recruitDeck = Deck.createDeck();
+  state.operatives = state.recruitDeck.splice(0, operativeCount || 0);
+  state.initiates = state.recruitDeck.splice(0, initiateCount || 0)
+    .map(card => ({ card, turnsRemaining: 2 }));
+  if (overrides) Object.assign(state, overrides);
+  return state;
+}
+
+// ─── Suite 1: Tier Selection ──────────────────────────────────────────────────
+
+TestRunner.describe('crackdown.js — Tier Selection', function () {
+
+  TestRunner.test('roll <= 20 → tier 1 (Stockpile raid)', function () {
+    TestRunner.assertEqual(Crackdown.getTier(1).tier, 1);
+    TestRunner.assertEqual(Crackdown.getTier(20).tier, 1);
+    TestRunner.assertEqual(Crackdown.getTier(20).name, 'Stockpile raid');
+  });
+
+  TestRunner.test('roll 21–40 → tier 2 (Training ground raid)', function () {
+    TestRunner.assertEqual(Crackdown.getTier(21).tier, 2);
+    TestRunner.assertEqual(Crackdown.getTier(40).tier, 2);
+  });
+
+  TestRunner.test('roll 41–60 → tier 3 (Safehouse raid)', function () {
+    TestRunner.assertEqual(Crackdown.getTier(41).tier, 3);
+    TestRunner.assertEqual(Crackdown.getTier(60).tier, 3);
+  });
+
+  TestRunner.test('roll 61–80 → tier 4 (Warehouse raid)', function () {
+    TestRunner.assertEqual(Crackdown.getTier(61).tier, 4);
+    TestRunner.assertEqual(Crackdown.getTier(80).tier, 4);
+  });
+
+  TestRunner.test('roll 81–100 → tier 5 (Headquarters raid)', function () {
+    TestRunner.assertEqual(Crackdown.getTier(81).tier, 5);
+    TestRunner.assertEqual(Crackdown.getTier(100).tier, 5);
+  });
+
+  TestRunner.test('out-of-range roll returns null', function () {
+    TestRunner.assertEqual(Crackdown.getTier(0), null);
+    TestRunner.assertEqual(Crackdown.getTier(101), null);
+  });
+
+  TestRunner.test('isTriggered: roll <= heat triggers, roll > heat does not', function () {
+    TestRunner.assert(Crackdown.isTriggered(40, { heat: 40 }), 'roll equal to heat');
+    TestRunner.assert(!Crackdown.isTriggered(41, { heat: 40 }), 'roll above heat');
+  });
+
+});
+
+// ─── Suite 2: Tier Penalties & Cascade ────────────────────────────────────────
+
+TestRunner.describe('crackdown.js — Penalties & Cascade', function () {
+
+  TestRunner.test('tier 1: -3 supplies', async function () {
+    const state = crackdownState({ supplies: 10 }, 2, 2);
+    const result = await Crackdown.applyTier(state, Crackdown.getTier(10));
+    TestRunner.assertEqual(state.supplies, 7);
+    TestRunner.assertEqual(result.suppliesLost, 3);
+    TestRunner.assertArrayLength(state.operatives, 2, 'operatives untouched');
+    TestRunner.assertArrayLength(state.initiates, 2, 'initiates untouched');
+  });
+
+  TestRunner.test('tier 2: -1 initiate when initiates are available', async function () {
+    const state = crackdownState({ supplies: 10 }, 0, 2);
+    const result = await Crackdown.applyTier(state, Crackdown.getTier(30));
+    TestRunner.assertArrayLength(state.initiates, 1);
+    TestRunner.assertArrayLength(result.initiatesLost, 1);
+    TestRunner.assertEqual(state.supplies, 10, 'no supplies lost');
+  });
+
+  TestRunner.test('tier 2 with no initiates → falls back to -4 supplies', async function () {
+    const state = crackdownState({ supplies: 10 }, 3, 0);
+    const result = await Crackdown.applyTier(state, Crackdown.getTier(30));
+    TestRunner.assertEqual(state.supplies, 6);
+    TestRunner.assertEqual(result.missingInitiates, 1);
+    TestRunner.assertArrayLength(state.operatives, 3, 'operatives are not substituted upward');
+  });
+
+  TestRunner.test('tier 3: -1 operative (lowest value first)', async function () {
+    const state = crackdownState({ supplies: 10 }, 0, 0);
+    state.operatives = [
+      { suit: 'hearts', rank: 'K', value: 13 },
+      { suit: 'clubs',  rank: '4', value: 4  },
+    ];
+    const result = await Crackdown.applyTier(state, Crackdown.getTier(50));
+    TestRunner.assertArrayLength(state.operatives, 1);
+    TestRunner.assertEqual(result.operativesLost[0].rank, '4', 'weakest operative taken');
+    TestRunner.assertEqual(state.operatives[0].rank, 'K');
+  });
+
+  TestRunner.test('tier 3 with no operatives → -2 initiates', async function () {
+    const state = crackdownState({ supplies: 10 }, 0, 3);
+    const result = await Crackdown.applyTier(state, Crackdown.getTier(50));
+    TestRunner.assertArrayLength(state.initiates, 1);
+    TestRunner.assertArrayLength(result.initiatesLost, 2);
+    TestRunner.assertEqual(state.supplies, 10, 'no supplies lost');
+  });
+
+  TestRunner.test('tier 3 with no operatives AND 1 initiate → -1 initiate, -2 supplies', async function () {
+    const state = crackdownState({ supplies: 10 }, 0, 1);
+    const result = await Crackdown.applyTier(state, Crackdown.getTier(50));
+    TestRunner.assertArrayLength(state.initiates, 0);
+    TestRunner.assertEqual(result.missingInitiates, 1);
+    TestRunner.assertEqual(state.supplies, 8);
+  });
+
+  TestRunner.test('tier 3 with no operatives AND no initiates → -4 supplies', async function () {
+    const state = crackdownState({ supplies: 10 }, 0, 0);
+    await Crackdown.applyTier(state, Crackdown.getTier(50));
+    TestRunner.assertEqual(state.supplies, 6);
+  });
+
+  TestRunner.test('tier 4 cascade: 1 operative, 1 initiate → -1 op, -1 init, -2 supplies, -20 influence', async function () {
+    const state = crackdownState({ supplies: 10, influence: 50 }, 1, 1);
+    const result = await Crackdown.applyTier(state, Crackdown.getTier(70));
+    TestRunner.assertArrayLength(state.operatives, 0);
+    TestRunner.assertArrayLength(state.initiates, 0);
+    TestRunner.assertEqual(result.missingOperatives, 1);
+    TestRunner.assertEqual(result.missingInitiates, 1);
+    TestRunner.assertEqual(state.supplies, 8);
+    TestRunner.assertEqual(state.influence, 30);
+  });
+
+  TestRunner.test('tier 5 cascade: no personnel → -16 supplies, -50 influence', async function () {
+    const state = crackdownState({ supplies: 20, influence: 80 }, 0, 0);
+    const result = await Crackdown.applyTier(state, Crackdown.getTier(90));
+    TestRunner.assertEqual(result.suppliesPenalty, 16, '4 ops × 2 initiates × 2 supplies');
+    TestRunner.assertEqual(state.supplies, 4);
+    TestRunner.assertEqual(state.influence, 30);
+  });
+
+  TestRunner.test('tier 5 with plenty of operatives only takes operatives', async function () {
+    const state = crackdownState({ supplies: 5, influence: 10 }, 6, 2);
+    await Crackdown.applyTier(state, Crackdown.getTier(95));
+    TestRunner.assertArrayLength(state.operatives, 2);
+    TestRunner.assertArrayLength(state.initiates, 2);
+    TestRunner.assertEqual(state.supplies, 5);
+    TestRunner.assertEqual(state.influence, 0, 'influence clamps at 0');
+  });
+
+  TestRunner.test('supplies loss is clamped and reported as the actual amount lost', async function () {
+    const state = crackdownState({ supplies: 1 }, 0, 0);
+    const result = await Crackdown.applyTier(state, Crackdown.getTier(5));
+    TestRunner.assertEqual(result.suppliesPenalty, 3);
+    TestRunner.assertEqual(result.suppliesLost, 1);
+    TestRunner.assertEqual(state.supplies, 0);
+  });
+
+  TestRunner.test('captured personnel cards are shuffled back into the recruitment deck', async function () {
+    const state = crackdownState({}, 1, 2);
+    const deckBefore = state.recruitDeck.length;
+    const result = await Crackdown.applyTier(state, Crackdown.getTier(70));
+    TestRunner.assertEqual(state.recruitDeck.length, deckBefore + 3, '1 operative + 2 initiates returned');
+    for (const card of [...result.operativesLost, ...result.initiatesLost]) {
+      const found = state.recruitDeck.find(c => c.suit === card.suit && c.rank === card.rank);
+      TestRunner.assert(found !== undefined, `${card.rank} of ${card.suit} should be back in the deck`);
+    }
+  });
+
+  TestRunner.test('captured operative is removed from its multi-turn op', async function () {
+    const state = crackdownState({}, 0, 0);
+    const op = { suit: 'spades', rank: '2', value: 2 };
+    const other = { suit: 'spades', rank: '9', value: 9 };
+    state.operatives = [op, other];
+    state.multiTurnOps = [{ operation: 'scout', turnsRemaining: 1, assignedOperatives: [op, other] }];
+    await Crackdown.applyTier(state, Crackdown.getTier(50));
+    TestRunner.assertArrayLength(state.multiTurnOps[0].assignedOperatives, 1);
+    TestRunner.assertEqual(state.multiTurnOps[0].assignedOperatives[0], other);
+  });
+
+});
+
+// ─── Suite 3: End-of-Turn Roll ────────────────────────────────────────────────
+
+TestRunner.describe('crackdown.js — resolveCrackdown', function () {
+
+  TestRunner.test('no crackdown when d100 > heat; state unchanged', async function () {
+    const state = crackdownState({ heat: 30, supplies: 10 }, 2, 0);
+    Dice.setProvider(() => Promise.resolve(31));
+    const result = await Crackdown.resolveCrackdown(state);
+    Dice.setProvider(null);
+    TestRunner.assertEqual(result.triggered, false);
+    TestRunner.assertEqual(result.tier, null);
+    TestRunner.assertEqual(state.heat, 30, 'heat unchanged');
+    TestRunner.assertEqual(state.supplies, 10);
+  });
+
+  TestRunner.test('crackdown triggers when d100 <= heat and resolves the rolled tier', async function () {
+    const state = crackdownState({ heat: 60, supplies: 10 }, 2, 0);
+    Dice.setProvider(() => Promise.resolve(45));
+    const result = await Crackdown.resolveCrackdown(state);
+    Dice.setProvider(null);
+    TestRunner.assertEqual(result.triggered, true);
+    TestRunner.assertEqual(result.roll, 45);
+    TestRunner.assertEqual(result.tier, 3);
+    TestRunner.assertEqual(result.name, 'Safehouse raid');
+    TestRunner.assertArrayLength(result.operativesLost, 1);
+    TestRunner.assertArrayLength(state.operatives, 1);
+  });
+
+  TestRunner.test('heat reduced by the roll after a crackdown', async function () {
+    const state = crackdownState({ heat: 60 }, 0, 0);
+    Dice.setProvider(() => Promise.resolve(15));
+    const result = await Crackdown.resolveCrackdown(state);
+    Dice.setProvider(null);
+    TestRunner.assertEqual(state.heat, 45);
+    TestRunner.assertEqual(result.heatBefore, 60);
+    TestRunner.assertEqual(result.heatReduced, 15);
+  });
+
+  TestRunner.test('roll equal to heat reduces heat to exactly 0', async function () {
+    const state = crackdownState({ heat: 25 }, 0, 0);
+    Dice.setProvider(() => Promise.resolve(25));
+    await Crackdown.resolveCrackdown(state);
+    Dice.setProvider(null);
+    TestRunner.assertEqual(state.heat, 0);
+  });
+
+  TestRunner.test('heat 0 never triggers a crackdown', async function () {
+    const state = crackdownState({ heat: 0 }, 0, 0);
+    Dice.setProvider(() => Promise.resolve(1));
+    const result = await Crackdown.resolveCrackdown(state);
+    Dice.setProvider(null);
+    TestRunner.assertEqual(result.triggered, false);
+  });
+
+});
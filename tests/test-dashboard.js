@@ -0,0 +1,220 @@
+/**
+ * Tests for the simulation dashboard — simulation/charts.js and
+ * simulation/dashboard.js against the simulate.html markup.
+ */
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Build the simulate.html controls and result containers, then init.
+ * @param {string[]} strategies - Strategy checkboxes to tick
+ */
+function setupDashboardDOM(strategies) {
+  document.getElementById('app').innerHTML = `
+    <input type="checkbox" name="strategy" value="cautious">
+    <input type="checkbox" name="strategy" value="aggressive">
+    <input type="checkbox" name="strategy" value="balanced">
+    <input type="checkbox" name="strategy" value="random">
+    <input type="checkbox" name="strategy" value="custom">
+    <fieldset id="custom-strategy">
+      <input type="number" id="custom-hunker-heat" value="60">
+      <select id="custom-vandalism-tier"><option value="minor">Minor</option><option value="highest" selected>Highest</option></select>
+      <select id="custom-recruit-order"><option value="lowest" selected>Lowest</option><option value="random">Random</option></select>
+      <input type="number" id="custom-scout-operatives" value="4">
+      <input type="number" id="custom-scout-heat" value="40">
+      <input type="number" id="custom-supply-floor" value="10">
+    </fieldset>
+    <input type="number" id="input-game-count" value="3">
+    <input type="text" id="input-batch-seed" value="dashboard">
+    <input type="number" id="input-max-turns" value="12">
+    <button id="btn-run-simulation"></button>
+    <button id="btn-cancel-simulation"></button>
+    <button id="btn-export-csv"></button>
+    <button id="btn-export-json"></button>
+    <progress id="simulation-progress" max="1" value="0"></progress>
+    <p id="simulation-status"></p>
+    <section id="results" hidden>
+      <table id="summary-table"></table>
+      <div id="chart-win-rate"></div>
+      <select id="curve-resource"><option value="influence">Influence</option><option value="heat">Heat</option></select>
+      <div id="chart-resource-curves"></div>
+      <div id="chart-crackdown-tiers"></div>
+      <div id="chart-turns-to-victory"></div>
+      <select id="drilldown-strategy"></select>
+      <input type="number" id="drilldown-game" value="0">
+      <button id="btn-drilldown"></button>
+      <div id="drilldown-chart"></div>
+      <div id="drilldown-log"></div>
+    </section>
+  `;
+  for (const name of strategies || []) {
+    document.querySelector(`input[name="strategy"][value="${name}"]`).checked = true;
+  }
+  Dashboard.init();
+}
+
+// ─── Suite 1: Charts ──────────────────────────────────────────────────────────
+
+TestRunner.describe('charts.js — SVG Charts', function () {
+
+  TestRunner.test('axis maximum rounds up to a tidy number', function () {
+    TestRunner.assertEqual(Charts.niceMax(0.7), 1);
+    TestRunner.assertEqual(Charts.niceMax(13), 20);
+    TestRunner.assertEqual(Charts.niceMax(420), 500);
+    TestRunner.assertEqual(Charts.niceMax(0), 1);
+  });
+
+  TestRunner.test('bar chart draws a bar per series per label, with error bars', function () {
+    const container = document.createElement('div');
+    container.innerHTML = Charts.barChart({
+      labels: ['a', 'b', 'c'],
+      series: [
+        { name: 'one', values: [1, 2, 3] },
+        { name: 'two', values: [3, 2, 1], errors: [[2, 4], [1, 3], [0, 2]] },
+      ],
+    });
+    TestRunner.assertArrayLength(container.querySelectorAll('rect.bar'), 6);
+    TestRunner.assertArrayLength(container.querySelectorAll('rect.series-1'), 3);
+    TestRunner.assertArrayLength(container.querySelectorAll('line.error-bar'), 3);
+    TestRunner.assert(container.querySelector('title').textContent.includes('one — a'), 'tooltip');
+  });
+
+  TestRunner.test('band chart draws a band only where low/high are given', function () {
+    const container = document.createElement('div');
+    container.innerHTML = Charts.bandChart({
+      series: [
+        { name: 'banded', points: [{ x: 1, mid: 2, low: 1, high: 3 }, { x: 2, mid: 4, low: 3, high: 5 }] },
+        { name: 'plain', points: [{ x: 1, mid: 1 }, { x: 2, mid: 2 }] },
+      ],
+    });
+    TestRunner.assertArrayLength(container.querySelectorAll('path.line'), 2);
+    TestRunner.assertArrayLength(container.querySelectorAll('path.band'), 1);
+  });
+
+  TestRunner.test('labels are escaped', function () {
+    TestRunner.assert(Charts.legend(['<b>x</b>']).includes('&lt;b&gt;'), 'escaped');
+  });
+
+});
+
+// ─── Suite 2: Dashboard ───────────────────────────────────────────────────────
+
+TestRunner.describe('dashboard.js — Running & Charts', function () {
+
+  TestRunner.test('runs each selected strategy and renders every chart', async function () {
+    setupDashboardDOM(['cautious', 'random']);
+    const runs = await Dashboard.run();
+    TestRunner.assertDeepEqual(runs.map(r => r.name), ['cautious', 'random']);
+    TestRunner.assertEqual(document.getElementById('results').hidden, false);
+    TestRunner.assertArrayLength(document.querySelectorAll('#summary-table tbody tr'), 2);
+    ['chart-win-rate', 'chart-resource-curves', 'chart-crackdown-tiers'].forEach(id => {
+      TestRunner.assert(document.querySelector(`#${id} svg`), `${id} drawn`);
+    });
+    TestRunner.assert(document.getElementById('chart-turns-to-victory').innerHTML !== '', 'histogram or note');
+    TestRunner.assertArrayLength(document.querySelectorAll('#drilldown-strategy option'), 2);
+    TestRunner.assertEqual(document.getElementById('btn-export-csv').disabled, false);
+  });
+
+  TestRunner.test('strategies in one run face the same games', async function () {
+    setupDashboardDOM(['aggressive', 'balanced']);
+    const [a, b] = await Dashboard.run();
+    TestRunner.assertEqual(a.batch.seed, b.batch.seed);
+    TestRunner.assertDeepEqual(a.batch.games.map(g => g.seed), b.batch.games.map(g => g.seed));
+  });
+
+  TestRunner.test('asks for a strategy when none is ticked', async function () {
+    setupDashboardDOM([]);
+    await Dashboard.run();
+    TestRunner.assert(document.getElementById('simulation-status').textContent.includes('strategy'));
+    TestRunner.assertEqual(document.getElementById('results').hidden, true);
+  });
+
+  TestRunner.test('custom strategy is built from the editor', async function () {
+    setupDashboardDOM(['custom']);
+    document.getElementById('custom-hunker-heat').value = '';
+    document.getElementById('custom-supply-floor').value = '6';
+    const params = Dashboard.readCustomParams();
+    TestRunner.assertEqual(params.hunkerHeat, null, 'blank means never');
+    TestRunner.assertEqual(params.supplyFloor, 6);
+    const [run] = await Dashboard.run();
+    TestRunner.assertEqual(run.batch.strategy, 'custom');
+  });
+
+  TestRunner.test('cancel keeps the games already played', async function () {
+    setupDashboardDOM(['cautious', 'balanced']);
+    const running = Dashboard.run();
+    Dashboard.cancel();
+    const runs = await running;
+    TestRunner.assertArrayLength(runs, 1, 'second strategy never started');
+    TestRunner.assert(runs[0].batch.cancelled, 'marked cancelled');
+    TestRunner.assert(document.getElementById('simulation-status').textContent.startsWith('Cancelled'));
+  });
+
+  TestRunner.test('a failed batch reports why and frees the controls', async function () {
+    setupDashboardDOM(['cautious']);
+    const run = Batch.run;
+    Batch.run = () => Promise.reject(new Error('worker crashed'));
+    try {
+      await Dashboard.run();
+    } finally {
+      Batch.run = run;
+    }
+    TestRunner.assert(document.getElementById('simulation-status').textContent.includes('worker crashed'));
+    TestRunner.assertEqual(document.getElementById('btn-run-simulation').disabled, false);
+    TestRunner.assertEqual(document.getElementById('btn-cancel-simulation').disabled, true);
+    const runs = await Dashboard.run();
+    TestRunner.assertArrayLength(runs, 1, 'runs again afterwards');
+  });
+
+});
+
+// ─── Suite 3: Drill-down ──────────────────────────────────────────────────────
+
+TestRunner.describe('dashboard.js — Drill-down', function () {
+
+  TestRunner.test('replays the chosen game turn by turn', async function () {
+    setupDashboardDOM(['balanced']);
+    const [run] = await Dashboard.run();
+    const game = run.batch.games[2];
+    const result = await Dashboard.drillDown(0, 2);
+    TestRunner.assertEqual(result.seed, game.seed);
+    TestRunner.assertEqual(result.finalState.influence, game.final.influence);
+    TestRunner.assertArrayLength(document.querySelectorAll('#drilldown-log tbody tr'), game.turns);
+    TestRunner.assert(document.querySelector('#drilldown-chart svg'), 'curves drawn');
+  });
+
+  TestRunner.test('unknown game shows a note', async function () {
+    setupDashboardDOM(['balanced']);
+    await Dashboard.run();
+    TestRunner.assertEqual(await Dashboard.drillDown(0, 99), null);
+    TestRunner.assert(document.getElementById('drilldown-log').textContent.includes('No such game'));
+  });
+
+  TestRunner.test('turn description covers actions and End Turn events', function () {
+    const lines = Dashboard.describeTurn({
+      actions: [
+        { action: { type: 'recruit', cardId: '7-hearts' }, result: { total: 9, target: 7, success: true } },
+        { action: { type: 'operation', operation: 'scout', operativeIds: ['a', 'b', 'c', 'd'] }, result: { started: true } },
+        { action: { type: 'operation', operation: 'gather_supplies' }, result: { gained: 2 } },
+        { action: { type: 'recruit', cardId: 'Z-hearts' }, error: 'Card not in recruit pool: Z-hearts' },
+      ],
+      report: {
+        multiTurnOps: { completed: [{ operation: 'late_game_op', result: { success: true, opportunity: { name: 'Form Militia' } } }] },
+        initiates: { promoted: [{}] },
+        detained: { released: [] },
+        crackdown: { triggered: true, tier: 2, name: 'Training ground raid', roll: 33 },
+        victory: false,
+      },
+    });
+    TestRunner.assertDeepEqual(lines, [
+      'Recruit 7-hearts: rolled 9 vs 7 — joined as an initiate.',
+      'Scout/Recon begun with 4 operative(s).',
+      'Gather Supplies: +2.',
+      'Rejected: Card not in recruit pool: Z-hearts',
+      `${Operations.OPERATION_INFO.late_game_op.name}: Form Militia completed: succeeded.`,
+      '1 initiate(s) became operatives.',
+      'Crackdown — tier 2, Training ground raid (rolled 33).',
+    ]);
+  });
+
+});
@@ -0,0 +1,339 @@
+/**
+ * Tests for events.js — structured action log and full game replay.
+ */
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** A seeded headless game with its event log begun. */
+function loggedGame(seed) {
+  Dice.setProvider(null);
+  Deck.setProvider(null);
+  const state = Simulator.createGame(seed);
+  EventLog.begin(state);
+  return state;
+}
+
+/** The state as JSON, for comparing a replay with the original. */
+function stateJSON(state) {
+  return JSON.stringify(state);
+}
+
+// ─── Suite 1: Recording ───────────────────────────────────────────────────────
+
+TestRunner.describe('events.js — Recording', function () {
+
+  TestRunner.test('begin snapshots the state without the log itself', function () {
+    const state = loggedGame(1);
+    TestRunner.assertDeepEqual(state.eventLog.events, []);
+    TestRunner.assertEqual(state.eventLog.initial.eventLog, null);
+    TestRunner.assertDeepEqual(state.eventLog.initial.recruitDeck, state.recruitDeck);
+  });
+
+  TestRunner.test('draw records the cards drawn', async function () {
+    const state = loggedGame(2);
+    const top = state.recruitDeck.slice(0, 2).map(Deck.cardId);
+    const drawn = await EventLog.perform(state, 'draw', { count: 2 });
+    TestRunner.assertDeepEqual(drawn.map(Deck.cardId), top);
+    const [event] = state.eventLog.events;
+    TestRunner.assertEqual(event.seq, 1);
+    TestRunner.assertEqual(event.turn, 1);
+    TestRunner.assertEqual(event.type, 'draw');
+    TestRunner.assertDeepEqual(event.inputs, { count: 2 });
+    TestRunner.assertDeepEqual(event.draws, [{ cards: top, physical: false }]);
+  });
+
+  TestRunner.test('recruit records its inputs and every roll', async function () {
+    const state = loggedGame(3);
+    await EventLog.perform(state, 'draw', { count: 1 });
+    const cardId = Deck.cardId(state.recruitPool[0]);
+    const result = await EventLog.perform(state, 'recruit', { cardId, recruiterId: Assignments.LEADER_ID });
+    const event = state.eventLog.events[1];
+    TestRunner.assertEqual(event.type, 'recruit');
+    TestRunner.assertEqual(event.inputs.cardId, cardId);
+    TestRunner.assertDeepEqual(event.rolls.map(r => r.value), result.rolls.map(r => r.roll));
+    TestRunner.assert(event.rolls.every(r => r.physical === false), 'digital rolls');
+  });
+
+  TestRunner.test('physical rolls are marked as such', async function () {
+    const state = loggedGame(4);
+    Dice.setProvider(() => Promise.resolve(100));
+    await EventLog.perform(state, 'operation', { operation: 'minor_vandalism', operativeIds: [Assignments.LEADER_ID] });
+    Dice.setProvider(null);
+    TestRunner.assertDeepEqual(state.eventLog.events[0].rolls[0], { die: 'd100', value: 100, physical: true });
+  });
+
+  TestRunner.test('End Turn records the turn it ended and its rolls', async function () {
+    const state = loggedGame(5);
+    await EventLog.perform(state, 'end_turn', {});
+    const event = state.eventLog.events[0];
+    TestRunner.assertEqual(event.type, 'end_turn');
+    TestRunner.assertEqual(event.turn, 1);
+    TestRunner.assertEqual(state.currentTurn, 2);
+    TestRunner.assert(event.rolls.some(r => r.die === 'd100'), 'crackdown check recorded');
+  });
+
+  TestRunner.test('an action that throws is not recorded', async function () {
+    const state = loggedGame(6);
+    let threw = false;
+    try {
+      await EventLog.perform(state, 'recruit', { cardId: '2-hearts' });
+    } catch (e) {
+      threw = true;
+    }
+    TestRunner.assert(threw, 'should throw');
+    TestRunner.assertArrayLength(state.eventLog.events, 0);
+  });
+
+  TestRunner.test('unknown event types are rejected', async function () {
+    const state = loggedGame(7);
+    let message = '';
+    try {
+      await EventLog.perform(state, 'teleport', {});
+    } catch (e) {
+      message = e.message;
+    }
+    TestRunner.assert(message.includes('teleport'), 'names the type');
+  });
+
+  TestRunner.test('a state without a log is changed but nothing is recorded', async function () {
+    Deck.setProvider(null);
+    const state = Simulator.createGame(8);
+    await EventLog.perform(state, 'draw', { count: 3 });
+    TestRunner.assertArrayLength(state.recruitPool, 3);
+    TestRunner.assertEqual(state.eventLog, null);
+  });
+
+});
+
+// ─── Suite 2: Replay ──────────────────────────────────────────────────────────
+
+TestRunner.describe('events.js — Replay', function () {
+
+  TestRunner.test('replaying a simulated game rebuilds its final state', async function () {
+    const result = await Simulator.runGame(Strategies.get('balanced'), { seed: 'replay', maxTurns: 15, record: true });
+    const log = result.finalState.eventLog;
+    TestRunner.assert(log.events.length > 15, 'actions and End Turns recorded');
+    const rebuilt = await EventLog.replay(log);
+    TestRunner.assertEqual(stateJSON(rebuilt), stateJSON(result.finalState));
+  });
+
+  TestRunner.test('replaying the first events rebuilds an earlier point', async function () {
+    const state = loggedGame(9);
+    await EventLog.perform(state, 'draw', { count: 2 });
+    const afterDraw = stateJSON(state);
+    await EventLog.perform(state, 'end_turn', {});
+    const rebuilt = await EventLog.replay(state.eventLog, { count: 1 });
+    TestRunner.assertEqual(stateJSON(rebuilt), afterDraw);
+  });
+
+  TestRunner.test('physical rolls and cards are fed back from the record', async function () {
+    const state = loggedGame(10);
+    state.inputMode.cards = 'physical';
+    EventLog.begin(state);
+    Deck.setProvider(() => Promise.resolve([Deck.cardFromId('3-clubs')]));
+    Dice.setProvider(() => Promise.resolve(9));
+    await EventLog.perform(state, 'draw', { count: 1 });
+    await EventLog.perform(state, 'recruit', { cardId: '3-clubs', recruiterId: Assignments.LEADER_ID });
+    Dice.setProvider(null);
+    Deck.setProvider(null);
+
+    const rebuilt = await EventLog.replay(state.eventLog);
+    TestRunner.assertEqual(stateJSON(rebuilt), stateJSON(state));
+    TestRunner.assertEqual(rebuilt.initiates[0].card.rank, '3');
+  });
+
+  TestRunner.test('a digital roll that does not match the record is reported', async function () {
+    const state = loggedGame(11);
+    await EventLog.perform(state, 'end_turn', {});
+    const log = JSON.parse(JSON.stringify(state.eventLog));
+    const roll = log.events[0].rolls[0];
+    roll.value = roll.value === 1 ? 2 : 1;
+    let message = '';
+    try {
+      await EventLog.replay(log);
+    } catch (e) {
+      message = e.message;
+    }
+    TestRunner.assert(message.includes('diverged at event 1'), message);
+  });
+
+  TestRunner.test('replay restores the providers and the active stream', async function () {
+    const state = loggedGame(12);
+    await EventLog.perform(state, 'draw', { count: 1 });
+    const provider = () => Promise.resolve(4);
+    Dice.setProvider(provider);
+    const stream = Rng.current();
+    await EventLog.replay(state.eventLog);
+    TestRunner.assertEqual(Dice.getProvider(), provider);
+    TestRunner.assertEqual(Deck.getProvider(), null);
+    TestRunner.assertEqual(Rng.current(), stream);
+    Dice.setProvider(null);
+  });
+
+});
+
+// ─── Suite 3: Undo & Redo ─────────────────────────────────────────────────────
+
+TestRunner.describe('events.js — Undo & Redo', function () {
+
+  TestRunner.test('undo restores the exact prior state, deck order included', async function () {
+    const state = loggedGame(14);
+    await EventLog.perform(state, 'draw', { count: 1 });
+    const before = stateJSON(state);
+    await EventLog.perform(state, 'draw', { count: 2 });
+    state.turnLog.push({ turn: 1, text: 'Drew two cards.' });
+
+    const { state: earlier, undone } = await EventLog.undo(state);
+    TestRunner.assertEqual(stateJSON(earlier), before);
+    TestRunner.assertArrayLength(state.recruitPool, 3, 'the given state is left alone');
+    TestRunner.assertDeepEqual(undone.entries, [{ turn: 1, text: 'Drew two cards.' }]);
+  });
+
+  TestRunner.test('redo puts the action back with the same cards and log entries', async function () {
+    const state = loggedGame(15);
+    await EventLog.perform(state, 'draw', { count: 2 });
+    state.turnLog.push({ turn: 1, text: 'Drew two cards.' });
+    const after = stateJSON(state);
+
+    const { state: earlier, undone } = await EventLog.undo(state);
+    await EventLog.redo(earlier, undone);
+    TestRunner.assertEqual(stateJSON(earlier), after);
+  });
+
+  TestRunner.test('undo stops at End Turn', async function () {
+    const state = loggedGame(16);
+    TestRunner.assertEqual(EventLog.canUndo(state), false, 'nothing done yet');
+    await EventLog.perform(state, 'draw', { count: 1 });
+    TestRunner.assertEqual(EventLog.canUndo(state), true);
+    await EventLog.perform(state, 'end_turn', {});
+    TestRunner.assertEqual(EventLog.canUndo(state), false);
+    TestRunner.assertEqual(await EventLog.undo(state), null);
+  });
+
+  TestRunner.test('undo replays only this turn, from the state after End Turn', async function () {
+    const state = loggedGame(18);
+    await EventLog.perform(state, 'draw', { count: 1 });
+    await EventLog.perform(state, 'end_turn', {});
+    await EventLog.perform(state, 'draw', { count: 1 });
+    const before = stateJSON(state);
+    await EventLog.perform(state, 'draw', { count: 2 });
+    // Last turn's record no longer replays; undo must not need it
+    state.eventLog.events[0].draws = [];
+
+    const { state: earlier } = await EventLog.undo(state);
+    const expected = JSON.parse(before);
+    expected.eventLog.events[0].draws = [];
+    TestRunner.assertEqual(stateJSON(earlier), JSON.stringify(expected));
+  });
+
+  TestRunner.test('a save keeps only this turn\'s events, and they replay to the saved state', async function () {
+    const state = loggedGame(19);
+    await EventLog.perform(state, 'draw', { count: 2 });
+    await EventLog.perform(state, 'end_turn', {});
+    await EventLog.perform(state, 'draw', { count: 1 });
+    GameState.save(state, 'Trimmed');
+    const loaded = GameState.load('Trimmed');
+    GameState.deleteSave('Trimmed');
+
+    TestRunner.assertDeepEqual(loaded.eventLog.events.map(e => [e.seq, e.type]), [[1, 'draw']]);
+    const rebuilt = await EventLog.replay(loaded.eventLog);
+    TestRunner.assertEqual(stateJSON({ ...rebuilt, eventLog: null }), stateJSON({ ...state, eventLog: null }));
+    TestRunner.assertEqual(EventLog.canUndo(loaded), true);
+    const { state: earlier } = await EventLog.undo(loaded);
+    TestRunner.assertEqual(earlier.currentTurn, state.currentTurn);
+    TestRunner.assertArrayLength(earlier.eventLog.events, 0);
+  });
+
+  TestRunner.test('physical dice are not asked for again on undo or redo', async function () {
+    const state = loggedGame(17);
+    let asked = 0;
+    Dice.setProvider(() => { asked++; return Promise.resolve(8); });
+    await EventLog.perform(state, 'draw', { count: 1 });
+    const cardId = Deck.cardId(state.recruitPool[0]);
+    await EventLog.perform(state, 'recruit', { cardId, recruiterId: Assignments.LEADER_ID });
+    const after = stateJSON(state);
+    const askedForRecruit = asked;
+
+    const { state: earlier, undone } = await EventLog.undo(state);
+    TestRunner.assertArrayLength(earlier.recruitPool, 1, 'card back in the pool');
+    await EventLog.redo(earlier, undone);
+    Dice.setProvider(null);
+    TestRunner.assertEqual(asked, askedForRecruit);
+    TestRunner.assertEqual(stateJSON(earlier), after);
+  });
+
+});
+
+// ─── Suite 4: App ─────────────────────────────────────────────────────────────
+
+TestRunner.describe('events.js — App Actions', function () {
+
+  TestRunner.test('draws, recruits and End Turn are logged and replay to the same state', async function () {
+    const state = bootTestGame({ rng: Rng.createStream(13) });
+    Rng.use(state.rng);
+    Dice.setProvider(null);
+    Deck.setProvider(null);
+    await App.drawToPool(2);
+    await App.attemptRecruit(0);
+    await App.endTurn();
+    TestRunner.assertDeepEqual(state.eventLog.events.map(e => e.type), ['draw', 'recruit', 'end_turn']);
+
+    const rebuilt = await EventLog.replay(state.eventLog);
+    TestRunner.assertEqual(JSON.stringify(rebuilt.recruitPool), JSON.stringify(state.recruitPool));
+    TestRunner.assertEqual(JSON.stringify(rebuilt.initiates), JSON.stringify(state.initiates));
+    TestRunner.assertEqual(JSON.stringify(rebuilt.rng), JSON.stringify(state.rng));
+  });
+
+  TestRunner.test('Undo and Redo follow a misclicked recruit', async function () {
+    bootTestGame({ rng: Rng.createStream(18) });
+    document.querySelector('[data-screen="game"]').insertAdjacentHTML('beforeend',
+      '<button id="btn-undo"></button><button id="btn-redo"></button>');
+    Dice.setProvider(null);
+    Deck.setProvider(null);
+    await App.drawToPool(2);
+    const pool = JSON.stringify(App.getState().recruitPool);
+    const logLength = App.getState().turnLog.length;
+    await App.attemptRecruit(1);
+    TestRunner.assertEqual(document.getElementById('btn-undo').disabled, false);
+
+    await App.undo();
+    TestRunner.assertEqual(JSON.stringify(App.getState().recruitPool), pool);
+    TestRunner.assertArrayLength(App.getState().turnLog, logLength, 'recruit log entry removed');
+    TestRunner.assertEqual(document.getElementById('btn-redo').disabled, false);
+
+    await App.redo();
+    TestRunner.assertArrayLength(App.getState().turnLog, logLength + 1);
+    TestRunner.assertEqual(document.getElementById('btn-redo').disabled, true);
+    TestRunner.assertEqual(GameState.load('current').eventLog.events.length, 2, 'saved');
+  });
+
+  TestRunner.test('Undo keeps the same state object', async function () {
+    const state = bootTestGame({ rng: Rng.createStream(20) });
+    Dice.setProvider(null);
+    Deck.setProvider(null);
+    await App.drawToPool(1);
+    state.stray = 'not in the rebuilt state';
+    await App.drawToPool(2);
+    await App.undo();
+    TestRunner.assertEqual(App.getState(), state);
+    TestRunner.assertArrayLength(state.recruitPool, 1);
+    TestRunner.assertEqual('stray' in state, false, 'fields the earlier state lacks are gone');
+    TestRunner.assertEqual(Rng.current(), state.rng);
+  });
+
+  TestRunner.test('a new action clears Redo, and End Turn cannot be undone', async function () {
+    bootTestGame({ rng: Rng.createStream(19) });
+    Dice.setProvider(null);
+    Deck.setProvider(null);
+    await App.drawToPool(1);
+    await App.undo();
+    await App.drawToPool(2);
+    TestRunner.assertEqual(await App.redo(), undefined, 'nothing to redo');
+
+    await App.endTurn();
+    const turn = App.getState().currentTurn;
+    TestRunner.assertEqual(await App.undo(), undefined);
+    TestRunner.assertEqual(App.getState().currentTurn, turn);
+  });
+
+});
@@ -0,0 +1,179 @@
+/**
+ * Tests for simulation/metrics.js — per-turn rows, per-game outcomes and
+ * CSV/JSON export.
+ */
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** A Simulator-shaped snapshot with nothing happening; override parts as needed. */
+function quietSnapshot(overrides) {
+  const state = Simulator.createGame(1);
+  return Object.assign({
+    turn: 1,
+    actions: [],
+    report: {
+      multiTurnOps: { completed: [] },
+      crackdown: { triggered: false, roll: 90, tier: null, heatBefore: 0, operativesLost: [], initiatesLost: [] },
+    },
+    state,
+  }, overrides);
+}
+
+// ─── Suite 1: Turn Metrics ────────────────────────────────────────────────────
+
+TestRunner.describe('metrics.js — Turn Metrics', function () {
+
+  TestRunner.test('row has a value for every column', function () {
+    const row = Metrics.turnMetrics(quietSnapshot());
+    TestRunner.assertDeepEqual(Object.keys(row), Metrics.TURN_COLUMNS);
+    TestRunner.assertEqual(row.deckSize, 52);
+    TestRunner.assertEqual(row.crackdown, false);
+    TestRunner.assertEqual(row.crackdownTier, null);
+  });
+
+  TestRunner.test('counts personnel from the state', function () {
+    const snapshot = quietSnapshot();
+    const s = snapshot.state;
+    s.operatives = s.recruitDeck.splice(0, 3);
+    s.recruitPool = s.recruitDeck.splice(0, 2);
+    s.initiates = [{ card: s.recruitDeck.pop(), turnsRemaining: 1 }];
+    s.detainedOperatives = [{ card: s.recruitDeck.pop(), turnsRemaining: 2 }];
+    const row = Metrics.turnMetrics(snapshot);
+    TestRunner.assertEqual(row.operatives, 3);
+    TestRunner.assertEqual(row.recruitPool, 2);
+    TestRunner.assertEqual(row.initiates, 1);
+    TestRunner.assertEqual(row.detainedOperatives, 1);
+    TestRunner.assertEqual(row.deckSize, 52 - 7);
+  });
+
+  TestRunner.test('operation outcomes include multi-turn ops completing at End Turn', function () {
+    const snapshot = quietSnapshot({
+      actions: [
+        { action: { type: 'operation', operation: 'minor_vandalism' }, result: { success: true } },
+        { action: { type: 'operation', operation: 'gather_supplies' }, result: { gained: 0 } },
+        { action: { type: 'operation', operation: 'scout' }, result: { started: true } },
+        { action: { type: 'operation', operation: 'scout' }, error: 'Not enough supplies' },
+        { action: { type: 'recruit' }, result: { success: true } },
+        { action: { type: 'recruit' }, result: { success: false } },
+      ],
+    });
+    snapshot.report.multiTurnOps.completed = [
+      { operation: 'late_game_op', result: { success: false, captured: [{}, {}] } },
+    ];
+    const row = Metrics.turnMetrics(snapshot);
+    TestRunner.assertEqual(row.operationsAttempted, 3, 'rejected actions are not attempts');
+    TestRunner.assertEqual(row.operationsSucceeded, 1);
+    TestRunner.assertEqual(row.operationsFailed, 2, 'empty-handed gather and the late-game op');
+    TestRunner.assertEqual(row.recruitsAttempted, 2);
+    TestRunner.assertEqual(row.recruitsSucceeded, 1);
+    TestRunner.assertEqual(row.personnelLost, 2);
+  });
+
+  TestRunner.test('records crackdown roll, tier and losses', function () {
+    const snapshot = quietSnapshot();
+    snapshot.report.crackdown = { triggered: true, roll: 55, tier: 3, operativesLost: [{}], initiatesLost: [{}, {}] };
+    const row = Metrics.turnMetrics(snapshot);
+    TestRunner.assertEqual(row.crackdown, true);
+    TestRunner.assertEqual(row.crackdownRoll, 55);
+    TestRunner.assertEqual(row.crackdownTier, 3);
+    TestRunner.assertEqual(row.personnelLost, 3);
+  });
+
+});
+
+// ─── Suite 2: Game Metrics ────────────────────────────────────────────────────
+
+TestRunner.describe('metrics.js — Game Metrics', function () {
+
+  TestRunner.test('totals and peaks agree with the per-turn rows', async function () {
+    const result = await Simulator.runGame(Strategies.get('aggressive'), { seed: 31, maxTurns: 60 });
+    const game = Metrics.gameMetrics(result);
+    const rows = game.turnMetrics;
+    TestRunner.assertArrayLength(rows, result.turns);
+    TestRunner.assertEqual(game.peakHeat,
+      Math.max(...rows.map(r => r.heat), ...result.snapshots.map(s => s.report.crackdown.heatBefore)));
+    TestRunner.assertEqual(game.totalCrackdowns, rows.filter(r => r.crackdown).length);
+    TestRunner.assertEqual(game.crackdownsByTier.reduce((a, b) => a + b, 0), game.totalCrackdowns);
+    TestRunner.assertArrayLength(game.crackdownsByTier, Crackdown.TIERS.length);
+    const attempted = Object.values(game.operations).reduce((sum, o) => sum + o.attempted, 0);
+    TestRunner.assertEqual(attempted, rows.reduce((sum, r) => sum + r.operationsAttempted, 0));
+  });
+
+  TestRunner.test('peak Heat counts the Heat a crackdown was rolled against', function () {
+    const calm = quietSnapshot({ turn: 1 });
+    calm.state.heat = 30;
+    calm.report.crackdown = { ...calm.report.crackdown, heatBefore: 30 };
+    const raided = quietSnapshot({ turn: 2 });
+    raided.state.heat = 10;
+    raided.report.crackdown = { triggered: true, roll: 45, tier: 3, heatBefore: 55, operativesLost: [], initiatesLost: [] };
+    const game = Metrics.gameMetrics({
+      seed: 1, outcome: 'turn_limit', turns: 2, snapshots: [calm, raided], finalState: raided.state,
+    });
+    TestRunner.assertDeepEqual(game.turnMetrics.map(r => r.heat), [30, 10]);
+    TestRunner.assertEqual(game.peakHeat, 55, 'before the crackdown roll came off');
+  });
+
+  TestRunner.test('turns to victory is only set for wins', async function () {
+    const result = await Simulator.runGame(() => [], { seed: 32 });
+    const game = Metrics.gameMetrics(result);
+    TestRunner.assertEqual(game.outcome, 'stall');
+    TestRunner.assertEqual(game.win, false);
+    TestRunner.assertEqual(game.turnsToVictory, null);
+  });
+
+  TestRunner.test('batch game records carry their metrics', async function () {
+    const batch = await Batch.run({ strategy: 'cautious', count: 2, seed: 33, maxTurns: 8 });
+    const [game] = batch.games;
+    TestRunner.assertEqual(game.strategy, 'cautious');
+    TestRunner.assertArrayLength(game.turnMetrics, game.turns);
+    TestRunner.assert(Array.isArray(game.crackdownsByTier));
+  });
+
+});
+
+// ─── Suite 3: Export ──────────────────────────────────────────────────────────
+
+TestRunner.describe('metrics.js — Export', function () {
+
+  TestRunner.test('CSV has a header and one row per game-turn', async function () {
+    const batch = await Batch.run({ strategy: 'balanced', count: 3, seed: 34, maxTurns: 4 });
+    const lines = Metrics.toCSV(batch.games).trim().split('\n');
+    TestRunner.assertEqual(lines[0], [...Metrics.GAME_COLUMNS, ...Metrics.TURN_COLUMNS].join(','));
+    TestRunner.assertArrayLength(lines, 1 + 3 * 4);
+    TestRunner.assert(lines[5].startsWith('1,balanced,'), 'second game, first turn');
+  });
+
+  TestRunner.test('CSV quotes values containing commas or quotes', function () {
+    const game = { gameIndex: 0, strategy: 'low "heat", slow', seed: 1, outcome: 'win', turnMetrics: [{ turn: 1 }] };
+    const row = Metrics.toCSV([game]).split('\n')[1];
+    TestRunner.assert(row.startsWith('0,"low ""heat"", slow",1,win,1,'), row);
+  });
+
+  TestRunner.test('JSON round-trips', async function () {
+    const batch = await Batch.run({ strategy: 'random', count: 2, seed: 35, maxTurns: 3 });
+    TestRunner.assertDeepEqual(JSON.parse(Metrics.toJSON(batch)), batch);
+  });
+
+  TestRunner.test('download clicks a link to the file', function () {
+    const createObjectURL = URL.createObjectURL;
+    const revokeObjectURL = URL.revokeObjectURL;
+    const anchor = Object.getPrototypeOf(document.createElement('a'));
+    const click = anchor.click;
+    let clicked = null;
+    URL.createObjectURL = () => 'blob:test';
+    URL.revokeObjectURL = () => {};
+    anchor.click = function () {
+      clicked = { href: this.href, download: this.download };
+    };
+    try {
+      Metrics.download('batch.csv', 'a,b\n', 'text/csv');
+    } finally {
+      URL.createObjectURL = createObjectURL;
+      URL.revokeObjectURL = revokeObjectURL;
+      anchor.click = click;
+    }
+    TestRunner.assertDeepEqual(clicked, { href: 'blob:test', download: 'batch.csv' });
+    TestRunner.assertEqual(document.querySelector('a[download]'), null, 'link removed');
+  });
+
+});
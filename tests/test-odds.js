@@ -0,0 +1,138 @@
+/**
+ * Tests for odds.js — exact chances of success, checked against the engine's
+ * own resolvers, and the odds shown beside each action.
+ */
+
+// ─── Suite 1: Operations ──────────────────────────────────────────────────────
+
+TestRunner.describe('odds.js — Operations', function () {
+
+  const team = [{ suit: 'hearts', rank: '5', value: 5 }, { suit: 'clubs', rank: '9', value: 9 }];
+
+  TestRunner.test('a d100 check succeeds on every roll at or under its target', function () {
+    const state = { heat: 12, influence: 0 };
+    const odds = Odds.forOperation('average_vandalism', state, []);
+    TestRunner.assertEqual(odds.ways, 88);
+    TestRunner.assertEqual(odds.probability, 0.88);
+    let ways = 0;
+    for (let roll = 1; roll <= 100; roll++) if (Operations.checkBasic(roll, state)) ways++;
+    TestRunner.assertEqual(ways, odds.ways, 'matches the check function');
+  });
+
+  TestRunner.test('targets past 100 or below 1 are certain or impossible', function () {
+    TestRunner.assertEqual(Odds.forOperation('scout', { heat: 5, influence: 0 }, team).probability, 1);
+    TestRunner.assertEqual(Odds.forOperation('minor_vandalism', { heat: 100, influence: 0 }).probability, 0);
+    TestRunner.assertEqual(Odds.forOperation('recruit_attempt', { heat: 0, influence: 0 }), null, 'no d100 check');
+  });
+
+  TestRunner.test('Gather Supplies gives the distribution of Supplies gained', function () {
+    const odds = Odds.forOperation('gather_supplies', { heat: 60, influence: 20 });
+    TestRunner.assertEqual(odds.probability, 0.5, '100 − 60 + 10');
+    TestRunner.assertDeepEqual(odds.gained.map(g => g.probability), [0.125, 0.375, 0.375, 0.125]);
+    TestRunner.assertEqual(odds.expected, 1.5);
+  });
+
+});
+
+// ─── Suite 2: Recruitment ─────────────────────────────────────────────────────
+
+TestRunner.describe('odds.js — Recruitment', function () {
+
+  TestRunner.test('dice totals are counted exactly', function () {
+    const totals = Odds.totals(['d10', 'd4']);
+    TestRunner.assertEqual(totals.get(2), 1);
+    TestRunner.assertEqual(totals.get(7), 4);
+    TestRunner.assertEqual([...totals.values()].reduce((a, b) => a + b, 0), 40);
+  });
+
+  TestRunner.test('recruit odds match every roll the resolver can make', async function () {
+    const card = { suit: 'spades', rank: 'Q', value: 12 };
+    const odds = Odds.forRecruit({ influence: 60 }, card);
+    TestRunner.assertDeepEqual(odds.dice, ['d10', 'd4']);
+
+    let successes = 0;
+    for (let d10 = 1; d10 <= 10; d10++) {
+      for (let d4 = 1; d4 <= 4; d4++) {
+        const state = GameState.createInitial();
+        state.influence = 60;
+        state.recruitPool = [card];
+        const rolls = [d10, d4];
+        Dice.setProvider(() => Promise.resolve(rolls.shift()));
+        try {
+          const result = await Operations.resolveRecruitAttempt(state, Assignments.leaderCard(state), 0);
+          if (result.success) successes++;
+        } finally {
+          Dice.setProvider(null);
+        }
+      }
+    }
+    TestRunner.assertEqual(odds.ways, successes);
+    TestRunner.assertEqual(odds.outcomes, 40);
+  });
+
+  TestRunner.test('burning a Supply rolls a d12', function () {
+    const card = { suit: 'hearts', rank: 'J', value: 11 };
+    TestRunner.assertEqual(Odds.forRecruit({ influence: 0 }, card).probability, 0);
+    const d12 = Odds.forRecruit({ influence: 0 }, card, { burnSupply: true });
+    TestRunner.assertDeepEqual(d12.dice, ['d12']);
+    TestRunner.assertEqual(d12.ways, 2);
+  });
+
+  TestRunner.test('percentages never round an open chance to 0% or 100%', function () {
+    TestRunner.assertEqual(Odds.percent(0.875), '88%');
+    TestRunner.assertEqual(Odds.percent(0.001), '<1%');
+    TestRunner.assertEqual(Odds.percent(0.999), '>99%');
+    TestRunner.assertEqual(Odds.percent(1), '100%');
+  });
+
+});
+
+// ─── Suite 3: App Display ─────────────────────────────────────────────────────
+
+TestRunner.describe('odds.js — App Display', function () {
+
+  function oddsGame(overrides) {
+    const state = bootTestGame(overrides);
+    document.querySelector('[data-screen="game"]')
+      .insertAdjacentHTML('beforeend', '<div id="operations-list"></div>');
+    state.operatives = [{ suit: 'spades', rank: '6', value: 6 }, { suit: 'clubs', rank: '8', value: 8 }];
+    state.recruitPool = [{ suit: 'hearts', rank: '7', value: 7 }];
+    App.renderGameState();
+    return state;
+  }
+
+  const oddsOf = (operationId) =>
+    document.querySelector(`.operation[data-operation="${operationId}"] .odds`);
+
+  TestRunner.test('each operation shows its odds beside the button', function () {
+    oddsGame({ heat: 40, influence: 20, leaderSkillLevel: 4 });
+    TestRunner.assertEqual(oddsOf('minor_vandalism').textContent, '60%');
+    TestRunner.assertEqual(oddsOf('gather_supplies').textContent, '≈2.1 Supplies');
+    TestRunner.assert(oddsOf('gather_supplies').title.includes('0: 3%, 1: 19%, 2: 44%, 3: 34%'), oddsOf('gather_supplies').title);
+    TestRunner.assertEqual(oddsOf('scout').textContent, 'Up to 78%', '60 + leader 4 + 6 + 8');
+  });
+
+  TestRunner.test('recruit buttons show the chance of reaching the card', function () {
+    oddsGame({ supplies: 1 });
+    const odds = document.querySelector('#section-recruit-pool .odds');
+    TestRunner.assertEqual(odds.textContent, '40%', 'd10 of 7 or more');
+    TestRunner.assert(odds.title.endsWith('(burning a Supply for a d12: 50%)'), odds.title);
+  });
+
+  TestRunner.test('the selection modal updates the odds with the team chosen', async function () {
+    const state = oddsGame({ heat: 60, supplies: 5 });
+    state.operatives.push({ suit: 'clubs', rank: '2', value: 2 }, { suit: 'clubs', rank: '3', value: 3 });
+    App.renderGameState();
+    document.querySelector('.operation[data-operation="scout"] .btn-execute').click();
+    const overlays = document.querySelectorAll('.modal-overlay');
+    const overlay = overlays[overlays.length - 1];
+    const line = overlay.querySelector('.selection-odds');
+    TestRunner.assert(line.textContent.startsWith('40% — '), line.textContent);
+    const box = overlay.querySelector(`input[value="${Assignments.operativeId(state.operatives[1])}"]`);
+    box.checked = true;
+    box.dispatchEvent(new window.Event('change'));
+    TestRunner.assert(line.textContent.startsWith('48% — '), line.textContent);
+    overlay.querySelector('[data-action="cancel"]').click();
+  });
+
+});
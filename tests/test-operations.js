@@ -62,8 +62,17 @@ function bootTestGame(overrides) {
   state.recruitDeck = Deck.createDeck();
   Deck.shuffle(state.recruitDeck);
   if (overrides) Object.assign(state, overrides);
+  // Cards the overrides deal out are taken out of the deck, so every card is in one place
+  const dealt = new Set(Validation.cardLocations(state)
+    .filter(location => !location.path.startsWith('recruitDeck'))
+    .map(location => Deck.cardId(location.card)));
+  if (!overrides || !('recruitDeck' in overrides)) {
+    state.recruitDeck = state.recruitDeck.filter(card => !dealt.has(Deck.cardId(card)));
+  }
   GameState.save(state, 'current');
   App.continueGame();
+  // Resolutions are kept without asking; tests of the modal set their own
+  App.setConfirmProvider(async () => true);
   return App.getState();
 }
 
@@ -178,8 +187,7 @@ TestRunner.describe('app.js — Recruitment Pipeline', function () {
   });
 
   TestRunner.test('drawToPool appends when pool already has cards', async function () {
-    const state = bootTestGame();
-    state.recruitPool = [{ suit: 'hearts', rank: '2', value: 2 }];
+    bootTestGame({ recruitPool: [{ suit: 'hearts', rank: '2', value: 2 }] });
 
     Deck.setProvider(null);
     await App.drawToPool(2);
@@ -193,10 +201,12 @@ TestRunner.describe('app.js — Recruitment Pipeline', function () {
   // This test uses a state with a high leaderSkillLevel to bypass the known
   // leader-block bug so it can test the state-transition path.
   TestRunner.test('successful recruit moves card from pool to initiates with 2-turn timer', async function () {
-    const state = bootTestGame({ leaderSkillLevel: 5 });
     const target = { suit: 'clubs', rank: '3', value: 3 };
-    state.recruitPool = [target];
-    state.operatives  = [{ suit: 'hearts', rank: '5', value: 5 }];
+    bootTestGame({
+      leaderSkillLevel: 5,
+      recruitPool: [target],
+      operatives: [{ suit: 'hearts', rank: '5', value: 5 }],
+    });
 
     // d10 rolls 7 (>= card value 3 → success under either the correct or
     // current buggy formula when leaderSkillLevel = 5)
@@ -212,10 +222,12 @@ TestRunner.describe('app.js — Recruitment Pipeline', function () {
   });
 
   TestRunner.test('failed recruit attempt leaves card in recruit pool', async function () {
-    const state = bootTestGame({ leaderSkillLevel: 5 });
     const target = { suit: 'diamonds', rank: 'A', value: 15 };
-    state.recruitPool = [target];
-    state.operatives  = [{ suit: 'spades', rank: '5', value: 5 }];
+    bootTestGame({
+      leaderSkillLevel: 5,
+      recruitPool: [target],
+      operatives: [{ suit: 'spades', rank: '5', value: 5 }],
+    });
 
     // d10 rolls 2; even with buggy leaderSkillLevel addition (2+5=7) that is
     // still < 15, so both correct and buggy logic should produce a failure
@@ -234,12 +246,9 @@ TestRunner.describe('app.js — Recruitment Pipeline', function () {
   // BUG: Current code blocks the attempt when operatives.length === 0 &&
   //      leaderSkillLevel === 0, preventing the leader from ever getting started.
   TestRunner.test('[spec] leader can attempt recruitment with no operatives', async function () {
-    const state = bootTestGame();
-    // Explicitly start with no operatives and leaderSkillLevel = 0
-    state.operatives       = [];
-    state.leaderSkillLevel = 0;
     const target = { suit: 'hearts', rank: '4', value: 4 };
-    state.recruitPool = [target];
+    // Explicitly start with no operatives and leaderSkillLevel = 0
+    bootTestGame({ operatives: [], leaderSkillLevel: 0, recruitPool: [target] });
 
     // Roll 10 on d10 — should succeed (10 >= 4) if the attempt is allowed
     Dice.setProvider(() => Promise.resolve(10));
@@ -259,12 +268,14 @@ TestRunner.describe('app.js — Recruitment Pipeline', function () {
   // it only determines whether an attempt is permitted.
   // BUG: Current code adds leaderSkillLevel to the roll total, inflating results.
   TestRunner.test('[spec] recruit success is determined by dice roll alone, not roll + skill', async function () {
-    const state = bootTestGame({ leaderSkillLevel: 10 });
     // Card value 8. With correct formula: roll must be >= 8.
     // With buggy formula: roll + leaderSkillLevel (10) >= 8 — always passes.
     const target = { suit: 'spades', rank: '8', value: 8 };
-    state.recruitPool = [target];
-    state.operatives  = [{ suit: 'clubs', rank: '10', value: 10 }];
+    bootTestGame({
+      leaderSkillLevel: 10,
+      recruitPool: [target],
+      operatives: [{ suit: 'clubs', rank: '10', value: 10 }],
+    });
 
     // Roll 5 on d10 — correct: 5 < 8 → FAIL; buggy: 5+10=15 >= 8 → SUCCESS
     Dice.setProvider(() => Promise.resolve(5));
@@ -361,6 +372,49 @@ TestRunner.describe('operations.js — canExecute Requirements', function () {
     TestRunner.assert(!Operations.canExecute('late_game_op', state, ops, { influenceThreshold: 60 }));
   });
 
+  TestRunner.test('getAvailability reports every requirement with required and current values', function () {
+    const state = bootTestGame({ supplies: 7, influence: 25 });
+    const ops = Array.from({ length: 6 }, (_, i) => ({ suit: 'hearts', rank: String(i + 2), value: i + 2 }));
+    const { ok, requirements } = Operations.getAvailability('mid_game_op', state, ops, { influenceThreshold: 30 });
+    TestRunner.assert(!ok);
+    TestRunner.assertDeepEqual(requirements.map(r => [r.id, r.required, r.current, r.met]), [
+      ['operatives', 6, 6, true],
+      ['team', 0, 0, true],
+      ['supplies', 10, 7, false],
+      ['influence', 30, 25, false],
+    ]);
+    TestRunner.assertEqual(requirements[2].detail, 'Needs 10 Supplies; the cell has 7');
+  });
+
+  TestRunner.test('getAvailability names team members tapped, locked, or listed twice', function () {
+    const state = validState();
+    state.supplies = 3;
+    const [away, free] = state.operatives;
+    state.assignments = [{ operation: 'minor_vandalism', operativeIds: [Deck.cardId(free)] }];
+    const team = Operations.getAvailability('average_vandalism', state, [away, free, free])
+      .requirements.find(r => r.id === 'team');
+    TestRunner.assert(!team.met);
+    TestRunner.assertEqual(team.current, 3);
+    TestRunner.assertEqual(team.detail, [
+      `${away.rank} of ${away.suit} is locked in a multi-turn operation`,
+      `${free.rank} of ${free.suit} is already tapped this turn`,
+      `${free.rank} of ${free.suit} is listed twice`,
+    ].join('; '));
+  });
+
+  TestRunner.test('getAvailability without a team counts who is free and who is busy', function () {
+    const state = validState();
+    state.assignments = [{ operation: 'minor_vandalism', operativeIds: [Deck.cardId(state.operatives[1])] }];
+    const operatives = Operations.getAvailability('scout', state, null).requirements[0];
+    TestRunner.assertEqual(operatives.current, 1, 'leader and one operative locked, one tapped');
+    TestRunner.assertEqual(operatives.detail,
+      'Needs 4 operatives; 1 free (1 tapped this turn, 2 locked in multi-turn operations)');
+    const opportunity = Operations.getAvailability('mid_game_op', state, null, { opportunityIndex: 0 })
+      .requirements.find(r => r.id === 'influence');
+    TestRunner.assertEqual(opportunity.required, state.availableMidGameOps[0].influenceThreshold);
+    TestRunner.assertEqual(Operations.getAvailability('bogus', state, null), null);
+  });
+
 });
 
 // ─── Suite 5: Operations — Check Formulas ─────────────────────────────────────
@@ -660,3 +714,324 @@ TestRunner.describe('operations.js — Scout', function () {
   });
 
 });
+
+// ─── Suite 11: Operations — Mid-Game Table & Resolution ───────────────────────
+
+TestRunner.describe('operations.js — Mid-Game Operations', function () {
+
+  function midGameTeam() {
+    return Array.from({ length: 6 }, (_, i) => ({ suit: 'clubs', rank: String(i + 2), value: i + 2 }));
+  }
+
+  TestRunner.test('mid-game table has six rows with names and thresholds', function () {
+    TestRunner.assertArrayLength(Operations.MID_GAME_OPS, 6);
+    for (let roll = 1; roll <= 6; roll++) {
+      const def = Operations.getMidGameOp(roll);
+      TestRunner.assert(def && def.name, `row ${roll} has a name`);
+      TestRunner.assert(Operations.MID_GAME_THRESHOLDS[def.difficulty] !== undefined, `row ${roll} has a valid difficulty`);
+    }
+  });
+
+  TestRunner.test('createMidGameOpportunity expands a table roll into a full record', function () {
+    const opp = Operations.createMidGameOpportunity(5);
+    TestRunner.assertEqual(opp.tableRoll, 5);
+    TestRunner.assertEqual(opp.id, 'supply_convoy');
+    TestRunner.assertEqual(opp.name, 'Intercept Supply Convoy/Raid Storehouse');
+    TestRunner.assertEqual(opp.influenceThreshold, Operations.MID_GAME_THRESHOLDS[opp.difficulty]);
+  });
+
+  TestRunner.test('resolveScout success stores an expanded opportunity record', async function () {
+    const state = bootTestGame({ heat: 0, supplies: 10 });
+    const ops = midGameTeam().slice(0, 4);
+    let i = 0;
+    Dice.setProvider(() => Promise.resolve([5, 2][i++]));
+    await Operations.resolveScout(state, ops);
+    Dice.setProvider(null);
+    TestRunner.assertEqual(state.availableMidGameOps[0].name, 'Hack/Tap/Destroy Comm Tower');
+    TestRunner.assert(state.availableMidGameOps[0].influenceThreshold > 0, 'threshold recorded');
+  });
+
+  TestRunner.test('success applies table effects and consumes the opportunity', async function () {
+    const state = bootTestGame({ heat: 40, influence: 50, supplies: 12 });
+    state.operatives = midGameTeam();
+    state.availableMidGameOps = [Operations.createMidGameOpportunity(2)];
+    Dice.setProvider(() => Promise.resolve(10));
+    const result = await Operations.resolveMidGameOp(state, [...state.operatives], 0);
+    Dice.setProvider(null);
+    TestRunner.assert(result.success, 'roll 10 succeeds');
+    TestRunner.assertEqual(state.influence, 75, '+25 influence (threshold not consumed)');
+    TestRunner.assertEqual(state.heat, 25, '-15 heat');
+    TestRunner.assertEqual(state.supplies, 2, '-10 supplies');
+    TestRunner.assertArrayLength(state.availableMidGameOps, 0, 'opportunity consumed');
+  });
+
+  TestRunner.test('Break Out draws two cards straight into operatives', async function () {
+    const state = bootTestGame({ heat: 0, influence: 60, supplies: 10 });
+    state.operatives = midGameTeam();
+    state.availableMidGameOps = [Operations.createMidGameOpportunity(4)];
+    const deckBefore = state.recruitDeck.length;
+    Dice.setProvider(() => Promise.resolve(10));
+    const result = await Operations.resolveMidGameOp(state, [...state.operatives], 0);
+    Dice.setProvider(null);
+    TestRunner.assertArrayLength(result.cardsDrawn, 2);
+    TestRunner.assertArrayLength(state.operatives, 8);
+    TestRunner.assertEqual(state.recruitDeck.length, deckBefore - 2);
+    TestRunner.assertEqual(state.heat, 10);
+  });
+
+  TestRunner.test('failure: 1 operative captured and shuffled back into the deck', async function () {
+    const state = bootTestGame({ heat: 99, influence: 60, supplies: 10 });
+    state.operatives = midGameTeam();
+    state.availableMidGameOps = [Operations.createMidGameOpportunity(3)];
+    const deckBefore = state.recruitDeck.length;
+    // opSum = 27, target = 100 - 99 + 27 = 28. Roll 90 fails.
+    Dice.setProvider(() => Promise.resolve(90));
+    const result = await Operations.resolveMidGameOp(state, [...state.operatives], 0);
+    Dice.setProvider(null);
+    TestRunner.assert(!result.success);
+    TestRunner.assertArrayLength(result.captured, 1);
+    TestRunner.assertArrayLength(state.operatives, 5);
+    TestRunner.assertEqual(state.recruitDeck.length, deckBefore + 1);
+    TestRunner.assertEqual(state.supplies, 0, 'supplies spent on failure too');
+    TestRunner.assertArrayLength(state.availableMidGameOps, 0, 'opportunity consumed on failure too');
+  });
+
+  TestRunner.test('throws when below the opportunity\'s influence threshold', async function () {
+    const state = bootTestGame({ influence: 0, supplies: 10 });
+    state.operatives = midGameTeam();
+    state.availableMidGameOps = [Operations.createMidGameOpportunity(1)];
+    let threw = false;
+    try {
+      await Operations.resolveMidGameOp(state, [...state.operatives], 0);
+    } catch (e) {
+      threw = true;
+    }
+    TestRunner.assert(threw, 'should refuse to resolve');
+    TestRunner.assertArrayLength(state.availableMidGameOps, 1, 'opportunity kept');
+    TestRunner.assertEqual(state.supplies, 10, 'no supplies spent');
+  });
+
+  TestRunner.test('executed opportunity is logged', async function () {
+    const state = bootTestGame({ heat: 0, influence: 60, supplies: 10 });
+    state.operatives = midGameTeam();
+    state.availableMidGameOps = [Operations.createMidGameOpportunity(6)];
+    Dice.setProvider(() => Promise.resolve(10));
+    await Operations.resolveMidGameOp(state, [...state.operatives], 0);
+    Dice.setProvider(null);
+    const last = state.turnLog[state.turnLog.length - 1];
+    TestRunner.assert(last.text.includes('Provide Clandestine Goods'), 'log names the operation');
+  });
+
+});
+
+// ─── Suite 12: Operations — Late-Game Scout, Table & Operation ────────────────
+
+TestRunner.describe('operations.js — Late-Game Operations', function () {
+
+  function lateGameTeam(count) {
+    return Array.from({ length: count }, (_, i) => ({ suit: Deck.SUITS[Math.floor(i / 9)], rank: String((i % 9) + 2), value: (i % 9) + 2 }));
+  }
+
+  TestRunner.test('startLateGameScout: 3-turn multiTurnOp, consumes 8 supplies', function () {
+    const state = bootTestGame({ supplies: 10 });
+    const ops = lateGameTeam(6);
+    state.operatives = [...ops];
+    Operations.startLateGameScout(state, ops);
+    TestRunner.assertEqual(state.multiTurnOps[0].operation, 'late_game_scout');
+    TestRunner.assertEqual(state.multiTurnOps[0].turnsRemaining, 3);
+    TestRunner.assertEqual(state.supplies, 2);
+  });
+
+  TestRunner.test('resolveLateGameScout success adds a late-game opportunity', async function () {
+    const state = bootTestGame({ heat: 0 });
+    const ops = lateGameTeam(6);
+    let i = 0;
+    Dice.setProvider(() => Promise.resolve([5, 2][i++]));
+    const result = await Operations.resolveLateGameScout(state, ops);
+    Dice.setProvider(null);
+    TestRunner.assert(result.success);
+    TestRunner.assertArrayLength(state.availableLateGameOps, 1);
+    TestRunner.assertEqual(state.availableLateGameOps[0].id, 'news_agency');
+    TestRunner.assertEqual(state.availableLateGameOps[0].influenceThreshold,
+      Operations.LATE_GAME_THRESHOLDS[state.availableLateGameOps[0].difficulty]);
+  });
+
+  TestRunner.test('late-game table re-rolls empty rows and completed operations', async function () {
+    const state = bootTestGame();
+    state.completedLateGameOps = [Operations.createLateGameOpportunity(3)];
+    // d8 rolls: 7 (no row), 3 (already completed), 5 (valid)
+    let i = 0;
+    Dice.setProvider(() => Promise.resolve([7, 3, 5][i++]));
+    const result = await Operations.rollLateGameTable(state);
+    Dice.setProvider(null);
+    TestRunner.assertEqual(result.tableRoll, 5);
+    TestRunner.assertDeepEqual(result.rerolls, [7, 3]);
+  });
+
+  TestRunner.test('resolveLateGameScout failure + detain: 3 operatives detained 2 turns', async function () {
+    const state = bootTestGame({ heat: 99, supplies: 10 });
+    const ops = lateGameTeam(6);
+    state.operatives = [...ops];
+    Dice.setProvider(() => Promise.resolve(100));
+    await Operations.resolveLateGameScout(state, ops, { secondPenaltyChoice: 'detain' });
+    Dice.setProvider(null);
+    TestRunner.assertArrayLength(state.detainedOperatives, 3);
+    TestRunner.assert(state.detainedOperatives.every(d => d.turnsRemaining === 2), 'all detained 2 turns');
+    TestRunner.assertEqual(state.supplies, 10);
+  });
+
+  TestRunner.test('resolveLateGameScout failure + supplies: 2 detained, -4 supplies', async function () {
+    const state = bootTestGame({ heat: 99, supplies: 10 });
+    const ops = lateGameTeam(6);
+    state.operatives = [...ops];
+    Dice.setProvider(() => Promise.resolve(100));
+    await Operations.resolveLateGameScout(state, ops, { secondPenaltyChoice: 'supplies' });
+    Dice.setProvider(null);
+    TestRunner.assertArrayLength(state.detainedOperatives, 2);
+    TestRunner.assertEqual(state.supplies, 6);
+  });
+
+  TestRunner.test('startLateGameOp: locks 12 operatives for 3 turns, spends 20 supplies, consumes opportunity', function () {
+    const state = bootTestGame({ supplies: 25, influence: 60 });
+    const ops = lateGameTeam(12);
+    state.operatives = [...ops];
+    state.availableLateGameOps = [Operations.createLateGameOpportunity(5)];
+    Operations.startLateGameOp(state, ops, 0);
+    TestRunner.assertArrayLength(state.availableLateGameOps, 0);
+    TestRunner.assertEqual(state.supplies, 5);
+    TestRunner.assertEqual(state.multiTurnOps[0].operation, 'late_game_op');
+    TestRunner.assertEqual(state.multiTurnOps[0].turnsRemaining, 3);
+    TestRunner.assertEqual(state.multiTurnOps[0].opportunity.id, 'supply_networks');
+  });
+
+  TestRunner.test('startLateGameOp throws below the influence threshold', function () {
+    const state = bootTestGame({ supplies: 25, influence: 59 });
+    const ops = lateGameTeam(12);
+    state.availableLateGameOps = [Operations.createLateGameOpportunity(5)];
+    TestRunner.assertThrows(() => Operations.startLateGameOp(state, ops, 0));
+    TestRunner.assertArrayLength(state.availableLateGameOps, 1);
+  });
+
+  TestRunner.test('resolveLateGameOp success applies effects and records completion', async function () {
+    const state = bootTestGame({ heat: 0, influence: 100 });
+    const ops = lateGameTeam(12);
+    state.operatives = [...ops];
+    const opportunity = Operations.createLateGameOpportunity(6);
+    Dice.setProvider(() => Promise.resolve(10));
+    const result = await Operations.resolveLateGameOp(state, ops, opportunity);
+    Dice.setProvider(null);
+    TestRunner.assert(result.success);
+    TestRunner.assertEqual(state.influence, 150);
+    TestRunner.assertArrayLength(state.completedLateGameOps, 1);
+    TestRunner.assertEqual(result.victory, false);
+  });
+
+  TestRunner.test('resolveLateGameOp failure: 2 operatives captured', async function () {
+    const state = bootTestGame({ heat: 100 });
+    const ops = lateGameTeam(12);
+    state.operatives = [...ops];
+    const deckBefore = state.recruitDeck.length;
+    // opSum = 62, target = 62. Roll 90 fails.
+    Dice.setProvider(() => Promise.resolve(90));
+    const result = await Operations.resolveLateGameOp(state, [...ops], Operations.createLateGameOpportunity(1));
+    Dice.setProvider(null);
+    TestRunner.assert(!result.success);
+    TestRunner.assertArrayLength(state.operatives, 10);
+    TestRunner.assertEqual(state.recruitDeck.length, deckBefore + 2);
+    TestRunner.assertArrayLength(state.completedLateGameOps, 0);
+  });
+
+  TestRunner.test('isVictory is true once three late-game operations are complete', function () {
+    const state = GameState.createInitial();
+    state.completedLateGameOps = [1, 2].map(Operations.createLateGameOpportunity);
+    TestRunner.assert(!Operations.isVictory(state));
+    state.completedLateGameOps.push(Operations.createLateGameOpportunity(5));
+    TestRunner.assert(Operations.isVictory(state));
+  });
+
+  TestRunner.test('third late-game op completing at End Turn shows the victory screen', async function () {
+    const ops = lateGameTeam(12);
+    bootTestGame({
+      heat: 0,
+      influence: 100,
+      operatives: [...ops],
+      completedLateGameOps: [1, 2].map(Operations.createLateGameOpportunity),
+      multiTurnOps: [{
+        operation: 'late_game_op', turnsRemaining: 1,
+        assignedOperatives: [...ops], opportunity: Operations.createLateGameOpportunity(6),
+      }],
+    });
+    const app = document.getElementById('app');
+    app.insertAdjacentHTML('beforeend', '<div data-screen="victory"><div id="victory-stats"></div></div>');
+    // d100=10 (late-game op success), d100=100 (no crackdown)
+    let i = 0;
+    Dice.setProvider(() => Promise.resolve([10, 100][i++]));
+    const report = await App.endTurn();
+    Dice.setProvider(null);
+    TestRunner.assert(report.victory, 'report flags victory');
+    TestRunner.assertEqual(App.currentScreen(), 'victory');
+    TestRunner.assert(document.getElementById('victory-stats').textContent.includes('Establish Provisional Government'));
+  });
+
+});
+
+// ─── Suite 13: Operations — Recruit Attempt ───────────────────────────────────
+
+TestRunner.describe('operations.js — Recruit Attempt', function () {
+
+  TestRunner.test('influence die is added to the d10', async function () {
+    const state = bootTestGame({ influence: 50 });
+    state.recruitPool = [{ suit: 'hearts', rank: 'Q', value: 12 }];
+    Dice.setProvider((die) => Promise.resolve({ d10: 9, d4: 3 }[die]));
+    const result = await Operations.resolveRecruitAttempt(state, Assignments.leaderCard(state), 0);
+    Dice.setProvider(null);
+    TestRunner.assertDeepEqual(result.rolls, [{ die: 'd10', roll: 9 }, { die: 'd4', roll: 3 }]);
+    TestRunner.assertEqual(result.total, 12);
+    TestRunner.assert(result.success, '12 >= 12');
+  });
+
+  TestRunner.test('burning a supply rolls d12 instead of d10', async function () {
+    const state = bootTestGame({ supplies: 2 });
+    state.recruitPool = [{ suit: 'hearts', rank: 'J', value: 11 }];
+    const dice = [];
+    Dice.setProvider((die) => { dice.push(die); return Promise.resolve(11); });
+    const result = await Operations.resolveRecruitAttempt(state, Assignments.leaderCard(state), 0, { burnSupply: true });
+    Dice.setProvider(null);
+    TestRunner.assertDeepEqual(dice, ['d12']);
+    TestRunner.assertEqual(state.supplies, 1);
+    TestRunner.assert(result.success);
+  });
+
+  TestRunner.test('burning a supply with none left throws', async function () {
+    const state = bootTestGame({ supplies: 0 });
+    state.recruitPool = [{ suit: 'hearts', rank: 'J', value: 11 }];
+    let threw = false;
+    try {
+      await Operations.resolveRecruitAttempt(state, Assignments.leaderCard(state), 0, { burnSupply: true });
+    } catch (e) {
+      threw = true;
+    }
+    TestRunner.assert(threw, 'should throw');
+  });
+
+  TestRunner.test('an operative can only recruit a lower-value card', function () {
+    const seven = { suit: 'clubs', rank: '7', value: 7 };
+    TestRunner.assert(Operations.canRecruit(seven, { suit: 'hearts', rank: '6', value: 6 }));
+    TestRunner.assert(!Operations.canRecruit(seven, { suit: 'hearts', rank: '7', value: 7 }));
+    TestRunner.assert(Operations.canRecruit({ leader: true, value: 0 }, { suit: 'hearts', rank: 'A', value: 15 }));
+  });
+
+  TestRunner.test('App.attemptRecruit taps the recruiter for the turn', async function () {
+    const state = bootTestGame({
+      recruitPool: [{ suit: 'hearts', rank: '4', value: 4 }, { suit: 'hearts', rank: '6', value: 6 }],
+    });
+    Dice.setProvider(() => Promise.resolve(1));
+    await App.attemptRecruit(0);
+    await App.attemptRecruit(1);
+    Dice.setProvider(null);
+    TestRunner.assert(Assignments.isTapped(state, Assignments.LEADER_ID), 'leader used');
+    TestRunner.assertArrayLength(state.assignments, 1, 'second attempt had no one free');
+    TestRunner.assert(state.turnLog[state.turnLog.length - 1].text.includes('No one is free'));
+  });
+
+});
@@ -0,0 +1,205 @@
+/**
+ * Tests for recovery.js — inspecting and repairing damaged saves, and the
+ * App's recovery flow.
+ */
+
+// ─── Suite 1: Inspection ──────────────────────────────────────────────────────
+
+TestRunner.describe('recovery.js — Inspection', function () {
+
+  TestRunner.test('a sound save inspects as ok', function () {
+    GameState.save(validState(), 'Sound');
+    const report = Recovery.inspect('Sound');
+    TestRunner.assertEqual(report.status, 'ok');
+    TestRunner.assertArrayLength(report.state.operatives, 3);
+    GameState.deleteSave('Sound');
+  });
+
+  TestRunner.test('text that is not a game state is unreadable', function () {
+    localStorage.setItem('good-fight-save-Broken', '{"influence": 4');
+    TestRunner.assertEqual(Recovery.inspect('Broken').status, 'unreadable');
+    TestRunner.assertEqual(Recovery.inspect('Nowhere').status, 'missing');
+    TestRunner.assert(Recovery.inspect('Broken').errors[0].startsWith('Not valid JSON'));
+    GameState.deleteSave('Broken');
+  });
+
+  TestRunner.test('a parsed save with problems is invalid, a newer one is not', function () {
+    const state = validState();
+    delete state.recruitDeck;
+    GameState.save(state, 'Holed');
+    const report = Recovery.inspect('Holed');
+    TestRunner.assertEqual(report.status, 'invalid');
+    TestRunner.assertDeepEqual(report.errors, ['recruitDeck: missing']);
+
+    state.schemaVersion = GameState.SCHEMA_VERSION + 1;
+    GameState.save(state, 'Holed');
+    TestRunner.assertEqual(Recovery.inspect('Holed').status, 'newer');
+    GameState.deleteSave('Holed');
+  });
+
+  TestRunner.test('unreadable saves are listed as damaged, not thrown on', function () {
+    localStorage.setItem('good-fight-save-Broken', 'not json');
+    localStorage.setItem('good-fight-meta-Broken', '{also not');
+    const meta = GameState.listSlots().find(m => m.slot === 'Broken');
+    TestRunner.assertEqual(meta.damaged, true);
+    TestRunner.assertThrows(() => GameState.load('Broken'));
+    GameState.deleteSave('Broken');
+  });
+
+});
+
+// ─── Suite 2: Repair ──────────────────────────────────────────────────────────
+
+TestRunner.describe('recovery.js — Repair', function () {
+
+  TestRunner.test('a missing recruit deck is rebuilt from the cards not accounted for', function () {
+    const state = validState();
+    delete state.recruitDeck;
+    const { state: repaired, fixes, errors } = Recovery.repair(state);
+    TestRunner.assertDeepEqual(errors, []);
+    TestRunner.assertArrayLength(repaired.recruitDeck, 52 - 7);
+    TestRunner.assertEqual(fixes[0], 'recruitDeck: missing — rebuilt from the 45 cards not accounted for');
+    const ids = Validation.cardLocations(repaired).map(l => Deck.cardId(l.card));
+    TestRunner.assertEqual(new Set(ids).size, 52, 'every card once');
+  });
+
+  TestRunner.test('the data given is left alone', function () {
+    const state = validState();
+    state.heat = 300;
+    Recovery.repair(state);
+    TestRunner.assertEqual(state.heat, 300);
+  });
+
+  TestRunner.test('bad fields, cards and opportunities are fixed or removed', function () {
+    const state = validState();
+    const operative = state.operatives[1];
+    state.heat = 300;
+    state.turnLog = 'lost';
+    state.inputMode.dice = 'telepathic';
+    state.recruitPool[0] = { suit: 'stars', rank: '5', value: 5 };
+    state.recruitPool.push({ ...operative });
+    state.initiates[0].card.value = 99;
+    state.availableMidGameOps.push({ tableRoll: 99, id: 'nope' });
+    const { state: repaired, fixes, errors } = Recovery.repair(state);
+    TestRunner.assertDeepEqual(errors, []);
+    TestRunner.assertEqual(repaired.heat, 100);
+    TestRunner.assertDeepEqual(repaired.turnLog, []);
+    TestRunner.assertEqual(repaired.inputMode.dice, 'digital');
+    TestRunner.assertArrayLength(repaired.recruitPool, 1, 'bad card and duplicate gone');
+    TestRunner.assertArrayLength(repaired.operatives, 3, 'the operative is kept');
+    TestRunner.assertEqual(repaired.initiates[0].card.value, Deck.cardValue(repaired.initiates[0].card.rank));
+    TestRunner.assertArrayLength(repaired.availableMidGameOps, 1);
+    TestRunner.assert(fixes.includes(`recruitPool[2]: ${Deck.cardId(operative)} is also at operatives[1] — removed`));
+    TestRunner.assert(fixes.includes('heat: 300 — set to 100'));
+  });
+
+  TestRunner.test('multi-turn teams keep only operatives and the leader', function () {
+    const state = validState();
+    state.multiTurnOps[0].assignedOperatives.push({ suit: 'hearts', rank: 'Z', value: 1 });
+    state.multiTurnOps.push({ operation: 'teleport', turnsRemaining: 1, assignedOperatives: [] });
+    const { state: repaired, errors } = Recovery.repair(state);
+    TestRunner.assertDeepEqual(errors, []);
+    TestRunner.assertArrayLength(repaired.multiTurnOps, 1);
+    const team = repaired.multiTurnOps[0].assignedOperatives;
+    TestRunner.assertArrayLength(team, 2);
+    TestRunner.assertEqual(team[1], repaired.operatives[0], 'refers to the operative');
+  });
+
+  TestRunner.test('leader skill above every operative is kept; below one it is raised', function () {
+    const state = validState();
+    const highest = Math.max(...state.operatives.map(card => card.value));
+    state.leaderSkillLevel = highest + 1;
+    EventLog.begin(state);
+    const kept = Recovery.repair(state);
+    TestRunner.assertDeepEqual(kept.fixes, [], 'a skill reached by a lost operative');
+    TestRunner.assertEqual(kept.state.leaderSkillLevel, highest + 1);
+    TestRunner.assert(kept.state.eventLog !== null, 'log kept');
+
+    state.leaderSkillLevel = highest - 1;
+    const { state: repaired, fixes } = Recovery.repair(state);
+    TestRunner.assertEqual(repaired.leaderSkillLevel, highest);
+    TestRunner.assertDeepEqual(fixes.slice(0, 1), [`leaderSkillLevel: ${highest - 1} — set to ${highest}`]);
+  });
+
+  TestRunner.test('a repaired game drops its event log; a sound one keeps it', function () {
+    const state = validState();
+    EventLog.begin(state);
+    TestRunner.assertDeepEqual(Recovery.repair(state).fixes, []);
+    TestRunner.assert(Recovery.repair(state).state.eventLog !== null, 'kept');
+    state.supplies = -2;
+    TestRunner.assertEqual(Recovery.repair(state).state.eventLog, null);
+  });
+
+});
+
+// ─── Suite 3: App Recovery ────────────────────────────────────────────────────
+
+TestRunner.describe('recovery.js — App Recovery', function () {
+
+  function recoveryDOM() {
+    setupGameDOM();
+    document.getElementById('app').insertAdjacentHTML('beforeend',
+      '<div data-screen="setup"></div><div data-screen="load"><p id="save-list-status"></p><div id="save-list"></div></div>');
+  }
+
+  /** Wait for the recovery modal and pick one of its actions. */
+  async function choose(choice) {
+    await new Promise(resolve => setTimeout(resolve, 0));
+    const overlays = document.querySelectorAll('.modal-overlay');
+    overlays[overlays.length - 1].querySelector(`[data-choice="${choice}"]`).click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+  }
+
+  TestRunner.test('a damaged save opens recovery instead of loading', async function () {
+    recoveryDOM();
+    const state = validState();
+    delete state.recruitDeck;
+    GameState.save(state, 'Holed');
+    TestRunner.assertEqual(App.loadGame('Holed'), false);
+    TestRunner.assertEqual(App.currentScreen(), 'load');
+    TestRunner.assert(document.getElementById('save-list-status').textContent.includes('recruitDeck: missing'));
+    await choose('repair');
+    TestRunner.assertEqual(App.currentScreen(), 'game');
+    TestRunner.assertEqual(App.getActiveSlot(), 'Holed');
+    TestRunner.assertArrayLength(App.getState().recruitDeck, 45);
+    TestRunner.assertArrayLength(GameState.load('Holed').recruitDeck, 45, 'repair saved');
+    TestRunner.assertEqual(GameState.load('Holed (damaged)').recruitDeck, undefined, 'original kept');
+    TestRunner.assert(App.getState().turnLog.some(e => e.text.startsWith('Save repaired')));
+    GameState.deleteSave('Holed');
+    GameState.deleteSave('Holed (damaged)');
+  });
+
+  TestRunner.test('an unreadable autosave can be downloaded, then set aside for a new game', async function () {
+    recoveryDOM();
+    GameState.listSaves().forEach(GameState.deleteSave);
+    localStorage.setItem('good-fight-save-current', '{"heat": 1');
+    App.continueGame();
+    const original = UI.downloadFile;
+    const files = [];
+    UI.downloadFile = (filename, text) => files.push({ filename, text });
+    try {
+      await choose('download');
+    } finally {
+      UI.downloadFile = original;
+    }
+    TestRunner.assertDeepEqual(files, [{ filename: 'good-fight-autosave.json', text: '{"heat": 1' }]);
+    const overlays = document.querySelectorAll('.modal-overlay');
+    TestRunner.assertEqual(overlays[overlays.length - 1].querySelector('[data-choice="repair"]'), null, 'no repair offered');
+    await choose('fresh');
+    TestRunner.assertEqual(App.currentScreen(), 'setup');
+    TestRunner.assertEqual(GameState.hasSave('current'), false);
+    TestRunner.assertEqual(GameState.loadRaw('Autosave (damaged)'), '{"heat": 1');
+    GameState.deleteSave('Autosave (damaged)');
+  });
+
+  TestRunner.test('damaged saves are listed with a Recover action', function () {
+    recoveryDOM();
+    localStorage.setItem('good-fight-save-Broken', 'not json');
+    App.renderSaveList();
+    const row = document.querySelector('.save-slot[data-slot="Broken"]');
+    TestRunner.assert(row.querySelector('.save-slot-warning').textContent.includes('Damaged'));
+    TestRunner.assertEqual(row.querySelector('[data-slot-action="load"]').textContent, 'Recover');
+    GameState.deleteSave('Broken');
+  });
+
+});
@@ -0,0 +1,217 @@
+/**
+ * Tests for resolution.js — check targets, change lists, and the App's
+ * confirm-before-commit flow for operations and recruit attempts.
+ */
+
+// ─── Suite 1: Targets ─────────────────────────────────────────────────────────
+
+TestRunner.describe('resolution.js — Targets', function () {
+
+  const team = [{ suit: 'hearts', rank: '5', value: 5 }, { suit: 'clubs', rank: '9', value: 9 }];
+
+  TestRunner.test('a basic check is 100 minus Heat', function () {
+    const target = Operations.getTarget('average_vandalism', { heat: 12, influence: 40 }, team);
+    TestRunner.assertEqual(target.value, 88);
+    TestRunner.assertEqual(Resolution.targetText(target), '100 − Heat 12 = 88');
+  });
+
+  TestRunner.test('Gather Supplies adds half of Influence, Scout the operative values', function () {
+    const state = { heat: 30, influence: 45 };
+    const gather = Operations.getTarget('gather_supplies', state);
+    TestRunner.assertEqual(Resolution.targetText(gather), '100 − Heat 30 + Half of Influence 22 = 92');
+    const scout = Operations.getTarget('scout', state, team);
+    TestRunner.assertEqual(Resolution.targetText(scout), '100 − Heat 30 + Operative values 14 = 84');
+  });
+
+  TestRunner.test('targets agree with the check functions at the boundary', function () {
+    const state = { heat: 30, influence: 45 };
+    const checks = [
+      ['minor_vandalism', (roll) => Operations.checkBasic(roll, state)],
+      ['gather_supplies', (roll) => Operations.checkGatherSupplies(roll, state)],
+      ['late_game_scout', (roll) => Operations.checkWithOperatives(roll, state, team)],
+    ];
+    for (const [operationId, check] of checks) {
+      const { value } = Operations.getTarget(operationId, state, team);
+      TestRunner.assert(check(value) && !check(value + 1), operationId);
+    }
+  });
+
+  TestRunner.test('resolvers report the target they rolled against', async function () {
+    const state = GameState.createInitial();
+    state.heat = 20;
+    state.recruitDeck = Deck.createDeck();
+    Dice.setProvider(() => Promise.resolve(50));
+    const result = await Operations.resolveMinorVandalism(state, []);
+    Dice.setProvider(null);
+    TestRunner.assertEqual(result.check.value, 80, 'heat before the success added 1');
+  });
+
+});
+
+// ─── Suite 2: Changes ─────────────────────────────────────────────────────────
+
+TestRunner.describe('resolution.js — Changes', function () {
+
+  TestRunner.test('resources, draws and detentions are itemized', function () {
+    const before = validState();
+    const after = JSON.parse(JSON.stringify(before));
+    after.influence += 3;
+    after.heat += 3;
+    after.recruitPool.push(after.recruitDeck.shift());
+    const [operative] = after.operatives.splice(1, 1);
+    after.detainedOperatives.push({ card: operative, turnsRemaining: 2 });
+    const drawn = after.recruitPool[after.recruitPool.length - 1];
+    const label = (card) => `${card.rank}${{ hearts: '♥', diamonds: '♦', clubs: '♣', spades: '♠' }[card.suit]}`;
+    TestRunner.assertDeepEqual(Resolution.changes(before, after), [
+      `Influence: ${before.influence} → ${after.influence} (+3)`,
+      `Heat: ${before.heat} → ${after.heat} (+3)`,
+      `Cards drawn to the recruit pool: ${label(drawn)}`,
+      `Operatives detained: ${label(operative)} (2 turns)`,
+    ]);
+  });
+
+  TestRunner.test('captures, scouting and operations begun are itemized', function () {
+    const before = validState();
+    const after = JSON.parse(JSON.stringify(before));
+    after.recruitDeck.push(after.operatives.pop());
+    after.availableLateGameOps.push(Operations.createLateGameOpportunity(1));
+    after.multiTurnOps.push({ operation: 'late_game_scout', turnsRemaining: 3, assignedOperatives: [] });
+    const lines = Resolution.changes(before, after);
+    TestRunner.assertArrayLength(lines, 3);
+    TestRunner.assert(lines[0].startsWith('Operatives captured: '), lines[0]);
+    TestRunner.assertEqual(lines[1], `Opportunities scouted: ${Operations.createLateGameOpportunity(1).name}`);
+    TestRunner.assertEqual(lines[2], `Begun: ${Operations.OPERATION_INFO.late_game_scout.name} — completes in 3 turns`);
+  });
+
+});
+
+// ─── Suite 3: App Confirmation ────────────────────────────────────────────────
+
+TestRunner.describe('resolution.js — App Confirmation', function () {
+
+  const idsOf = (cards) => cards.map(Assignments.operativeId);
+
+  TestRunner.test('an operation shows its breakdown before it is kept', async function () {
+    const state = bootTestGame({ heat: 10, influence: 20, operatives: [{ suit: 'spades', rank: '6', value: 6 }] });
+    const shown = [];
+    App.setConfirmProvider(async (breakdown) => { shown.push(breakdown); return true; });
+    Dice.setProvider(() => Promise.resolve(30));
+    await App.executeOperation('gather_supplies', idsOf(state.operatives));
+    Dice.setProvider(null);
+    const [breakdown] = shown;
+    TestRunner.assertEqual(breakdown.title, 'Gather Supplies');
+    TestRunner.assertEqual(Resolution.targetText(breakdown.checks[0].target), '100 − Heat 10 + Half of Influence 10 = 100');
+    TestRunner.assertDeepEqual(breakdown.checks[0].rolls.map(r => r.result), ['success', 'success', 'success']);
+    TestRunner.assertDeepEqual(breakdown.rolls, ['d100: 30', 'd100: 30', 'd100: 30']);
+    TestRunner.assertDeepEqual(breakdown.changes, ['Supplies: 0 → 3 (+3)']);
+    TestRunner.assertEqual(state.supplies, 3, 'kept');
+  });
+
+  TestRunner.test('cancelling leaves the game as it was, and a retry rolls the same', async function () {
+    const state = bootTestGame({
+      heat: 40,
+      supplies: 5,
+      operatives: [{ suit: 'spades', rank: '6', value: 6 }, { suit: 'clubs', rank: '8', value: 8 }],
+    });
+    const saved = JSON.stringify(state);
+    const stored = GameState.loadRaw('current');
+    const rolled = [];
+    App.setConfirmProvider(async (breakdown) => { rolled.push(breakdown.rolls); return false; });
+    TestRunner.assertEqual(await App.executeOperation('average_vandalism', idsOf(state.operatives)), undefined);
+    TestRunner.assertEqual(JSON.stringify(state), saved, 'state untouched');
+    TestRunner.assertEqual(GameState.loadRaw('current'), stored, 'nothing saved');
+
+    App.setConfirmProvider(async (breakdown) => { rolled.push(breakdown.rolls); return true; });
+    const result = await App.executeOperation('average_vandalism', idsOf(state.operatives));
+    TestRunner.assertDeepEqual(rolled[1], rolled[0]);
+    TestRunner.assertEqual(state.supplies, 2);
+    TestRunner.assertEqual(state.eventLog.events.length, 1);
+    TestRunner.assert(state.turnLog.some(e => e.text.includes(`rolled ${result.roll}`)));
+  });
+
+  TestRunner.test('a recruit attempt shows its roll against the card before it is kept', async function () {
+    const state = bootTestGame({
+      influence: 50,
+      operatives: [{ suit: 'spades', rank: '9', value: 9 }],
+      recruitPool: [{ suit: 'hearts', rank: '7', value: 7 }],
+    });
+    const saved = JSON.stringify(state);
+    const shown = [];
+    App.setConfirmProvider(async (breakdown) => { shown.push(breakdown); return shown.length > 1; });
+    TestRunner.assertEqual(await App.attemptRecruit(0), undefined, 'cancelled');
+    TestRunner.assertEqual(JSON.stringify(state), saved, 'state untouched');
+
+    const result = await App.attemptRecruit(0);
+    App.setConfirmProvider(async () => true);
+    const breakdown = shown[1];
+    TestRunner.assertDeepEqual(breakdown.rolls, shown[0].rolls, 'a retry rolls the same');
+    TestRunner.assertEqual(breakdown.title, 'Recruit 7♥');
+    TestRunner.assertEqual(Resolution.targetText(breakdown.checks[0].target), 'Card value 7');
+    TestRunner.assertEqual(breakdown.checks[0].rolls[0].value, `${result.rolls.map(r => r.roll).join(' + ')} = ${result.total}`);
+    TestRunner.assertArrayLength(breakdown.rolls, 2, 'd10 and the d4 for 50 Influence');
+    TestRunner.assertEqual(state.initiates.length, result.success ? 1 : 0, 'kept');
+  });
+
+  TestRunner.test('once physical dice are thrown the result can be confirmed but not cancelled', async function () {
+    const state = bootTestGame({ heat: 5, operatives: [{ suit: 'spades', rank: '6', value: 6 }] });
+    App.setConfirmProvider(async () => false);
+    Dice.setProvider(() => Promise.resolve(10));
+    try {
+      const result = await App.executeOperation('minor_vandalism', idsOf(state.operatives));
+      TestRunner.assertEqual(result.success, true, 'kept despite the cancel');
+      TestRunner.assertEqual(state.influence, 1);
+    } finally {
+      Dice.setProvider(null);
+      App.setConfirmProvider(async () => true);
+    }
+  });
+
+  TestRunner.test('the resolution modal lists the target, rolls, outcome and changes', async function () {
+    const state = bootTestGame({ heat: 5, operatives: [{ suit: 'spades', rank: '6', value: 6 }] });
+    App.setConfirmProvider(null);
+    Dice.setProvider(() => Promise.resolve(99));
+    try {
+      const running = App.executeOperation('minor_vandalism', idsOf(state.operatives));
+      await new Promise(resolve => setTimeout(resolve, 0));
+      const overlays = document.querySelectorAll('.modal-overlay');
+      const overlay = overlays[overlays.length - 1];
+      TestRunner.assertEqual(overlay.querySelector('.resolution-target').textContent, 'Target: 100 − Heat 5 = 95');
+      TestRunner.assert(overlay.textContent.includes('Rolled 99 — failure'));
+      TestRunner.assertEqual(overlay.querySelector('.resolution-outcome').textContent, 'Failure.');
+      TestRunner.assertEqual(overlay.querySelector('.resolution-changes .placeholder').textContent, 'None');
+      TestRunner.assertEqual(overlay.querySelector('[data-action="cancel"]'), null, 'physical dice stand');
+      overlay.querySelector('[data-action="confirm"]').click();
+      TestRunner.assertEqual((await running).success, false);
+    } finally {
+      Dice.setProvider(null);
+      App.setConfirmProvider(async () => true);
+    }
+  });
+
+  TestRunner.test('End Turn confirms the multi-turn operations it completes', async function () {
+    const team = [2, 3, 4, 5].map(n => ({ suit: 'hearts', rank: String(n), value: n }));
+    const state = bootTestGame({ supplies: 10, operatives: team });
+    await App.executeOperation('scout', idsOf(state.operatives));
+    state.multiTurnOps[0].turnsRemaining = 1;
+    const shown = [];
+    App.setConfirmProvider(async (breakdown) => { shown.push(breakdown); return true; });
+    // d100=5 (scout success), d6=4 (mid-game table), d100=100 (no crackdown at heat 0)
+    let i = 0;
+    Dice.setProvider(() => Promise.resolve([5, 4, 100][i++ % 3]));
+    try {
+      const report = await App.endTurn();
+      TestRunner.assertEqual(report.multiTurnOps.completed[0].result.success, true);
+    } finally {
+      Dice.setProvider(null);
+      App.setConfirmProvider(async () => true);
+    }
+    TestRunner.assertEqual(state.currentTurn, 2);
+    const [breakdown] = shown;
+    TestRunner.assertEqual(breakdown.title, 'End of Turn 1');
+    TestRunner.assertDeepEqual(breakdown.checks.map(c => Resolution.targetText(c.target)),
+      ['100 − Heat 0 + Operative values 14 = 114', 'Heat 0']);
+    TestRunner.assertDeepEqual(breakdown.checks[1].rolls, [{ value: 100, result: 'no crackdown' }]);
+    TestRunner.assert(breakdown.changes.some(line => line.startsWith('Opportunities scouted: ')));
+  });
+
+});
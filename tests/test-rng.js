@@ -0,0 +1,149 @@
+/**
+ * Tests for rng.js — seedable random stream shared by Dice and Deck,
+ * and its persistence in game state.
+ */
+
+// ─── Suite 1: Stream ──────────────────────────────────────────────────────────
+
+TestRunner.describe('rng.js — Seeded Stream', function () {
+
+  TestRunner.test('same seed produces the same sequence', function () {
+    Rng.seed(12345);
+    const first = [Rng.next(), Rng.next(), Rng.next()];
+    Rng.seed(12345);
+    const second = [Rng.next(), Rng.next(), Rng.next()];
+    TestRunner.assertDeepEqual(first, second);
+  });
+
+  TestRunner.test('different seeds produce different sequences', function () {
+    Rng.seed(1);
+    const a = [Rng.next(), Rng.next()];
+    Rng.seed(2);
+    const b = [Rng.next(), Rng.next()];
+    TestRunner.assert(a[0] !== b[0] || a[1] !== b[1], 'sequences should differ');
+  });
+
+  TestRunner.test('next() stays in [0, 1) and int(max) in [0, max)', function () {
+    Rng.seed(99);
+    for (let i = 0; i < 200; i++) {
+      const n = Rng.next();
+      TestRunner.assert(n >= 0 && n < 1, `next() gave ${n}`);
+      TestRunner.assertInRange(Rng.int(6), 0, 5);
+    }
+  });
+
+  TestRunner.test('position advances with each draw', function () {
+    const stream = Rng.seed(7);
+    TestRunner.assertEqual(stream.position, 0);
+    Rng.next();
+    Rng.int(10);
+    TestRunner.assertEqual(Rng.current().position, 2);
+  });
+
+  TestRunner.test('a copied stream resumes exactly where it left off', function () {
+    const stream = Rng.seed(2024);
+    Rng.next();
+    Rng.next();
+    const saved = JSON.parse(JSON.stringify(stream));
+    const expected = Rng.next();
+    Rng.use(saved);
+    TestRunner.assertEqual(Rng.next(), expected);
+  });
+
+  TestRunner.test('parseSeed: whole numbers as-is, text hashed, blank is null', function () {
+    TestRunner.assertEqual(Rng.parseSeed('42'), 42);
+    TestRunner.assertEqual(Rng.parseSeed(' 42 '), 42);
+    TestRunner.assertEqual(Rng.parseSeed(''), null);
+    TestRunner.assertEqual(Rng.parseSeed('resistance'), Rng.parseSeed('resistance'));
+    TestRunner.assert(Rng.parseSeed('resistance') !== Rng.parseSeed('regime'), 'different text, different seed');
+  });
+
+  TestRunner.test('createStream without a seed picks one', function () {
+    const stream = Rng.createStream();
+    TestRunner.assertEqual(typeof stream.seed, 'number');
+    TestRunner.assertEqual(stream.position, 0);
+  });
+
+});
+
+// ─── Suite 2: Dice & Deck ─────────────────────────────────────────────────────
+
+TestRunner.describe('rng.js — Dice & Deck', function () {
+
+  TestRunner.test('digital dice rolls repeat under the same seed', async function () {
+    Dice.setProvider(null);
+    Rng.seed('bug-report-17');
+    const first = [await Dice.roll('d100'), await Dice.roll('d6'), await Dice.roll('d10')];
+    Rng.seed('bug-report-17');
+    const second = [await Dice.roll('d100'), await Dice.roll('d6'), await Dice.roll('d10')];
+    TestRunner.assertDeepEqual(first, second);
+  });
+
+  TestRunner.test('deck shuffles repeat under the same seed', function () {
+    Rng.seed(555);
+    const a = Deck.createDeck();
+    Deck.shuffle(a);
+    Rng.seed(555);
+    const b = Deck.createDeck();
+    Deck.shuffle(b);
+    TestRunner.assertDeepEqual(a, b);
+  });
+
+  TestRunner.test('a provider roll does not advance the stream', async function () {
+    const stream = Rng.seed(8);
+    Dice.setProvider(() => Promise.resolve(3));
+    await Dice.roll('d6');
+    Dice.setProvider(null);
+    TestRunner.assertEqual(stream.position, 0);
+  });
+
+});
+
+// ─── Suite 3: Game State ──────────────────────────────────────────────────────
+
+TestRunner.describe('rng.js — Seed in Game State', function () {
+
+  function beginSeededGame(seed) {
+    setupGameDOM();
+    document.getElementById('app').insertAdjacentHTML('beforeend', `<input id="input-seed" value="${seed}">`);
+    App.beginGame();
+    return App.getState();
+  }
+
+  TestRunner.test('beginGame uses the seed entered on the setup screen', function () {
+    const state = beginSeededGame('31337');
+    TestRunner.assertEqual(state.rng.seed, 31337);
+    TestRunner.assert(state.rng.position > 0, 'deck shuffle drew from the stream');
+    TestRunner.assert(state.turnLog[0].text.includes('31337'), 'seed logged');
+  });
+
+  TestRunner.test('two games from the same seed get the same deck', function () {
+    const first = beginSeededGame('same').recruitDeck.map(Deck.cardId);
+    const second = beginSeededGame('same').recruitDeck.map(Deck.cardId);
+    TestRunner.assertDeepEqual(first, second);
+  });
+
+  TestRunner.test('a continued game resumes the saved stream', async function () {
+    Dice.setProvider(null);
+    const state = beginSeededGame('resume');
+    await Dice.roll('d100');
+    GameState.save(state, 'current');
+    const expected = [await Dice.roll('d100'), await Dice.roll('d100')];
+
+    App.continueGame();
+    TestRunner.assertEqual(Rng.current(), App.getState().rng, 'loaded stream is active');
+    const resumed = [await Dice.roll('d100'), await Dice.roll('d100')];
+    TestRunner.assertDeepEqual(resumed, expected);
+  });
+
+  TestRunner.test('older saves without a stream get one on continue', function () {
+    setupGameDOM();
+    const state = GameState.createInitial();
+    delete state.rng;
+    GameState.save(state, 'current');
+    App.continueGame();
+    TestRunner.assertEqual(typeof App.getState().rng.seed, 'number');
+    TestRunner.assertEqual(Rng.current(), App.getState().rng);
+  });
+
+});
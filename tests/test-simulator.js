@@ -0,0 +1,175 @@
+/**
+ * Tests for simulation/simulator.js — headless game loop, strategy actions,
+ * and running without the DOM.
+ */
+
+// ─── Suite 1: Actions ─────────────────────────────────────────────────────────
+
+TestRunner.describe('simulator.js — Actions', function () {
+
+  TestRunner.test('createGame seeds the stream and shuffles a full deck', function () {
+    const a = Simulator.createGame(77);
+    const b = Simulator.createGame(77);
+    TestRunner.assertEqual(a.rng.seed, 77);
+    TestRunner.assertArrayLength(a.recruitDeck, 52);
+    TestRunner.assertDeepEqual(a.recruitDeck, b.recruitDeck);
+  });
+
+  TestRunner.test('recruit action names the card by id', async function () {
+    const state = Simulator.createGame(1);
+    state.recruitPool = state.recruitDeck.splice(0, 2);
+    const target = state.recruitPool[1];
+    Dice.setProvider(() => Promise.resolve(10));
+    const result = await Simulator.performAction(state, { type: 'recruit', cardId: Deck.cardId(target) });
+    Dice.setProvider(null);
+    TestRunner.assertEqual(result.card, target);
+    TestRunner.assert(Assignments.isTapped(state, Assignments.LEADER_ID), 'leader sent by default');
+  });
+
+  TestRunner.test('operation action names the opportunity by id', async function () {
+    const state = Simulator.createGame(2);
+    state.supplies = 10;
+    state.influence = 30;
+    state.operatives = state.recruitDeck.splice(0, 6);
+    state.availableMidGameOps = [Operations.createMidGameOpportunity(6), Operations.createMidGameOpportunity(3)];
+    Dice.setProvider(() => Promise.resolve(1));
+    const result = await Simulator.performAction(state, {
+      type: 'operation',
+      operation: 'mid_game_op',
+      operativeIds: state.operatives.map(Assignments.operativeId),
+      opportunityId: 'industry_strike',
+    });
+    Dice.setProvider(null);
+    TestRunner.assertEqual(result.opportunity.id, 'industry_strike');
+    TestRunner.assertArrayLength(state.availableMidGameOps, 1);
+  });
+
+  TestRunner.test('illegal action throws and leaves the state alone', async function () {
+    const state = Simulator.createGame(3);
+    let threw = false;
+    try {
+      await Simulator.performAction(state, { type: 'operation', operation: 'scout', operativeIds: [Assignments.LEADER_ID] });
+    } catch (e) {
+      threw = true;
+    }
+    TestRunner.assert(threw, 'should throw');
+    TestRunner.assertArrayLength(state.assignments, 0);
+  });
+
+});
+
+// ─── Suite 2: Game Loop ───────────────────────────────────────────────────────
+
+TestRunner.describe('simulator.js — Game Loop', function () {
+
+  TestRunner.test('plays to the turn limit with one snapshot per turn', async function () {
+    const result = await Simulator.runGame(Simulator.baselineStrategy, { seed: 10, maxTurns: 15 });
+    TestRunner.assertEqual(result.outcome, 'turn_limit');
+    TestRunner.assertEqual(result.turns, 15);
+    TestRunner.assertArrayLength(result.snapshots, 15);
+    TestRunner.assertEqual(result.snapshots[0].turn, 1);
+    TestRunner.assertEqual(result.snapshots[14].state.currentTurn, 16);
+    TestRunner.assertEqual(result.finalState.currentTurn, 16);
+  });
+
+  TestRunner.test('snapshots are copies, not the live state', async function () {
+    const result = await Simulator.runGame(Simulator.baselineStrategy, { seed: 11, maxTurns: 3 });
+    TestRunner.assert(result.snapshots[0].state !== result.finalState);
+    TestRunner.assertEqual(result.snapshots[0].state.currentTurn, 2);
+    TestRunner.assertEqual(result.snapshots[0].state.turnLog, undefined, 'turn log left out');
+  });
+
+  TestRunner.test('same seed and strategy → identical game', async function () {
+    const a = await Simulator.runGame(Simulator.baselineStrategy, { seed: 'replay', maxTurns: 40 });
+    const b = await Simulator.runGame(Simulator.baselineStrategy, { seed: 'replay', maxTurns: 40 });
+    TestRunner.assertDeepEqual(
+      a.snapshots.map(s => s.state),
+      b.snapshots.map(s => s.state)
+    );
+  });
+
+  TestRunner.test('the caller\'s stream and providers are put back', async function () {
+    const stream = Rng.createStream('caller');
+    const dice = () => Promise.resolve(1);
+    const cards = () => Promise.resolve([]);
+    Rng.use(stream);
+    Dice.setProvider(dice);
+    Deck.setProvider(cards);
+    try {
+      const result = await Simulator.runGame(Simulator.baselineStrategy, { seed: 14, maxTurns: 3 });
+      TestRunner.assertEqual(result.turns, 3, 'played digitally');
+      TestRunner.assertEqual(Rng.current(), stream);
+      TestRunner.assertEqual(stream.position, 0, 'nothing drawn from it');
+      TestRunner.assertEqual(Dice.getProvider(), dice);
+      TestRunner.assertEqual(Deck.getProvider(), cards);
+    } finally {
+      Dice.setProvider(null);
+      Deck.setProvider(null);
+    }
+  });
+
+  TestRunner.test('a strategy that never acts stalls', async function () {
+    const result = await Simulator.runGame(() => [], { seed: 12 });
+    TestRunner.assertEqual(result.outcome, 'stall');
+    TestRunner.assertEqual(result.turns, Simulator.STALL_TURNS);
+  });
+
+  TestRunner.test('rejected actions are recorded with their error', async function () {
+    const strategy = () => [{ type: 'recruit', cardId: 'Z-hearts' }];
+    const result = await Simulator.runGame(strategy, { seed: 13, maxTurns: 1 });
+    const [performed] = result.snapshots[0].actions;
+    TestRunner.assert(performed.error.includes('Z-hearts'));
+  });
+
+  TestRunner.test('strategy secondPenaltyChoice is used at End Turn', async function () {
+    const calls = [];
+    const strategy = () => [];
+    strategy.secondPenaltyChoice = (state) => {
+      calls.push(state.currentTurn);
+      return 'supplies';
+    };
+    await Simulator.runGame(strategy, { seed: 14, maxTurns: 2 });
+    TestRunner.assertDeepEqual(calls, [1, 2]);
+  });
+
+  TestRunner.test('victory ends the game as a win', async function () {
+    // Two late-game ops already done, a third about to complete
+    const strategy = (state) => {
+      if (state.currentTurn === 1) {
+        state.completedLateGameOps = [1, 2].map(Operations.createLateGameOpportunity);
+        state.multiTurnOps = [{
+          operation: 'late_game_op', turnsRemaining: 1, assignedOperatives: [],
+          opportunity: Operations.createLateGameOpportunity(6),
+        }];
+      }
+      return [];
+    };
+    // At Heat 0 the check target is 100, so the d100 always succeeds
+    const result = await Simulator.runGame(strategy, { seed: 15 });
+    TestRunner.assertEqual(result.outcome, 'win');
+    TestRunner.assertEqual(result.turns, 1);
+  });
+
+});
+
+// ─── Suite 3: Without the DOM ─────────────────────────────────────────────────
+
+TestRunner.describe('simulator.js — Plain Node', function () {
+
+  TestRunner.test('plays a full game in a context with no document or localStorage', async function () {
+    if (typeof loadHeadlessEngine === 'undefined') return; // browser runner
+    const engine = loadHeadlessEngine();
+    const result = await engine.Simulator.runGame(engine.Simulator.baselineStrategy, { seed: 5, maxTurns: 25 });
+    TestRunner.assertEqual(result.turns, 25);
+    TestRunner.assertEqual(result.seed, 5);
+  });
+
+  TestRunner.test('headless and in-page engines agree for the same seed', async function () {
+    if (typeof loadHeadlessEngine === 'undefined') return;
+    const engine = loadHeadlessEngine();
+    const headless = await engine.Simulator.runGame(engine.Simulator.baselineStrategy, { seed: 6, maxTurns: 20 });
+    const inPage = await Simulator.runGame(Simulator.baselineStrategy, { seed: 6, maxTurns: 20 });
+    TestRunner.assertEqual(JSON.stringify(headless.finalState), JSON.stringify(inPage.finalState));
+  });
+
+});
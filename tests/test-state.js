@@ -144,3 +144,130 @@ TestRunner.describe('state.js — Game State Management', () => {
     TestRunner.assertEqual(state.supplies, 0);
   });
 });
+
+TestRunner.describe('state.js — Save Slots', () => {
+
+  function clearSlots() {
+    GameState.listSaves().forEach(GameState.deleteSave);
+  }
+
+  TestRunner.test('save() records metadata and the last slot saved', () => {
+    clearSlots();
+    const state = GameState.createInitial();
+    state.cellName = 'Night Owls';
+    state.regimeType = ['Theocracy'];
+    state.currentTurn = 4;
+    state.heat = 30;
+    state.operatives = [{ suit: 'hearts', rank: '5', value: 5 }];
+    GameState.save(state, 'slot-meta');
+
+    const [meta] = GameState.listSlots();
+    TestRunner.assertEqual(meta.slot, 'slot-meta');
+    TestRunner.assertEqual(meta.cellName, 'Night Owls');
+    TestRunner.assertDeepEqual(meta.regimeType, ['Theocracy']);
+    TestRunner.assertEqual(meta.turn, 4);
+    TestRunner.assertEqual(meta.heat, 30);
+    TestRunner.assertEqual(meta.operatives, 1);
+    TestRunner.assert(typeof meta.savedAt === 'number', 'timestamp');
+    TestRunner.assertEqual(GameState.getLastSlot(), 'slot-meta');
+    clearSlots();
+  });
+
+  TestRunner.test('listSlots() describes saves written without metadata', () => {
+    clearSlots();
+    const state = GameState.createInitial();
+    state.currentTurn = 7;
+    localStorage.setItem('good-fight-save-old', JSON.stringify(state));
+    const [meta] = GameState.listSlots();
+    TestRunner.assertEqual(meta.slot, 'old');
+    TestRunner.assertEqual(meta.turn, 7);
+    TestRunner.assertEqual(meta.savedAt, null);
+    clearSlots();
+  });
+
+  TestRunner.test('duplicateSave() and renameSave() refuse blank or taken names', () => {
+    clearSlots();
+    GameState.save(GameState.createInitial(), 'a');
+    GameState.save(GameState.createInitial(), 'b');
+    TestRunner.assertThrows(() => GameState.duplicateSave('a', 'b'));
+    TestRunner.assertThrows(() => GameState.renameSave('a', '  '));
+    TestRunner.assertThrows(() => GameState.renameSave('missing', 'c'));
+    TestRunner.assertEqual(GameState.duplicateSave('a', ' a copy '), 'a copy');
+    TestRunner.assertDeepEqual(GameState.listSaves().sort(), ['a', 'a copy', 'b']);
+    clearSlots();
+  });
+
+  TestRunner.test('renameSave() moves the save and the last-slot marker', () => {
+    clearSlots();
+    const state = GameState.createInitial();
+    state.influence = 12;
+    GameState.save(state, 'before');
+    GameState.renameSave('before', 'after');
+    TestRunner.assertEqual(GameState.load('before'), null);
+    TestRunner.assertEqual(GameState.load('after').influence, 12);
+    TestRunner.assertEqual(GameState.listSlots()[0].slot, 'after');
+    TestRunner.assertEqual(GameState.getLastSlot(), 'after');
+    GameState.deleteSave('after');
+    TestRunner.assertEqual(GameState.getLastSlot(), null);
+    TestRunner.assertArrayLength(GameState.listSlots(), 0);
+  });
+
+});
+
+TestRunner.describe('state.js — Save Format & Migrations', () => {
+
+  TestRunner.test('new states carry the current schema version', () => {
+    TestRunner.assertEqual(GameState.createInitial().schemaVersion, GameState.SCHEMA_VERSION);
+  });
+
+  TestRunner.test('a current save loads unchanged', () => {
+    const state = GameState.createInitial();
+    state.influence = 33;
+    GameState.save(state, 'test-slot-current-format');
+    TestRunner.assertEqual(JSON.stringify(GameState.load('test-slot-current-format')), JSON.stringify(state));
+    GameState.deleteSave('test-slot-current-format');
+  });
+
+  TestRunner.test('an unversioned save is upgraded to the current shape', () => {
+    // The shape saved before versioning: no rng, assignments-era fields or full opportunity records
+    const old = {
+      resistanceValues: [], regimeType: ['Oligarchy'], inputMode: { dice: 'digital', cards: 'digital' },
+      influence: 20, heat: 5, supplies: 3, recruitDeck: [], recruitPool: [], initiates: [],
+      operatives: [], detainedOperatives: [], leaderSkillLevel: 0, currentTurn: 6,
+      availableMidGameOps: [{ tableRoll: 3 }], turnLog: [{ turn: 1, text: 'Old entry' }],
+    };
+    localStorage.setItem('good-fight-save-test-slot-v0', JSON.stringify(old));
+    const state = GameState.load('test-slot-v0');
+    TestRunner.assertEqual(state.schemaVersion, GameState.SCHEMA_VERSION);
+    TestRunner.assertEqual(state.currentTurn, 6);
+    TestRunner.assertDeepEqual(state.assignments, []);
+    TestRunner.assertDeepEqual(state.availableLateGameOps, []);
+    TestRunner.assertEqual(state.cellName, '');
+    TestRunner.assertEqual(state.availableMidGameOps[0].id, 'industry_strike');
+    TestRunner.assertEqual(state.availableMidGameOps[0].influenceThreshold, 30);
+    GameState.deleteSave('test-slot-v0');
+  });
+
+  TestRunner.test('the event log\'s initial state is upgraded too', () => {
+    const initial = { currentTurn: 1, availableMidGameOps: [{ tableRoll: 3 }] };
+    const state = GameState.migrate({ currentTurn: 2, eventLog: { initial, events: [] } });
+    TestRunner.assertEqual(state.eventLog.initial.schemaVersion, GameState.SCHEMA_VERSION);
+    TestRunner.assertEqual(state.eventLog.initial.availableMidGameOps[0].id, 'industry_strike');
+  });
+
+  TestRunner.test('a save from a newer version is refused with a clear error', () => {
+    const state = GameState.createInitial();
+    state.schemaVersion = GameState.SCHEMA_VERSION + 1;
+    localStorage.setItem('good-fight-save-test-slot-future', JSON.stringify(state));
+    let message = '';
+    try {
+      GameState.load('test-slot-future');
+    } catch (e) {
+      message = e.message;
+    }
+    TestRunner.assert(message.includes('newer version'), message);
+    TestRunner.assertThrows(() => GameState.migrate({ schemaVersion: 'two' }));
+    GameState.deleteSave('test-slot-future');
+  });
+
+});
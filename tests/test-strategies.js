@@ -0,0 +1,253 @@
+/**
+ * Tests for simulation/strategies.js — the built-in AI players, the
+ * parameter-object planner and the strategy registry.
+ */
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Headless game state with the named cards as operatives, e.g.
+ * strategyGame({ supplies: 10 }, ['5-hearts', 'K-spades']).
+ */
+function strategyGame(overrides, operativeIds) {
+  const state = Simulator.createGame(1);
+  state.operatives = takeCards(state, operativeIds || []);
+  return Object.assign(state, overrides);
+}
+
+function takeCards(state, ids) {
+  return ids.map(id => {
+    const index = state.recruitDeck.findIndex(c => Deck.cardId(c) === id);
+    return state.recruitDeck.splice(index, 1)[0];
+  });
+}
+
+function operationsIn(actions) {
+  return actions.filter(a => a.type === 'operation').map(a => a.operation);
+}
+
+// ─── Suite 1: Registry ────────────────────────────────────────────────────────
+
+TestRunner.describe('strategies.js — Registry', function () {
+
+  TestRunner.test('built-in strategies are registered', function () {
+    const names = Strategies.list();
+    ['cautious', 'aggressive', 'balanced', 'random'].forEach(name => {
+      TestRunner.assert(names.includes(name), `${name} registered`);
+      TestRunner.assertEqual(typeof Strategies.get(name), 'function');
+      TestRunner.assertEqual(typeof Strategies.get(name).secondPenaltyChoice, 'function');
+    });
+  });
+
+  TestRunner.test('unknown strategy name throws', function () {
+    let threw = false;
+    try {
+      Strategies.get('reckless');
+    } catch (e) {
+      threw = e.message.includes('reckless');
+    }
+    TestRunner.assert(threw, 'should name the strategy');
+  });
+
+  TestRunner.test('registering a parameter object fills in the defaults', function () {
+    const strategy = Strategies.register('test-low-heat', { scoutMaxHeat: 20, recruitRange: [2, 8] });
+    TestRunner.assertEqual(Strategies.get('test-low-heat'), strategy);
+    TestRunner.assertEqual(strategy.strategyName, 'test-low-heat');
+    TestRunner.assertEqual(strategy.params.scoutMaxHeat, 20);
+    TestRunner.assertDeepEqual(strategy.params.recruitRange, [2, 8]);
+    TestRunner.assertEqual(strategy.params.supplyFloor, Strategies.DEFAULTS.supplyFloor);
+  });
+
+  TestRunner.test('unknown parameters and bad values are rejected', function () {
+    const bad = [{ heatCeiling: 40 }, { vandalismTier: 'huge' }, { priorities: ['nap'] }, { secondPenaltyChoice: 'both' }];
+    bad.forEach(params => {
+      let threw = false;
+      try {
+        Strategies.create(params);
+      } catch (e) {
+        threw = true;
+      }
+      TestRunner.assert(threw, `should reject ${JSON.stringify(params)}`);
+    });
+  });
+
+  TestRunner.test('a plain function can be registered as-is', function () {
+    const idle = () => [];
+    TestRunner.assertEqual(Strategies.register('test-idle', idle), idle);
+    TestRunner.assertEqual(Strategies.get('test-idle'), idle);
+  });
+
+});
+
+// ─── Suite 2: Planner ─────────────────────────────────────────────────────────
+
+TestRunner.describe('strategies.js — Planner', function () {
+
+  TestRunner.test('cautious recruits lowest value first with the weakest eligible recruiter', function () {
+    const state = strategyGame({ supplies: 20, leaderSkillLevel: 2 }, ['4-hearts', '9-spades']);
+    state.recruitPool = takeCards(state, ['8-clubs', '3-diamonds']);
+    const actions = Strategies.get('cautious')(state).filter(a => a.type === 'recruit');
+    TestRunner.assertDeepEqual(actions.map(a => a.cardId), ['3-diamonds', '8-clubs']);
+    TestRunner.assertEqual(actions[0].recruiterId, '4-hearts');
+    TestRunner.assertEqual(actions[1].recruiterId, '9-spades');
+  });
+
+  TestRunner.test('recruit range and unreachable targets are skipped', function () {
+    const state = strategyGame({ supplies: 20 }, ['K-hearts']);
+    state.recruitPool = takeCards(state, ['A-spades', '2-clubs', '7-hearts']);
+    // Balanced only goes for 6–10; an Ace (15) is out of reach of a d10 anyway
+    const balanced = Strategies.get('balanced')(state).filter(a => a.type === 'recruit');
+    TestRunner.assertDeepEqual(balanced.map(a => a.cardId), ['7-hearts']);
+    const cautious = Strategies.get('cautious')(state).filter(a => a.type === 'recruit');
+    TestRunner.assert(!cautious.some(a => a.cardId === 'A-spades'), 'Ace unreachable without an influence die');
+  });
+
+  TestRunner.test('cautious hunkers down above Heat 60', function () {
+    const state = strategyGame({ heat: 61, supplies: 0 }, ['4-hearts', '9-spades']);
+    state.recruitPool = takeCards(state, ['3-diamonds']);
+    TestRunner.assertArrayLength(Strategies.get('cautious')(state), 0);
+  });
+
+  TestRunner.test('balanced only recruits and gathers above Heat 50', function () {
+    const state = strategyGame({ heat: 55, supplies: 0 }, ['4-hearts', '9-spades', 'Q-clubs']);
+    state.recruitPool = takeCards(state, ['7-diamonds']);
+    const actions = Strategies.get('balanced')(state);
+    TestRunner.assert(actions.length > 0, 'still acts');
+    TestRunner.assert(actions.every(a => a.type === 'recruit' || a.operation === 'gather_supplies'));
+  });
+
+  TestRunner.test('gathers supplies while below the supply floor', function () {
+    const state = strategyGame({ supplies: 2 }, ['4-hearts', '5-hearts', '6-hearts']);
+    const actions = Strategies.create({ supplyFloor: 6, priorities: ['gather'] })(state);
+    TestRunner.assertDeepEqual(operationsIn(actions), ['gather_supplies', 'gather_supplies']);
+  });
+
+  TestRunner.test('aggressive vandalism takes the highest affordable tier, then falls back', function () {
+    const ids = ['2-hearts', '3-hearts', '4-hearts', '5-hearts', '6-hearts', '7-hearts'];
+    const state = strategyGame({ supplies: 5, heat: 0 }, ids);
+    const strategy = Strategies.create({ ...Strategies.PRESETS.aggressive, priorities: ['vandalism'] });
+    const actions = strategy(state);
+    // Significant (4 operatives, 5 supplies) leaves 3 operatives and no supplies
+    TestRunner.assertDeepEqual(operationsIn(actions), [
+      'significant_vandalism', 'minor_vandalism', 'minor_vandalism', 'minor_vandalism',
+    ]);
+    TestRunner.assertEqual(actions[0].secondPenaltyChoice, 'detain');
+  });
+
+  TestRunner.test('each preset opens with the first step of its play style', function () {
+    const ids = ['2-hearts', '3-hearts', '4-hearts', '5-hearts', '6-hearts', '7-hearts'];
+    const state = strategyGame({ supplies: 10, heat: 0 }, ids);
+    state.recruitPool = takeCards(state, ['8-diamonds']);
+    const first = (name) => {
+      const [action] = Strategies.get(name)(state);
+      return action.type === 'recruit' ? 'recruit' : action.operation;
+    };
+    TestRunner.assertEqual(first('cautious'), 'recruit');
+    TestRunner.assertEqual(first('aggressive'), 'significant_vandalism', 'highest tier affordable first');
+    TestRunner.assertEqual(first('balanced'), 'average_vandalism', 'pushes vandalism below Heat 30');
+    const aggressive = Strategies.get('aggressive')(state);
+    TestRunner.assertEqual(operationsIn(aggressive).filter(op => op === 'significant_vandalism').length, 1,
+      'one vandalism before the other steps');
+    TestRunner.assert(!aggressive[0].operativeIds.includes(Assignments.LEADER_ID), 'the leader stays free to recruit');
+  });
+
+  TestRunner.test('pushing vandalism keeps the supplies a Scout needs', function () {
+    const ids = ['2-hearts', '3-hearts', '4-hearts', '5-hearts', '6-hearts', '7-hearts'];
+    const state = strategyGame({ supplies: 5, heat: 0 }, ids);
+    const ops = operationsIn(Strategies.get('aggressive')(state));
+    TestRunner.assertEqual(ops[0], 'minor_vandalism', 'the cheapest tier that leaves 5 supplies');
+    TestRunner.assert(ops.includes('scout'), ops.join(', '));
+  });
+
+  TestRunner.test('every preset still wins most of its games', async function () {
+    for (const name of ['cautious', 'aggressive', 'balanced']) {
+      let wins = 0;
+      for (let i = 0; i < 10; i++) {
+        const result = await Simulator.runGame(Strategies.get(name), { seed: `preset-${i}` });
+        if (result.outcome === 'win') wins++;
+      }
+      TestRunner.assert(wins >= 7, `${name} won ${wins} of 10`);
+    }
+  });
+
+  TestRunner.test('balanced holds off vandalism from Heat 30', function () {
+    const state = strategyGame({ heat: 30, supplies: 20 }, ['4-hearts', '5-hearts']);
+    const ops = operationsIn(Strategies.get('balanced')(state));
+    TestRunner.assert(!ops.some(op => op.endsWith('_vandalism')), 'no vandalism');
+  });
+
+  TestRunner.test('scout sends the strongest four, once', function () {
+    const ids = ['2-hearts', '3-hearts', 'J-hearts', 'Q-hearts', 'K-hearts', 'A-hearts'];
+    const state = strategyGame({ supplies: 10, heat: 0 }, ids);
+    const strategy = Strategies.create({ priorities: ['scout'] });
+    const [scout] = strategy(state);
+    TestRunner.assertEqual(scout.operation, 'scout');
+    TestRunner.assertDeepEqual([...scout.operativeIds].sort(), ['A-hearts', 'J-hearts', 'K-hearts', 'Q-hearts']);
+
+    state.multiTurnOps = [{ operation: 'scout', turnsRemaining: 2, assignedOperatives: [] }];
+    TestRunner.assertArrayLength(strategy(state), 0, 'no second scout while one is out');
+  });
+
+  TestRunner.test('heat_reducing only takes mid-game ops that lower Heat', function () {
+    const ids = ['2-hearts', '3-hearts', '4-hearts', '5-hearts', '6-hearts', '7-hearts'];
+    const state = strategyGame({ supplies: 10, influence: 100 }, ids);
+    // Supply Convoy raises Heat; Industry Strike lowers it
+    state.availableMidGameOps = [Operations.createMidGameOpportunity(5), Operations.createMidGameOpportunity(3)];
+    const actions = Strategies.create({ midGameOps: 'heat_reducing', priorities: ['mid'] })(state);
+    TestRunner.assertArrayLength(actions, 1);
+    TestRunner.assertEqual(actions[0].opportunityId, 'industry_strike');
+  });
+
+  TestRunner.test('saves supplies for a waiting late-game op instead of vandalising', function () {
+    const state = strategyGame({ supplies: 12, heat: 0, influence: 0 }, ['4-hearts', '5-hearts', '6-hearts']);
+    state.availableLateGameOps = [Operations.createLateGameOpportunity(1)];
+    const ops = operationsIn(Strategies.create({ vandalismTier: 'average' })(state));
+    TestRunner.assert(!ops.includes('average_vandalism'), 'supplies kept for the operation');
+    TestRunner.assert(ops.includes('gather_supplies'), 'gathers toward 20');
+  });
+
+  TestRunner.test('auto second penalty pays supplies only above the floor', function () {
+    const strategy = Strategies.create({ secondPenaltyChoice: 'auto', supplyFloor: 8 });
+    TestRunner.assertEqual(strategy.secondPenaltyChoice(strategyGame({ supplies: 9 })), 'supplies');
+    TestRunner.assertEqual(strategy.secondPenaltyChoice(strategyGame({ supplies: 8 })), 'detain');
+  });
+
+  TestRunner.test('strategies do not modify the state', function () {
+    const state = strategyGame({ supplies: 10, heat: 10 }, ['4-hearts', '9-spades', 'Q-clubs', 'K-clubs']);
+    state.recruitPool = takeCards(state, ['7-diamonds']);
+    const before = JSON.stringify({ ...state, rng: null });
+    Strategies.list().forEach(name => Strategies.get(name)(state));
+    TestRunner.assertEqual(JSON.stringify({ ...state, rng: null }), before);
+  });
+
+});
+
+// ─── Suite 3: Full Games ──────────────────────────────────────────────────────
+
+TestRunner.describe('strategies.js — Full Games', function () {
+
+  TestRunner.test('built-in strategies only ever take legal actions', async function () {
+    for (const name of ['cautious', 'aggressive', 'balanced', 'random']) {
+      const result = await Simulator.runGame(Strategies.get(name), { seed: 21, maxTurns: 40 });
+      const rejected = result.snapshots.flatMap(s => s.actions).filter(p => p.error);
+      TestRunner.assertArrayLength(rejected, 0, `${name}: ${rejected.map(p => p.error).join('; ')}`);
+    }
+  });
+
+  TestRunner.test('random strategy replays exactly from the seed', async function () {
+    const a = await Simulator.runGame(Strategies.get('random'), { seed: 'control', maxTurns: 30 });
+    const b = await Simulator.runGame(Strategies.get('random'), { seed: 'control', maxTurns: 30 });
+    TestRunner.assertDeepEqual(
+      a.snapshots.map(s => s.actions.map(p => p.action)),
+      b.snapshots.map(s => s.actions.map(p => p.action))
+    );
+  });
+
+  TestRunner.test('a custom parameter strategy plays a game', async function () {
+    const strategy = Strategies.create({ vandalismTier: 'minor', recruitOrder: 'random', scoutMaxHeat: 20 });
+    const result = await Simulator.runGame(strategy, { seed: 22, maxTurns: 30 });
+    TestRunner.assertEqual(result.turns, 30);
+    TestRunner.assert(result.finalState.operatives.length > 0, 'recruited someone');
+  });
+
+});
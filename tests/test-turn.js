@@ -0,0 +1,230 @@
+/**
+ * Tests for turn.js (Phase 5) — End Turn lifecycle integration tests.
+ */
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Build a fresh turn test state. Crackdown dice are controlled per test.
+ */
+function turnState(overrides) {
+  const state = GameState.createInitial();
+  state.recruitDeck = Deck.createDeck();
+  if (overrides) Object.assign(state, overrides);
+  return state;
+}
+
+// ─── Suite 1: Personnel Timers ────────────────────────────────────────────────
+
+TestRunner.describe('turn.js — Personnel Timers', function () {
+
+  TestRunner.test('end turn advances initiate timers (2 → 1)', async function () {
+    const state = turnState();
+    state.initiates = [{ card: { suit: 'hearts', rank: '5', value: 5 }, turnsRemaining: 2 }];
+    Dice.setProvider(() => Promise.resolve(100));
+    await Turn.endTurn(state, { saveSlot: null });
+    Dice.setProvider(null);
+    TestRunner.assertEqual(state.initiates[0].turnsRemaining, 1);
+    TestRunner.assertArrayLength(state.operatives, 0);
+  });
+
+  TestRunner.test('initiate with timer at 1 becomes an operative at end of turn', async function () {
+    const state = turnState();
+    const card = { suit: 'hearts', rank: '5', value: 5 };
+    state.initiates = [{ card, turnsRemaining: 1 }];
+    Dice.setProvider(() => Promise.resolve(100));
+    const report = await Turn.endTurn(state, { saveSlot: null });
+    Dice.setProvider(null);
+    TestRunner.assertArrayLength(state.initiates, 0);
+    TestRunner.assertArrayLength(state.operatives, 1);
+    TestRunner.assertEqual(state.operatives[0], card);
+    TestRunner.assertArrayLength(report.initiates.promoted, 1);
+  });
+
+  TestRunner.test('detained operative sits out the next turn, then is released', async function () {
+    const state = turnState();
+    const card = { suit: 'clubs', rank: '8', value: 8 };
+    state.detainedOperatives = [{ card, turnsRemaining: 1 }];
+    Dice.setProvider(() => Promise.resolve(100));
+
+    await Turn.endTurn(state, { saveSlot: null });
+    TestRunner.assertArrayLength(state.detainedOperatives, 1, 'still detained for the next turn');
+    TestRunner.assertEqual(state.detainedOperatives[0].turnsRemaining, 0);
+
+    const report = await Turn.endTurn(state, { saveSlot: null });
+    Dice.setProvider(null);
+    TestRunner.assertArrayLength(state.detainedOperatives, 0);
+    TestRunner.assertEqual(state.operatives[0], card, 'released back to operatives');
+    TestRunner.assertArrayLength(report.detained.released, 1);
+  });
+
+  TestRunner.test('2-turn detention takes three end-of-turns to release', async function () {
+    const state = turnState();
+    state.detainedOperatives = [{ card: { suit: 'clubs', rank: '8', value: 8 }, turnsRemaining: 2 }];
+    Dice.setProvider(() => Promise.resolve(100));
+    await Turn.endTurn(state, { saveSlot: null });
+    await Turn.endTurn(state, { saveSlot: null });
+    TestRunner.assertArrayLength(state.detainedOperatives, 1);
+    await Turn.endTurn(state, { saveSlot: null });
+    Dice.setProvider(null);
+    TestRunner.assertArrayLength(state.detainedOperatives, 0);
+    TestRunner.assertArrayLength(state.operatives, 1);
+  });
+
+});
+
+// ─── Suite 2: Multi-turn Operations ───────────────────────────────────────────
+
+TestRunner.describe('turn.js — Multi-turn Operations', function () {
+
+  TestRunner.test('multi-turn operation timer decrements', async function () {
+    const state = turnState({ supplies: 10 });
+    const ops = Array.from({ length: 4 }, (_, i) => ({ suit: 'hearts', rank: String(i + 2), value: i + 2 }));
+    state.operatives = [...ops];
+    Operations.startScout(state, ops);
+    Dice.setProvider(() => Promise.resolve(100));
+    await Turn.endTurn(state, { saveSlot: null });
+    Dice.setProvider(null);
+    TestRunner.assertArrayLength(state.multiTurnOps, 1);
+    TestRunner.assertEqual(state.multiTurnOps[0].turnsRemaining, 1);
+  });
+
+  TestRunner.test('scout completing on its final turn triggers resolveScout', async function () {
+    const state = turnState({ supplies: 10, heat: 0 });
+    const ops = Array.from({ length: 4 }, (_, i) => ({ suit: 'hearts', rank: String(i + 2), value: i + 2 }));
+    state.operatives = [...ops];
+    Operations.startScout(state, ops);
+    state.multiTurnOps[0].turnsRemaining = 1;
+    // d100=5 (scout success), d6=4 (mid-game table), d100=100 (no crackdown at heat 0)
+    let i = 0;
+    Dice.setProvider(() => Promise.resolve([5, 4, 100][i++]));
+    const report = await Turn.endTurn(state, { saveSlot: null });
+    Dice.setProvider(null);
+    TestRunner.assertArrayLength(state.multiTurnOps, 0, 'completed op removed');
+    TestRunner.assertArrayLength(report.multiTurnOps.completed, 1);
+    TestRunner.assertEqual(report.multiTurnOps.completed[0].operation, 'scout');
+    TestRunner.assertEqual(report.multiTurnOps.completed[0].result.success, true);
+    TestRunner.assertArrayLength(state.availableMidGameOps, 1);
+  });
+
+  TestRunner.test('scout failure passes the second penalty choice through', async function () {
+    const state = turnState({ supplies: 10, heat: 99 });
+    const ops = Array.from({ length: 4 }, (_, i) => ({ suit: 'hearts', rank: String(i + 2), value: i + 2 }));
+    state.operatives = [...ops];
+    Operations.startScout(state, ops);
+    state.multiTurnOps[0].turnsRemaining = 1;
+    // d100=90 (scout fails: target 15), d100=100 (no crackdown)
+    let i = 0;
+    Dice.setProvider(() => Promise.resolve([90, 100][i++]));
+    await Turn.endTurn(state, { saveSlot: null, secondPenaltyChoice: 'supplies' });
+    Dice.setProvider(null);
+    TestRunner.assertArrayLength(state.detainedOperatives, 1);
+    TestRunner.assertEqual(state.supplies, 3, '-5 scout cost, -2 chosen penalty');
+  });
+
+});
+
+// ─── Suite 3: Crackdown & Heat ────────────────────────────────────────────────
+
+TestRunner.describe('turn.js — Crackdown & Heat', function () {
+
+  TestRunner.test('crackdown triggers when d100 <= heat', async function () {
+    const state = turnState({ heat: 50, supplies: 10 });
+    Dice.setProvider(() => Promise.resolve(10));
+    const report = await Turn.endTurn(state, { saveSlot: null });
+    Dice.setProvider(null);
+    TestRunner.assertEqual(report.crackdown.triggered, true);
+    TestRunner.assertEqual(report.crackdown.tier, 1);
+    TestRunner.assertEqual(state.supplies, 7);
+  });
+
+  TestRunner.test('crackdown does NOT trigger when d100 > heat', async function () {
+    const state = turnState({ heat: 50, supplies: 10 });
+    Dice.setProvider(() => Promise.resolve(51));
+    const report = await Turn.endTurn(state, { saveSlot: null });
+    Dice.setProvider(null);
+    TestRunner.assertEqual(report.crackdown.triggered, false);
+    TestRunner.assertEqual(state.supplies, 10);
+    TestRunner.assertEqual(state.heat, 50);
+  });
+
+  TestRunner.test('heat reduced by the crackdown roll', async function () {
+    const state = turnState({ heat: 50 });
+    Dice.setProvider(() => Promise.resolve(30));
+    await Turn.endTurn(state, { saveSlot: null });
+    Dice.setProvider(null);
+    TestRunner.assertEqual(state.heat, 20);
+  });
+
+  TestRunner.test('promoted initiates are exposed to the same turn\'s crackdown', async function () {
+    const state = turnState({ heat: 60 });
+    state.initiates = [{ card: { suit: 'hearts', rank: '5', value: 5 }, turnsRemaining: 1 }];
+    Dice.setProvider(() => Promise.resolve(45));
+    await Turn.endTurn(state, { saveSlot: null });
+    Dice.setProvider(null);
+    TestRunner.assertArrayLength(state.operatives, 0, 'new operative lost to the safehouse raid');
+    TestRunner.assertEqual(state.recruitDeck.length, 53, 'card shuffled back into the deck');
+  });
+
+});
+
+// ─── Suite 4: Leader, Turn Counter & Save ─────────────────────────────────────
+
+TestRunner.describe('turn.js — Leader Skill, Turn Counter & Autosave', function () {
+
+  TestRunner.test('leader skill level updates to match highest operative value', async function () {
+    const state = turnState();
+    state.operatives = [
+      { suit: 'hearts', rank: '7', value: 7 },
+      { suit: 'clubs',  rank: 'Q', value: 12 },
+    ];
+    Dice.setProvider(() => Promise.resolve(100));
+    const report = await Turn.endTurn(state, { saveSlot: null });
+    Dice.setProvider(null);
+    TestRunner.assertEqual(state.leaderSkillLevel, 12);
+    TestRunner.assertEqual(report.leaderSkillLevel, 12);
+  });
+
+  TestRunner.test('leader skill does not go down when the highest operative is lost', async function () {
+    const state = turnState({ leaderSkillLevel: 13 });
+    state.operatives = [{ suit: 'clubs', rank: '4', value: 4 }];
+    Dice.setProvider(() => Promise.resolve(100));
+    await Turn.endTurn(state, { saveSlot: null });
+    Dice.setProvider(null);
+    TestRunner.assertEqual(state.leaderSkillLevel, 13);
+  });
+
+  TestRunner.test('turn counter increments', async function () {
+    const state = turnState({ currentTurn: 4 });
+    Dice.setProvider(() => Promise.resolve(100));
+    const report = await Turn.endTurn(state, { saveSlot: null });
+    Dice.setProvider(null);
+    TestRunner.assertEqual(state.currentTurn, 5);
+    TestRunner.assertEqual(report.turn, 4);
+    TestRunner.assertEqual(report.nextTurn, 5);
+  });
+
+  TestRunner.test('end turn autosaves to the given slot', async function () {
+    const state = turnState({ currentTurn: 2, influence: 33 });
+    Dice.setProvider(() => Promise.resolve(100));
+    await Turn.endTurn(state, { saveSlot: 'test-turn-autosave' });
+    Dice.setProvider(null);
+    const loaded = GameState.load('test-turn-autosave');
+    TestRunner.assertEqual(loaded.currentTurn, 3);
+    TestRunner.assertEqual(loaded.influence, 33);
+    GameState.deleteSave('test-turn-autosave');
+  });
+
+  TestRunner.test('App.endTurn runs the lifecycle and logs the crackdown check', async function () {
+    const state = bootTestGame({ heat: 20, currentTurn: 1 });
+    Dice.setProvider(() => Promise.resolve(90));
+    await App.endTurn();
+    Dice.setProvider(null);
+    TestRunner.assertEqual(App.getState().currentTurn, 2);
+    const last = state.turnLog[state.turnLog.length - 1];
+    TestRunner.assertEqual(last.turn, 1, 'end-of-turn entries filed under the finished turn');
+    TestRunner.assert(last.text.includes('No crackdown'), 'crackdown check logged');
+    TestRunner.assertEqual(GameState.load('current').currentTurn, 2, 'autosaved');
+  });
+
+});
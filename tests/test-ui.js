@@ -189,4 +189,84 @@ TestRunner.describe('ui.js — Card Input', function () {
     Deck.setProvider(null);
   });
 
+  TestRunner.test('cards in play are greyed out and cannot be submitted', async function () {
+    const promise = UI.cardInput(1, { inPlay: ['K-hearts', '2-hearts'] });
+    const overlay = document.querySelector('.modal-overlay');
+    const rank = (value) => overlay.querySelector(`[data-rank] option[value="${value}"]`);
+    TestRunner.assert(rank('K').disabled, 'K of hearts greyed out');
+    TestRunner.assertEqual(overlay.querySelector('[data-rank]').value, '3', 'moved off the 2 in play');
+
+    overlay.querySelector('[data-rank]').value = 'K';
+    overlay.querySelector('button').click();
+    const error = overlay.querySelector('.picker-error');
+    TestRunner.assertEqual(error.hidden, false);
+    TestRunner.assert(error.textContent.includes('already in play'));
+    TestRunner.assert(document.querySelector('.modal-overlay') === overlay, 'still open');
+
+    overlay.querySelector('[data-suit]').value = 'clubs';
+    overlay.querySelector('[data-suit]').dispatchEvent(new window.Event('change'));
+    TestRunner.assertEqual(rank('K').disabled, false, 'K of clubs is free');
+    overlay.querySelector('[data-rank]').value = 'K';
+    overlay.querySelector('button').click();
+    const result = await promise;
+    TestRunner.assertEqual(Deck.cardId(result[0]), 'K-clubs');
+  });
+
+  TestRunner.test('a card picked earlier in the same draw is in play', async function () {
+    const promise = UI.cardInput(2, { inPlay: Deck.RANKS.map(rank => `${rank}-spades`) });
+    let overlay = document.querySelector('.modal-overlay');
+    TestRunner.assert(overlay.querySelector('[data-suit] option[value="spades"]').disabled, 'every spade in play');
+    overlay.querySelector('[data-suit]').value = 'hearts';
+    overlay.querySelector('[data-rank]').value = '5';
+    overlay.querySelector('button').click();
+    await new Promise(r => setTimeout(r, 0));
+    overlay = document.querySelector('.modal-overlay');
+    TestRunner.assert(overlay.querySelector('[data-rank] option[value="5"]').disabled, 'the 5 just drawn');
+    overlay.querySelector('[data-rank]').value = '6';
+    overlay.querySelector('button').click();
+    TestRunner.assertDeepEqual((await promise).map(Deck.cardId), ['5-hearts', '6-hearts']);
+  });
+
+});
+
+TestRunner.describe('ui.js — General Modals', function () {
+
+  /** The most recently opened modal. */
+  function lastOverlay() {
+    const overlays = document.querySelectorAll('.modal-overlay');
+    return overlays[overlays.length - 1];
+  }
+
+  TestRunner.test('chooseAction resolves with the chosen action, or null when closed', async function () {
+    let promise = UI.chooseAction({ title: 'Settings', actions: [{ id: 'a', label: 'A' }, { id: 'b', label: 'B' }] });
+    lastOverlay().querySelector('[data-choice="b"]').click();
+    TestRunner.assertEqual(await promise, 'b');
+    promise = UI.chooseAction({ title: 'Settings', actions: [{ id: 'a', label: 'A' }] });
+    lastOverlay().querySelector('[data-action="cancel"]').click();
+    TestRunner.assertEqual(await promise, null);
+    TestRunner.assert(!lastOverlay() || !lastOverlay().querySelector('[data-choice]'), 'modal removed');
+  });
+
+  TestRunner.test('textInput trims the text and ignores a blank submit', async function () {
+    const promise = UI.textInput({ title: 'Name', value: '<b>' });
+    const overlay = lastOverlay();
+    const input = overlay.querySelector('input[type="text"]');
+    TestRunner.assertEqual(input.value, '<b>', 'starting text filled in as-is');
+    input.value = '   ';
+    overlay.querySelector('[data-action="confirm"]').click();
+    TestRunner.assert(lastOverlay() === overlay, 'still open');
+    input.value = '  Night Owls ';
+    overlay.querySelector('[data-action="confirm"]').click();
+    TestRunner.assertEqual(await promise, 'Night Owls');
+  });
+
+  TestRunner.test('confirm resolves true or false', async function () {
+    let promise = UI.confirm({ title: 'Sure?', message: 'Really.' });
+    lastOverlay().querySelector('[data-action="confirm"]').click();
+    TestRunner.assertEqual(await promise, true);
+    promise = UI.confirm({ title: 'Sure?' });
+    lastOverlay().querySelector('[data-action="cancel"]').click();
+    TestRunner.assertEqual(await promise, false);
+  });
+
 });
@@ -0,0 +1,273 @@
+/**
+ * Tests for validation.js — checking imported saves, and App export/import.
+ */
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** A valid mid-game state: deck shuffled, a few cards dealt out to each pile. */
+function validState() {
+  const state = Simulator.createGame('validation');
+  state.recruitPool = state.recruitDeck.splice(0, 2);
+  state.operatives = state.recruitDeck.splice(0, 3);
+  state.initiates = [{ card: state.recruitDeck.shift(), turnsRemaining: 2 }];
+  state.detainedOperatives = [{ card: state.recruitDeck.shift(), turnsRemaining: 1 }];
+  state.leaderSkillLevel = Math.max(...state.operatives.map(c => c.value));
+  state.availableMidGameOps = [Operations.createMidGameOpportunity(2)];
+  state.multiTurnOps = [{
+    operation: 'scout',
+    turnsRemaining: 1,
+    assignedOperatives: [Assignments.leaderCard(state), state.operatives[0]],
+  }];
+  return state;
+}
+
+// ─── Suite 1: Validation ──────────────────────────────────────────────────────
+
+TestRunner.describe('validation.js — State Checks', function () {
+
+  TestRunner.test('a sound state has no problems', function () {
+    TestRunner.assertDeepEqual(Validation.validateState(validState()), []);
+  });
+
+  TestRunner.test('states from simulated games pass', async function () {
+    const result = await Simulator.runGame(Strategies.get('balanced'), { seed: 'validate', maxTurns: 30 });
+    TestRunner.assertDeepEqual(Validation.validateState(result.finalState), []);
+  });
+
+  TestRunner.test('resources outside the ranges GameState enforces are reported', function () {
+    const state = validState();
+    state.influence = 501;
+    state.heat = -1;
+    state.supplies = 2.5;
+    TestRunner.assertDeepEqual(Validation.validateState(state), [
+      'influence: 501 is not a whole number from 0–500',
+      'heat: -1 is not a whole number from 0–100',
+      'supplies: 2.5 is not a whole number from 0 or more',
+    ]);
+  });
+
+  TestRunner.test('bad cards are reported by where they are', function () {
+    const state = validState();
+    state.recruitPool[1] = { suit: 'stars', rank: '5', value: 5 };
+    state.operatives[2] = { suit: 'hearts', rank: 'Z', value: 5 };
+    state.initiates[0].card = { suit: 'clubs', rank: 'K', value: 12 };
+    TestRunner.assertDeepEqual(Validation.validateState(state), [
+      'recruitPool[1]: has unknown suit "stars"',
+      'initiates[0].card: has value 12, but a K is worth 13',
+      'operatives[2]: has unknown rank "Z"',
+    ]);
+  });
+
+  TestRunner.test('a card in two piles is reported', function () {
+    const state = validState();
+    const card = state.operatives[1];
+    state.recruitDeck.push({ ...card });
+    const errors = Validation.validateState(state);
+    TestRunner.assertArrayLength(errors, 1);
+    TestRunner.assertEqual(errors[0], `operatives[1]: ${Deck.cardId(card)} is also at recruitDeck[${state.recruitDeck.length - 1}]`);
+  });
+
+  TestRunner.test('in physical card mode the recruit deck is not counted', function () {
+    const state = validState();
+    state.inputMode.cards = 'physical';
+    state.recruitDeck = Deck.createDeck();
+    TestRunner.assertDeepEqual(Validation.validateState(state), []);
+  });
+
+  TestRunner.test('missing fields, bad modes and unknown opportunities are reported', function () {
+    const state = validState();
+    delete state.turnLog;
+    state.inputMode.dice = 'telepathic';
+    state.availableMidGameOps[0].tableRoll = 9;
+    TestRunner.assertDeepEqual(Validation.validateState(state), [
+      'turnLog: missing',
+      'inputMode.dice: "telepathic" should be "digital" or "physical"',
+      'availableMidGameOps[0]: not an operation from the table',
+    ]);
+  });
+
+});
+
+// ─── Suite 2: Card Conservation ───────────────────────────────────────────────
+
+TestRunner.describe('validation.js — Card Conservation', function () {
+
+  TestRunner.test('a dealt-out game accounts for every card', function () {
+    TestRunner.assertDeepEqual(Validation.checkCards(validState()), []);
+  });
+
+  TestRunner.test('duplicates, missing and invalid cards are reported', function () {
+    const state = validState();
+    const lost = state.recruitDeck.pop();
+    state.recruitPool.push({ ...state.operatives[0] });
+    state.initiates[0].card.value = 1;
+    const violations = Validation.checkCards(state);
+    TestRunner.assertArrayLength(violations, 3);
+    TestRunner.assert(violations[0].startsWith('initiates[0].card: has value 1'), violations[0]);
+    TestRunner.assert(violations[1].startsWith('operatives[0]: ') && violations[1].endsWith('is also at recruitPool[2]'), violations[1]);
+    TestRunner.assertEqual(violations[2], `missing from every pile: ${Deck.cardId(state.initiates[0].card)}, ${Deck.cardId(lost)}`);
+  });
+
+  TestRunner.test('multi-turn teams must be operatives', function () {
+    const state = validState();
+    const [operative] = state.operatives;
+    state.operatives.shift();
+    state.recruitDeck.push(operative);
+    TestRunner.assertDeepEqual(Validation.checkCards(state),
+      [`multiTurnOps[0].assignedOperatives[1]: ${Deck.cardId(operative)} is not an operative`]);
+  });
+
+  TestRunner.test('physical card mode does not look for missing cards', function () {
+    const state = validState();
+    state.inputMode.cards = 'physical';
+    state.recruitDeck = [];
+    TestRunner.assertDeepEqual(Validation.checkCards(state), []);
+  });
+
+  TestRunner.test('the check runs after every action performed', async function () {
+    const state = validState();
+    const checked = [];
+    EventLog.setCheck((s, type) => checked.push(type));
+    try {
+      await EventLog.perform(state, 'draw', { count: 1 });
+      EventLog.begin(state);
+      await EventLog.perform(state, 'end_turn', {});
+    } finally {
+      EventLog.setCheck(Validation.assertCards);
+    }
+    TestRunner.assertDeepEqual(checked, ['draw', 'end_turn']);
+  });
+
+  TestRunner.test('assertCards names the action that broke the cards', async function () {
+    const state = validState();
+    state.recruitPool.push({ ...state.operatives[0] });
+    let message = '';
+    try {
+      await EventLog.perform(state, 'draw', { count: 1 });
+    } catch (e) {
+      message = e.message;
+    }
+    TestRunner.assert(message.startsWith('Card check failed after draw: operatives[0]'), message);
+  });
+
+  TestRunner.test('dev builds log a broken card check after a confirmed action', async function () {
+    const state = bootTestGame({ operatives: [{ suit: 'spades', rank: '6', value: 6 }] });
+    state.recruitPool.push({ ...state.operatives[0] });
+    EventLog.setCheck(App.reportIntegrity);
+    try {
+      await App.executeOperation('gather_supplies', state.operatives.map(Assignments.operativeId));
+    } finally {
+      EventLog.setCheck(Validation.assertCards);
+    }
+    const entry = state.turnLog.find(e => e.text.startsWith('Card check failed after operation: '));
+    TestRunner.assert(entry, state.turnLog.map(e => e.text).join(' | '));
+  });
+
+  TestRunner.test('Check Game Integrity reports and logs the result', async function () {
+    const state = bootTestGame();
+    const checking = App.checkIntegrity();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    const overlays = document.querySelectorAll('.modal-overlay');
+    const overlay = overlays[overlays.length - 1];
+    TestRunner.assert(overlay.textContent.includes('Every card is accounted for'));
+    overlay.querySelector('[data-action="cancel"]').click();
+    TestRunner.assertDeepEqual(await checking, []);
+
+    state.operatives.push(state.recruitDeck[0]);
+    const again = App.checkIntegrity();
+    await new Promise(resolve => setTimeout(resolve, 0));
+    const items = document.querySelectorAll('.modal-overlay:last-child .import-errors li');
+    TestRunner.assertArrayLength(items, 1);
+    document.querySelector('.modal-overlay:last-child [data-action="cancel"]').click();
+    TestRunner.assertArrayLength(await again, 1);
+    TestRunner.assert(state.turnLog[state.turnLog.length - 1].text.startsWith('Integrity check found 1 problem'));
+  });
+
+});
+
+// ─── Suite 3: Save Files ──────────────────────────────────────────────────────
+
+TestRunner.describe('validation.js — Save Files', function () {
+
+  TestRunner.test('parseSave reads, migrates and validates', function () {
+    const { state, errors } = Validation.parseSave(JSON.stringify(validState()));
+    TestRunner.assertDeepEqual(errors, []);
+    TestRunner.assertArrayLength(state.operatives, 3);
+  });
+
+  TestRunner.test('parseSave reports text that is not JSON or not a state', function () {
+    TestRunner.assert(Validation.parseSave('{ nope').errors[0].startsWith('Not a JSON file'));
+    TestRunner.assertDeepEqual(Validation.parseSave('[1, 2]').errors, ['The save is not a game state object.']);
+  });
+
+  TestRunner.test('parseSave refuses saves from a newer version', function () {
+    const state = validState();
+    state.schemaVersion = GameState.SCHEMA_VERSION + 1;
+    const result = Validation.parseSave(JSON.stringify(state));
+    TestRunner.assertEqual(result.state, null);
+    TestRunner.assert(result.errors[0].includes('newer version'));
+  });
+
+});
+
+// ─── Suite 4: App Export & Import ─────────────────────────────────────────────
+
+TestRunner.describe('validation.js — App Export & Import', function () {
+
+  /** Capture UI.downloadFile calls instead of downloading. */
+  function captureDownloads(fn) {
+    const original = UI.downloadFile;
+    const files = [];
+    UI.downloadFile = (filename, text) => files.push({ filename, text });
+    try {
+      fn();
+    } finally {
+      UI.downloadFile = original;
+    }
+    return files;
+  }
+
+  function loadScreenDOM() {
+    setupGameDOM();
+    document.getElementById('app').insertAdjacentHTML('beforeend',
+      '<div data-screen="load"><p id="save-list-status"></p><div id="save-list"></div></div>');
+  }
+
+  TestRunner.test('export downloads the save as stored', function () {
+    GameState.save(validState(), 'Night Owls');
+    const [file] = captureDownloads(() => App.exportSlot('Night Owls'));
+    TestRunner.assertEqual(file.filename, 'good-fight-night-owls.json');
+    TestRunner.assertEqual(JSON.stringify(JSON.parse(file.text)), GameState.loadRaw('Night Owls'));
+    GameState.deleteSave('Night Owls');
+  });
+
+  TestRunner.test('an exported save imports to a new slot', async function () {
+    loadScreenDOM();
+    const state = validState();
+    state.cellName = 'Ravens';
+    const importing = App.importSave(JSON.stringify(state, null, 2), 'ravens-file');
+    await new Promise(resolve => setTimeout(resolve, 0));
+    const overlays = document.querySelectorAll('.modal-overlay');
+    const overlay = overlays[overlays.length - 1];
+    TestRunner.assertEqual(overlay.querySelector('input[type="text"]').value, 'Ravens');
+    overlay.querySelector('[data-action="confirm"]').click();
+    TestRunner.assertEqual(await importing, 'Ravens');
+    TestRunner.assertEqual(GameState.load('Ravens').rng.seed, state.rng.seed);
+    TestRunner.assert(document.querySelector('.save-slot[data-slot="Ravens"]') !== null, 'listed');
+    GameState.deleteSave('Ravens');
+  });
+
+  TestRunner.test('a corrupt file is refused with every problem listed', async function () {
+    loadScreenDOM();
+    const state = validState();
+    state.heat = 300;
+    state.operatives.push({ ...state.recruitPool[0] });
+    const before = GameState.listSaves().length;
+    TestRunner.assertEqual(await App.importSave(JSON.stringify(state)), null);
+    const items = document.querySelectorAll('#save-list-status .import-errors li');
+    TestRunner.assertArrayLength(items, 2);
+    TestRunner.assert(items[0].textContent.startsWith('heat: 300'));
+    TestRunner.assertEqual(GameState.listSaves().length, before, 'nothing saved');
+  });
+
+});